@@ -1,66 +1,137 @@
 // main.js (module) - with configurable enemy speed, wave spawn and periodic respawn
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { getTerrainHeight, getBiome, getSpawnPoint, setWorldSeed } from './src/terrain.js';
+import { BIOMES } from './src/biomes.js';
+import { mulberry32, hashSeed, mixSeed } from './src/rng.js';
+import { raycastColliders, addCollider, removeCollider, createCylinderCollider } from './src/collision.js';
+import { AI_STATES, alertEnemies } from './src/enemy-ai.js';
+import { buildEnemyModel, setEnemyTint, isHeadMesh, disposeEnemyAssets, buildHpBar, setHpBar, ENEMY_TINTS } from './src/enemy-model.js';
+import { createEnemyAnim, animateEnemy, strikeEnemyAnim, hitEnemyAnim, breakApart, updateCorpse, removeCorpse } from './src/enemy-anim.js';
+import { DEFAULT_DISTANCE, NEAR_HIDE, zoomCamera, placeCamera, followDistance, headingTowards } from './src/third-person.js';
+import {
+  damageNumberStyle, damageNumberMotion, damageDirection, hitFlash, vignetteStrength,
+  DAMAGE_NUMBER_TIME, MAX_DAMAGE_NUMBERS, HP_BAR_TIME, INDICATOR_TIME, MAX_INDICATORS, VIGNETTE_FADE
+} from './src/hit-feedback.js';
+import { ITEMS, STARTING_ITEMS, POTION_COOLDOWN } from './src/items.js';
+import { createInventory, addItem, removeFromSlot, removeItem, countItem, moveSlot, equipFromSlot, unequip, getEquipmentStats } from './src/inventory.js';
+import { renderInventory } from './src/inventory-ui.js';
+import { rollLoot } from './src/loot.js';
+import { buildPickupMesh, disposePickupAssets } from './src/pickup-model.js';
+import { SKILLS, BASE_MAX_MP, createProgression, addXp, xpForLevel, getLevelStats, hasSkill, unlockSkill, unlockBlocker } from './src/progression.js';
+import { renderSkillTree, renderSkillBar, updateSkillBar } from './src/skill-ui.js';
+import { readSave, writeSave, deleteSave, listSaves, parseSave, serializeSave } from './src/save.js';
+import { renderSaveSlots } from './src/save-ui.js';
+import { WEAPONS, WEAPON_ORDER, STARTING_RESERVES, createGunState, currentWeapon, isReloading, setTrigger, switchWeapon, spreadAngle, recoilKick, damageAt } from './src/weapons.js';
+import { MELEE_TUNING, swingProgress } from './src/melee.js';
+import { QUESTS, createQuestLog, questStatus, acceptQuest, completeQuest, questEvent, reachTarget } from './src/quests.js';
+import { NPCS } from './src/npcs.js';
+import { dialogueNode } from './src/dialogue.js';
+import { renderQuestLog, renderQuestTracker, renderDialogue } from './src/quest-ui.js';
+import { createMapView, mapToWorld, panMapView, zoomMapView, shadeHeightfield, addWaypoint, removeWaypointNear } from './src/map.js';
+import { drawMinimap, drawWorldMap, renderWaypointMarkers } from './src/map-ui.js';
+import { ACTIONS, SHADOW_QUALITY, loadSettings, saveSettings, defaultSettings, bindKey, actionForCode, keyLabel } from './src/settings.js';
+import { renderSettings } from './src/settings-ui.js';
+import { createInput, setAction, pulseAction, releaseSource, addLook, moveAxis, endInputFrame, pollGamepad } from './src/input.js';
+import { createTouchControls, setTouchControlsVisible } from './src/touch-ui.js';
+import { advanceClock, sunDirection, isNight, skyAt, lerpColor, formatClock } from './src/daynight.js';
+import { WEATHER, createWeather, updateWeather, weatherParams } from './src/weather.js';
+import { initSky, updateSky } from './src/sky.js';
+import { initAudio, resumeAudio, setAudioVolumes, playSound, setMusicMood } from './src/audio.js';
+import { createLoop, stepLoop, holdLoop, schedule, cancelTimer } from './src/game-loop.js';
+import { WAVE_REST } from './src/waves.js';
+import { initChunks, updateChunks, isChunkLoaded, getLoadedChunks, getChunkSize, setViewDistance } from './src/chunks.js';
+import { ENEMY_TYPES } from './src/enemy-types.js';
+import { MAX_NAME_LENGTH, sanitizeName } from './src/net-protocol.js';
+import { createNetClient, defaultServerUrl, connectNet, disconnectNet, sendNet, joinNet, updateNet } from './src/net-client.js';
+import { createGameState, createGame, on, emit, placePlayer, jump, respawn, setWeaponMode, reload, meleeAttack, setPlayerBlocking, damageEnemy, spawnEnemies, startWaves, stopWaves, waveCountdown, runSummary, clearEnemies, forEachEnemyNear, stepGame,
+  PLAYER_RADIUS, PLAYER_HEIGHT, PLAYER_BASE_MAX_HP, BASE_WEAPON_DAMAGE, RESPAWN_DELAY, GUNSHOT_LOUDNESS, ENEMY_BOLT_RADIUS, ENEMY_HEIGHT, INITIAL_ENEMY_COUNT } from './src/core.js';
 
 // --- CONFIG & STATE ---
 const CONFIG = {
-  worldSize: 4000,
-  chunkRes: 128,
-  colors: {
+  chunkSize: 128,        // world units per terrain tile
+  chunkRes: 32,          // segments per tile edge at full detail
+  viewDistance: 6,       // tiles kept loaded around the player (radius)
+  lodDistances: [2, 4],  // tile rings after which terrain resolution halves
+  propsPerChunk: 5,
+  fogDensity: 0.0025,     // at viewDistance; scaled with the view distance option
+  colors: {               // ground/tree/rock colours come from the biome table (src/biomes.js)
     sky: 0x87CEEB,
-    ground: 0x7cfc00,
-    rock: 0x5a5a5a,
-    treeTrunk: 0x8B4513,
-    treeLeaves: 0x32CD32
+    water: 0x3a8fd8
   },
   cameraOffset: new THREE.Vector3(0, 1.6, 0),
-  mouseSensitivity: 0.002
+  mouseSensitivity: 0.002 // radians per pixel at sensitivity 1 (options panel)
 };
 
+// The simulated part (player, enemies, weapons, clock) is src/core.js's;
+// the rest only the browser game keeps track of.
 const state = {
-  move: { fwd: false, bwd: false, left: false, right: false },
-  sprint: false,
-  jump: false,
-  onGround: false,
-  velocity: new THREE.Vector3(),
-  direction: new THREE.Vector3(),
-  hp: 100,
-  maxHp: 100,
-  enemies: [],
-  ammo: 30,
-  maxAmmo: 30,
-  reserveAmmo: 90,
-  reloading: false,
-  lastShot: 0,
-  shootCooldown: 100,
-  kills: 0
+  ...createGameState(),
+  pickups: [],
+  projectiles: [],    // arrows / magic bolts in flight
+  gold: 0,
+  inventory: null,    // created in init(), survives respawns
+  progression: null,  // created in init(), survives respawns like the inventory
+  quests: null,       // quest log, same lifetime as the progression
+  waypoints: [],      // world map waypoints { x, z, color }, saved with the game
+  weather: createWeather(), // current weather and its blend, see src/weather.js
+  skillCooldowns: {}, // skill id -> seconds left
+  potionCooldown: 0   // seconds until the next healing consumable
 };
 
-// --- TUNING / SPAWN CONSTANTS (better solution) ---
-const PLAYER_RADIUS = 0.6;
-const ENEMY_RADIUS = 0.8;
-const ENEMY_MIN_DISTANCE_BUFFER = 0.15;
-const PLAYER_ATTACK_DAMAGE = 10;
+// --- TUNING / SPAWN CONSTANTS (player, enemy and wave tuning in src/core.js) ---
+const INVENTORY_SIZE = 24;
+const PLAYER_CLASS_NAME = 'Swordsman';
+const MP_REGEN = 4;                // MP per second
+const AUTOSAVE_INTERVAL = 30;      // seconds of game time between autosaves
 
-const PLAYER_MOVE_SPEED = 25.0;
-const PLAYER_SPRINT_SPEED = 45.0;
+// Loot lying in the world (drop tables live in src/enemy-types.js)
+const PICKUP_MAGNET_RADIUS = 7;    // pickups inside this range fly to the player
+const PICKUP_COLLECT_RADIUS = 1.2;
+const PICKUP_MAGNET_SPEED = 30;
+const PICKUP_LIFETIME = 90;        // seconds before uncollected loot vanishes
+const PICKUP_SCATTER = 1.5;        // drops spread this far around the body
+const PICKUP_RETRY_DELAY = 3;      // seconds a rejected pickup (bag full) stays put
 
-// Enemy spawn / speed config
-const ENEMY_BASE_SPEED = 6;        // base speed for enemies
-const ENEMY_RANDOM_SPEED = 3;      // random additional speed (0..ENEMY_RANDOM_SPEED)
-const INITIAL_ENEMY_COUNT = 30;    // how many spawn on game start / reset
-const MAX_ENEMIES = 120;           // hard cap of enemies present
-const WAVE_SIZE = 6;               // how many to spawn per wave
-const WAVE_INTERVAL_MS = 10000;    // spawn wave every 10s
+// Enemy spawn config (per-type stats live in src/enemy-types.js)
+const ENEMY_SPAWN_MIN_DIST = 50;   // never spawn closer than this to the player
+const ENEMY_SPAWN_MAX_DIST = 400;  // nor further away (must stay inside loaded chunks)
 
 // Globals
-let scene, camera, renderer, controls;
-let playerObj, terrainMesh, prevTime = performance.now(), raycasterDown, gunGroup, muzzleFlash;
-let startBtn, startScreen, inventory, closeInventoryBtn, ammoCounter, hitmarker, killFeed, onScreenLog, startError;
+let scene, camera, renderer, controls, sunLight, hemiLight;
+let playerObj, prevTime = performance.now(), gunGroup, muzzleFlash, swordGroup;
+let startBtn, startScreen, inventory, closeInventoryBtn, skillsPanel, questsPanel, dialoguePanel, optionsPanel, skillBar, ammoCounter, goldCounter, hitmarker, killFeed, onScreenLog, startError;
 let allowMouseDragFallback = false;
-let waveIntervalHandle = null;
+let worldSeed = null;
+let selectedSlot = 0;    // save slot picked on the start screen
+let playingSlot = null;  // slot the running game autosaves into
+let autosaveTimer = null; // game-time timer id, see src/game-loop.js
+let settings = loadSettings(); // options panel, see src/settings.js
+let rebindAction = null;       // action waiting for a key press in the options panel
+const input = createInput();   // every device's actions, see src/input.js
+const loop = createLoop();     // fixed-step simulation and game-time timers, see src/game-loop.js
+let paused = true;             // no simulation on the start screen, with a menu open or without pointer lock
+const TOUCH_LOOK_SCALE = 2;    // touch look speed relative to the mouse
+let touchControls = null;
+// the simulation, see src/core.js; its rng is reseeded from worldSeed on every respawn
+const game = createGame({
+  state, rng: Math.random, loop, input,
+  world: { pickSpawnPoint, isLoaded: isChunkLoaded, update: (position) => updateChunks(position) }
+});
+bindGameEvents();
 
 // --- Helpers ---
+function createStartingInventory() {
+  const inv = createInventory(INVENTORY_SIZE);
+  STARTING_ITEMS.forEach(({ id, count }) => addItem(inv, id, count));
+  // the starting weapon and shield come equipped
+  ['sword', 'shield'].forEach(id => {
+    const index = inv.slots.findIndex(slot => slot && slot.id === id);
+    if (index !== -1) equipFromSlot(inv, index);
+  });
+  return inv;
+}
+
 function logOnScreen(msg) {
   if (!onScreenLog) return;
   onScreenLog.style.display = 'block';
@@ -69,22 +140,41 @@ function logOnScreen(msg) {
   console.log(msg);
 }
 
+/**
+ * resolveWorldSeed()
+ * - `?seed=` from the URL (number or any string), otherwise a random seed
+ * - the chosen seed is written back into the URL so a reload or a copied link
+ *   gives the same world
+ */
+function resolveWorldSeed() {
+  const params = new URLSearchParams(window.location.search);
+  const param = params.get('seed');
+  if (param) return hashSeed(param);
+
+  const seed = Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+  writeSeedToUrl(seed);
+  return seed;
+}
+
+function writeSeedToUrl(seed) {
+  const params = new URLSearchParams(window.location.search);
+  params.set('seed', String(seed));
+  try {
+    history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`);
+  } catch (e) { console.warn('Could not store seed in URL:', e); }
+}
+
 function enableMouseDragFallback() {
   allowMouseDragFallback = true;
   logOnScreen('PointerLock nicht verfügbar — Maus ziehen zum schauen (Linksklick halten).');
 }
 
-function getTerrainHeight(x, z) {
-  return (Math.sin(x * 0.01) + Math.cos(z * 0.01)) * 10 +
-         (Math.sin(x * 0.05) + Math.cos(z * 0.05)) * 2;
-}
-
 // --- Pointer lock starter (requests lock on canvas) ---
 function tryLock() {
   try {
     logOnScreen('Start requested');
-    if (!controls || !renderer) init();
-    resetGame();
+    resumeAudio(); // needs this user gesture
+    startSelectedSlot();
 
     try { controls.lock(); } catch (e) { console.warn('controls.lock() failed:', e); }
 
@@ -122,23 +212,79 @@ window.addEventListener('DOMContentLoaded', () => {
   ammoCounter = document.getElementById('ammo-counter');
   hitmarker = document.getElementById('hitmarker');
   killFeed = document.getElementById('kill-feed');
+  goldCounter = document.getElementById('gold-counter');
+  skillsPanel = document.getElementById('skills');
+  questsPanel = document.getElementById('quests');
+  dialoguePanel = document.getElementById('dialogue');
+  optionsPanel = document.getElementById('options');
+  minimapCanvas = document.getElementById('minimap');
+  worldMapPanel = document.getElementById('world-map');
+  worldMapCanvas = document.getElementById('world-map-canvas');
+  waypointLayer = document.getElementById('waypoint-markers');
+  clockLabel = document.getElementById('clock');
+  waveStatus = document.getElementById('wave-status');
+  waveBanner = document.getElementById('wave-banner');
+  bossBar = document.getElementById('boss-bar');
+  runSummaryPanel = document.getElementById('run-summary');
+  deathOverlay = document.getElementById('death-overlay');
+  damageVignette = document.getElementById('damage-vignette');
+  damageIndicatorLayer = document.getElementById('damage-indicators');
+  damageNumberLayer = document.getElementById('damage-numbers');
+  skillBar = document.getElementById('skill-bar');
   onScreenLog = document.getElementById('on-screen-log');
   startError = document.getElementById('start-error');
 
   if (startBtn) {
-    startBtn.addEventListener('pointerdown', (e) => { e.preventDefault(); tryLock(); });
     startBtn.addEventListener('click', (e) => { e.preventDefault(); tryLock(); });
   } else {
     console.error('Start button (#start-btn) not found.');
   }
 
-  if (closeInventoryBtn) closeInventoryBtn.addEventListener('click', () => { inventory.style.display = 'none'; });
+  if (closeInventoryBtn) closeInventoryBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleInventory(false); });
+  if (inventory) inventory.addEventListener('click', (e) => e.stopPropagation());
+  const closeSkillsBtn = document.getElementById('close-skills');
+  if (closeSkillsBtn) closeSkillsBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleSkills(false); });
+  if (skillsPanel) skillsPanel.addEventListener('click', (e) => e.stopPropagation());
+  const closeQuestsBtn = document.getElementById('close-quests');
+  if (closeQuestsBtn) closeQuestsBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleQuests(false); });
+  if (questsPanel) questsPanel.addEventListener('click', (e) => e.stopPropagation());
+  if (dialoguePanel) dialoguePanel.addEventListener('click', (e) => e.stopPropagation());
+  const closeMapBtn = document.getElementById('close-world-map');
+  if (closeMapBtn) closeMapBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleWorldMap(false); });
+  if (worldMapPanel) worldMapPanel.addEventListener('click', (e) => e.stopPropagation());
+  bindWorldMapControls();
+  touchControls = document.getElementById('touch-controls');
+  if (touchControls) {
+    createTouchControls(touchControls, input, () => CONFIG.mouseSensitivity * settings.sensitivity * TOUCH_LOOK_SCALE);
+    setTouchControlsVisible(touchControls, input, window.matchMedia('(pointer: coarse)').matches);
+    window.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch' && touchControls.style.display === 'none') setTouchControlsVisible(touchControls, input, true);
+    });
+  }
+  const closeOptionsBtn = document.getElementById('close-options');
+  if (closeOptionsBtn) closeOptionsBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleOptions(false); });
+  const resetOptionsBtn = document.getElementById('reset-options');
+  if (resetOptionsBtn) resetOptionsBtn.addEventListener('click', (e) => { e.stopPropagation(); resetSettings(); });
+  if (optionsPanel) optionsPanel.addEventListener('click', (e) => e.stopPropagation());
+  state.inventory = createStartingInventory();
+  state.progression = createProgression();
+  state.quests = createQuestLog();
+  recomputePlayerStats();
+  state.mp = state.maxMp;
+  updateLevelUI();
+  renderSkillHotbar();
+  bindSaveControls();
+  refreshSaveSlots();
+  bindOnlineControls();
 
   document.querySelectorAll('.menu-icon').forEach(icon => {
     icon.addEventListener('click', () => {
       const text = icon.textContent;
       if (text === 'INV') toggleInventory();
-      else alert(`${text} Menü noch nicht implementiert`);
+      else if (text === 'SKL') toggleSkills();
+      else if (text === 'QST') toggleQuests();
+      else if (text === 'MAP') toggleWorldMap();
+      else if (text === 'OPT') toggleOptions();
     });
   });
 
@@ -151,7 +297,7 @@ document.addEventListener('pointerlockchange', () => {
   if (renderer && document.pointerLockElement === renderer.domElement) {
     if (startScreen) startScreen.style.display = 'none';
   } else {
-    if (startScreen) startScreen.style.display = 'flex';
+    if (startScreen && !isMenuOpen()) showStartScreen();
   }
 });
 document.addEventListener('pointerlockerror', () => {
@@ -161,25 +307,38 @@ document.addEventListener('pointerlockerror', () => {
 
 // --- INIT / SCENE SETUP ---
 function init() {
+  if (worldSeed === null) worldSeed = resolveWorldSeed();
+  disposeEnemyAssets(); // a previous scene's pools, if init() runs again
+  disposePickupAssets();
+  setWorldSeed(worldSeed);
+  game.rng = mulberry32(mixSeed(worldSeed, 0x5EED));
+  logOnScreen(`Welt-Seed: ${worldSeed}`);
+
   scene = new THREE.Scene();
   scene.background = new THREE.Color(CONFIG.colors.sky);
-  scene.fog = new THREE.FogExp2(CONFIG.colors.sky, 0.0015);
-  camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 2000);
+  scene.fog = new THREE.FogExp2(CONFIG.colors.sky, CONFIG.fogDensity);
+  camera = new THREE.PerspectiveCamera(settings.fov, window.innerWidth / window.innerHeight, 0.1, (settings.viewDistance + 1) * CONFIG.chunkSize);
 
-  const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
+  // both lights are driven by the time of day and weather, see updateEnvironment()
+  hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
   hemiLight.position.set(0, 200, 0);
   scene.add(hemiLight);
 
-  const dirLight = new THREE.DirectionalLight(0xffffff, 1.2);
-  dirLight.position.set(50, 200, 100);
-  dirLight.castShadow = true;
-  scene.add(dirLight);
+  sunLight = new THREE.DirectionalLight(0xffffff, 1.2);
+  sunLight.position.set(50, 200, 100);
+  sunLight.castShadow = true;
+  const shadowCam = sunLight.shadow.camera;
+  shadowCam.left = shadowCam.bottom = -SUN_SHADOW_RANGE;
+  shadowCam.right = shadowCam.top = SUN_SHADOW_RANGE;
+  shadowCam.far = SUN_DISTANCE * 2;
+  scene.add(sunLight, sunLight.target);
+  initSky(scene, game.rng);
+  initAudio(scene, camera);
 
   if (!renderer) {
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.enabled = true; // shadow quality is toggled per light, see applySettings()
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.body.appendChild(renderer.domElement);
   }
@@ -189,163 +348,109 @@ function init() {
   populateWorld(); // initial spawn uses INITIAL_ENEMY_COUNT inside
 
   createGun();
+  createSword();
 
   controls = new PointerLockControls(camera, renderer.domElement);
   controls.addEventListener('lock', () => { if (startScreen) startScreen.style.display = 'none'; });
-  controls.addEventListener('unlock', () => { if (startScreen) startScreen.style.display = 'flex'; });
+  controls.addEventListener('unlock', () => { if (startScreen && !isMenuOpen()) showStartScreen(); });
 
   document.addEventListener('keydown', (e) => onKey(e, true));
   document.addEventListener('keyup', (e) => onKey(e, false));
-  document.addEventListener('click', shoot);
+  document.addEventListener('mousedown', (e) => {
+    if (!isGameInput(e)) return;
+    if (e.button === 0) setAction(input, 'mouse', 'fire', true);
+    else if (e.button === 2) setAction(input, 'mouse', 'block', true);
+  });
+  document.addEventListener('mouseup', (e) => {
+    if (e.button === 0) setAction(input, 'mouse', 'fire', false);
+    else if (e.button === 2) setAction(input, 'mouse', 'block', false);
+  });
+  document.addEventListener('wheel', (e) => {
+    if (!isGameInput(e) || !e.deltaY) return;
+    if (settings.thirdPerson) cameraZoom = zoomCamera(cameraZoom, e.deltaY); // X / the bumpers still switch weapons
+    else pulseAction(input, 'mouse', e.deltaY > 0 ? 'nextWeapon' : 'prevWeapon');
+  });
+  window.addEventListener('blur', () => { releaseSource(input, 'keyboard'); releaseSource(input, 'mouse'); });
+  document.addEventListener('contextmenu', (e) => e.preventDefault());
   window.addEventListener('resize', onWindowResize);
 
-  document.addEventListener('mousemove', (e) => {
-    if (!allowMouseDragFallback) return;
-    if (e.buttons !== 1) return;
-    const sensitivity = 0.0025;
-    camera.rotation.y -= e.movementX * sensitivity;
-    camera.rotation.x -= e.movementY * sensitivity;
-    const max = Math.PI / 2 - 0.01;
-    camera.rotation.x = Math.max(-max, Math.min(max, camera.rotation.x));
-  });
+  // the controls' own mouse look knows no invert-Y, so it is turned down to
+  // nothing (they still handle the lock); onMouseLook() feeds both pointer
+  // lock and the drag fallback into the input layer instead
+  controls.pointerSpeed = 0;
+  document.addEventListener('mousemove', onMouseLook);
+  applySettings();
 
   document.addEventListener('keydown', (e) => {
     if (e.code === 'Enter' && startScreen && startScreen.style.display !== 'none') tryLock();
   });
 
-  raycasterDown = new THREE.Raycaster();
-
-  // start wave spawner (if not already running)
-  startWaveSpawner();
+  // survival run from wave 1 (restarted by every respawn)
+  startWaves(game);
 }
 
-// --- TERRAIN ---
+// --- TERRAIN (streamed in chunks, see src/chunks.js) ---
 function createTerrain() {
-  const geo = new THREE.PlaneGeometry(CONFIG.worldSize, CONFIG.worldSize, CONFIG.chunkRes, CONFIG.chunkRes);
-  geo.rotateX(-Math.PI / 2);
-  const pos = geo.attributes.position;
-  for (let i = 0; i < pos.count; i++) {
-    const x = pos.getX(i);
-    const z = pos.getZ(i);
-    pos.setY(i, getTerrainHeight(x, z));
-  }
-  geo.computeVertexNormals();
-  const mat = new THREE.MeshToonMaterial({ color: CONFIG.colors.ground, side: THREE.DoubleSide });
-  terrainMesh = new THREE.Mesh(geo, mat);
-  terrainMesh.receiveShadow = true;
-  scene.add(terrainMesh);
+  initChunks(scene, {
+    chunkSize: CONFIG.chunkSize,
+    chunkRes: CONFIG.chunkRes,
+    viewDistance: settings.viewDistance,
+    lodDistances: CONFIG.lodDistances,
+    propsPerChunk: CONFIG.propsPerChunk,
+    colors: CONFIG.colors
+  });
 }
 
 // --- WORLD & ENEMY SPAWNING (improved) ---
 function populateWorld() {
-  // Add trees/rocks as before
-  const treeGeo = new THREE.ConeGeometry(3, 12, 8);
-  const trunkGeo = new THREE.CylinderGeometry(1, 1, 4, 8);
-  const treeMat = new THREE.MeshToonMaterial({ color: CONFIG.colors.treeLeaves });
-  const trunkMat = new THREE.MeshToonMaterial({ color: CONFIG.colors.treeTrunk });
-  const rockGeo = new THREE.DodecahedronGeometry(3, 0);
-  const rockMat = new THREE.MeshToonMaterial({ color: CONFIG.colors.rock });
-
-  for (let i = 0; i < 300; i++) {
-    const x = (Math.random() - 0.5) * 1000;
-    const z = (Math.random() - 0.5) * 1000;
-    const y = getTerrainHeight(x, z);
-    if (Math.abs(x) < 20 && Math.abs(z) < 20) continue;
-    const type = Math.random();
-    if (type > 0.3) {
-      const group = new THREE.Group();
-      const leaves = new THREE.Mesh(treeGeo, treeMat); leaves.position.y = 6; leaves.castShadow = true;
-      const trunk = new THREE.Mesh(trunkGeo, trunkMat); trunk.position.y = 2; trunk.castShadow = true;
-      group.add(leaves); group.add(trunk);
-      group.position.set(x, y, z);
-      const s = 0.8 + Math.random() * 1.5; group.scale.set(s, s, s);
-      scene.add(group);
-    } else {
-      const rock = new THREE.Mesh(rockGeo, rockMat);
-      rock.position.set(x, y + 2, z);
-      rock.rotation.set(Math.random(), Math.random(), Math.random());
-      rock.scale.setScalar(1 + Math.random() * 3);
-      rock.castShadow = true;
-      scene.add(rock);
-    }
-  }
+  const spawn = getSpawnPoint();
+  placePlayer(game, spawn.x, getTerrainHeight(spawn.x, spawn.z) + 0.1, spawn.z);
+  playerObj.position.copy(state.position);
+
+  // trees/rocks live in the chunks: load everything around the player at once
+  updateChunks(state.position, true);
+  placeNpcs();
 
-  // spawn initial enemies using the new spawn function
-  spawnEnemies(INITIAL_ENEMY_COUNT);
+  // enemy placement and types are the core's, see spawnEnemies() in src/core.js
+  spawnEnemies(game, INITIAL_ENEMY_COUNT);
 }
 
 /**
- * spawnEnemies(count)
- * - spawns up to `count` new enemies, respecting MAX_ENEMIES
- * - each enemy gets speed = ENEMY_BASE_SPEED + random(0..ENEMY_RANDOM_SPEED)
+ * pickSpawnPoint(px, pz, random)
+ * - the core's world.pickSpawnPoint: random dry point inside a loaded chunk,
+ *   between ENEMY_SPAWN_MIN_DIST and ENEMY_SPAWN_MAX_DIST from (px, pz)
+ * - falls back to a point on a ring around the player if no chunk qualifies
+ * - returns { x, z, biome }
  */
-function spawnEnemies(count = 6) {
-  if (!scene) return;
-  const canSpawn = Math.max(0, MAX_ENEMIES - state.enemies.length);
-  const toSpawn = Math.min(count, canSpawn);
-  for (let i = 0; i < toSpawn; i++) {
-    // pick a random position away from player center
-    let x = (Math.random() - 0.5) * 800;
-    let z = (Math.random() - 0.5) * 800;
-
-    const y = getTerrainHeight(x, z);
-    if (Math.abs(x) < 50 && Math.abs(z) < 50) {
-      // if too close to center, push further out
-      const signX = Math.sign(x) || (Math.random() < 0.5 ? -1 : 1);
-      const signZ = Math.sign(z) || (Math.random() < 0.5 ? -1 : 1);
-      x = signX * (50 + Math.random() * 200);
-      z = signZ * (50 + Math.random() * 200);
-    }
-
-    const enemyGroup = new THREE.Group();
-
-    const bodyGeo = new THREE.CapsuleGeometry(0.4, 1.0, 4, 8);
-    const bodyMat = new THREE.MeshToonMaterial({ color: 0x8B0000 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat); body.position.y = 0.8; body.castShadow = true;
-    enemyGroup.add(body);
-
-    const headGeo = new THREE.SphereGeometry(0.3, 16, 16);
-    const headMat = new THREE.MeshToonMaterial({ color: 0x2F4F4F });
-    const head = new THREE.Mesh(headGeo, headMat); head.position.y = 1.5; head.castShadow = true;
-    enemyGroup.add(head);
-
-    const eyeGeo = new THREE.SphereGeometry(0.05, 8, 8);
-    const eyeMat = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    const eyeLeft = new THREE.Mesh(eyeGeo, eyeMat); eyeLeft.position.set(-0.1, 1.5, 0.25);
-    const eyeRight = new THREE.Mesh(eyeGeo, eyeMat); eyeRight.position.set(0.1, 1.5, 0.25);
-    enemyGroup.add(eyeLeft); enemyGroup.add(eyeRight);
-
-    const armGeo = new THREE.CapsuleGeometry(0.15, 0.6, 4, 8);
-    const armLeft = new THREE.Mesh(armGeo, bodyMat); armLeft.position.set(-0.5, 0.8, 0); armLeft.castShadow = true;
-    const armRight = new THREE.Mesh(armGeo, bodyMat); armRight.position.set(0.5, 0.8, 0); armRight.castShadow = true;
-    enemyGroup.add(armLeft); enemyGroup.add(armRight);
-
-    const legGeo = new THREE.CapsuleGeometry(0.15, 0.6, 4, 8);
-    const legLeft = new THREE.Mesh(legGeo, bodyMat); legLeft.position.set(-0.2, 0.1, 0); legLeft.castShadow = true;
-    const legRight = new THREE.Mesh(legGeo, bodyMat); legRight.position.set(0.2, 0.1, 0); legRight.castShadow = true;
-    enemyGroup.add(legLeft); enemyGroup.add(legRight);
-
-    enemyGroup.position.set(x, y, z);
-    scene.add(enemyGroup);
-
-    // push enemy record
-    state.enemies.push({
-      mesh: enemyGroup,
-      speed: ENEMY_BASE_SPEED + Math.random() * ENEMY_RANDOM_SPEED,
-      hp: 100,
-      attackCooldown: 0,
-      attackRate: 1.0 + Math.random() * 0.8,
-      radius: ENEMY_RADIUS,
-      bodyMesh: body
-    });
+function pickSpawnPoint(px, pz, random) {
+  const size = getChunkSize();
+  const chunks = getLoadedChunks();
+  for (let attempt = 0; attempt < 10 && chunks.length; attempt++) {
+    const chunk = chunks[Math.floor(random() * chunks.length)];
+    const x = (chunk.cx + random()) * size;
+    const z = (chunk.cz + random()) * size;
+    const d = Math.hypot(x - px, z - pz);
+    if (d < ENEMY_SPAWN_MIN_DIST || d > ENEMY_SPAWN_MAX_DIST) continue;
+    const biome = getBiome(x, z);
+    if (biome !== BIOMES.lake) return { x, z, biome };
   }
+  const angle = random() * Math.PI * 2;
+  const d = ENEMY_SPAWN_MIN_DIST + random() * (ENEMY_SPAWN_MAX_DIST - ENEMY_SPAWN_MIN_DIST);
+  const x = px + Math.cos(angle) * d, z = pz + Math.sin(angle) * d;
+  return { x, z, biome: getBiome(x, z) };
 }
 
 // --- PLAYER & GUN ---
 function createPlayer() {
-  playerObj = new THREE.Group();
+  playerObj = buildPlayerModel(0xff0000);
   scene.add(playerObj);
+  playerObj.userData = playerObj.userData || {};
+  playerObj.userData.radius = PLAYER_RADIUS;
+}
 
+// The player's body, head and hair; other players online get the same model.
+function buildPlayerModel(hairColor) {
+  const group = new THREE.Group();
   const bodyGeo = new THREE.CapsuleGeometry(0.5, 1.2, 4, 8);
   const bodyMat = new THREE.MeshToonMaterial({ color: 0x333333 });
   const mesh = new THREE.Mesh(bodyGeo, bodyMat); mesh.position.y = 0.9; mesh.castShadow = true;
@@ -355,13 +460,20 @@ function createPlayer() {
   const head = new THREE.Mesh(headGeo, headMat); head.position.y = 1.6;
 
   const hairGeo = new THREE.ConeGeometry(0.5, 0.6, 6);
-  const hairMat = new THREE.MeshToonMaterial({ color: 0xff0000 });
+  const hairMat = new THREE.MeshToonMaterial({ color: hairColor });
   const hair = new THREE.Mesh(hairGeo, hairMat); hair.position.y = 1.9;
 
-  playerObj.add(mesh); playerObj.add(head); playerObj.add(hair);
+  // eyes on the front (-z, the way the view looks at yaw 0) show where the model faces
+  const face = new THREE.Group();
+  const eyeGeo = new THREE.SphereGeometry(0.07, 8, 8);
+  const eyeMat = new THREE.MeshBasicMaterial({ color: 0x1a1a1a });
+  [-0.15, 0.15].forEach(x => {
+    const eye = new THREE.Mesh(eyeGeo, eyeMat); eye.position.set(x, 1.65, -0.35); face.add(eye);
+  });
 
-  playerObj.userData = playerObj.userData || {};
-  playerObj.userData.radius = PLAYER_RADIUS;
+  group.add(mesh); group.add(head); group.add(hair); group.add(face);
+  group.userData.face = face;
+  return group;
 }
 
 function createGun() {
@@ -390,86 +502,659 @@ function createGun() {
   scene.add(camera);
 }
 
+function createSword() {
+  swordGroup = new THREE.Group();
+
+  const bladeGeo = new THREE.BoxGeometry(0.04, 0.9, 0.012);
+  const bladeMat = new THREE.MeshToonMaterial({ color: 0xdfe6e9 });
+  const blade = new THREE.Mesh(bladeGeo, bladeMat); blade.position.y = 0.55; swordGroup.add(blade);
+
+  const guardGeo = new THREE.BoxGeometry(0.22, 0.04, 0.05);
+  const guardMat = new THREE.MeshToonMaterial({ color: 0xff9f43 });
+  const guard = new THREE.Mesh(guardGeo, guardMat); guard.position.y = 0.08; swordGroup.add(guard);
+
+  const handleGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.18, 8);
+  const handleMat = new THREE.MeshToonMaterial({ color: 0x3d2b1f });
+  const handle = new THREE.Mesh(handleGeo, handleMat); swordGroup.add(handle);
+
+  // rest pose: held low on the right, blade tilted forward
+  swordGroup.position.set(0.3, -0.35, -0.5);
+  swordGroup.rotation.set(-0.6, 0, -0.3);
+  swordGroup.visible = false;
+  camera.add(swordGroup);
+}
+
+// --- WEAPONS / MELEE (combo and block rules in src/melee.js, hits in src/core.js) ---
+function selectWeaponMode(mode) {
+  if (!setWeaponMode(game, mode)) return;
+  updateViewModels();
+  updateAmmoUI();
+  logOnScreen(mode === 'sword' ? 'Schwert gezogen' : `Waffe: ${currentWeapon(state.gun).name}`);
+}
+
+// Mouse input only counts while playing, not on the start screen or menu panels.
+function isGameInput(e) {
+  if (isMenuOpen()) return false;
+  if (controls && controls.isLocked) return true;
+  return allowMouseDragFallback && !!renderer && e.target === renderer.domElement;
+}
+
+// Left mouse down: pull the trigger or swing, depending on the weapon in hand.
+function onPrimaryAction() {
+  if (state.weaponMode === 'sword') meleeAttack(game, 'light');
+  else setTrigger(state.gun, true);
+}
+
+// Mouse wheel / X: next or previous gun (draws the gun if the sword is out).
+function cycleWeapon(step) {
+  if (state.weaponMode !== 'gun') { selectWeaponMode('gun'); return; }
+  const index = WEAPON_ORDER.indexOf(state.gun.current);
+  const next = WEAPON_ORDER[(index + step + WEAPON_ORDER.length) % WEAPON_ORDER.length];
+  if (switchWeapon(state.gun, next)) {
+    updateAmmoUI();
+    logOnScreen(`Waffe: ${WEAPONS[next].name}`);
+  }
+}
+
+// Poses the sword for the current swing or block and fills the stamina bar.
+function updateSwordView() {
+  const ms = state.melee;
+  updateStaminaBar();
+
+  if (!swordGroup) return;
+  const t = swingProgress(ms);
+  if (t !== null) {
+    // sweep across the view; combo steps alternate direction, heavy comes down from above
+    const sweep = Math.sin(t * Math.PI);
+    if (ms.swing.kind === 'heavy') {
+      swordGroup.rotation.set(-0.6 - sweep * 1.6 + 1.2 * (1 - t), 0, -0.3);
+    } else {
+      const side = ms.swing.step % 2 === 0 ? 1 : -1;
+      swordGroup.rotation.set(-0.6 - sweep * 0.9, side * (1 - 2 * t) * 1.1, -0.3 - side * sweep * 0.8);
+    }
+  } else if (ms.blocking) {
+    swordGroup.rotation.set(0, 0, Math.PI / 2 - 0.2);
+  } else {
+    swordGroup.rotation.set(-0.6, 0, -0.3);
+  }
+}
+
+function updateStaminaBar() {
+  const el = document.querySelector('.st-bar');
+  if (el) el.style.width = `${(state.melee.stamina / MELEE_TUNING.maxStamina) * 100}%`;
+}
+
 // --- INPUT & MOVEMENT ---
+/**
+ * onKey(e, pressed)
+ * - keys become input actions through the bindings in `settings.keys`
+ *   (options panel); while a rebind is pending the next key press is taken
+ *   for it instead
+ * - the dialogue box always answers to the number keys
+ */
 function onKey(e, pressed) {
-  switch (e.code) {
-    case 'KeyW': state.move.fwd = pressed; break;
-    case 'KeyS': state.move.bwd = pressed; break;
-    case 'KeyA': state.move.left = pressed; break;
-    case 'KeyD': state.move.right = pressed; break;
-    case 'ShiftLeft': state.sprint = pressed; break;
-    case 'Space': if (pressed && state.onGround) state.velocity.y = 15; break;
-    case 'KeyE': if (pressed) toggleInventory(); break;
-    case 'KeyR': if (pressed) reload(); break;
+  if (rebindAction) {
+    if (pressed) finishRebind(e);
+    return;
+  }
+  if (pressed && e.code.startsWith('Digit') && isPanelOpen(dialoguePanel)) {
+    chooseDialogueOption(Number(e.code.slice(5)) - 1);
+    return;
   }
+  setAction(input, 'keyboard', actionForCode(settings, e.code), pressed);
 }
 
-function updatePlayerMovement(delta) {
-  if ((!controls || !controls.isLocked) && !allowMouseDragFallback) return;
+// Mouse look while the pointer is locked, or while dragging in the fallback mode.
+function onMouseLook(e) {
+  const locked = controls && controls.isLocked;
+  const dragging = allowMouseDragFallback && e.buttons === 1 && !isMenuOpen();
+  if (!locked && !dragging) return;
+  const speed = CONFIG.mouseSensitivity * settings.sensitivity;
+  addLook(input, e.movementX * speed, e.movementY * speed);
+}
 
-  state.velocity.x -= state.velocity.x * 10.0 * delta;
-  state.velocity.z -= state.velocity.z * 10.0 * delta;
-  state.velocity.y -= 30.0 * delta;
+/**
+ * updateInput(delta)
+ * - polls the gamepad, runs the actions pressed / released since the last
+ *   frame (from any device) and turns the camera by the look delta
+ * - on the start screen the gamepad's A / Start begins the game
+ */
+function updateInput(delta) {
+  const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+  const pad = pads.find(p => p && p.connected && p.mapping === 'standard') || pads.find(p => p && p.connected) || null;
+  pollGamepad(input, pad, { sensitivity: settings.padSensitivity, deadZone: settings.deadZone }, delta);
+
+  input.released.forEach(onActionReleased);
+  if (startScreen && startScreen.style.display !== 'none') {
+    if (input.pressedBy.jump === 'gamepad' || input.pressedBy.inventory === 'gamepad') tryLock();
+  } else {
+    input.pressed.forEach(onActionPressed);
+    if (camera && !isMenuOpen()) applyLook(input.look.dx, input.look.dy);
+  }
+  endInputFrame(input);
+}
 
-  state.direction.z = Number(state.move.fwd) - Number(state.move.bwd);
-  state.direction.x = Number(state.move.right) - Number(state.move.left);
-  if (state.direction.lengthSq() > 0) state.direction.normalize();
+function onActionPressed(action) {
+  if (action.startsWith('skill') && isPanelOpen(dialoguePanel)) { // d-pad answers dialogues
+    chooseDialogueOption(Number(action.slice(5)) - 1);
+    return;
+  }
+  if (paused && !MENU_ACTIONS.has(action)) return;
+  switch (action) {
+    case 'jump': jump(game); break;
+    case 'interact':
+      if (isPanelOpen(dialoguePanel)) closeDialogue();
+      else if (nearbyNpc && !isMenuOpen()) openDialogue(nearbyNpc);
+      else toggleInventory();
+      break;
+    case 'inventory': toggleInventory(); break;
+    case 'quests': toggleQuests(); break;
+    case 'map': toggleWorldMap(); break;
+    case 'skills': toggleSkills(); break;
+    case 'options': toggleOptions(); break;
+    case 'reload': reload(game); break;
+    case 'swapMode': selectWeaponMode(state.weaponMode === 'gun' ? 'sword' : 'gun'); break;
+    case 'heavyAttack': meleeAttack(game, 'heavy'); break;
+    case 'nextWeapon': cycleWeapon(1); break;
+    case 'prevWeapon': cycleWeapon(-1); break;
+    case 'camera': toggleCameraMode(); break;
+    case 'fire': if (!isMenuOpen()) onPrimaryAction(); break;
+    case 'block': setPlayerBlocking(game, true); break;
+    case 'skill1': case 'skill2': case 'skill3': case 'skill4': {
+      const skill = Object.values(SKILLS).find(s => `skill${s.hotkey}` === action);
+      if (skill) castSkill(skill.id);
+      break;
+    }
+  }
+}
 
-  const speed = state.sprint ? PLAYER_SPRINT_SPEED : PLAYER_MOVE_SPEED;
+// Actions that still work while the game is paused (they open and close the menus).
+const MENU_ACTIONS = new Set(['interact', 'inventory', 'quests', 'map', 'skills', 'options']);
 
-  if (state.move.fwd || state.move.bwd) state.velocity.z -= state.direction.z * speed * delta;
-  if (state.move.left || state.move.right) state.velocity.x -= state.direction.x * speed * delta;
+// Releases count even on the start screen, so nothing stays held across it.
+function onActionReleased(action) {
+  if (action === 'fire') setTrigger(state.gun, false);
+  else if (action === 'block') setPlayerBlocking(game, false);
+}
 
-  const euler = new THREE.Euler(0, 0, 0, 'YXZ');
-  euler.setFromQuaternion(camera.quaternion);
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
 
-  const forward = new THREE.Vector3(0, 0, -1).applyEuler(euler);
-  forward.y = 0; forward.normalize();
-  const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0));
+function applyLook(dx, dy) {
+  if (!dx && !dy) return;
+  lookEuler.setFromQuaternion(camera.quaternion);
+  lookEuler.y -= dx;
+  lookEuler.x -= dy * (settings.invertY ? -1 : 1);
+  const max = Math.PI / 2 - 0.01;
+  lookEuler.x = Math.max(-max, Math.min(max, lookEuler.x));
+  camera.quaternion.setFromEuler(lookEuler);
+}
 
-  playerObj.position.addScaledVector(forward, -state.velocity.z * delta);
-  playerObj.position.addScaledVector(right, -state.velocity.x * delta);
-  playerObj.position.y += state.velocity.y * delta;
+// --- CAMERA (third person placement in src/third-person.js) ---
+let cameraZoom = DEFAULT_DISTANCE; // third person: distance behind the head the player zoomed to
+let cameraDistance = 0;            // ... and the one shown, eased out / pulled in by followDistance()
+const cameraPivot = new THREE.Vector3(); // the player's head, where shots leave from
 
-  const groundHeight = getTerrainHeight(playerObj.position.x, playerObj.position.z);
-  if (playerObj.position.y < groundHeight) {
-    state.velocity.y = 0;
-    playerObj.position.y = groundHeight;
-    state.onGround = true;
-  } else {
-    state.onGround = false;
+/**
+ * updateCamera(alpha, delta)
+ * - alpha blends from the previous simulation step's player position (0) to
+ *   the current one (1); first person puts the camera in the head, third
+ *   person orbits it over the shoulder as the view turns
+ * - delta (real seconds) eases the third person zoom; 0 only re-places it
+ */
+function updateCamera(alpha = 1, delta = 0) {
+  if (!camera) return;
+  cameraPivot.lerpVectors(state.prevPosition, state.position, alpha).add(CONFIG.cameraOffset);
+  if (!settings.thirdPerson) {
+    camera.position.copy(cameraPivot);
+    return;
   }
+  lookEuler.setFromQuaternion(camera.quaternion);
+  const allowed = placeCamera(cameraPivot, lookEuler.y, lookEuler.x, cameraZoom).distance;
+  cameraDistance = followDistance(cameraDistance, cameraZoom, allowed, delta);
+  const spot = placeCamera(cameraPivot, lookEuler.y, lookEuler.x, cameraDistance);
+  camera.position.set(spot.x, spot.y, spot.z);
+  // dead like other players' models, or hidden when squeezed against a wall (no head in the view)
+  if (playerObj) playerObj.visible = state.hp > 0 && spot.distance >= NEAR_HIDE;
 }
 
-// --- CAMERA ---
-function updateCamera() {
-  if (playerObj && camera) {
-    camera.position.copy(playerObj.position).add(CONFIG.cameraOffset);
-  }
+// V: first person <-> over the shoulder, remembered like the options panel's checkbox.
+function toggleCameraMode() {
+  settings.thirdPerson = !settings.thirdPerson;
+  cameraDistance = 0; // eases out of the head
+  saveSettings(settings);
+  applySettings();
+  logOnScreen(settings.thirdPerson ? 'Schulterkamera' : 'Ego-Perspektive');
 }
 
-// --- RESET / RESPAWN ---
-function resetGame() {
+// The gun and sword in front of the camera are first person only; third person shows the player's model.
+function updateViewModels() {
+  const firstPerson = !settings.thirdPerson;
+  if (gunGroup) gunGroup.visible = firstPerson && state.weaponMode === 'gun';
+  if (swordGroup) swordGroup.visible = firstPerson && state.weaponMode === 'sword';
   if (!playerObj) return;
-  const ground = getTerrainHeight(0, 0);
-  playerObj.position.set(0, ground + 0.1, 0);
-  state.hp = state.maxHp;
+  playerObj.userData.face.visible = !firstPerson; // the eyes would sit right in front of a first person camera
+  if (firstPerson) playerObj.visible = true;
+}
+
+// --- SAVE / LOAD (format and slots in src/save.js) ---
+// Online the character's progress is saved, but its world, spot and waypoints stay the slot's own (localWorld).
+function createSaveSnapshot() {
+  const home = localWorld;
+  return {
+    seed: home ? home.seed : worldSeed,
+    player: home ? { ...home.player } : {
+      x: state.position.x, y: state.position.y, z: state.position.z,
+      yaw: camera.rotation.y, pitch: camera.rotation.x
+    },
+    hp: state.hp,
+    mp: state.mp,
+    weapon: state.gun.current,
+    magazines: state.gun.magazines,
+    reserves: state.reserves,
+    kills: state.kills,
+    gold: state.gold,
+    inventory: state.inventory,
+    progression: state.progression,
+    quests: state.quests,
+    waypoints: home ? home.waypoints : state.waypoints
+  };
+}
+
+function saveGame() {
+  if (playingSlot === null || !playerObj || state.hp <= 0) return false;
+  return writeSave(playingSlot, createSaveSnapshot());
+}
+
+// Fresh level 1 character with the starting kit, for an empty slot.
+function newCharacter() {
+  state.inventory = createStartingInventory();
+  state.progression = createProgression();
+  state.quests = createQuestLog();
+  state.waypoints = [];
+  state.kills = 0;
+  state.gold = 0;
+  state.gun = createGunState();
+  state.reserves = { ...STARTING_RESERVES };
+}
+
+/**
+ * loadGame(data)
+ * - switches to the save's world (rebuilding the terrain if the seed differs),
+ *   restores the character and puts the player back where they were saved
+ */
+function loadGame(data) {
+  if (data.seed !== worldSeed) switchWorldSeed(data.seed);
+  state.inventory = data.inventory;
+  state.progression = data.progression;
+  state.quests = data.quests;
+  state.waypoints = data.waypoints;
+  state.kills = data.kills;
+  state.gold = data.gold;
+  state.gun = createGunState(data.weapon);
+  Object.assign(state.gun.magazines, data.magazines);
+  state.reserves = { ...STARTING_RESERVES, ...data.reserves };
+  recomputePlayerStats();
+  respawn(game, data.player);
+  state.hp = Math.min(state.maxHp, data.hp);
+  state.mp = Math.min(state.maxMp, data.mp);
+  if (camera) camera.rotation.set(data.player.pitch || 0, data.player.yaw || 0, 0, 'YXZ');
+}
+
+// Rebuilds terrain, NPCs and the minimap for another world.
+function switchWorldSeed(seed) {
+  worldSeed = seed >>> 0;
+  setWorldSeed(worldSeed);
+  writeSeedToUrl(worldSeed);
+  createTerrain();
+  placeNpcs();
+  minimapTerrain = null;
+  logOnScreen(`Welt-Seed: ${worldSeed}`);
+}
+
+/**
+ * startSelectedSlot()
+ * - start button: continue the selected slot, or begin a new game in it
+ * - connected to a server, the character enters the server's world instead
+ *   of the save's, which the slot keeps for when it leaves; back from a menu
+ *   online nothing reloads (the world ran on)
+ * - offline, the slot already playing just resumes where the pause left it
+ *   (enemies, wave and run stats and all)
+ */
+function startSelectedSlot() {
+  if (net.status === 'playing') return;
+  if (!controls || !renderer) init();
+  const online = net.status === 'lobby';
+  if (!online && playingSlot === selectedSlot) return;
+  let data = readSave(selectedSlot);
+  if (!data && online) {
+    // a new character still gets a world of its own to come back to
+    newCharacter();
+    recomputePlayerStats();
+    respawn(game);
+    data = createSaveSnapshot();
+  }
+  if (online) enterServerWorld(data);
+  if (data) loadGame(online ? { ...data, seed: net.seed, waypoints: [] } : data);
+  else {
+    newCharacter();
+    recomputePlayerStats();
+    respawn(game);
+  }
+  updateHpBar();
+  updateMpBar();
+  updateAmmoUI();
+  updateGoldUI();
+  updateLevelUI();
+  renderSkillHotbar();
+
+  playingSlot = selectedSlot;
+  saveGame();
+  if (autosaveTimer) cancelTimer(loop, autosaveTimer);
+  autosaveTimer = schedule(loop, AUTOSAVE_INTERVAL, saveGame, AUTOSAVE_INTERVAL);
+  if (online) joinNet(net); // the server answers with where to spawn
+}
+
+function showStartScreen() {
+  saveGame();
+  refreshSaveSlots();
+  startScreen.style.display = 'flex';
+}
+
+function refreshSaveSlots() {
+  const el = document.getElementById('save-slots');
+  if (!el) return;
+  renderSaveSlots(el, listSaves(), selectedSlot, (slot) => {
+    selectedSlot = slot;
+    refreshSaveSlots();
+  });
+}
+
+// Export / import / delete act on the selected slot.
+function bindSaveControls() {
+  const on = (id, fn) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', (e) => { e.stopPropagation(); fn(); });
+  };
+  const fileInput = document.getElementById('import-file');
+
+  on('export-save', () => {
+    if (selectedSlot === playingSlot) saveGame();
+    const data = readSave(selectedSlot);
+    if (!data) { logOnScreen('Slot ist leer'); return; }
+    const url = URL.createObjectURL(new Blob([serializeSave(data)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `etheria-slot-${selectedSlot + 1}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  on('import-save', () => { if (fileInput) fileInput.click(); });
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        const data = parseSave(await file.text());
+        if (selectedSlot === playingSlot) playingSlot = null; // don't autosave over the import
+        writeSave(selectedSlot, data);
+        logOnScreen(`Speicherstand in Slot ${selectedSlot + 1} importiert`);
+      } catch (e) {
+        logOnScreen(`Import fehlgeschlagen: ${e.message}`);
+      }
+      refreshSaveSlots();
+    });
+  }
+
+  on('delete-save', () => {
+    if (!readSave(selectedSlot)) return;
+    if (!confirm(`Slot ${selectedSlot + 1} wirklich löschen?`)) return;
+    if (selectedSlot === playingSlot) playingSlot = null;
+    deleteSave(selectedSlot);
+    refreshSaveSlots();
+  });
+
+  window.addEventListener('beforeunload', saveGame);
+}
+
+// --- HUD / MENUS (inventory, skills, quests, dialogue, world map, options) ---
+function isPanelOpen(panel) {
+  return !!panel && panel.style.display !== 'none';
+}
+
+function isInventoryOpen() { return isPanelOpen(inventory); }
+function isSkillsOpen() { return isPanelOpen(skillsPanel); }
+function isQuestsOpen() { return isPanelOpen(questsPanel); }
+function isMenuOpen() {
+  return isInventoryOpen() || isSkillsOpen() || isQuestsOpen() || isPanelOpen(dialoguePanel)
+    || isPanelOpen(worldMapPanel) || isPanelOpen(optionsPanel);
+}
+
+/**
+ * setMenuPanel(panel, open)
+ * - shows/hides one menu panel; only one is open at a time. Opening frees the
+ *   mouse so the panel can be clicked, closing the last one grabs it again
+ */
+function setMenuPanel(panel, open) {
+  if (!panel) return;
+  if (isPanelOpen(panel) !== open) playSound('ui_click');
+  if (open) [inventory, skillsPanel, questsPanel, dialoguePanel, worldMapPanel, optionsPanel].forEach(p => { if (p && p !== panel) p.style.display = 'none'; });
+  panel.style.display = open ? 'block' : 'none';
+  if (open) {
+    if (controls && controls.isLocked) controls.unlock();
+  } else if (!isMenuOpen() && controls && !controls.isLocked && !allowMouseDragFallback) {
+    try { controls.lock(); } catch (e) { console.warn('controls.lock() failed:', e); }
+  }
+}
+
+function toggleInventory(open = !isInventoryOpen()) {
+  setMenuPanel(inventory, open);
+  renderInventoryPanel();
+}
+
+function toggleSkills(open = !isSkillsOpen()) {
+  setMenuPanel(skillsPanel, open);
+  renderSkillPanel();
+}
+
+function toggleOptions(open = !isPanelOpen(optionsPanel)) {
+  rebindAction = null;
+  setMenuPanel(optionsPanel, open);
+  renderOptionsPanel();
+}
+
+function renderOptionsPanel() {
+  if (!isPanelOpen(optionsPanel)) return;
+  renderSettings({
+    general: document.getElementById('options-general'),
+    keys: document.getElementById('options-keys')
+  }, settings, rebindAction, {
+    onChange: (name, value) => {
+      settings[name] = value;
+      saveSettings(settings);
+      applySettings();
+    },
+    onRebind: (action) => {
+      rebindAction = rebindAction === action ? null : action;
+      renderOptionsPanel();
+    }
+  });
+}
+
+// Takes the key press for the pending rebind; Escape cancels it.
+function finishRebind(e) {
+  e.preventDefault();
+  if (e.code !== 'Escape') {
+    const swapped = bindKey(settings, rebindAction, e.code);
+    if (swapped) logOnScreen(`${ACTIONS[swapped].label}: jetzt ${keyLabel(settings.keys[swapped])}`);
+    saveSettings(settings);
+    releaseSource(input, 'keyboard'); // held keys may have changed meaning
+    renderSkillHotbar();
+  }
+  rebindAction = null;
+  renderOptionsPanel();
+}
+
+function resetSettings() {
+  settings = defaultSettings();
+  rebindAction = null;
+  saveSettings(settings);
+  applySettings();
+  renderSkillHotbar();
+  renderOptionsPanel();
+}
+
+/**
+ * applySettings()
+ * - pushes the current options into the running game: FOV, render scale,
+ *   shadow quality, view distance (with matching camera range and fog) and
+ *   the volume buses
+ */
+function applySettings() {
+  if (!camera || !renderer || !scene) return;
+  camera.fov = settings.fov;
+  camera.far = (settings.viewDistance + 1) * CONFIG.chunkSize;
+  camera.updateProjectionMatrix();
+  renderer.setPixelRatio(window.devicePixelRatio * settings.renderScale);
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  const mapSize = SHADOW_QUALITY[settings.shadows];
+  sunLight.castShadow = mapSize > 0; // three recompiles the affected shaders itself
+  if (mapSize && sunLight.shadow.mapSize.x !== mapSize) {
+    sunLight.shadow.mapSize.set(mapSize, mapSize);
+    if (sunLight.shadow.map) {
+      sunLight.shadow.map.dispose();
+      sunLight.shadow.map = null; // rebuilt at the new size on the next render
+    }
+  }
+  scene.fog.density = baseFogDensity() * weatherParams(state.weather).fog;
+  setViewDistance(settings.viewDistance);
+  setAudioVolumes(settings);
+  updateViewModels();
+}
+
+// Fog density for the view distance option, before weather thickens it.
+function baseFogDensity() {
+  return CONFIG.fogDensity * CONFIG.viewDistance / settings.viewDistance;
+}
+
+function renderSkillHotbar() {
+  if (!skillBar) return;
+  const labels = {};
+  Object.values(SKILLS).forEach(skill => { labels[skill.id] = keyLabel(settings.keys[`skill${skill.hotkey}`]); });
+  renderSkillBar(skillBar, state.progression, labels);
+}
+
+function toggleQuests(open = !isQuestsOpen()) {
+  setMenuPanel(questsPanel, open);
+  refreshQuestUI();
+}
+
+function renderInventoryPanel() {
+  if (!isInventoryOpen()) return;
+  renderInventory({
+    equipment: document.getElementById('inventory-equipment'),
+    grid: document.getElementById('inventory-grid'),
+    stats: document.getElementById('inventory-stats')
+  }, state.inventory, {
+    maxHp: state.maxHp, damage: state.weaponDamage, moveSpeedMul: state.moveSpeedMul
+  }, {
+    onUse: useInventorySlot,
+    onUnequip: (slotName) => {
+      if (!state.inventory.equipment[slotName]) return; // an empty slot: nothing to take off
+      if (!unequip(state.inventory, slotName)) logOnScreen('Inventar voll');
+      recomputePlayerStats();
+    },
+    onMove: (from, to) => { moveSlot(state.inventory, from, to); renderInventoryPanel(); }
+  });
+}
+
+function renderSkillPanel() {
+  if (!isSkillsOpen()) return;
+  renderSkillTree({
+    tree: document.getElementById('skill-tree'),
+    points: document.getElementById('skill-points')
+  }, state.progression, {
+    onUnlock: (id) => {
+      const blocker = unlockBlocker(state.progression, id);
+      if (blocker) { logOnScreen(blocker); return; }
+      unlockSkill(state.progression, id);
+      pushFeedMessage(`Skill gelernt: ${SKILLS[id].name}`);
+      renderSkillHotbar();
+      renderSkillPanel();
+    }
+  });
+}
+
+// Recomputes maxHp / maxMp / weapon damage / move speed from level and equipped items.
+function recomputePlayerStats() {
+  const gear = getEquipmentStats(state.inventory);
+  const growth = getLevelStats(state.progression.level);
+  state.maxHp = PLAYER_BASE_MAX_HP + growth.maxHp + gear.maxHp;
+  state.hp = Math.min(state.hp, state.maxHp);
+  state.maxMp = BASE_MAX_MP + growth.maxMp;
+  state.mp = Math.min(state.mp, state.maxMp);
+  state.weaponDamage = BASE_WEAPON_DAMAGE + growth.damage + gear.damage;
+  state.moveSpeedMul = Math.max(0.2, 1 + growth.moveSpeed + gear.moveSpeed);
+  state.blockReduction = Math.min(0.9, gear.block);
+  if (state.blockReduction <= 0) setPlayerBlocking(game, false);
+  state.hasSword = !!state.inventory.equipment.weapon;
+  if (!state.hasSword && state.weaponMode === 'sword') selectWeaponMode('gun');
   updateHpBar();
-  state.enemies.forEach(enemy => scene.remove(enemy.mesh));
-  state.enemies = [];
-  spawnEnemies(INITIAL_ENEMY_COUNT);
-  state.velocity.set(0, 0, 0);
-  state.onGround = false;
-  if (camera) camera.rotation.set(0, 0, 0);
+  updateMpBar();
+  renderInventoryPanel();
+}
 
-  // restart wave spawner to respect new counts
-  startWaveSpawner();
+function updateLevelUI() {
+  const prog = state.progression;
+  const label = document.getElementById('player-level');
+  if (label) label.textContent = `Lv. ${prog.level} ${PLAYER_CLASS_NAME}`;
+  const bar = document.querySelector('.xp-bar');
+  if (bar) bar.style.width = `${Math.min(1, prog.xp / xpForLevel(prog.level)) * 100}%`;
 }
 
-// --- HUD / INVENTORY ---
-function toggleInventory() {
-  if (!inventory) return;
-  inventory.style.display = inventory.style.display === 'none' ? 'block' : 'none';
+function grantXp(amount) {
+  const prog = state.progression;
+  const gained = addXp(prog, amount);
+  if (gained > 0) {
+    recomputePlayerStats();
+    state.hp = state.maxHp;
+    state.mp = state.maxMp;
+    updateHpBar();
+    updateMpBar();
+    pushFeedMessage(`Level ${prog.level} erreicht!`, 'levelup-msg');
+    playSound('ui_levelup');
+    logOnScreen(`Level up: ${prog.level} (Skillpunkte: ${prog.skillPoints})`);
+  }
+  updateLevelUI();
+  renderSkillPanel();
+}
+
+// Consumables are used up, equipment gets equipped.
+function useInventorySlot(index) {
+  const slot = state.inventory.slots[index];
+  if (!slot) return;
+  const def = ITEMS[slot.id];
+  if (def.type === 'consumable') {
+    if (def.effect.heal && state.hp >= state.maxHp) { logOnScreen('HP bereits voll'); return; }
+    if (def.effect.heal && state.potionCooldown > 0) { logOnScreen('Noch nicht bereit'); return; }
+    removeFromSlot(state.inventory, index, 1);
+    if (def.effect.heal) {
+      state.potionCooldown = POTION_COOLDOWN;
+      healPlayer(def.effect.heal, { item: def.id });
+    }
+    logOnScreen(`${def.name} benutzt`);
+    renderInventoryPanel();
+  } else if (equipFromSlot(state.inventory, index)) {
+    recomputePlayerStats();
+  }
+}
+
+// source: { item } or { skill }; online the server heals by that, on its own cooldowns.
+function healPlayer(amount, source) {
+  state.hp = Math.min(state.maxHp, state.hp + amount);
+  updateHpBar();
+  if (net.status === 'playing') sendNet(net, 'heal', source); // the server keeps its own HP
 }
 
 function updateHpBar() {
@@ -480,168 +1165,1326 @@ function updateHpBar() {
   }
 }
 
+function updateMpBar() {
+  const el = document.querySelector('.mp-bar');
+  if (el) el.style.width = `${Math.max(0, Math.min(1, state.mp / state.maxMp)) * 100}%`;
+}
+
+// Called every frame; only touches the DOM when the text changes.
 function updateAmmoUI() {
-  if (ammoCounter) ammoCounter.textContent = `${state.ammo} / ${state.reserveAmmo}`;
+  if (!ammoCounter) return;
+  const def = currentWeapon(state.gun);
+  let text;
+  if (state.weaponMode === 'sword') text = '⚔️ Schwert';
+  else if (def.ammo === 'mana') text = `${def.icon} ${Math.floor(state.mp)} MP`;
+  else text = `${def.icon} ${state.gun.magazines[def.id]} / ${state.reserves[def.ammo] || 0}`;
+  if (ammoCounter.textContent !== text) ammoCounter.textContent = text;
+  ammoCounter.classList.toggle('ammo-reload', state.weaponMode === 'gun' && isReloading(state.gun));
 }
 
-// --- ENEMY UPDATE (follow, separation, attack, animation) ---
-function updateEnemies(delta) {
-  if (!playerObj) return;
-  const playerPos = playerObj.position.clone();
-
-  // separation so enemies don't stack too much
-  for (let i = 0; i < state.enemies.length; i++) {
-    const a = state.enemies[i];
-    for (let j = i + 1; j < state.enemies.length; j++) {
-      const b = state.enemies[j];
-      const diff = new THREE.Vector3().subVectors(a.mesh.position, b.mesh.position);
-      const dist = diff.length();
-      const min = (a.radius || ENEMY_RADIUS) + (b.radius || ENEMY_RADIUS) + 0.05;
-      if (dist > 0 && dist < min) {
-        const push = diff.normalize().multiplyScalar((min - dist) * 0.5);
-        a.mesh.position.add(push);
-        b.mesh.position.sub(push);
-      }
+function updateGoldUI() {
+  if (goldCounter) goldCounter.textContent = `${state.gold} Gold`;
+}
+
+// Shows the hit marker for a moment of game time: only for hits the player lands (being hit has its own feedback).
+function flashHitmarker(headshot) {
+  if (!hitmarker) return;
+  hitmarker.classList.toggle('headshot', headshot);
+  hitmarker.style.opacity = '1';
+  schedule(loop, 0.1, () => { hitmarker.style.opacity = '0'; });
+}
+
+// Shows a short message in the #kill-feed column (kills, pickups, ...).
+function pushFeedMessage(text, className = '') {
+  if (!killFeed) return;
+  const node = document.createElement('div');
+  node.className = className ? `kill-msg ${className}` : 'kill-msg';
+  node.textContent = text;
+  killFeed.appendChild(node);
+  setTimeout(() => { node.remove(); }, 3000);
+}
+
+// --- GAME EVENTS (src/core.js -> models, sounds and HUD) ---
+let boltGeo = null, boltMat = null;
+let respawnAt = null; // game time the dead player comes back (the core's or the server's respawn timer)
+
+// Called once: the core stays the same game object across restarts and loads.
+function bindGameEvents() {
+  on(game, 'enemySpawned', (enemy) => {
+    // meshes share pooled geometry/materials per type (src/enemy-model.js)
+    enemy.model = buildEnemyModel(enemy.type);
+    enemy.mesh = enemy.model.group;
+    enemy.mesh.position.set(enemy.pos.x, enemy.pos.y, enemy.pos.z);
+    enemy.mesh.rotation.y = enemy.facing;
+    enemy.anim = createEnemyAnim(); // walk cycle, wind-up, strikes and flinches (src/enemy-anim.js)
+    enemy.tintTimer = 0;
+    enemy.hpBarTimer = 0;
+    buildHpBar(enemy.model, enemy.height);
+    scene.add(enemy.mesh);
+  });
+  on(game, 'enemyRemoved', (enemy, reason) => {
+    if (reason !== 'killed') {
+      scene.remove(enemy.mesh); // shared geometry/materials stay alive for the next spawn
+      return;
+    }
+    corpses.push(breakApart(scene, enemy.model, enemy.anim));
+    if (corpses.length > MAX_CORPSES) removeCorpse(scene, corpses.shift());
+    playSound('enemy_death', enemy.pos, { pitch: 0.15 });
+    if (enemy.type.boss) pushFeedMessage(`${enemy.type.name} besiegt!`, 'levelup-msg');
+    if (enemy.lastHitBy !== state) return; // online: another player's kill
+    pushFeedMessage(`Enemy down (${state.kills})`);
+    grantXp(enemy.type.xp || 0);
+    dropLoot(enemy);
+    onQuestProgress(questEvent(state.quests, { type: 'kill', enemy: enemy.type.id }, getSpawnPoint()));
+  });
+  on(game, 'enemyAlerted', (enemy) => playSound('enemy_growl', enemy.pos, { pitch: 0.2 }));
+  on(game, 'enemyAttack', (enemy, kind) => {
+    strikeEnemyAnim(enemy.anim, kind);
+    if (kind === 'melee') {
+      playSound('enemy_attack', enemy.pos, { pitch: 0.15 });
+      flashEnemy(enemy, ENEMY_TINTS.melee, 0.2);
+    } else if (kind === 'slam') {
+      playSound('boss_slam', enemy.pos, { pitch: 0.1 });
+      flashEnemy(enemy, ENEMY_TINTS.melee, 0.35);
+    } else { // 'ranged' and the boss 'volley'
+      playSound('enemy_cast', enemy.pos, { pitch: 0.1 });
+      flashEnemy(enemy, ENEMY_TINTS.cast, 0.2);
     }
+  });
+  on(game, 'enemyHit', (enemy, info) => {
+    enemy.hpBarTimer = HP_BAR_TIME;
+    if (info.by === state) showDamageNumber(enemy, info);
+    // flinch away from the attacker; another player's hit online comes from the front
+    const from = info.by ? info.by.position : null;
+    const dirX = from ? enemy.pos.x - from.x : -Math.sin(enemy.facing);
+    const dirZ = from ? enemy.pos.z - from.z : -Math.cos(enemy.facing);
+    hitEnemyAnim(enemy.anim, enemy.facing, dirX, dirZ, info.headshot || info.heavy ? 1 : 0.5);
+    if (info.source === 'skill') { flashEnemy(enemy, ENEMY_TINTS.hit, 0.2); return; }
+    playSound('enemy_hit', enemy.pos, { pitch: 0.1 });
+    flashEnemy(enemy, ENEMY_TINTS.hit, info.headshot ? 0.25 : 0.14);
+    if (info.by === state) flashHitmarker(info.headshot);
+  });
+  on(game, 'boltFired', (bolt) => {
+    if (!boltGeo) {
+      boltGeo = new THREE.SphereGeometry(ENEMY_BOLT_RADIUS, 8, 8);
+      boltMat = new THREE.MeshBasicMaterial({ color: 0xb388ff });
+    }
+    bolt.mesh = new THREE.Mesh(boltGeo, boltMat);
+    bolt.mesh.position.set(bolt.pos.x, bolt.pos.y, bolt.pos.z);
+    scene.add(bolt.mesh);
+  });
+  on(game, 'boltRemoved', (bolt) => scene.remove(bolt.mesh));
+
+  on(game, 'playerDamaged', (amount, player, from) => {
+    updateHpBar();
+    playSound('player_hurt', null, { pitch: 0.1 });
+    showDamageTaken(amount, from);
+    logOnScreen(`Spieler erhielt ${amount} Schaden. HP=${state.hp}`);
+  });
+  on(game, 'parried', (source) => {
+    pushFeedMessage('Pariert!');
+    playSound('parry', null, { pitch: 0.05 });
+    if (!source) return;
+    flashEnemy(source, ENEMY_TINTS.hit, 0.3);
+    hitEnemyAnim(source.anim, source.facing, source.pos.x - state.position.x, source.pos.z - state.position.z, 1);
+  });
+  on(game, 'guardBroken', () => logOnScreen('Deckung durchbrochen!'));
+  on(game, 'playerDied', (summary) => {
+    respawnAt = loop.time + RESPAWN_DELAY;
+    logOnScreen(`Spieler gestorben - Respawn in ${RESPAWN_DELAY}s`);
+    showRunSummary(summary);
+  });
+  // before the new enemies spawn: same seed every time, chunks loaded around the new spot
+  on(game, 'respawn', (position) => {
+    game.rng = mulberry32(mixSeed(worldSeed, 0x5EED));
+    playerObj.position.copy(position);
+    updateChunks(position, true);
+    state.pickups.forEach(pickup => scene.remove(pickup.mesh));
+    state.pickups = [];
+    state.projectiles.forEach(shot => scene.remove(shot.mesh));
+    state.projectiles = [];
+    state.skillCooldowns = {};
+    updateHpBar();
+    updateMpBar();
+    if (camera) camera.rotation.set(0, 0, 0);
+    if (deathOverlay) deathOverlay.style.display = 'none';
+    if (respawnAt !== null) logOnScreen('Respawned');
+    respawnAt = null;
+    vignetteFlash = 0;
+  });
+
+  on(game, 'shot', fireShot);
+  on(game, 'dryFire', (def) => {
+    playSound('dry_fire');
+    logOnScreen(def.ammo === 'mana' ? 'Nicht genug MP' : 'Keine Munition');
+  });
+  on(game, 'reload', () => playSound('reload'));
+  on(game, 'swing', (kind) => playSound('sword_swing', null, { pitch: 0.15, volume: kind === 'heavy' ? 1.4 : 1 }));
+  on(game, 'noShield', () => logOnScreen('Kein Schild ausgerüstet'));
+  on(game, 'noSword', () => logOnScreen('Kein Schwert ausgerüstet'));
+  on(game, 'footstep', () => playSound('footstep', null, { pitch: 0.15 }));
+  on(game, 'waveStart', ({ number, count, boss, night }) => {
+    playSound('wave_horn');
+    const subtitle = boss
+      ? `${boss.type.boss === 'boss' ? 'Boss' : 'Mini-Boss'}: ${boss.type.name}`
+      : `${count} Gegner${night ? ' · Nacht' : ''}`;
+    showWaveBanner(`Welle ${number}`, subtitle, boss ? 'boss-wave' : '');
+  });
+  on(game, 'waveCleared', ({ number }) => {
+    playSound('ui_quest');
+    showWaveBanner(`Welle ${number} überstanden`, `Nächste Welle in ${WAVE_REST}s`);
+  });
+}
+
+/**
+ * flashEnemy(enemy, tint, duration)
+ * - tints body and limbs with a shared flash material for `duration` seconds
+ *   (ENEMY_TINTS); the movement of a hit or attack is src/enemy-anim.js's
+ */
+function flashEnemy(enemy, tint, duration) {
+  if (!enemy.model) return;
+  setEnemyTint(enemy.model, tint);
+  enemy.tintTimer = duration;
+}
+
+function tickEnemyFlash(enemy, delta) {
+  if (enemy.tintTimer > 0) {
+    enemy.tintTimer -= delta;
+    if (enemy.tintTimer <= 0) setEnemyTint(enemy.model, null);
+  }
+}
+
+// Damaged enemies show their HP for HP_BAR_TIME after each hit; the boss has its own bar.
+function tickHpBar(enemy, delta) {
+  if (enemy.hpBarTimer > 0) enemy.hpBarTimer -= delta;
+  const bar = enemy.model.hpBar;
+  bar.group.visible = enemy.hpBarTimer > 0 && enemy.hp > 0 && enemy.hp < enemy.maxHp && enemy !== state.wave.boss;
+  if (bar.group.visible) setHpBar(bar, enemy.hp / enemy.maxHp);
+}
+
+/**
+ * updateEnemyViews(alpha, delta)
+ * - draws enemies and their bolts `alpha` of the way between their last two
+ *   simulated positions, animates the enemies at the speed they moved that
+ *   step and runs the hit flashes (delta is 0 while paused)
+ */
+function updateEnemyViews(alpha, delta) {
+  state.enemies.forEach(enemy => {
+    enemy.mesh.position.lerpVectors(enemy.prevPos, enemy.pos, alpha);
+    enemy.mesh.rotation.y = enemy.facing;
+    const speed = Math.hypot(enemy.pos.x - enemy.prevPos.x, enemy.pos.z - enemy.prevPos.z) / loop.step;
+    animateEnemy(enemy.model, enemy.anim, { speed, windup: enemy.windup, ranged: enemy.type.attack.kind === 'ranged' }, delta);
+    tickEnemyFlash(enemy, delta);
+    tickHpBar(enemy, delta);
+  });
+  state.enemyBolts.forEach(bolt => bolt.mesh.position.lerpVectors(bolt.prevPos, bolt.pos, alpha));
+}
+
+// Killed enemies falling apart (src/enemy-anim.js); physics runs with the simulation.
+const MAX_CORPSES = 12; // the oldest vanishes at once beyond this
+const corpses = [];
+
+function updateCorpses(delta) {
+  for (let i = corpses.length - 1; i >= 0; i--) {
+    if (!updateCorpse(scene, corpses[i], delta)) corpses.splice(i, 1);
+  }
+}
+
+// --- SURVIVAL WAVES (director in src/core.js, sizes and bosses in src/waves.js) ---
+const WAVE_BANNER_TIME = 3; // seconds a wave announcement stays up
+let waveStatus, waveBanner, bossBar, runSummaryPanel;
+let bannerTimer = null;
+
+// Announces `title` big in the top centre, with a smaller subtitle below.
+function showWaveBanner(title, subtitle, className = '') {
+  if (!waveBanner) return;
+  const head = document.createElement('div');
+  head.className = 'wave-title';
+  head.textContent = title;
+  const sub = document.createElement('div');
+  sub.className = 'wave-subtitle';
+  sub.textContent = subtitle;
+  waveBanner.replaceChildren(head, sub);
+  waveBanner.className = className;
+  waveBanner.style.display = 'block';
+  if (bannerTimer) cancelTimer(loop, bannerTimer);
+  bannerTimer = schedule(loop, WAVE_BANNER_TIME, () => {
+    waveBanner.style.display = 'none';
+    bannerTimer = null;
+  });
+}
+
+// Called every frame: wave and enemies left (or the countdown) and the boss's HP.
+function updateWaveHud() {
+  const w = state.wave;
+  if (waveStatus) {
+    const text = w.phase === 'rest'
+      ? `Welle ${w.number + 1} in ${Math.ceil(waveCountdown(game))}s`
+      : `Welle ${w.number} · ${w.left} Gegner übrig`;
+    if (waveStatus.textContent !== text) waveStatus.textContent = text;
   }
+  if (!bossBar) return;
+  bossBar.style.display = w.boss ? 'block' : 'none';
+  if (!w.boss) return;
+  bossBar.querySelector('.boss-name').textContent = w.boss.type.name;
+  bossBar.querySelector('.boss-fill').style.width = `${Math.max(0, w.boss.hp / w.boss.maxHp) * 100}%`;
+}
+
+/**
+ * showRunSummary(summary)
+ * - the death overlay with the end-of-run panel, up until the respawn;
+ *   summary as passed with 'playerDied' (runSummary() in src/core.js)
+ */
+function showRunSummary(summary) {
+  if (!runSummaryPanel || !deathOverlay) return;
+  const seconds = Math.floor(summary.time);
+  const rows = [
+    ['Welle erreicht', summary.wave],
+    ['Wellen überstanden', summary.wavesCleared],
+    ['Kills', summary.kills],
+    ['Treffsicherheit', `${Math.round(summary.accuracy * 100)} % (${summary.hits}/${summary.shots})`],
+    ['Überlebt', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`]
+  ];
+  runSummaryPanel.querySelector('.run-stats').replaceChildren(...rows.map(([label, value]) => {
+    const row = document.createElement('div');
+    row.className = 'run-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const val = document.createElement('b');
+    val.textContent = value;
+    row.append(name, val);
+    return row;
+  }));
+  updateDeathOverlay();
+  deathOverlay.style.display = 'flex';
+}
+
+// --- HIT FEEDBACK (timings in src/hit-feedback.js; enemy HP bars in src/enemy-model.js) ---
+let deathOverlay, damageVignette, damageIndicatorLayer, damageNumberLayer;
+const damageNumbers = [];    // { el, x, y, z, age } floating over the enemies the player hit
+const damageIndicators = []; // { el, from: { x, z }, age } around the crosshair
+let vignetteFlash = 0;       // 0-1, fades by VIGNETTE_FADE per second
+const projected = new THREE.Vector3();
+
+// A number floating up from where the player hit `enemy`, coloured by damageNumberStyle().
+function showDamageNumber(enemy, info) {
+  if (!damageNumberLayer || !(info.amount > 0)) return;
+  const style = damageNumberStyle(info);
+  const el = document.createElement('div');
+  el.className = `damage-number ${style}`;
+  el.textContent = `${Math.round(info.amount)}${style === 'crit' ? '!' : ''}`;
+  damageNumberLayer.appendChild(el);
+  damageNumbers.push({
+    el, age: 0,
+    x: enemy.pos.x + (Math.random() - 0.5) * 0.6, // a little scatter so rapid hits don't stack
+    y: enemy.pos.y + enemy.height,
+    z: enemy.pos.z + (Math.random() - 0.5) * 0.6
+  });
+  if (damageNumbers.length > MAX_DAMAGE_NUMBERS) damageNumbers.shift().el.remove();
+}
+
+// Being hit: a red marker pointing where it came from and a flash of the vignette.
+function showDamageTaken(amount, from) {
+  vignetteFlash = Math.max(vignetteFlash, hitFlash(amount, state.maxHp));
+  if (!damageIndicatorLayer || !from) return;
+  const el = document.createElement('div');
+  el.className = 'damage-indicator';
+  damageIndicatorLayer.appendChild(el);
+  damageIndicators.push({ el, from, age: 0 });
+  if (damageIndicators.length > MAX_INDICATORS) damageIndicators.shift().el.remove();
+}
 
-  for (let i = state.enemies.length - 1; i >= 0; i--) {
-    const enemy = state.enemies[i];
-    if (!enemy.mesh) continue;
+// Countdown on the death overlay, in game time like the respawn timer.
+function updateDeathOverlay() {
+  if (!runSummaryPanel || respawnAt === null) return;
+  const left = Math.ceil(respawnAt - loop.time);
+  const text = left > 0 ? `Wiederbelebung in ${left}s` : 'Wiederbelebung …';
+  const hint = runSummaryPanel.querySelector('.run-hint');
+  if (hint.textContent !== text) hint.textContent = text;
+}
+
+/**
+ * updateHitFeedback(delta)
+ * - every frame (delta 0 while paused): moves and fades the damage numbers,
+ *   turns the damage markers with the view, fades the vignette and counts
+ *   down the death overlay
+ */
+function updateHitFeedback(delta) {
+  for (let i = damageNumbers.length - 1; i >= 0; i--) {
+    const n = damageNumbers[i];
+    n.age += delta;
+    if (n.age >= DAMAGE_NUMBER_TIME) {
+      n.el.remove();
+      damageNumbers.splice(i, 1);
+      continue;
+    }
+    const motion = damageNumberMotion(n.age);
+    projected.set(n.x, n.y + motion.rise, n.z).project(camera);
+    const onScreen = projected.z < 1; // not behind the camera
+    n.el.style.display = onScreen ? '' : 'none';
+    if (!onScreen) continue;
+    n.el.style.left = `${(projected.x + 1) / 2 * window.innerWidth}px`;
+    n.el.style.top = `${(1 - projected.y) / 2 * window.innerHeight}px`;
+    n.el.style.opacity = motion.opacity;
+    n.el.style.transform = `translate(-50%, -50%) scale(${motion.scale})`;
+  }
 
-    enemy.attackCooldown = Math.max(0, (enemy.attackCooldown || 0) - delta);
+  for (let i = damageIndicators.length - 1; i >= 0; i--) {
+    const marker = damageIndicators[i];
+    marker.age += delta;
+    if (marker.age >= INDICATOR_TIME) {
+      marker.el.remove();
+      damageIndicators.splice(i, 1);
+      continue;
+    }
+    const angle = damageDirection(state.yaw, marker.from.x - state.position.x, marker.from.z - state.position.z);
+    marker.el.style.transform = `rotate(${angle}rad)`;
+    marker.el.style.opacity = 1 - marker.age / INDICATOR_TIME;
+  }
 
-    const dir = new THREE.Vector3().subVectors(playerPos, enemy.mesh.position);
-    const dist = dir.length();
-    const minDist = (enemy.radius || ENEMY_RADIUS) + PLAYER_RADIUS + ENEMY_MIN_DISTANCE_BUFFER;
+  vignetteFlash = Math.max(0, vignetteFlash - VIGNETTE_FADE * delta);
+  if (damageVignette) damageVignette.style.opacity = vignetteStrength(state.hp, state.maxHp, vignetteFlash);
+  updateDeathOverlay();
+}
 
-    if (dist > minDist) {
-      dir.normalize();
-      enemy.mesh.position.addScaledVector(dir, enemy.speed * delta);
+// --- MULTIPLAYER (messages in src/net-protocol.js, connection in src/net-client.js, server in server/) ---
+const REMOTE_HAIR_COLOR = 0x4deeea;
+const NAME_TAG_HEIGHT = 2.5;
+const net = createNetClient(game);
+const remotePlayers = new Map(); // player id -> model group
+let localWorld = null;           // online: { seed, player, waypoints } of the slot's own world
+let onlineStatus, lobbyList, connectBtn;
+
+// Name, server address and the connect button on the start screen.
+function bindOnlineControls() {
+  onlineStatus = document.getElementById('online-status');
+  lobbyList = document.getElementById('lobby-list');
+  connectBtn = document.getElementById('connect-btn');
+  const nameInput = document.getElementById('player-name');
+  const urlInput = document.getElementById('server-url');
+  if (!connectBtn || !nameInput || !urlInput) return;
+  nameInput.maxLength = MAX_NAME_LENGTH;
+  urlInput.value = defaultServerUrl(window.location);
+  connectBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (net.status !== 'offline') {
+      disconnectNet(net);
+      leaveServerWorld();
     } else {
-      if (dist > 0.001) {
-        dir.normalize();
-        enemy.mesh.position.copy(playerPos).addScaledVector(dir, -minDist);
-      }
+      nameInput.value = sanitizeName(nameInput.value);
+      connectNet(net, urlInput.value.trim(), nameInput.value, netHandlers);
+    }
+    renderLobby();
+  });
+  renderLobby();
+}
 
-      if (enemy.attackCooldown <= 0) {
-        applyDamageToPlayer(PLAYER_ATTACK_DAMAGE);
-        enemy.attackCooldown = enemy.attackRate;
-
-        if (enemy.bodyMesh) {
-          const origScale = enemy.mesh.scale.clone();
-          enemy.mesh.scale.set(origScale.x * 1.2, origScale.y * 1.2, origScale.z * 1.2);
-          setTimeout(() => {
-            if (enemy.mesh) enemy.mesh.scale.copy(origScale);
-          }, 180);
-
-          if (enemy.bodyMesh.material && enemy.bodyMesh.material.color) {
-            const mat = enemy.bodyMesh.material;
-            const origColor = mat.color.getHex();
-            mat.color.setHex(0xff4444);
-            setTimeout(() => { if (mat) mat.color.setHex(origColor); }, 200);
-          }
-        }
-      }
+function renderLobby() {
+  if (connectBtn) connectBtn.textContent = net.status === 'offline' ? 'Verbinden' : 'Trennen';
+  if (onlineStatus) {
+    onlineStatus.textContent = {
+      offline: 'Offline – Einzelspieler',
+      connecting: 'Verbinde …',
+      lobby: 'Verbunden – WELT BETRETEN spielt online',
+      playing: 'Online in der Welt'
+    }[net.status];
+  }
+  if (!lobbyList) return;
+  lobbyList.replaceChildren(...net.lobby.map(p => {
+    const item = document.createElement('li');
+    item.textContent = `${p.name}${p.id === net.id ? ' (du)' : ''} · ${p.playing ? 'in der Welt' : 'Lobby'}`;
+    if (p.id === net.id) item.className = 'lobby-self';
+    return item;
+  }));
+}
+
+// Online the server owns the enemies and waves: the local ones go.
+function enterServerWorld(home) {
+  localWorld = { seed: home.seed, player: { ...home.player }, waypoints: home.waypoints };
+  if (net.seed !== worldSeed) switchWorldSeed(net.seed);
+  game.authority = 'remote';
+  stopWaves(game);
+  clearEnemies(game);
+}
+
+// Back to the slot's own world, where the character was before going online, with a fresh run.
+function leaveServerWorld() {
+  if (game.authority !== 'remote') return;
+  game.authority = 'local';
+  [...remotePlayers.keys()].forEach(removeRemotePlayer);
+  const home = localWorld;
+  localWorld = null;
+  if (home.seed !== worldSeed) switchWorldSeed(home.seed);
+  state.waypoints = home.waypoints;
+  respawn(game, home.player);
+  if (camera) camera.rotation.set(home.player.pitch || 0, home.player.yaw || 0, 0, 'YXZ');
+}
+
+const findEnemy = (id) => state.enemies.find(enemy => enemy.id === id) || null;
+
+// Server messages, replayed as the core's events so the view reacts as offline.
+const netHandlers = {
+  welcome: renderLobby,
+  lobby: renderLobby,
+  spawn: ({ position }) => respawn(game, position),
+  correct: ({ position }) => placePlayer(game, position.x, position.y, position.z),
+  enemyAlerted: ({ id }) => { const enemy = findEnemy(id); if (enemy) emit(game, 'enemyAlerted', enemy); },
+  enemyAttack: ({ id, kind }) => { const enemy = findEnemy(id); if (enemy) emit(game, 'enemyAttack', enemy, kind); },
+  enemyHit: ({ id, source, headshot, heavy, amount, by }) => {
+    const mine = by === net.id;
+    if (mine && source === 'shot') state.run.hits++;
+    const enemy = findEnemy(id);
+    if (enemy) emit(game, 'enemyHit', enemy, { source, headshot, heavy, amount, by: mine ? state : null });
+  },
+  damaged: ({ amount, hp, from }) => {
+    state.hp = hp;
+    emit(game, 'playerDamaged', amount, state, from || null);
+  },
+  parried: ({ id }) => emit(game, 'parried', findEnemy(id), state),
+  guardBroken: () => emit(game, 'guardBroken', state),
+  died: () => {
+    state.hp = 0;
+    setTrigger(state.gun, false);
+    emit(game, 'playerDied', runSummary(game), state);
+  },
+  playerDied: ({ id, name }) => { if (id !== net.id) pushFeedMessage(`${name} ist gefallen`); },
+  waveStart: ({ number, count, bossId, bossType, night }) => {
+    // the boss may only turn up with the next snapshots; the banner just needs its type
+    const boss = findEnemy(bossId) || (ENEMY_TYPES[bossType] ? { type: ENEMY_TYPES[bossType] } : null);
+    emit(game, 'waveStart', { number, count, boss, night });
+  },
+  waveCleared: ({ number }) => {
+    state.run.wavesCleared++;
+    emit(game, 'waveCleared', { number });
+  },
+  close: () => {
+    if (game.authority === 'remote') pushFeedMessage('Verbindung zum Server verloren');
+    else logOnScreen('Keine Verbindung zum Server');
+    leaveServerWorld();
+    renderLobby();
+  }
+};
+
+// Other players from the last snapshot: models appear, move and go with them.
+function updateRemotePlayers() {
+  const seen = new Set();
+  net.players.forEach(p => {
+    let model = remotePlayers.get(p.id);
+    if (!model) {
+      model = buildPlayerModel(REMOTE_HAIR_COLOR);
+      model.add(createNameTag(p.name));
+      scene.add(model);
+      remotePlayers.set(p.id, model);
+    }
+    model.position.set(p.x, p.y, p.z);
+    model.rotation.y = p.yaw;
+    model.visible = p.hp > 0;
+    seen.add(p.id);
+  });
+  [...remotePlayers.keys()].forEach(id => { if (!seen.has(id)) removeRemotePlayer(id); });
+}
+
+function removeRemotePlayer(id) {
+  const model = remotePlayers.get(id);
+  scene.remove(model);
+  model.traverse(obj => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) {
+      if (obj.material.map) obj.material.map.dispose();
+      obj.material.dispose();
     }
+  });
+  remotePlayers.delete(id);
+}
 
-    if (enemy.hp <= 0) {
-      scene.remove(enemy.mesh);
-      state.enemies.splice(i, 1);
-      state.kills++;
-      const node = document.createElement('div');
-      node.className = 'kill-msg';
-      node.textContent = `Enemy down (${state.kills})`;
-      if (killFeed) {
-        killFeed.appendChild(node);
-        setTimeout(() => { node.remove(); }, 3000);
-      }
+// The name above another player's head, always facing the camera.
+function createNameTag(name) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256; canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.font = 'bold 30px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const width = Math.min(canvas.width, ctx.measureText(name).width + 24);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect((canvas.width - width) / 2, 8, width, 48);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(name, canvas.width / 2, canvas.height / 2);
+  const tag = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+  tag.scale.set(2, 0.5, 1);
+  tag.position.y = NAME_TAG_HEIGHT;
+  return tag;
+}
+
+// --- SKILLS (tree and tuning in src/progression.js) ---
+/**
+ * castSkill(id)
+ * - needs the skill learned, off cooldown and enough MP; then applies its
+ *   effect and starts the cooldown
+ */
+function castSkill(id) {
+  const skill = SKILLS[id];
+  if (!playerObj || isMenuOpen() || !hasSkill(state.progression, id)) return;
+  if ((state.skillCooldowns[id] || 0) > 0) return;
+  if (state.mp < skill.mpCost) { logOnScreen('Nicht genug MP'); return; }
+
+  const effect = skill.effect;
+  if (effect.kind === 'heal' && state.hp >= state.maxHp) { logOnScreen('HP bereits voll'); return; }
+  state.mp -= skill.mpCost;
+  state.skillCooldowns[id] = skill.cooldown;
+  updateMpBar();
+
+  if (effect.kind === 'dash') {
+    // along the current move input, straight ahead without one (velocity is camera-relative)
+    const { x: side, y: fwd } = moveAxis(input);
+    const len = Math.hypot(fwd, side);
+    if (len === 0) state.velocity.z -= effect.speed;
+    else {
+      state.velocity.z -= fwd / len * effect.speed;
+      state.velocity.x -= side / len * effect.speed;
     }
+  } else if (effect.kind === 'heal') {
+    healPlayer(effect.amount, { skill: id });
+  } else if (effect.kind === 'shockwave') {
+    const { x, z } = state.position;
+    forEachEnemyNear(game, x, z, effect.radius, (enemy) => {
+      damageEnemy(game, enemy, effect.damage, { source: 'skill', skill: id });
+    });
+    alertEnemies(state.enemies, x, z, GUNSHOT_LOUDNESS);
+  } else if (effect.kind === 'rapid_fire') {
+    state.rapidFireTimer = effect.duration;
   }
+  logOnScreen(`${skill.name}!`);
 }
 
-function applyDamageToPlayer(amount) {
-  state.hp = Math.max(0, state.hp - amount);
-  updateHpBar();
-  if (hitmarker) {
-    hitmarker.style.opacity = '1';
-    setTimeout(() => { if (hitmarker) hitmarker.style.opacity = '0'; }, 120);
+// MP regeneration and cooldowns (rapid fire runs out in src/core.js); refreshes the hotbar.
+function updateSkills(delta) {
+  if (state.mp < state.maxMp) {
+    state.mp = Math.min(state.maxMp, state.mp + MP_REGEN * delta);
+    updateMpBar();
   }
-  logOnScreen(`Spieler erhielt ${amount} Schaden. HP=${state.hp}`);
-  if (state.hp <= 0) {
-    logOnScreen('Spieler gestorben - Respawn in 2s');
-    setTimeout(() => {
-      resetGame();
-      logOnScreen('Respawned');
-    }, 2000);
+  for (const id in state.skillCooldowns) {
+    state.skillCooldowns[id] = Math.max(0, state.skillCooldowns[id] - delta);
   }
+  state.potionCooldown = Math.max(0, state.potionCooldown - delta);
+  if (skillBar) updateSkillBar(skillBar, state.skillCooldowns, state.mp);
 }
 
-// --- SHOOT / RELOAD (improved) ---
-function shoot() {
-  const now = performance.now();
-  if (now - state.lastShot < state.shootCooldown) return;
-  if (state.reloading) return;
-  if (state.ammo <= 0) { reload(); return; }
-  state.lastShot = now;
-  state.ammo--;
-  updateAmmoUI();
+// --- LOOT / PICKUPS ---
+function dropLoot(enemy) {
+  rollLoot(enemy.type.loot, game.rng).forEach(drop => spawnPickup(drop, enemy.pos));
+}
 
-  if (muzzleFlash) {
-    muzzleFlash.material.opacity = 1;
-    setTimeout(() => { if (muzzleFlash) muzzleFlash.material.opacity = 0; }, 80);
-  }
-
-  const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion).normalize();
-  const origin = camera.position.clone().add(dir.clone().multiplyScalar(0.5));
-  const ray = new THREE.Raycaster(origin, dir);
-
-  const objs = state.enemies.map(e => e.mesh);
-  const hits = ray.intersectObjects(objs, true);
-  if (hits.length) {
-    const hit = hits[0];
-    let root = hit.object;
-    while (root && !objs.includes(root)) root = root.parent;
-    const owner = state.enemies.find(e => e.mesh === root);
-    if (owner) {
-      owner.hp -= 50;
-      if (hitmarker) { hitmarker.style.opacity = '1'; setTimeout(() => { hitmarker.style.opacity = '0'; }, 100); }
-      if (owner.bodyMesh) {
-        const mat = owner.bodyMesh.material;
-        if (mat && mat.color) {
-          const orig = mat.color.getHex();
-          mat.color.setHex(0xffff66);
-          setTimeout(() => { if (mat) mat.color.setHex(orig); }, 140);
-        }
+// Puts one drop ({ kind, id?, amount }) into the world, scattered around origin.
+function spawnPickup(drop, origin) {
+  const mesh = buildPickupMesh(drop.kind, drop.kind === 'item' ? ITEMS[drop.id].type : null);
+  const angle = game.rng() * Math.PI * 2;
+  const dist = game.rng() * PICKUP_SCATTER;
+  const x = origin.x + Math.cos(angle) * dist;
+  const z = origin.z + Math.sin(angle) * dist;
+  mesh.position.set(x, getTerrainHeight(x, z) + 0.5, z);
+  scene.add(mesh);
+  state.pickups.push({ ...drop, mesh, life: PICKUP_LIFETIME, retry: 0, phase: game.rng() * Math.PI * 2 });
+}
+
+// Hands a pickup to the player; false when it doesn't fit (bag full).
+function collectPickup(pickup) {
+  if (pickup.kind === 'ammo') {
+    state.reserves.bullets += pickup.amount;
+    updateAmmoUI();
+    pushFeedMessage(`+${pickup.amount} Munition`, 'loot-msg');
+  } else if (pickup.kind === 'arrows') {
+    state.reserves.arrows += pickup.amount;
+    updateAmmoUI();
+    pushFeedMessage(`+${pickup.amount} Pfeile`, 'loot-msg');
+  } else if (pickup.kind === 'gold') {
+    state.gold += pickup.amount;
+    updateGoldUI();
+    pushFeedMessage(`+${pickup.amount} Gold`, 'loot-msg');
+  } else {
+    const def = ITEMS[pickup.id];
+    const left = addItem(state.inventory, pickup.id, pickup.amount);
+    const taken = pickup.amount - left;
+    if (taken > 0) {
+      pushFeedMessage(taken > 1 ? `${def.icon} ${def.name} x${taken}` : `${def.icon} ${def.name}`, 'loot-msg');
+      renderInventoryPanel();
+    }
+    if (left > 0) {
+      pickup.amount = left;
+      pushFeedMessage('Inventar voll', 'loot-msg loot-full');
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * updatePickups(delta)
+ * - pickups bob and spin in place, get pulled in once the player is within
+ *   PICKUP_MAGNET_RADIUS and are collected on contact
+ * - expire after PICKUP_LIFETIME or when their chunk is streamed out
+ */
+function updatePickups(delta) {
+  if (!playerObj) return;
+  const player = playerObj.position;
+  const targetY = player.y + PLAYER_HEIGHT * 0.5;
+  const now = loop.time;
+
+  for (let i = state.pickups.length - 1; i >= 0; i--) {
+    const pickup = state.pickups[i];
+    const pos = pickup.mesh.position;
+    pickup.life -= delta;
+    pickup.retry = Math.max(0, pickup.retry - delta);
+
+    if (pickup.life <= 0 || !isChunkLoaded(pos.x, pos.z)) {
+      scene.remove(pickup.mesh);
+      state.pickups.splice(i, 1);
+      continue;
+    }
+
+    const dx = player.x - pos.x, dy = targetY - pos.y, dz = player.z - pos.z;
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (pickup.retry <= 0 && dist < PICKUP_COLLECT_RADIUS) {
+      if (collectPickup(pickup)) {
+        playSound('ui_pickup', null, { pitch: 0.05 });
+        scene.remove(pickup.mesh);
+        state.pickups.splice(i, 1);
+        continue;
       }
+      pickup.retry = PICKUP_RETRY_DELAY;
+    }
+
+    if (pickup.retry <= 0 && dist < PICKUP_MAGNET_RADIUS) {
+      // speeds up as it gets closer, never overshoots the player
+      const step = Math.min(dist, PICKUP_MAGNET_SPEED * (1.5 - dist / PICKUP_MAGNET_RADIUS) * delta);
+      pos.x += dx / dist * step;
+      pos.y += dy / dist * step;
+      pos.z += dz / dist * step;
+    } else {
+      const ground = getTerrainHeight(pos.x, pos.z) + 0.5;
+      pos.y = ground + Math.sin(now * 2 + pickup.phase) * 0.15;
     }
+    pickup.mesh.rotation.y += delta * 2;
   }
 }
 
-function reload() {
-  if (state.reloading) return;
-  if (state.ammo === state.maxAmmo || state.reserveAmmo <= 0) return;
-  state.reloading = true;
-  setTimeout(() => {
-    const needed = state.maxAmmo - state.ammo;
-    const taken = Math.min(needed, state.reserveAmmo);
-    state.ammo += taken;
-    state.reserveAmmo -= taken;
-    state.reloading = false;
-    updateAmmoUI();
-  }, 800);
+// --- NPCS / QUESTS / DIALOGUE (data in src/npcs.js, engine in src/quests.js) ---
+const NPC_TALK_RANGE = 3.5;
+const QUEST_TICK = 0.5;            // seconds between reach checks / tracker refreshes
+const COMPASS = ['N', 'NO', 'O', 'SO', 'S', 'SW', 'W', 'NW'];
+const NPC_MARKER_COLORS = { available: 0xfeca57, ready: 0x1dd1a1 };
+
+let npcs = [];             // { def, model, marker, collider }
+let nearbyNpc = null;      // NPC in talking range this frame
+let activeNpc = null;      // NPC the dialogue box belongs to
+let dialogueNodeId = null;
+let questTick = 0;
+let npcMarkerAssets = null; // { geo, mats: { available, ready } }
+
+const questCtx = {
+  countItem: (id) => countItem(state.inventory, id),
+  reachHint: (objective) => {
+    const spot = reachTarget(objective, getSpawnPoint());
+    const dx = spot.x - playerObj.position.x, dz = spot.z - playerObj.position.z;
+    const sector = Math.round(Math.atan2(dx, -dz) / (Math.PI / 4)); // -z is north
+    return `${Math.round(Math.hypot(dx, dz))} m ${COMPASS[(sector + 8) % 8]}`;
+  }
+};
+
+function questStatusOf(questId) {
+  return questStatus(state.quests, questId, questCtx.countItem);
+}
+
+function getNpcMarkerAssets() {
+  if (!npcMarkerAssets) {
+    npcMarkerAssets = {
+      geo: new THREE.OctahedronGeometry(0.2),
+      mats: {
+        available: new THREE.MeshBasicMaterial({ color: NPC_MARKER_COLORS.available }),
+        ready: new THREE.MeshBasicMaterial({ color: NPC_MARKER_COLORS.ready })
+      }
+    };
+  }
+  return npcMarkerAssets;
+}
+
+/**
+ * placeNpcs()
+ * - (re)builds the villagers around the world spawn; call after the terrain
+ *   exists, since reseeding clears every collider
+ */
+function placeNpcs() {
+  npcs.forEach(npc => { scene.remove(npc.model.group); removeCollider(npc.collider); });
+  const origin = getSpawnPoint();
+  const assets = getNpcMarkerAssets();
+  npcs = Object.values(NPCS).map(def => {
+    const x = origin.x + def.offset[0], z = origin.z + def.offset[1];
+    const y = getTerrainHeight(x, z);
+    const model = buildEnemyModel(def); // same rig as the enemies, see look in src/npcs.js
+    model.group.position.set(x, y, z);
+    model.group.rotation.y = Math.atan2(origin.x - x, origin.z - z); // face the spawn
+    const marker = new THREE.Mesh(assets.geo, assets.mats.available);
+    marker.position.y = 2.3;
+    model.group.add(marker);
+    scene.add(model.group);
+    const collider = createCylinderCollider(x, y, z, 0.5 * def.look.scale, ENEMY_HEIGHT * def.look.scale);
+    addCollider(collider);
+    return { def, model, marker, collider };
+  });
+  updateNpcMarkers();
+}
+
+// Marker over an NPC: green with a quest to turn in, yellow with one to hand out.
+function updateNpcMarkers() {
+  const { mats } = getNpcMarkerAssets();
+  npcs.forEach(npc => {
+    const statuses = npc.def.quests.map(questStatusOf);
+    const show = statuses.includes('ready') ? 'ready' : statuses.includes('available') ? 'available' : null;
+    npc.marker.visible = show !== null;
+    if (show) npc.marker.material = mats[show];
+  });
+}
+
+/**
+ * updateNpcs(delta)
+ * - finds the NPC in talking range and shows the [E] prompt
+ * - every QUEST_TICK feeds the player position to reach objectives and
+ *   refreshes the tracker (collect counts, distances)
+ */
+function updateNpcs(delta) {
+  if (!playerObj || !state.quests) return;
+  const player = playerObj.position;
+  nearbyNpc = null;
+  let best = NPC_TALK_RANGE;
+  npcs.forEach(npc => {
+    npc.marker.rotation.y += delta * 2;
+    const d = npc.model.group.position.distanceTo(player);
+    if (d < best) { best = d; nearbyNpc = npc; }
+  });
+  const prompt = document.getElementById('interaction-msg');
+  if (prompt) {
+    const show = nearbyNpc && !isMenuOpen();
+    prompt.style.display = show ? 'block' : 'none';
+    if (show) prompt.textContent = `Drücke [E] – mit ${nearbyNpc.def.name} sprechen`;
+  }
+
+  questTick -= delta;
+  if (questTick > 0) return;
+  questTick = QUEST_TICK;
+  onQuestProgress(questEvent(state.quests, { type: 'reach', x: player.x, z: player.z }, getSpawnPoint()));
+  refreshQuestUI();
+}
+
+// Feed line for quests an event just finished; the UI refresh happens either way.
+function onQuestProgress(changed) {
+  if (!changed.length) return;
+  changed.forEach(questId => {
+    if (questStatusOf(questId) !== 'ready') return;
+    const quest = QUESTS[questId];
+    pushFeedMessage(`✔ ${quest.title} – zurück zu ${NPCS[quest.giver].name}`, 'quest-msg');
+  });
+  refreshQuestUI();
+}
+
+function refreshQuestUI() {
+  const tracker = document.getElementById('quest-tracker');
+  if (tracker) renderQuestTracker(tracker, state.quests, questCtx);
+  if (isQuestsOpen()) renderQuestLog(document.getElementById('quest-list'), state.quests, questCtx);
+  updateNpcMarkers();
+}
+
+function startQuest(questId) {
+  if (!acceptQuest(state.quests, questId)) return;
+  pushFeedMessage(`Neue Quest: ${QUESTS[questId].title}`, 'quest-msg');
+  playSound('ui_quest');
+  refreshQuestUI();
+}
+
+/**
+ * turnInQuest(questId)
+ * - takes the collected items and hands out XP, gold and items; items that
+ *   don't fit in the bag are dropped at the player's feet
+ */
+function turnInQuest(questId) {
+  const result = completeQuest(state.quests, questId, questCtx.countItem);
+  if (!result) return;
+  result.take.forEach(({ id, count }) => removeItem(state.inventory, id, count));
+  const { xp, gold, items = [] } = result.rewards;
+  if (gold) {
+    state.gold += gold;
+    updateGoldUI();
+  }
+  items.forEach(({ id, count }) => {
+    const left = addItem(state.inventory, id, count);
+    if (left > 0) spawnPickup({ kind: 'item', id, amount: left }, playerObj.position);
+  });
+  pushFeedMessage(`Quest abgeschlossen: ${QUESTS[questId].title}`, 'quest-msg');
+  playSound('ui_quest');
+  if (xp) grantXp(xp);
+  recomputePlayerStats();
+  renderInventoryPanel();
+  refreshQuestUI();
+}
+
+function openDialogue(npc) {
+  activeNpc = npc;
+  const group = npc.model.group;
+  group.rotation.y = Math.atan2(playerObj.position.x - group.position.x, playerObj.position.z - group.position.z);
+  setMenuPanel(dialoguePanel, true);
+  showDialogueNode('start');
+}
+
+function showDialogueNode(nodeId) {
+  dialogueNodeId = nodeId;
+  renderDialogue({
+    name: document.getElementById('dialogue-name'),
+    text: document.getElementById('dialogue-text'),
+    options: document.getElementById('dialogue-options')
+  }, activeNpc.def, dialogueNode(activeNpc.def, nodeId, questStatusOf), chooseDialogueOption);
+}
+
+// Runs the option's quest action, then follows it to the next node or ends the talk.
+function chooseDialogueOption(index) {
+  if (!activeNpc) return;
+  const option = dialogueNode(activeNpc.def, dialogueNodeId, questStatusOf).options[index];
+  if (!option) return;
+  if (option.accept) startQuest(option.accept);
+  if (option.complete) turnInQuest(option.complete);
+  if (option.next && !option.end) showDialogueNode(option.next);
+  else closeDialogue();
+}
+
+function closeDialogue() {
+  activeNpc = null;
+  dialogueNodeId = null;
+  setMenuPanel(dialoguePanel, false);
+}
+
+// --- MAPS (projection and colours in src/map.js, drawing in src/map-ui.js) ---
+const MINIMAP_RANGE = 90;            // metres from the centre to the rim
+const MINIMAP_INTERVAL = 0.1;        // seconds between minimap redraws
+const MINIMAP_TERRAIN_SIZE = 260;    // metres covered by the minimap heightfield (> rotated diagonal)
+const MINIMAP_TERRAIN_RES = 64;      // heightfield samples per side
+const WORLD_MAP_STEP = 4;            // canvas pixels per world map heightfield sample
+const WORLD_MAP_RENDER_DELAY = 0.2;  // seconds of calm after zoom/pan before re-rendering
+const WAYPOINT_REACH_RADIUS = 6;
+const WAYPOINT_PICK_PX = 12;         // right-click range on the world map to remove a waypoint
+const REACH_MARKER_COLOR = 0xb388ff;
+
+let minimapCanvas, worldMapPanel, worldMapCanvas, waypointLayer;
+let minimapTimer = 0;
+let minimapTerrain = null;   // { canvas, x, z, size }
+let worldMapView = null;
+let worldMapImage = null;    // { canvas, view }
+let worldMapRenderIn = 0;    // countdown to the next heightfield render, < 0 = none pending
+let worldMapDrag = null;     // { x, y, moved } while a mouse button is down on the map
+const waypointProj = new THREE.Vector3();
+
+function isWorldMapOpen() { return isPanelOpen(worldMapPanel); }
+
+function toggleWorldMap(open = !isWorldMapOpen()) {
+  if (!worldMapPanel || !playerObj) return;
+  setMenuPanel(worldMapPanel, open);
+  if (!open) return;
+  worldMapCanvas.width = window.innerWidth;
+  worldMapCanvas.height = window.innerHeight;
+  const p = playerObj.position;
+  worldMapView = createMapView(p.x, p.z, worldMapView ? worldMapView.scale : undefined);
+  worldMapImage = null;
+  worldMapRenderIn = 0;
+}
+
+// Quest givers with something to hand out / take back, and unreached quest spots.
+function questMapMarkers() {
+  const markers = [];
+  npcs.forEach(npc => {
+    if (!npc.marker.visible) return;
+    markers.push({ x: npc.model.group.position.x, z: npc.model.group.position.z, color: npc.marker.material.color.getHex() });
+  });
+  for (const questId in state.quests.active) {
+    QUESTS[questId].objectives.forEach((objective, i) => {
+      if (objective.type !== 'reach' || state.quests.active[questId].progress[i] > 0) return;
+      markers.push({ ...reachTarget(objective, getSpawnPoint()), color: REACH_MARKER_COLOR });
+    });
+  }
+  return markers;
+}
+
+/**
+ * collectMapData(detail)
+ * - the plain data object src/map-ui.js draws; with `detail` it also lists
+ *   enemies and props within MINIMAP_RANGE (the world map leaves them out)
+ */
+function collectMapData(detail) {
+  const p = playerObj.position;
+  const data = { player: { x: p.x, z: p.z, yaw: camera.rotation.y }, enemies: [], props: [], markers: questMapMarkers(), waypoints: state.waypoints };
+  if (!detail) return data;
+  state.enemies.forEach(enemy => {
+    const m = enemy.pos;
+    if (Math.abs(m.x - p.x) < MINIMAP_RANGE && Math.abs(m.z - p.z) < MINIMAP_RANGE) data.enemies.push({ x: m.x, z: m.z });
+  });
+  const size = getChunkSize(), reach = MINIMAP_RANGE + size;
+  getLoadedChunks().forEach(chunk => {
+    if (Math.abs((chunk.cx + 0.5) * size - p.x) > reach || Math.abs((chunk.cz + 0.5) * size - p.z) > reach) return;
+    chunk.colliders.forEach(c => data.props.push({ x: c.x, z: c.z, type: c.type }));
+  });
+  return data;
+}
+
+function heightfieldCanvas(view, cols, rows) {
+  const canvas = document.createElement('canvas');
+  canvas.width = cols;
+  canvas.height = rows;
+  const pixels = shadeHeightfield(view, cols, rows, getTerrainHeight);
+  canvas.getContext('2d').putImageData(new ImageData(pixels, cols, rows), 0, 0);
+  return canvas;
+}
+
+/**
+ * updateMaps(delta)
+ * - redraws the minimap every MINIMAP_INTERVAL (its heightfield only once the
+ *   player strays from where it was sampled) and the open world map every
+ *   frame, re-rendering its heightfield once zooming/panning has settled
+ */
+function updateMaps(delta) {
+  if (!playerObj || !camera || !state.quests) return;
+  const p = playerObj.position;
+  minimapTimer -= delta;
+  if (minimapCanvas && minimapTimer <= 0) {
+    minimapTimer = MINIMAP_INTERVAL;
+    const margin = MINIMAP_TERRAIN_SIZE / 2 - MINIMAP_RANGE * Math.SQRT2;
+    if (!minimapTerrain || Math.hypot(p.x - minimapTerrain.x, p.z - minimapTerrain.z) > margin) {
+      const res = MINIMAP_TERRAIN_RES;
+      const view = createMapView(p.x, p.z, MINIMAP_TERRAIN_SIZE / res);
+      minimapTerrain = { canvas: heightfieldCanvas(view, res, res), x: p.x, z: p.z, size: MINIMAP_TERRAIN_SIZE };
+    }
+    drawMinimap(minimapCanvas, collectMapData(true), MINIMAP_RANGE, minimapTerrain);
+  }
+
+  if (!isWorldMapOpen() || !worldMapView) return;
+  if (worldMapRenderIn >= 0) {
+    worldMapRenderIn -= delta;
+    if (worldMapRenderIn < 0) {
+      const view = createMapView(worldMapView.cx, worldMapView.cz, worldMapView.scale * WORLD_MAP_STEP);
+      const cols = Math.ceil(worldMapCanvas.width / WORLD_MAP_STEP), rows = Math.ceil(worldMapCanvas.height / WORLD_MAP_STEP);
+      worldMapImage = { canvas: heightfieldCanvas(view, cols, rows), view };
+    }
+  }
+  drawWorldMap(worldMapCanvas, worldMapView, collectMapData(false), worldMapImage);
+}
+
+/**
+ * bindWorldMapControls()
+ * - wheel zooms around the cursor, dragging pans, a left click places a
+ *   waypoint and a right click removes the one under the cursor
+ */
+function bindWorldMapControls() {
+  if (!worldMapCanvas) return;
+  const worldAt = (e) => mapToWorld(worldMapView, e.offsetX, e.offsetY, worldMapCanvas.width, worldMapCanvas.height);
+  worldMapCanvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    zoomMapView(worldMapView, e.deltaY > 0 ? 1.25 : 0.8, e.offsetX, e.offsetY, worldMapCanvas.width, worldMapCanvas.height);
+    worldMapRenderIn = WORLD_MAP_RENDER_DELAY;
+  }, { passive: false });
+  worldMapCanvas.addEventListener('mousedown', (e) => {
+    e.stopPropagation();
+    worldMapDrag = { x: e.clientX, y: e.clientY, moved: 0 };
+  });
+  worldMapCanvas.addEventListener('mousemove', (e) => {
+    if (!worldMapDrag) return;
+    const dx = e.clientX - worldMapDrag.x, dy = e.clientY - worldMapDrag.y;
+    worldMapDrag.x = e.clientX;
+    worldMapDrag.y = e.clientY;
+    worldMapDrag.moved += Math.abs(dx) + Math.abs(dy);
+    panMapView(worldMapView, dx, dy);
+    worldMapRenderIn = WORLD_MAP_RENDER_DELAY;
+  });
+  worldMapCanvas.addEventListener('mouseup', (e) => {
+    e.stopPropagation();
+    const click = worldMapDrag && worldMapDrag.moved < 5;
+    worldMapDrag = null;
+    if (!click) return;
+    const at = worldAt(e);
+    if (e.button === 2) removeWaypointNear(state.waypoints, at.x, at.z, WAYPOINT_PICK_PX * worldMapView.scale);
+    else if (e.button === 0) addWaypoint(state.waypoints, at.x, at.z);
+  });
+  worldMapCanvas.addEventListener('mouseleave', () => { worldMapDrag = null; });
+}
+
+/**
+ * updateWaypointMarkers()
+ * - projects every waypoint into the 3D view as a label with its distance;
+ *   ones behind the camera or off screen are pinned to the screen border
+ * - a waypoint the player walks up to is removed
+ */
+function updateWaypointMarkers() {
+  if (!waypointLayer || !playerObj || !camera) return;
+  const p = playerObj.position;
+  const reached = state.waypoints.findIndex(w => Math.hypot(w.x - p.x, w.z - p.z) < WAYPOINT_REACH_RADIUS);
+  if (reached >= 0) {
+    state.waypoints.splice(reached, 1);
+    pushFeedMessage('Wegpunkt erreicht');
+  }
+  const w = window.innerWidth, h = window.innerHeight, pad = 30;
+  const markers = state.waypoints.map(waypoint => {
+    waypointProj.set(waypoint.x, getTerrainHeight(waypoint.x, waypoint.z) + 2, waypoint.z).project(camera);
+    let nx = waypointProj.x, ny = waypointProj.y;
+    const behind = waypointProj.z > 1;
+    if (behind) { nx = -nx; ny = -ny; }
+    const edge = behind || Math.abs(nx) > 1 || Math.abs(ny) > 1;
+    if (edge) { // push out to the border along the direction from the screen centre
+      const k = 1 / Math.max(Math.abs(nx), Math.abs(ny), 1e-6);
+      nx *= k; ny *= k;
+    }
+    const x = Math.min(w - pad, Math.max(pad, (nx + 1) / 2 * w));
+    const y = Math.min(h - pad, Math.max(pad, (1 - ny) / 2 * h));
+    const dist = Math.hypot(waypoint.x - p.x, waypoint.z - p.z);
+    return { x, y, edge, color: waypoint.color, label: `${Math.round(dist)} m` };
+  });
+  renderWaypointMarkers(waypointLayer, markers);
+}
+
+// --- GUNS / SHOOTING (weapon data and trigger logic in src/weapons.js) ---
+const shotOrigin = new THREE.Vector3();
+const shotDir = new THREE.Vector3();
+const shotRay = new THREE.Raycaster();
+const aimStart = new THREE.Vector3();
+const aimPoint = new THREE.Vector3();
+const spreadU = new THREE.Vector3();
+const spreadV = new THREE.Vector3();
+const recoilEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const FORWARD_Z = new THREE.Vector3(0, 0, 1);
+const projectileAssets = new Map(); // weapon id -> { geo, mat }
+
+// Tilts `dir` by a random angle of up to `degrees` (shot spread).
+function applySpread(dir, degrees) {
+  if (degrees <= 0) return;
+  const tilt = Math.tan(game.rng() * degrees * Math.PI / 180);
+  const turn = game.rng() * Math.PI * 2;
+  spreadU.set(0, 1, 0);
+  if (Math.abs(dir.y) > 0.99) spreadU.set(1, 0, 0);
+  spreadU.cross(dir).normalize();
+  spreadV.crossVectors(dir, spreadU);
+  dir.addScaledVector(spreadU, Math.cos(turn) * tilt).addScaledVector(spreadV, Math.sin(turn) * tilt).normalize();
+}
+
+// A shot the core let through this step (src/core.js already alerted the enemies).
+function fireShot(def) {
+  const gs = state.gun;
+  updateCamera(); // leaves from where the player is this step
+  if (def.ammo === 'mana') updateMpBar();
+  if (muzzleFlash && !def.projectile) {
+    muzzleFlash.material.opacity = 1;
+    schedule(loop, 0.08, () => { if (muzzleFlash) muzzleFlash.material.opacity = 0; });
+  }
+
+  playSound(def.sound, null, { pitch: 0.06 });
+
+  shotDir.set(0, 0, -1).applyQuaternion(camera.quaternion).normalize();
+  const axis = moveAxis(input);
+  const moving = axis.x !== 0 || axis.y !== 0;
+  applySpread(shotDir, spreadAngle(gs, moving));
+  if (settings.thirdPerson) aimPastShoulder(def.range);
+  shotOrigin.copy(cameraPivot).addScaledVector(shotDir, 0.5);
+
+  if (def.projectile) {
+    launchProjectile(def, shotOrigin, shotDir);
+  } else {
+    const hit = traceShot(shotOrigin, shotDir, def.range);
+    if (hit.enemy) damageEnemy(game, hit.enemy, damageAt(def, hit.dist, hit.headshot, gunPower()), { headshot: hit.headshot, weapon: def.id, ray: { origin: shotOrigin, dir: shotDir } });
+  }
+
+  // recoil kicks the view; the player pulls it back down themselves
+  const [pitch, yaw] = recoilKick(gs);
+  recoilEuler.setFromQuaternion(camera.quaternion, 'YXZ');
+  recoilEuler.x = Math.min(Math.PI / 2 - 0.01, recoilEuler.x + pitch);
+  recoilEuler.y += yaw;
+  camera.quaternion.setFromEuler(recoilEuler);
+}
+
+// Level and gear strengthen guns in the same proportion as the sword.
+function gunPower() {
+  return state.weaponDamage / BASE_WEAPON_DAMAGE;
+}
+
+/**
+ * aimPastShoulder(range)
+ * - third person: turns shotDir, the view ray through the crosshair (spread
+ *   included), into the ray from the player's head to the first enemy or
+ *   prop the view ray meets, so shots still land where the crosshair is
+ * - the view ray only counts from level with the head on, so nothing
+ *   between the camera and the player is hit
+ */
+function aimPastShoulder(range) {
+  const ahead = Math.max(0, aimPoint.subVectors(cameraPivot, camera.position).dot(shotDir));
+  aimStart.copy(camera.position).addScaledVector(shotDir, ahead);
+  const hit = traceShot(aimStart, shotDir, range);
+  aimPoint.copy(aimStart).addScaledVector(shotDir, hit.enemy ? hit.dist : Math.min(range, hit.blocked));
+  shotDir.subVectors(aimPoint, cameraPivot).normalize();
+}
+
+/**
+ * traceShot(origin, dir, range)
+ * - first enemy along the ray in front of any tree/rock:
+ *   { enemy, dist, headshot, blocked } (enemy null on a miss; blocked is the
+ *   distance to the first collider or Infinity)
+ * - only enemies in the hash cells along the ray get a (cheap)
+ *   bounding-sphere test, and only those get a full mesh raycast
+ */
+function traceShot(origin, dir, range) {
+  const blocked = raycastColliders(origin.x, origin.y, origin.z, dir.x, dir.y, dir.z, range);
+  const far = Math.min(range, blocked);
+  shotRay.set(origin, dir);
+  shotRay.far = far;
+
+  let owner = null, ownerDist = far, headshot = false;
+  game.hash.forEachAlongRay(origin.x, origin.z, dir.x, dir.z, far, (enemy) => {
+    const center = enemy.pos;
+    const r = enemy.height * 0.6;
+    const cx = origin.x - center.x, cy = origin.y - (center.y + enemy.height * 0.5), cz = origin.z - center.z;
+    const b = cx * dir.x + cy * dir.y + cz * dir.z;
+    const c = cx * cx + cy * cy + cz * cz - r * r;
+    if (c > 0 && (b > 0 || b * b - c < 0)) return;
+    // the mesh may still be drawn between two steps; test it where the enemy is now
+    enemy.mesh.position.set(center.x, center.y, center.z);
+    enemy.mesh.updateMatrixWorld(true);
+    const hits = shotRay.intersectObject(enemy.mesh, true);
+    if (hits.length && hits[0].distance < ownerDist) {
+      owner = enemy;
+      ownerDist = hits[0].distance;
+      headshot = isHeadMesh(enemy.model, hits[0].object);
+    }
+  });
+  return { enemy: owner, dist: ownerDist, headshot, blocked };
+}
+
+function launchProjectile(def, origin, dir) {
+  const spec = def.projectile;
+  let assets = projectileAssets.get(def.id);
+  if (!assets) {
+    // long projectiles (arrows) are cylinders along +Z, the rest spheres
+    const geo = spec.length
+      ? new THREE.CylinderGeometry(spec.radius, spec.radius, spec.length, 6).rotateX(Math.PI / 2)
+      : new THREE.SphereGeometry(spec.radius, 8, 8);
+    assets = { geo, mat: new THREE.MeshBasicMaterial({ color: spec.color }) };
+    projectileAssets.set(def.id, assets);
+  }
+  const mesh = new THREE.Mesh(assets.geo, assets.mat);
+  mesh.position.copy(origin);
+  mesh.quaternion.setFromUnitVectors(FORWARD_Z, dir);
+  scene.add(mesh);
+  state.projectiles.push({
+    mesh,
+    weapon: def,
+    velocity: dir.clone().multiplyScalar(spec.speed),
+    life: spec.life,
+    travelled: 0
+  });
 }
 
-// --- WAVE SPAWNER (periodic) ---
-function startWaveSpawner() {
-  // clear existing
-  if (waveIntervalHandle) clearInterval(waveIntervalHandle);
-  waveIntervalHandle = setInterval(() => {
-    if (state.enemies.length < MAX_ENEMIES) {
-      spawnEnemies(WAVE_SIZE);
-      logOnScreen(`Welle: ${WAVE_SIZE} Gegner gespawnt (insgesamt ${state.enemies.length})`);
+function updateProjectiles(delta) {
+  for (let i = state.projectiles.length - 1; i >= 0; i--) {
+    const shot = state.projectiles[i];
+    const pos = shot.mesh.position;
+    const def = shot.weapon;
+    shot.velocity.y -= def.projectile.gravity * delta;
+    shot.life -= delta;
+
+    const speed = shot.velocity.length();
+    const step = speed * delta;
+    shotDir.copy(shot.velocity).divideScalar(speed);
+    const hit = traceShot(pos, shotDir, step);
+    if (hit.enemy) damageEnemy(game, hit.enemy, damageAt(def, shot.travelled + hit.dist, hit.headshot, gunPower()), { headshot: hit.headshot, weapon: def.id, ray: { origin: pos, dir: shotDir } });
+
+    pos.addScaledVector(shotDir, step);
+    shot.travelled += step;
+    shot.mesh.quaternion.setFromUnitVectors(FORWARD_Z, shotDir);
+
+    const spent = shot.travelled > def.range || shot.life <= 0;
+    if (hit.enemy || hit.blocked < Infinity || spent || pos.y < getTerrainHeight(pos.x, pos.z) || !isChunkLoaded(pos.x, pos.z)) {
+      scene.remove(shot.mesh);
+      state.projectiles.splice(i, 1);
     }
-  }, WAVE_INTERVAL_MS);
+  }
+}
+
+// --- DAY / NIGHT & WEATHER (clock in src/daynight.js, states in src/weather.js, sky objects in src/sky.js) ---
+const SUN_DISTANCE = 200;     // the sun light sits this far from the player towards the sun
+const SUN_SHADOW_RANGE = 60;  // half-size of the shadow camera around the player
+const LIGHTNING_COLOR = 0xdfe8ff;
+const LIGHTNING_LIGHT = 1.5;  // extra ambient intensity at the peak of a flash
+const RAIN_WIND = 3;          // sideways drift of the rain in m/s
+let clockLabel;
+const skyColor = new THREE.Color();
+
+// Advances the clock and weather by one simulation step.
+function updateEnvironment(delta) {
+  advanceClock(state.clock, delta);
+  const started = updateWeather(state.weather, delta, Math.random);
+  if (started) pushFeedMessage(`Wetter: ${WEATHER[started].name}`, 'weather-msg');
+  if (state.weather.flash === 1) playSound('thunder', null, { pitch: 0.2 }); // struck this step
+}
+
+/**
+ * renderEnvironment(delta)
+ * - colours sky and fog, sets the light intensities and moves the sun (or
+ *   moon) light to follow the player; delta only moves the rain (0 while paused)
+ * - weather tints scale with daylight so rainy nights stay dark; lightning
+ *   briefly brightens the sky and ambient light
+ */
+function renderEnvironment(delta) {
+  if (!scene || !playerObj) return;
+  const t = state.clock.time;
+  const sky = skyAt(t);
+  const weather = weatherParams(state.weather);
+  let color = lerpColor(sky.sky, weather.tint, weather.tintAmount * sky.daylight);
+  color = lerpColor(color, LIGHTNING_COLOR, weather.flash * 0.6);
+  skyColor.setHex(color);
+  scene.background.copy(skyColor);
+  scene.fog.color.copy(skyColor);
+  scene.fog.density = baseFogDensity() * weather.fog;
+  hemiLight.intensity = sky.hemi * weather.light + weather.flash * LIGHTNING_LIGHT;
+
+  // one directional light plays the sun by day and the moon by night
+  const sunDir = sunDirection(t);
+  const sunUp = sunDir.y > 0;
+  const dir = sunUp ? sunDir : { x: -sunDir.x, y: -sunDir.y, z: -sunDir.z };
+  const p = playerObj.position;
+  sunLight.position.set(p.x + dir.x * SUN_DISTANCE, p.y + dir.y * SUN_DISTANCE, p.z + dir.z * SUN_DISTANCE);
+  sunLight.target.position.copy(p);
+  sunLight.intensity = (sunUp ? sky.sun : sky.moon) * weather.light;
+  sunLight.color.setHex(sunUp ? sky.sunColor : 0x9fb4ff);
+
+  updateSky(camera, {
+    sunDir,
+    stars: sky.stars * (1 - weather.tintAmount * 0.8), // clouds hide the stars
+    rain: weather.rain,
+    wind: RAIN_WIND
+  }, delta);
+
+  if (clockLabel) {
+    const text = `${isNight(t) ? '🌙' : '☀'} ${formatClock(t)} · ${WEATHER[weather.id].name}`;
+    if (clockLabel.textContent !== text) clockLabel.textContent = text;
+  }
+}
+
+// --- MUSIC (tracks and sounds in src/sounds.js, playback in src/audio.js) ---
+const COMBAT_MUSIC_RANGE = 60;  // enemies chasing within this range start the combat music
+const COMBAT_MUSIC_HOLD = 6;    // seconds it keeps playing after the last one gave up
+let combatMusicLeft = 0;
+
+// Crossfades between ambient and combat music depending on who is after the player.
+function updateMusic(delta) {
+  const { x, z } = state.position;
+  let hunted = false;
+  forEachEnemyNear(game, x, z, COMBAT_MUSIC_RANGE, (enemy) => {
+    hunted = enemy.state === AI_STATES.CHASE || enemy.state === AI_STATES.ATTACK;
+    return hunted;
+  });
+  combatMusicLeft = hunted ? COMBAT_MUSIC_HOLD : Math.max(0, combatMusicLeft - delta);
+  setMusicMood(combatMusicLeft > 0 ? 'combat' : 'ambient');
 }
 
 // --- WINDOW RESIZE & ANIMATE ---
@@ -650,8 +2493,96 @@ function onWindowResize() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  if (isWorldMapOpen()) {
+    worldMapCanvas.width = window.innerWidth;
+    worldMapCanvas.height = window.innerHeight;
+    worldMapRenderIn = WORLD_MAP_RENDER_DELAY;
+  }
+}
+
+/**
+ * updatePauseState()
+ * - the game pauses on the start screen, while a menu panel is open and
+ *   whenever the pointer lock is lost (the drag fallback never has one);
+ *   pausing lets go of the trigger
+ */
+function updatePauseState() {
+  const onStartScreen = !startScreen || startScreen.style.display !== 'none';
+  const hasLook = allowMouseDragFallback || (controls && controls.isLocked);
+  const next = onStartScreen || isMenuOpen() || !hasLook;
+  if (next === paused) return;
+  paused = next;
+  if (paused) setTrigger(state.gun, false);
+}
+
+// One fixed step of the game world (SIM_STEP seconds, see src/game-loop.js).
+function simulate(delta) {
+  snapshotPositions();
+  lookEuler.setFromQuaternion(camera.quaternion);
+  state.yaw = lookEuler.y;
+  stepGame(game, delta); // player, chunks, enemies, melee and guns (src/core.js)
+  updateNet(net, delta);  // online: inputs out, the server's enemies in
+  updateRemotePlayers();
+  playerObj.position.copy(state.position);
+  playerObj.rotation.y = headingTowards(playerObj.rotation.y, state.position.x - state.prevPosition.x, state.position.z - state.prevPosition.z, delta);
+  updateProjectiles(delta);
+  updateCorpses(delta);
+  updatePickups(delta);
+  updateNpcs(delta);
+  updateSkills(delta);
+  updateSwordView();
+  updateAmmoUI();
+  updateEnvironment(delta);
+  updateMusic(delta);
+}
+
+// Calls fn(mesh) for the meshes main.js moves itself, the player's model
+// included (the core's enemies and bolts are drawn from their positions,
+// see updateEnemyViews()).
+function forEachMovingMesh(fn) {
+  if (playerObj) fn(playerObj);
+  state.projectiles.forEach(shot => fn(shot.mesh));
+  state.pickups.forEach(pickup => fn(pickup.mesh));
+  remotePlayers.forEach(fn);
+  corpses.forEach(corpse => corpse.pieces.forEach(piece => fn(piece.mesh)));
 }
 
+function snapshotPositions() {
+  forEachMovingMesh(mesh => {
+    if (!mesh.userData.prevPos) mesh.userData.prevPos = new THREE.Vector3();
+    mesh.userData.prevPos.copy(mesh.position);
+  });
+}
+
+/**
+ * interpolateMeshes(alpha) / restoreMeshes()
+ * - around renderer.render(): moving meshes are drawn `alpha` of the way
+ *   from their previous to their current step position, then put back so
+ *   the simulation keeps its own positions (meshes spawned this step have
+ *   no previous position and are drawn where they are)
+ */
+function interpolateMeshes(alpha) {
+  forEachMovingMesh(mesh => {
+    const prev = mesh.userData.prevPos;
+    if (!prev) return;
+    if (!mesh.userData.simPos) mesh.userData.simPos = new THREE.Vector3();
+    mesh.userData.simPos.copy(mesh.position);
+    mesh.position.lerpVectors(prev, mesh.userData.simPos, alpha);
+  });
+}
+
+function restoreMeshes() {
+  forEachMovingMesh(mesh => {
+    if (mesh.userData.prevPos && mesh.userData.simPos) mesh.position.copy(mesh.userData.simPos);
+  });
+}
+
+/**
+ * animate()
+ * - input, menus, maps and the sky run every frame; the world advances in
+ *   fixed steps (none while paused) and is drawn interpolated between the
+ *   last two steps
+ */
 function animate() {
   requestAnimationFrame(animate);
   const time = performance.now();
@@ -659,10 +2590,23 @@ function animate() {
   prevTime = time;
 
   try {
-    updatePlayerMovement(delta);
-    updateEnemies(delta);
-    updateCamera();
-    if (renderer && scene && camera) renderer.render(scene, camera);
+    updateInput(delta);
+    updatePauseState();
+    let alpha = 1;
+    if (paused) holdLoop(loop);
+    else alpha = stepLoop(loop, delta, simulate);
+    updateCamera(alpha, delta);
+    updateEnemyViews(alpha, paused ? 0 : delta);
+    renderEnvironment(paused ? 0 : delta);
+    updateWaveHud();
+    if (camera) updateHitFeedback(paused ? 0 : delta);
+    updateMaps(delta);
+    updateWaypointMarkers();
+    if (renderer && scene && camera) {
+      interpolateMeshes(alpha);
+      renderer.render(scene, camera);
+      restoreMeshes();
+    }
   } catch (err) {
     console.error('Error during animate:', err);
   }
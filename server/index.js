@@ -0,0 +1,103 @@
+// index.js - `npm run server`: serves the game and runs the multiplayer world on one port (node:http, no dependencies)
+//
+// Open http://localhost:8080 in two tabs, enter a name on the start screen,
+// connect and enter the world. PORT, HOST and SEED (any string) can be set
+// in the environment; the seed is random otherwise. Only this machine can
+// connect unless HOST says otherwise (HOST=0.0.0.0 for a LAN game).
+import http from 'node:http';
+import { createReadStream, statSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { hashSeed } from '../src/rng.js';
+import { stepLoop } from '../src/game-loop.js';
+import { NET_PORT, NET_PATH } from '../src/net-protocol.js';
+import { acceptWebSocket } from './websocket.js';
+import { createServerWorld, addPeer, removePeer, handleMessage, stepWorld } from './world.js';
+
+const ROOT = path.resolve(fileURLToPath(new URL('..', import.meta.url)));
+const PORT = Number(process.env.PORT) || NET_PORT;
+const HOST = process.env.HOST || '127.0.0.1';
+const TICK_MS = 1000 / 60;
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav'
+};
+
+const seed = process.env.SEED ? hashSeed(process.env.SEED) : Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+const world = createServerWorld(seed);
+
+// What the browser game loads; the rest of the repository (server/, test/, .git) is never served.
+const PUBLIC_FILES = new Set(['index.html', 'styles.css', 'main.js']);
+const PUBLIC_DIRS = new Set(['src', 'assets']);
+
+// The decoded path of a request URL, or null if it does not parse.
+function requestPath(req) {
+  try {
+    return decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    return null;
+  }
+}
+
+// The game file a URL path names, or null: no dotfiles, no '..', nothing outside PUBLIC_FILES / PUBLIC_DIRS.
+function publicFile(urlPath) {
+  const parts = (urlPath === '/' ? '/index.html' : urlPath).split('/').slice(1);
+  if (parts.some(part => !part || part.startsWith('.') || part.includes('\\'))) return null;
+  const listed = parts.length === 1 ? PUBLIC_FILES.has(parts[0]) : PUBLIC_DIRS.has(parts[0]);
+  return listed ? path.join(ROOT, ...parts) : null;
+}
+
+function reply(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(text);
+}
+
+function serveFile(req, res) {
+  const urlPath = requestPath(req);
+  if (urlPath === null) {
+    reply(res, 400, 'Bad request');
+    return;
+  }
+  const file = publicFile(urlPath);
+  let stat = null;
+  try { stat = file && statSync(file); } catch (e) { /* missing: 404 below */ }
+  if (req.method !== 'GET' || !stat || !stat.isFile() || !file.startsWith(ROOT + path.sep)) {
+    reply(res, 404, 'Not found');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream', 'Content-Length': stat.size });
+  createReadStream(file).pipe(res);
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (req, socket, head) => {
+  if (requestPath(req) !== NET_PATH) {
+    socket.destroy();
+    return;
+  }
+  let peer = null;
+  const conn = acceptWebSocket(req, socket, head, {
+    message: (text) => handleMessage(world, peer, text),
+    close: () => { if (peer) removePeer(world, peer); }
+  });
+  if (conn) peer = addPeer(world, (text) => conn.send(text));
+});
+
+// the world keeps running on its own fixed steps, whatever the timer jitter
+let last = performance.now();
+setInterval(() => {
+  const now = performance.now();
+  stepLoop(world.loop, (now - last) / 1000, (delta) => stepWorld(world, delta));
+  last = now;
+}, TICK_MS);
+
+server.listen(PORT, HOST, () => {
+  console.log(`Etheria Online server on http://${HOST}:${PORT} (world seed ${seed})`);
+});
@@ -0,0 +1,127 @@
+// websocket.js - just enough RFC 6455 for the game server: handshake and text frames (node:crypto, no dependencies)
+import { createHash } from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1 << 20;  // bytes; a client sending more is disconnected
+
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+/**
+ * acceptWebSocket(req, socket, head, handlers)
+ * - completes the upgrade request `req` on `socket` (arguments of the http
+ *   server's 'upgrade' event); returns the connection { send(text), close() },
+ *   or null (socket destroyed) for anything that isn't a WebSocket handshake
+ * - handlers: { message(text), close() }; messages start after this returns,
+ *   close is called once, however the connection ends
+ */
+export function acceptWebSocket(req, socket, head, handlers) {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+    socket.destroy();
+    return null;
+  }
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  let pending = Buffer.alloc(0);
+  let fragments = null;  // payloads of a fragmented text message so far
+  let closing = false;
+  const conn = {
+    send(text) {
+      if (!closing) socket.write(encodeFrame(OP.text, Buffer.from(text)));
+    },
+    close() {
+      if (closing) return;
+      closing = true;
+      socket.end(encodeFrame(OP.close, Buffer.alloc(0)));
+    }
+  };
+
+  const onData = (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    for (;;) {
+      const frame = decodeFrame(pending);
+      if (!frame) break;
+      if (frame.error) { conn.close(); return; }
+      pending = pending.subarray(frame.length);
+      if (frame.opcode === OP.text || frame.opcode === OP.continuation) {
+        if (frame.opcode === OP.text) fragments = [];
+        if (!fragments) { conn.close(); return; }
+        fragments.push(frame.payload);
+        if (fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE) { conn.close(); return; }
+        if (frame.fin) {
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = null;
+          handlers.message(text);
+        }
+      } else if (frame.opcode === OP.ping) {
+        if (!closing) socket.write(encodeFrame(OP.pong, frame.payload));
+      } else if (frame.opcode === OP.close) {
+        conn.close();
+        return;
+      }
+      // binary and pong frames are ignored
+    }
+  };
+  socket.on('data', onData);
+  if (head && head.length) queueMicrotask(() => onData(head)); // frames sent along with the handshake
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    closing = true;
+    handlers.close();
+  });
+  return conn;
+}
+
+/**
+ * decodeFrame(buf)
+ * - the client frame at the start of buf: { fin, opcode, payload, length }
+ *   (length = bytes used), null while it is incomplete, { error } for an
+ *   unmasked or oversized frame
+ */
+export function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  if ((buf[1] & 0x80) === 0) return { error: 'unmasked' }; // clients must mask every frame
+  let size = buf[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buf.length < 4) return null;
+    size = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    if (big > BigInt(MAX_MESSAGE)) return { error: 'too big' };
+    size = Number(big);
+    offset = 10;
+  }
+  if (size > MAX_MESSAGE) return { error: 'too big' };
+  if (buf.length < offset + 4 + size) return null;
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + size));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { fin, opcode, payload, length: offset + 4 + size };
+}
+
+// One unfragmented server frame (servers never mask).
+export function encodeFrame(opcode, payload) {
+  const size = payload.length;
+  let header;
+  if (size < 126) {
+    header = Buffer.alloc(2);
+    header[1] = size;
+  } else if (size < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(size, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(size), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
@@ -0,0 +1,353 @@
+// world.js - the multiplayer server's authoritative world (plain JS, no sockets)
+//
+// One src/core.js game holds the enemies, bolts, waves and clock for all
+// connections; game.players are the players in the world, so the enemies
+// hunt whoever is nearest. A connection is a peer { id, name, send(text),
+// player } - player is null while the peer waits in the lobby.
+// server/index.js feeds the world messages and ticks; the tests drive it
+// directly. Players move themselves (their reported positions are only
+// checked for speed), but HP, enemy damage and every hit are decided here.
+//
+// The server streams no terrain chunks, so it has no tree/rock colliders:
+// its enemies walk through props and shots are never blocked by them.
+import { setWorldSeed, getTerrainHeight, getSpawnPoint, getBiome } from '../src/terrain.js';
+import { BIOMES } from '../src/biomes.js';
+import { mulberry32, mixSeed } from '../src/rng.js';
+import { createLoop, schedule } from '../src/game-loop.js';
+import { advanceClock } from '../src/daynight.js';
+import { alertEnemies } from '../src/enemy-ai.js';
+import { WEAPONS, damageAt } from '../src/weapons.js';
+import { MELEE_ATTACKS, setBlocking, updateMelee } from '../src/melee.js';
+import { SKILLS } from '../src/progression.js';
+import { ITEMS, POTION_COOLDOWN } from '../src/items.js';
+import {
+  createGame, createPlayerState, on, damageEnemy, spawnEnemies,
+  startWaves, waveCountdown, updateEnemies, forEachEnemyNear,
+  PLAYER_HEIGHT, PLAYER_BASE_MAX_HP, BASE_WEAPON_DAMAGE, RESPAWN_DELAY, GUNSHOT_LOUDNESS, INITIAL_ENEMY_COUNT
+} from '../src/core.js';
+import {
+  encode, decode, sanitizeName, packPlayer, packEnemy, packBolt,
+  SNAPSHOT_RATE, SNAPSHOT_RANGE, INPUT_RATE
+} from '../src/net-protocol.js';
+
+const KEEP_RANGE = 800;          // enemies further than this from every player are dropped
+const SPAWN_MIN_DIST = 50;       // enemies appear this far from a player ...
+const SPAWN_MAX_DIST = 400;      // ... and no further
+const MAX_PLAYER_SPEED = 60;     // m/s a reported move may cover (sprint, boosts and some slack)
+const MAX_HP_LIMIT = 1000;       // highest max HP a client may report (it comes from level and gear)
+const MAX_BLOCK_REDUCTION = 0.9;
+const MAX_WEAPON_DAMAGE = 300;   // highest weapon damage a client may report (level and gear again)
+const ORIGIN_TOLERANCE = 4;      // metres a hitscan shot may start away from the shooter's eye
+const HIT_TOLERANCE = 1.5;       // metres a claimed ray may pass beside an enemy (it moved meanwhile)
+const HEAD_HEIGHT = 0.7;         // share of an enemy's height above which a hit may be a headshot
+const FIRE_RATE_SLACK = 0.5;     // claimed shots may come this much faster than the weapon fires
+const COOLDOWN_SLACK = 0.8;      // swings, casts and potions this much faster than their cooldowns
+const ACTION_WINDOW = 0.1;       // seconds the claims of one swing or cast may trickle in
+const SWING_COOLDOWN = Math.min(...[...MELEE_ATTACKS.light, MELEE_ATTACKS.heavy].map(a => a.windup + a.recover));
+const MAX_CLAIM_DAMAGE = 400;    // melee/skill damage depends on level and gear, which live on the client
+const MELEE_REACH = Math.max(MELEE_ATTACKS.heavy.range, ...MELEE_ATTACKS.light.map(a => a.range)) + HIT_TOLERANCE;
+
+/**
+ * createServerWorld(seed)
+ * - the world for `seed` (every client builds the same terrain from it)
+ *   with the survival waves running; step it with stepWorld() on world.loop
+ */
+export function createServerWorld(seed) {
+  setWorldSeed(seed);
+  const world = { seed, loop: createLoop(), peers: new Map(), nextPeerId: 1, game: null };
+  world.game = createGame({
+    rng: mulberry32(mixSeed(seed, 0x5EED)),
+    loop: world.loop,
+    input: null,
+    world: {
+      pickSpawnPoint,
+      isLoaded: (x, z) => world.game.players.some(p => Math.hypot(p.position.x - x, p.position.z - z) < KEEP_RANGE)
+    }
+  });
+  world.game.players = [];
+  bindWorldEvents(world);
+  schedule(world.loop, 1 / SNAPSHOT_RATE, () => sendSnapshots(world), 1 / SNAPSHOT_RATE);
+  startWaves(world.game);
+  return world;
+}
+
+// A dry point in the ring around (px, pz); there are no loaded chunks to pick from here.
+function pickSpawnPoint(px, pz, random) {
+  let x = px, z = pz, biome = null;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const angle = random() * Math.PI * 2;
+    const d = SPAWN_MIN_DIST + random() * (SPAWN_MAX_DIST - SPAWN_MIN_DIST);
+    x = px + Math.cos(angle) * d;
+    z = pz + Math.sin(angle) * d;
+    biome = getBiome(x, z);
+    if (biome !== BIOMES.lake) break;
+  }
+  return { x, z, biome };
+}
+
+// --- PEERS ---
+// A new connection, waiting for its hello.
+export function addPeer(world, send) {
+  const peer = { id: world.nextPeerId++, name: null, send, player: null, lastInputAt: 0, lastShotAt: {}, actions: {} };
+  world.peers.set(peer.id, peer);
+  return peer;
+}
+
+export function removePeer(world, peer) {
+  leaveWorld(world, peer);
+  world.peers.delete(peer.id);
+  broadcastLobby(world);
+}
+
+function sendTo(peer, type, data) {
+  peer.send(encode(type, data));
+}
+
+// To every peer in the world (the lobby doesn't need world events).
+function broadcast(world, type, data) {
+  const text = encode(type, data);
+  world.peers.forEach(peer => { if (peer.player) peer.send(text); });
+}
+
+function broadcastLobby(world) {
+  const players = [];
+  world.peers.forEach(peer => { if (peer.name) players.push({ id: peer.id, name: peer.name, playing: !!peer.player }); });
+  const text = encode('lobby', { players });
+  world.peers.forEach(peer => { if (peer.name) peer.send(text); });
+}
+
+function joinWorld(world, peer) {
+  const game = world.game;
+  peer.player = createPlayerState();
+  peer.player.peer = peer;
+  game.players.push(peer.player);
+  respawnPeer(world, peer);
+  if (!game.state.enemies.length) spawnEnemies(game, INITIAL_ENEMY_COUNT);
+}
+
+function leaveWorld(world, peer) {
+  if (!peer.player) return;
+  const players = world.game.players;
+  players.splice(players.indexOf(peer.player), 1);
+  peer.player = null;
+}
+
+function respawnPeer(world, peer) {
+  const p = peer.player;
+  if (!p) return;
+  const spawn = getSpawnPoint();
+  p.position = { x: spawn.x, y: getTerrainHeight(spawn.x, spawn.z) + 0.1, z: spawn.z };
+  p.prevPosition = { ...p.position };
+  p.hp = p.maxHp;
+  setBlocking(p.melee, false);
+  peer.lastInputAt = world.loop.time;
+  sendTo(peer, 'spawn', { position: { ...p.position } });
+}
+
+// --- MESSAGES ---
+/**
+ * handleMessage(world, peer, text)
+ * - one message from a client (see src/net-protocol.js); malformed or
+ *   out-of-turn messages are ignored
+ */
+export function handleMessage(world, peer, text) {
+  const msg = decode(text);
+  if (!msg) return;
+  if (msg.type === 'hello') {
+    peer.name = sanitizeName(msg.name);
+    sendTo(peer, 'welcome', { id: peer.id, seed: world.seed });
+    broadcastLobby(world);
+    return;
+  }
+  if (!peer.name) return;
+  if (msg.type === 'join' && !peer.player) {
+    joinWorld(world, peer);
+    broadcastLobby(world);
+  } else if (msg.type === 'leave') {
+    leaveWorld(world, peer);
+    broadcastLobby(world);
+  } else if (!peer.player) {
+    return;
+  } else if (msg.type === 'input') {
+    applyInput(world, peer, msg);
+  } else if (msg.type === 'hit') {
+    const hit = validateHit(world, peer, msg);
+    if (hit) damageEnemy(world.game, hit.enemy, hit.amount, { source: msg.source, headshot: hit.headshot, heavy: !!msg.heavy, by: peer.player });
+  } else if (msg.type === 'heal' && peer.player.hp > 0) {
+    applyHeal(world, peer, msg);
+  }
+}
+
+/**
+ * claimAction(peer, key, cooldown, now, enemyId)
+ * - rate limit for claims: the first one `cooldown` (less COOLDOWN_SLACK)
+ *   after the last action under `key` opens a new one (a swing, a cast, a
+ *   potion); claims within ACTION_WINDOW after it belong to the same
+ *   action, once per enemy (enemyId null: only the first)
+ * - false for a claim that comes too soon
+ */
+function claimAction(peer, key, cooldown, now, enemyId = null) {
+  const last = peer.actions[key];
+  if (last && now - last.at <= ACTION_WINDOW) {
+    if (enemyId === null || last.hits.has(enemyId)) return false;
+    last.hits.add(enemyId);
+    return true;
+  }
+  if (last && now - last.at < cooldown * COOLDOWN_SLACK) return false;
+  peer.actions[key] = { at: now, hits: new Set(enemyId === null ? [] : [enemyId]) };
+  return true;
+}
+
+// A potion or the heal skill: the amount is the item's / skill's, each on its own cooldown.
+function applyHeal(world, peer, msg) {
+  const now = world.loop.time;
+  const item = Object.hasOwn(ITEMS, msg.item) ? ITEMS[msg.item] : null;
+  const skill = Object.hasOwn(SKILLS, msg.skill) ? SKILLS[msg.skill] : null;
+  let amount = 0;
+  if (item && item.effect && item.effect.heal) {
+    if (claimAction(peer, 'potion', POTION_COOLDOWN, now)) amount = item.effect.heal;
+  } else if (skill && skill.effect.kind === 'heal') {
+    if (claimAction(peer, `skill:${skill.id}`, skill.cooldown, now)) amount = skill.effect.amount;
+  }
+  const p = peer.player;
+  p.hp = Math.min(p.maxHp, p.hp + amount);
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isVector = (v) => v && isNumber(v.x) && isNumber(v.y) && isNumber(v.z);
+
+// Takes the reported move unless it is faster than anyone can run; then the client is corrected.
+function applyInput(world, peer, msg) {
+  const p = peer.player;
+  const elapsed = Math.max(1 / INPUT_RATE, world.loop.time - peer.lastInputAt);
+  peer.lastInputAt = world.loop.time;
+  if (isNumber(msg.yaw)) p.yaw = msg.yaw;
+  if (isNumber(msg.maxHp)) p.maxHp = Math.min(MAX_HP_LIMIT, Math.max(PLAYER_BASE_MAX_HP, Math.round(msg.maxHp)));
+  if (isNumber(msg.weaponDamage)) p.weaponDamage = Math.min(MAX_WEAPON_DAMAGE, Math.max(BASE_WEAPON_DAMAGE, msg.weaponDamage));
+  if (isNumber(msg.blockReduction)) p.blockReduction = Math.min(MAX_BLOCK_REDUCTION, Math.max(0, msg.blockReduction));
+  p.weaponMode = msg.weaponMode === 'sword' ? 'sword' : 'gun';
+  const blocking = p.weaponMode === 'sword' && p.blockReduction > 0 && !!msg.blocking;
+  if (blocking !== p.melee.blocking) setBlocking(p.melee, blocking);
+  if (p.hp <= 0) return;
+
+  if (isVector(msg)) {
+    const moved = Math.hypot(msg.x - p.position.x, msg.z - p.position.z);
+    if (moved <= MAX_PLAYER_SPEED * elapsed + 1) Object.assign(p.position, { x: msg.x, y: msg.y, z: msg.z });
+    else sendTo(peer, 'correct', { position: { ...p.position } });
+  }
+  const def = Object.hasOwn(WEAPONS, msg.fired) ? WEAPONS[msg.fired] : null;
+  if (def) alertEnemies(world.game.state.enemies, p.position.x, p.position.z, GUNSHOT_LOUDNESS * def.loudness);
+}
+
+/**
+ * validateHit(world, peer, msg)
+ * - checks a claimed hit against the server's world: { enemy, amount,
+ *   headshot } if it could have happened, null if not
+ * - shots: a known weapon no faster than it fires, a ray starting at the
+ *   shooter (anywhere in range for projectiles, which hit far from it) and
+ *   passing through the enemy; the damage is the weapon's (scaled by
+ *   the reported weaponDamage), not the claim's
+ * - melee: the enemy must be within reach, the claimed damage is capped and
+ *   swings come no faster than the quickest attack (see claimAction())
+ * - skills: a damaging skill off its cooldown, the enemy within its
+ *   radius; the damage is the skill's
+ */
+export function validateHit(world, peer, msg) {
+  const p = peer.player;
+  const enemy = world.game.state.enemies.find(e => e.id === msg.enemyId);
+  if (!p || p.hp <= 0 || !enemy || enemy.hp <= 0) return null;
+  const pos = p.position;
+
+  const dist = Math.hypot(enemy.pos.x - pos.x, enemy.pos.z - pos.z);
+  if (msg.source === 'melee') {
+    if (dist > MELEE_REACH + enemy.radius) return null;
+    if (!claimAction(peer, 'swing', SWING_COOLDOWN, world.loop.time, enemy.id)) return null;
+    return { enemy, amount: Math.min(MAX_CLAIM_DAMAGE, Math.max(0, Number(msg.amount) || 0)), headshot: false };
+  }
+  if (msg.source === 'skill') {
+    const skill = Object.hasOwn(SKILLS, msg.skill) ? SKILLS[msg.skill] : null;
+    if (!skill || !skill.effect.damage || dist > skill.effect.radius + HIT_TOLERANCE + enemy.radius) return null;
+    if (!claimAction(peer, `skill:${skill.id}`, skill.cooldown, world.loop.time, enemy.id)) return null;
+    return { enemy, amount: skill.effect.damage, headshot: false };
+  }
+
+  const def = Object.hasOwn(WEAPONS, msg.weapon) ? WEAPONS[msg.weapon] : null; // not 'constructor' & co.
+  if (msg.source !== 'shot' || !def || !isVector(msg.origin) || !isVector(msg.dir)) return null;
+  const now = world.loop.time;
+  const gap = (def.burst ? def.burst.interval : 60 / def.fireRate) * FIRE_RATE_SLACK;
+  if (now - (peer.lastShotAt[def.id] ?? -Infinity) < gap) return null;
+
+  const o = msg.origin;
+  const fromEye = Math.hypot(o.x - pos.x, o.y - (pos.y + PLAYER_HEIGHT), o.z - pos.z);
+  if (fromEye > (def.projectile ? def.range : ORIGIN_TOLERANCE)) return null;
+  const len = Math.hypot(msg.dir.x, msg.dir.y, msg.dir.z);
+  if (len < 1e-6) return null;
+  const d = { x: msg.dir.x / len, y: msg.dir.y / len, z: msg.dir.z / len };
+
+  // closest approach of the ray to the middle of the enemy
+  const cy = enemy.pos.y + enemy.height * 0.5;
+  const t = (enemy.pos.x - o.x) * d.x + (cy - o.y) * d.y + (enemy.pos.z - o.z) * d.z;
+  if (t < 0 || t > def.range) return null;
+  const hx = o.x + d.x * t, hy = o.y + d.y * t, hz = o.z + d.z * t;
+  if (Math.hypot(hx - enemy.pos.x, hy - cy, hz - enemy.pos.z) > enemy.height * 0.6 + HIT_TOLERANCE) return null;
+
+  const headshot = !!msg.headshot && hy >= enemy.pos.y + enemy.height * HEAD_HEIGHT - HIT_TOLERANCE * 0.5;
+  const amount = damageAt(def, dist, headshot, p.weaponDamage / BASE_WEAPON_DAMAGE);
+  if (!Number.isFinite(amount)) return null;
+  peer.lastShotAt[def.id] = now;
+  return { enemy, amount, headshot };
+}
+
+// --- STEP ---
+// One fixed step: shields/stamina of every player, the clock and the enemies.
+export function stepWorld(world, delta) {
+  const game = world.game;
+  game.players.forEach(p => updateMelee(p.melee, delta));
+  advanceClock(game.state.clock, delta);
+  updateEnemies(game, delta);
+}
+
+// Each player gets everyone, and the enemies and bolts within SNAPSHOT_RANGE of them.
+function sendSnapshots(world) {
+  const game = world.game;
+  const s = game.state;
+  const players = game.players.map(p => packPlayer(p.peer.id, p.peer.name, p));
+  const w = s.wave;
+  const wave = { number: w.number, phase: w.phase, left: w.left, countdown: waveCountdown(game), bossId: w.boss ? w.boss.id : null };
+  game.players.forEach(p => {
+    const { x, z } = p.position;
+    const enemies = [];
+    forEachEnemyNear(game, x, z, SNAPSHOT_RANGE, (enemy) => { enemies.push(packEnemy(enemy)); });
+    const bolts = s.enemyBolts
+      .filter(bolt => Math.hypot(bolt.pos.x - x, bolt.pos.z - z) < SNAPSHOT_RANGE)
+      .map(packBolt);
+    sendTo(p.peer, 'snapshot', { time: world.loop.time, players, enemies, bolts, wave, clock: s.clock.time });
+  });
+}
+
+// Core events -> messages for the clients.
+function bindWorldEvents(world) {
+  const game = world.game;
+  on(game, 'enemyAlerted', (enemy) => broadcast(world, 'enemyAlerted', { id: enemy.id }));
+  on(game, 'enemyAttack', (enemy, kind) => broadcast(world, 'enemyAttack', { id: enemy.id, kind }));
+  on(game, 'enemyHit', (enemy, info) => {
+    broadcast(world, 'enemyHit', { id: enemy.id, source: info.source, headshot: info.headshot, heavy: info.heavy, amount: Math.round(info.amount), by: info.by.peer.id });
+  });
+  on(game, 'enemyRemoved', (enemy, reason) => {
+    const by = enemy.lastHitBy && enemy.lastHitBy.peer ? enemy.lastHitBy.peer.id : null;
+    broadcast(world, 'enemyRemoved', { id: enemy.id, reason, by });
+  });
+  on(game, 'playerDamaged', (amount, player, from) => sendTo(player.peer, 'damaged', { amount, hp: player.hp, from }));
+  on(game, 'parried', (enemy, player) => sendTo(player.peer, 'parried', { id: enemy ? enemy.id : null }));
+  on(game, 'guardBroken', (player) => sendTo(player.peer, 'guardBroken'));
+  on(game, 'playerDied', (summary, player) => {
+    const peer = player.peer;
+    sendTo(peer, 'died');
+    broadcast(world, 'playerDied', { id: peer.id, name: peer.name });
+    schedule(world.loop, RESPAWN_DELAY, () => { if (peer.player === player) respawnPeer(world, peer); });
+  });
+  on(game, 'waveStart', ({ number, count, boss, night }) => {
+    broadcast(world, 'waveStart', { number, count, bossId: boss ? boss.id : null, bossType: boss ? boss.type.id : null, night });
+  });
+  on(game, 'waveCleared', ({ number }) => broadcast(world, 'waveCleared', { number }));
+}
@@ -0,0 +1,192 @@
+// audio.js - Web Audio playback through a THREE.AudioListener on the camera
+//
+// Sounds go through three buses (sfx, ui, music) into the listener, whose
+// master volume is the options panel's overall volume. Buffers are rendered
+// from the synth recipes in src/sounds.js; sounds with a `file` swap in the
+// loaded asset once it arrives. Module-level like src/chunks.js: initAudio()
+// per scene, disposeAudio() to tear the voices down.
+import * as THREE from 'three';
+import { SOUNDS, MUSIC, SOUND_DIR, synthSamples } from './sounds.js';
+
+const POSITIONAL_VOICES = 16; // sounds in the world playing at once; the oldest is cut off
+const FLAT_VOICES = 8;        // non-positional (player's own and UI) sounds
+const MUSIC_FADE = 2.5;       // seconds of a music crossfade
+const MAX_DISTANCE = 120;     // positional sounds are silent beyond this
+
+let listener = null;
+let buses = null;
+const buffers = {};           // sound / music id -> AudioBuffer, kept for the page's lifetime
+let scene = null;
+let worldVoices = [], flatVoices = [];
+let musicTracks = null;       // mood -> THREE.Audio
+let mood = null;
+
+function toBuffer(context, recipe) {
+  const samples = synthSamples(recipe, context.sampleRate);
+  const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+  buffer.copyToChannel(samples, 0);
+  return buffer;
+}
+
+function buildBuffers(context) {
+  const loader = new THREE.AudioLoader();
+  Object.keys(SOUNDS).forEach(id => {
+    const def = SOUNDS[id];
+    buffers[id] = toBuffer(context, def.synth);
+    if (def.file) {
+      loader.load(SOUND_DIR + def.file, (buffer) => { buffers[id] = buffer; }, undefined,
+        () => console.warn(`Sound ${def.file} not found, using the synth version`));
+    }
+  });
+  Object.keys(MUSIC).forEach(id => { buffers[`music:${id}`] = toBuffer(context, MUSIC[id].synth); });
+}
+
+// Routes an audio object's output into `bus` instead of straight into the listener.
+function routeTo(audio, bus) {
+  audio.gain.disconnect();
+  audio.gain.connect(bus);
+  return audio;
+}
+
+/**
+ * initAudio(targetScene, camera)
+ * - attaches the listener to the camera (created on the first call) and
+ *   builds the voice pools for this scene
+ * - the AudioContext stays suspended until resumeAudio() runs from a user gesture
+ */
+export function initAudio(targetScene, camera) {
+  disposeAudio();
+  if (!listener) {
+    listener = new THREE.AudioListener();
+    const context = listener.context;
+    buses = {};
+    ['sfx', 'ui', 'music'].forEach(name => {
+      buses[name] = context.createGain();
+      buses[name].connect(listener.getInput());
+    });
+    buildBuffers(context);
+  }
+  camera.add(listener);
+  scene = targetScene;
+
+  for (let i = 0; i < POSITIONAL_VOICES; i++) {
+    const voice = routeTo(new THREE.PositionalAudio(listener), buses.sfx);
+    voice.setDistanceModel('inverse');
+    voice.setMaxDistance(MAX_DISTANCE);
+    voice.startedAt = 0;
+    scene.add(voice);
+    worldVoices.push(voice);
+  }
+  for (let i = 0; i < FLAT_VOICES; i++) {
+    const voice = new THREE.Audio(listener);
+    voice.startedAt = 0;
+    flatVoices.push(voice);
+  }
+
+  musicTracks = {};
+  Object.keys(MUSIC).forEach(id => {
+    const track = routeTo(new THREE.Audio(listener), buses.music);
+    track.setBuffer(buffers[`music:${id}`]);
+    track.setLoop(true);
+    track.gain.gain.value = 0;
+    musicTracks[id] = track;
+  });
+  mood = null;
+}
+
+// Call from a click / key handler: browsers only start audio after a user gesture.
+export function resumeAudio() {
+  if (listener && listener.context.state === 'suspended') listener.context.resume();
+}
+
+/**
+ * setAudioVolumes(settings)
+ * - settings.volume is the master volume; musicVolume, sfxVolume and
+ *   uiVolume scale their buses
+ */
+export function setAudioVolumes(settings) {
+  if (!listener) return;
+  listener.setMasterVolume(settings.volume);
+  buses.sfx.gain.value = settings.sfxVolume;
+  buses.ui.gain.value = settings.uiVolume;
+  buses.music.gain.value = settings.musicVolume;
+}
+
+// The voice that is free, or else the one that started longest ago.
+function pickVoice(voices) {
+  let best = voices[0];
+  for (const voice of voices) {
+    if (!voice.isPlaying) return voice;
+    if (voice.startedAt < best.startedAt) best = voice;
+  }
+  return best;
+}
+
+/**
+ * playSound(id, position, opts)
+ * - position: a Vector3 in the world for a positional sound, or null for one
+ *   that plays flat (the player's own sounds, UI)
+ * - opts.pitch: random playback rate spread, e.g. 0.1 for ±10 %
+ * - opts.volume: multiplies the sound's own volume
+ */
+export function playSound(id, position = null, opts = {}) {
+  const def = SOUNDS[id];
+  if (!listener || !def || !buffers[id]) return;
+  const voice = pickVoice(position ? worldVoices : flatVoices);
+  if (voice.isPlaying) voice.stop();
+  if (!position) {
+    // flat voices are shared by both buses
+    voice.gain.disconnect();
+    voice.gain.connect(buses[def.bus]);
+  }
+  voice.setBuffer(buffers[id]);
+  voice.setVolume(def.volume * (opts.volume ?? 1));
+  voice.setPlaybackRate(1 + (opts.pitch ? (Math.random() * 2 - 1) * opts.pitch : 0));
+  if (position) {
+    voice.setRefDistance(def.refDistance || 5);
+    voice.position.copy(position);
+    voice.updateMatrixWorld(true); // place the panner now, not on the next render
+  }
+  voice.startedAt = listener.context.currentTime;
+  voice.play();
+}
+
+/**
+ * setMusicMood(next)
+ * - crossfades to the MUSIC track `next` ('ambient' | 'combat') over
+ *   MUSIC_FADE seconds; calling it with the current mood does nothing
+ */
+export function setMusicMood(next) {
+  if (!musicTracks || next === mood) return;
+  mood = next;
+  const now = listener.context.currentTime;
+  Object.keys(musicTracks).forEach(id => {
+    const track = musicTracks[id];
+    if (!track.isPlaying) track.play();
+    const target = id === next ? MUSIC[id].volume : 0;
+    track.gain.gain.cancelScheduledValues(now);
+    track.gain.gain.setTargetAtTime(target, now, MUSIC_FADE / 3);
+  });
+}
+
+// Stops everything and removes the voices from the scene (buffers stay cached).
+export function disposeAudio() {
+  [...worldVoices, ...flatVoices].forEach(voice => {
+    if (voice.isPlaying) voice.stop();
+    voice.disconnect();
+    voice.gain.disconnect();
+    if (scene) scene.remove(voice);
+  });
+  if (musicTracks) {
+    Object.values(musicTracks).forEach(track => {
+      if (track.isPlaying) track.stop();
+      track.disconnect();
+      track.gain.disconnect();
+    });
+  }
+  worldVoices = [];
+  flatVoices = [];
+  musicTracks = null;
+  mood = null;
+  scene = null;
+}
@@ -0,0 +1,40 @@
+// biomes.js - biome table: terrain/prop colours, prop density and enemy mix per biome
+//
+// propDensity multiplies CONFIG.propsPerChunk, treeRatio is the share of props
+// that are trees (the rest are rocks), enemies maps enemy type -> spawn weight
+// (types are defined in src/enemy-types.js) and nightEnemies replaces it
+// while the sun is down.
+
+export const BIOMES = {
+  grassland: {
+    id: 'grassland', name: 'Grasland',
+    colors: { ground: 0x7cfc00, treeLeaves: 0x32CD32, treeTrunk: 0x8B4513, rock: 0x5a5a5a },
+    propDensity: 1, treeRatio: 0.7,
+    enemies: { grunt: 3, scout: 1, caster: 1 },
+    nightEnemies: { grunt: 2, caster: 2, brute: 1 }
+  },
+  forest: {
+    id: 'forest', name: 'Wald',
+    colors: { ground: 0x4f9a2a, treeLeaves: 0x1f7a30, treeTrunk: 0x6b3a1e, rock: 0x4f5a4f },
+    propDensity: 3, treeRatio: 0.95,
+    enemies: { scout: 3, grunt: 1, caster: 1 },
+    nightEnemies: { scout: 2, caster: 2, brute: 1 }
+  },
+  highlands: {
+    id: 'highlands', name: 'Felshochland',
+    colors: { ground: 0x9a9a86, treeLeaves: 0x6b8e23, treeTrunk: 0x5c4033, rock: 0x6e6e6e },
+    propDensity: 1.5, treeRatio: 0.2,
+    enemies: { brute: 2, grunt: 1, caster: 1 },
+    nightEnemies: { brute: 3, caster: 2 }
+  },
+  lake: {
+    id: 'lake', name: 'See',
+    colors: { ground: 0xd8c690, treeLeaves: 0x32CD32, treeTrunk: 0x8B4513, rock: 0x8a8570 },
+    propDensity: 0, treeRatio: 0,
+    enemies: {},
+    nightEnemies: {}
+  }
+};
+
+export const WATER_LEVEL = -8;        // lakes are everything below this height
+export const HIGHLAND_HEIGHT = 22;    // rocky highlands start above this height
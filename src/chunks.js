@@ -0,0 +1,324 @@
+// chunks.js - streams terrain tiles (with their trees/rocks) in and out around the player
+import * as THREE from 'three';
+import { getTerrainHeight, getBiome, getSpawnPoint, chunkCoord, chunkKey, chunkRandom } from './terrain.js';
+import { BIOMES, WATER_LEVEL } from './biomes.js';
+import { addCollider, removeCollider, clearColliders, createCylinderCollider, createSphereCollider } from './collision.js';
+
+const NORMAL_EPS = 0.5;
+
+let scene = null;
+let opts = null;
+let terrainMat = null;
+let waterMat = null, waterGeo = null;
+let propAssets = null;
+
+const chunks = new Map();   // key -> { cx, cz, lod, mesh, props, colliders }
+let queue = [];             // pending builds, nearest first
+let centerX = null, centerZ = null;
+
+/**
+ * initChunks(targetScene, options)
+ * options:
+ * - chunkSize: world units per tile edge
+ * - chunkRes: segments per tile edge at the highest level of detail
+ * - viewDistance: radius (in chunks) kept loaded around the player
+ * - lodDistances: chunk rings after which the resolution halves, e.g. [2, 4]
+ * - propsPerChunk: props per tile at biome density 1 (see src/biomes.js)
+ * - colors: { water }, buildsPerFrame, skirtDepth
+ */
+export function initChunks(targetScene, options) {
+  disposeChunks();
+  scene = targetScene;
+  opts = Object.assign({ buildsPerFrame: 2, skirtDepth: 6, propsPerChunk: 5 }, options);
+
+  terrainMat = new THREE.MeshToonMaterial({ vertexColors: true, side: THREE.DoubleSide });
+  waterMat = new THREE.MeshToonMaterial({ color: opts.colors.water, transparent: true, opacity: 0.75 });
+  waterGeo = new THREE.PlaneGeometry(opts.chunkSize, opts.chunkSize);
+  waterGeo.rotateX(-Math.PI / 2);
+  waterGeo.translate(opts.chunkSize / 2, 0, opts.chunkSize / 2);
+
+  // one set of prop materials per biome, geometry is shared by all
+  propAssets = {
+    treeGeo: new THREE.ConeGeometry(3, 12, 8),
+    trunkGeo: new THREE.CylinderGeometry(1, 1, 4, 8),
+    rockGeo: new THREE.DodecahedronGeometry(3, 0),
+    mats: {}
+  };
+  Object.values(BIOMES).forEach(biome => {
+    propAssets.mats[biome.id] = {
+      treeMat: new THREE.MeshToonMaterial({ color: biome.colors.treeLeaves }),
+      trunkMat: new THREE.MeshToonMaterial({ color: biome.colors.treeTrunk }),
+      rockMat: new THREE.MeshToonMaterial({ color: biome.colors.rock })
+    };
+  });
+}
+
+/**
+ * updateChunks(position, force)
+ * - queues missing tiles and LOD changes whenever the player enters a new chunk
+ * - builds at most `buildsPerFrame` tiles per call, or everything when `force` is set
+ */
+export function updateChunks(position, force = false) {
+  if (!scene) return;
+  const pcx = chunkCoord(position.x, opts.chunkSize);
+  const pcz = chunkCoord(position.z, opts.chunkSize);
+  if (force || pcx !== centerX || pcz !== centerZ) {
+    centerX = pcx; centerZ = pcz;
+    refreshQueue();
+  }
+
+  let budget = force ? Infinity : opts.buildsPerFrame;
+  while (budget > 0 && queue.length) {
+    buildChunk(queue.shift());
+    budget--;
+  }
+}
+
+// Changes the loaded radius; tiles stream in/out from the next updateChunks().
+export function setViewDistance(radius) {
+  if (!opts || opts.viewDistance === radius) return;
+  opts.viewDistance = radius;
+  refreshQueue();
+}
+
+export function isChunkLoaded(x, z) {
+  return chunks.has(chunkKey(chunkCoord(x, opts.chunkSize), chunkCoord(z, opts.chunkSize)));
+}
+
+export function getLoadedChunks() {
+  return Array.from(chunks.values());
+}
+
+export function getChunkSize() {
+  return opts ? opts.chunkSize : 0;
+}
+
+export function disposeChunks() {
+  chunks.forEach(unloadChunk);
+  chunks.clear();
+  clearColliders();
+  queue = [];
+  centerX = centerZ = null;
+  [terrainMat, waterMat, waterGeo].forEach(a => { if (a) a.dispose(); });
+  if (propAssets) {
+    [propAssets.treeGeo, propAssets.trunkGeo, propAssets.rockGeo].forEach(g => g.dispose());
+    Object.values(propAssets.mats).forEach(m => Object.values(m).forEach(mat => mat.dispose()));
+  }
+  terrainMat = waterMat = waterGeo = null;
+  propAssets = null;
+}
+
+// --- internals ---
+function lodFor(dx, dz) {
+  const ring = Math.max(Math.abs(dx), Math.abs(dz));
+  let lod = 0;
+  while (lod < opts.lodDistances.length && ring > opts.lodDistances[lod]) lod++;
+  return lod;
+}
+
+function refreshQueue() {
+  const r = opts.viewDistance;
+  const keep = (r + 1) * (r + 1); // one ring of hysteresis so edge tiles don't flicker
+
+  chunks.forEach((chunk, key) => {
+    const dx = chunk.cx - centerX, dz = chunk.cz - centerZ;
+    if (dx * dx + dz * dz > keep) {
+      unloadChunk(chunk);
+      chunks.delete(key);
+    }
+  });
+
+  queue = [];
+  for (let dz = -r; dz <= r; dz++) {
+    for (let dx = -r; dx <= r; dx++) {
+      const d2 = dx * dx + dz * dz;
+      if (d2 > r * r) continue;
+      const cx = centerX + dx, cz = centerZ + dz;
+      const lod = lodFor(dx, dz);
+      const existing = chunks.get(chunkKey(cx, cz));
+      if (existing && existing.lod === lod) continue;
+      queue.push({ cx, cz, lod, d2 });
+    }
+  }
+  queue.sort((a, b) => a.d2 - b.d2);
+}
+
+function buildChunk({ cx, cz, lod }) {
+  const key = chunkKey(cx, cz);
+  const res = Math.max(2, opts.chunkRes >> lod);
+  const geo = buildTerrainGeometry(cx, cz, res);
+
+  let chunk = chunks.get(key);
+  if (chunk) {
+    chunk.mesh.geometry.dispose();
+    chunk.mesh.geometry = geo;
+    chunk.lod = lod;
+    return;
+  }
+
+  const mesh = new THREE.Mesh(geo, terrainMat);
+  mesh.position.set(cx * opts.chunkSize, 0, cz * opts.chunkSize);
+  mesh.receiveShadow = true;
+  scene.add(mesh);
+
+  const { props, colliders } = buildProps(cx, cz);
+  scene.add(props);
+  colliders.forEach(addCollider);
+
+  chunk = { cx, cz, lod, mesh, props, colliders };
+  chunks.set(key, chunk);
+}
+
+function unloadChunk(chunk) {
+  scene.remove(chunk.mesh);
+  scene.remove(chunk.props);
+  chunk.colliders.forEach(removeCollider);
+  chunk.mesh.geometry.dispose(); // props share geometry/materials, nothing else to free
+}
+
+// Grid of (res+1)^2 vertices plus a skirt hanging down from the border, so tiles
+// at different LODs never show cracks. Normals and biome colours come straight
+// from the height field, which keeps the shading continuous across tile edges.
+function buildTerrainGeometry(cx, cz, res) {
+  const size = opts.chunkSize;
+  const step = size / res;
+  const x0 = cx * size, z0 = cz * size;
+  const side = res + 1;
+  const gridCount = side * side;
+  const borderCount = res * 4;
+
+  const positions = new Float32Array((gridCount + borderCount) * 3);
+  const normals = new Float32Array((gridCount + borderCount) * 3);
+  const colors = new Float32Array((gridCount + borderCount) * 3);
+  const indices = [];
+  const color = new THREE.Color();
+
+  for (let iz = 0; iz < side; iz++) {
+    for (let ix = 0; ix < side; ix++) {
+      const i = iz * side + ix;
+      const lx = ix * step, lz = iz * step;
+      const wx = x0 + lx, wz = z0 + lz;
+      const h = getTerrainHeight(wx, wz);
+      positions[i * 3] = lx;
+      positions[i * 3 + 1] = h;
+      positions[i * 3 + 2] = lz;
+      writeNormal(normals, i, wx, wz);
+      color.setHex(getBiome(wx, wz, h).colors.ground).toArray(colors, i * 3);
+    }
+  }
+
+  for (let iz = 0; iz < res; iz++) {
+    for (let ix = 0; ix < res; ix++) {
+      const a = iz * side + ix, b = a + 1, c = a + side, d = c + 1;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  // border walked once around the tile, each vertex duplicated skirtDepth lower
+  const border = [];
+  for (let i = 0; i < res; i++) border.push(i);                                   // top edge
+  for (let i = 0; i < res; i++) border.push(i * side + res);                      // right edge
+  for (let i = res; i > 0; i--) border.push(res * side + i);                      // bottom edge
+  for (let i = res; i > 0; i--) border.push(i * side);                            // left edge
+
+  for (let k = 0; k < borderCount; k++) {
+    const src = border[k], dst = gridCount + k;
+    positions[dst * 3] = positions[src * 3];
+    positions[dst * 3 + 1] = positions[src * 3 + 1] - opts.skirtDepth;
+    positions[dst * 3 + 2] = positions[src * 3 + 2];
+    for (let c = 0; c < 3; c++) {
+      normals[dst * 3 + c] = normals[src * 3 + c];
+      colors[dst * 3 + c] = colors[src * 3 + c];
+    }
+  }
+  for (let k = 0; k < borderCount; k++) {
+    const a = border[k], b = border[(k + 1) % borderCount];
+    const a2 = gridCount + k, b2 = gridCount + (k + 1) % borderCount;
+    indices.push(a, a2, b, b, a2, b2);
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geo.setIndex(indices);
+  geo.computeBoundingSphere();
+  return geo;
+}
+
+function writeNormal(out, i, x, z) {
+  const nx = getTerrainHeight(x - NORMAL_EPS, z) - getTerrainHeight(x + NORMAL_EPS, z);
+  const nz = getTerrainHeight(x, z - NORMAL_EPS) - getTerrainHeight(x, z + NORMAL_EPS);
+  const ny = 2 * NORMAL_EPS;
+  const len = Math.hypot(nx, ny, nz);
+  out[i * 3] = nx / len;
+  out[i * 3 + 1] = ny / len;
+  out[i * 3 + 2] = nz / len;
+}
+
+// Props are rolled at the densest biome's rate and thinned out per biome, so
+// every candidate consumes the same random numbers regardless of where it lands.
+// Each prop also gets a collider: trees a cylinder around the trunk up to the
+// crown tip, rocks a sphere slightly inside the dodecahedron.
+function buildProps(cx, cz) {
+  const group = new THREE.Group();
+  const colliders = [];
+  const rand = chunkRandom(cx, cz);
+  const size = opts.chunkSize;
+  const spawn = getSpawnPoint();
+  const { treeGeo, trunkGeo, rockGeo } = propAssets;
+  const maxDensity = Math.max(...Object.values(BIOMES).map(b => b.propDensity));
+  const candidates = Math.round(opts.propsPerChunk * maxDensity);
+
+  for (let i = 0; i < candidates; i++) {
+    const x = (cx + rand()) * size;
+    const z = (cz + rand()) * size;
+    const keep = rand();
+    const type = rand();
+    const s = rand();
+    const rx = rand(), ry = rand(), rz = rand();
+    if (Math.abs(x - spawn.x) < 20 && Math.abs(z - spawn.z) < 20) continue; // keep the spawn point clear
+    const y = getTerrainHeight(x, z);
+    const biome = getBiome(x, z, y);
+    if (keep * maxDensity >= biome.propDensity) continue;
+    const { treeMat, trunkMat, rockMat } = propAssets.mats[biome.id];
+
+    if (type < biome.treeRatio) {
+      const tree = new THREE.Group();
+      const leaves = new THREE.Mesh(treeGeo, treeMat); leaves.position.y = 6; leaves.castShadow = true;
+      const trunk = new THREE.Mesh(trunkGeo, trunkMat); trunk.position.y = 2; trunk.castShadow = true;
+      tree.add(leaves); tree.add(trunk);
+      tree.position.set(x, y, z);
+      const scale = 0.8 + s * 1.5;
+      tree.scale.setScalar(scale);
+      group.add(tree);
+      colliders.push(createCylinderCollider(x, y, z, 1 * scale, 12 * scale));
+    } else {
+      const rock = new THREE.Mesh(rockGeo, rockMat);
+      rock.position.set(x, y + 2, z);
+      rock.rotation.set(rx, ry, rz);
+      const scale = 1 + s * 3;
+      rock.scale.setScalar(scale);
+      rock.castShadow = true;
+      group.add(rock);
+      colliders.push(createSphereCollider(x, y + 2, z, 3 * scale * 0.85));
+    }
+  }
+
+  if (chunkHasWater(cx, cz)) {
+    const water = new THREE.Mesh(waterGeo, waterMat);
+    water.position.set(cx * size, WATER_LEVEL, cz * size);
+    group.add(water);
+  }
+  return { props: group, colliders };
+}
+
+function chunkHasWater(cx, cz) {
+  const size = opts.chunkSize, samples = 8;
+  for (let iz = 0; iz <= samples; iz++) {
+    for (let ix = 0; ix <= samples; ix++) {
+      if (getTerrainHeight((cx + ix / samples) * size, (cz + iz / samples) * size) < WATER_LEVEL) return true;
+    }
+  }
+  return false;
+}
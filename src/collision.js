@@ -0,0 +1,239 @@
+// collision.js - static world colliders (tree trunks, rocks) in a spatial hash (plain JS, no Three.js)
+//
+// Colliders are vertical cylinders { x, y, z, radius, height } (y = base) or
+// spheres { x, y, z, radius } (y = centre). Moving bodies are treated as
+// vertical capsules: a radius around the segment from feet (y) to y + height.
+
+const CELL_SIZE = 16;
+
+const cells = new Map();   // packed cell key -> collider[]
+let queryStamp = 0;        // bumped per query so colliders spanning several cells are visited once
+
+function cellOf(v) {
+  return Math.floor(v / CELL_SIZE);
+}
+
+// Packs cell coords into one integer key. Coordinates wrap every 65536 cells;
+// a wrapped cell only yields extra candidates, which the exact tests reject.
+function cellKey(ix, iz) {
+  return ((ix & 0xFFFF) << 16) | (iz & 0xFFFF);
+}
+
+export function createCylinderCollider(x, y, z, radius, height) {
+  return { type: 'cylinder', x, y, z, radius, height, stamp: 0 };
+}
+
+export function createSphereCollider(x, y, z, radius) {
+  return { type: 'sphere', x, y, z, radius, stamp: 0 };
+}
+
+export function addCollider(c) {
+  const x0 = cellOf(c.x - c.radius), x1 = cellOf(c.x + c.radius);
+  const z0 = cellOf(c.z - c.radius), z1 = cellOf(c.z + c.radius);
+  for (let ix = x0; ix <= x1; ix++) {
+    for (let iz = z0; iz <= z1; iz++) {
+      const key = cellKey(ix, iz);
+      let list = cells.get(key);
+      if (!list) { list = []; cells.set(key, list); }
+      list.push(c);
+    }
+  }
+  return c;
+}
+
+export function removeCollider(c) {
+  const x0 = cellOf(c.x - c.radius), x1 = cellOf(c.x + c.radius);
+  const z0 = cellOf(c.z - c.radius), z1 = cellOf(c.z + c.radius);
+  for (let ix = x0; ix <= x1; ix++) {
+    for (let iz = z0; iz <= z1; iz++) {
+      const key = cellKey(ix, iz);
+      const list = cells.get(key);
+      if (!list) continue;
+      const idx = list.indexOf(c);
+      if (idx !== -1) list.splice(idx, 1);
+      if (!list.length) cells.delete(key);
+    }
+  }
+}
+
+export function clearColliders() {
+  cells.clear();
+}
+
+/**
+ * forEachColliderNear(x, z, range, fn)
+ * - calls fn(collider) once for every collider whose cells overlap the square
+ *   of half-size `range` around (x, z); fn may return true to stop early
+ */
+export function forEachColliderNear(x, z, range, fn) {
+  const stamp = ++queryStamp;
+  const x0 = cellOf(x - range), x1 = cellOf(x + range);
+  const z0 = cellOf(z - range), z1 = cellOf(z + range);
+  for (let ix = x0; ix <= x1; ix++) {
+    for (let iz = z0; iz <= z1; iz++) {
+      const list = cells.get(cellKey(ix, iz));
+      if (!list) continue;
+      for (let i = 0; i < list.length; i++) {
+        const c = list[i];
+        if (c.stamp === stamp) continue;
+        c.stamp = stamp;
+        if (fn(c)) return;
+      }
+    }
+  }
+}
+
+// Horizontal radius of `c` as seen by a capsule spanning [y, y + height] with
+// the given radius, or 0 when they cannot touch at any height.
+function combinedRadius(c, y, height, radius) {
+  if (c.type === 'cylinder') {
+    if (y + height < c.y || y > c.y + c.height) return 0;
+    return c.radius + radius;
+  }
+  const closestY = Math.max(y, Math.min(y + height, c.y));
+  const dy = c.y - closestY;
+  const r = c.radius + radius;
+  if (Math.abs(dy) >= r) return 0;
+  return Math.sqrt(r * r - dy * dy);
+}
+
+/**
+ * resolveBody(pos, radius, height)
+ * - pushes a vertical capsule standing at `pos` out of every static collider
+ *   it overlaps (horizontally only, so bodies slide along trunks and rocks)
+ * - mutates pos.x / pos.z, returns true if anything was hit
+ */
+export function resolveBody(pos, radius, height) {
+  let hit = false;
+  forEachColliderNear(pos.x, pos.z, radius + CELL_SIZE, (c) => {
+    const r = combinedRadius(c, pos.y, height, radius);
+    if (r <= 0) return false;
+    const dx = pos.x - c.x, dz = pos.z - c.z;
+    const d2 = dx * dx + dz * dz;
+    if (d2 >= r * r) return false;
+    const d = Math.sqrt(d2);
+    if (d > 1e-6) {
+      pos.x = c.x + (dx / d) * r;
+      pos.z = c.z + (dz / d) * r;
+    } else {
+      pos.x = c.x + r;
+    }
+    hit = true;
+    return false;
+  });
+  return hit;
+}
+
+/**
+ * findBlockingCollider(x, y, z, dirX, dirZ, radius, height, lookahead)
+ * - nearest collider a body would run into within `lookahead` when moving
+ *   along the (normalised) horizontal direction, or null
+ */
+export function findBlockingCollider(x, y, z, dirX, dirZ, radius, height, lookahead) {
+  let best = null, bestT = lookahead;
+  forEachColliderNear(x + dirX * lookahead * 0.5, z + dirZ * lookahead * 0.5, lookahead * 0.5 + radius + CELL_SIZE, (c) => {
+    const r = combinedRadius(c, y, height, radius);
+    if (r <= 0) return false;
+    const t = rayCircle(x, z, dirX, dirZ, c.x, c.z, r);
+    if (t >= 0 && t < bestT) { bestT = t; best = c; }
+    return false;
+  });
+  return best;
+}
+
+/**
+ * raycastColliders(ox, oy, oz, dx, dy, dz, maxDist)
+ * - walks the hash cells along the ray (2D DDA) and returns the distance to
+ *   the nearest collider surface, or Infinity; (dx, dy, dz) must be normalised
+ */
+export function raycastColliders(ox, oy, oz, dx, dy, dz, maxDist) {
+  const stamp = ++queryStamp;
+  let ix = cellOf(ox), iz = cellOf(oz);
+  const stepX = dx > 0 ? 1 : -1, stepZ = dz > 0 ? 1 : -1;
+  const tDeltaX = dx !== 0 ? Math.abs(CELL_SIZE / dx) : Infinity;
+  const tDeltaZ = dz !== 0 ? Math.abs(CELL_SIZE / dz) : Infinity;
+  let tMaxX = dx !== 0 ? ((dx > 0 ? (ix + 1) * CELL_SIZE - ox : ox - ix * CELL_SIZE) / Math.abs(dx)) : Infinity;
+  let tMaxZ = dz !== 0 ? ((dz > 0 ? (iz + 1) * CELL_SIZE - oz : oz - iz * CELL_SIZE) / Math.abs(dz)) : Infinity;
+
+  let best = Infinity;
+  let tCell = 0;
+  while (tCell <= maxDist && tCell < best) {
+    const list = cells.get(cellKey(ix, iz));
+    if (list) {
+      for (let i = 0; i < list.length; i++) {
+        const c = list[i];
+        if (c.stamp === stamp) continue;
+        c.stamp = stamp;
+        const t = c.type === 'cylinder'
+          ? rayCylinder(ox, oy, oz, dx, dy, dz, c)
+          : raySphere(ox, oy, oz, dx, dy, dz, c);
+        if (t >= 0 && t < best) best = t;
+      }
+    }
+    if (tMaxX < tMaxZ) { tCell = tMaxX; tMaxX += tDeltaX; ix += stepX; }
+    else { tCell = tMaxZ; tMaxZ += tDeltaZ; iz += stepZ; }
+  }
+  return best <= maxDist ? best : Infinity;
+}
+
+// --- ray primitives (return distance along the ray, or -1 for a miss) ---
+function rayCircle(ox, oz, dx, dz, cx, cz, r) {
+  const fx = ox - cx, fz = oz - cz;
+  const a = dx * dx + dz * dz;
+  if (a < 1e-12) return -1;
+  const b = fx * dx + fz * dz;
+  const c = fx * fx + fz * fz - r * r;
+  if (c < 0) return 0; // already inside
+  const disc = b * b - a * c;
+  if (disc < 0) return -1;
+  const t = (-b - Math.sqrt(disc)) / a;
+  return t >= 0 ? t : -1;
+}
+
+function raySphere(ox, oy, oz, dx, dy, dz, s) {
+  const fx = ox - s.x, fy = oy - s.y, fz = oz - s.z;
+  const b = fx * dx + fy * dy + fz * dz;
+  const c = fx * fx + fy * fy + fz * fz - s.radius * s.radius;
+  if (c < 0) return 0;
+  const disc = b * b - c;
+  if (disc < 0) return -1;
+  const t = -b - Math.sqrt(disc);
+  return t >= 0 ? t : -1;
+}
+
+function rayCylinder(ox, oy, oz, dx, dy, dz, c) {
+  const a = dx * dx + dz * dz;
+  if (a < 1e-12) {
+    // straight up/down: hits the cap if the ray starts inside the circle
+    const fx = ox - c.x, fz = oz - c.z;
+    if (fx * fx + fz * fz > c.radius * c.radius) return -1;
+    const capY = dy > 0 ? c.y : c.y + c.height;
+    const t = (capY - oy) / dy;
+    return t >= 0 ? t : -1;
+  }
+  const fx = ox - c.x, fz = oz - c.z;
+  const b = fx * dx + fz * dz;
+  const cc = fx * fx + fz * fz - c.radius * c.radius;
+  const disc = b * b - a * cc;
+  if (disc < 0) return -1;
+  const t = (-b - Math.sqrt(disc)) / a;
+  if (t < 0) return -1;
+  const y = oy + dy * t;
+  return (y >= c.y && y <= c.y + c.height) ? t : -1;
+}
+
+/**
+ * isBlocked(x, y, z, radius, height)
+ * - true if a capsule standing at (x, y, z) would overlap any static collider
+ */
+export function isBlocked(x, y, z, radius, height) {
+  let blocked = false;
+  forEachColliderNear(x, z, radius, (c) => {
+    const r = combinedRadius(c, y, height, radius);
+    if (r <= 0) return false;
+    const dx = x - c.x, dz = z - c.z;
+    blocked = dx * dx + dz * dz < r * r;
+    return blocked;
+  });
+  return blocked;
+}
@@ -0,0 +1,854 @@
+// core.js - headless game simulation: player movement, enemies, combat, death and waves (plain JS, no Three.js or DOM)
+//
+// A game is a plain object made by createGame(); every function here takes
+// it first. Randomness (game.rng), time (game.loop, see src/game-loop.js) and
+// the streamed world (game.world) are plugged in, so the same code runs in
+// the browser and under `node --test`. The core never touches meshes or the
+// HUD: it emits events (see on()) and main.js turns them into models, sounds
+// and messages.
+//
+// The same code is the authoritative world of the multiplayer server
+// (server/world.js): there game.players lists every connected player and
+// the enemies hunt the nearest one. A client playing online sets
+// game.authority = 'remote': it still moves its own player and fires its
+// guns, but the enemies come from the server's snapshots (src/net-client.js)
+// and its hits are only claimed ('hitClaim'), never applied locally.
+//
+// Events:
+//   enemySpawned(enemy)            enemyRemoved(enemy, reason)  reason: 'killed' | 'despawned' | 'reset'
+//   enemyAlerted(enemy)            enemyAttack(enemy, kind)     kind: 'melee' | 'ranged'
+//   enemyHit(enemy, info)          info: { source: 'shot' | 'melee' | 'skill', headshot, heavy, by, amount }
+//   hitClaim(enemy, amount, info)  instead of enemyHit while game.authority is 'remote'
+//   boltFired(bolt)                boltRemoved(bolt)
+//   enemyAttack kinds also include the bosses' specials: 'slam' | 'volley'
+//   playerDamaged(amount, player, from)  from: { x, z } the hit came from, or null
+//   parried(enemy, player)         guardBroken(player)
+//   playerDied(summary, player)    see runSummary(); player is game.state unless on the server
+//   respawn(position)              before the new enemies spawn, so the world can load around it
+//   shot(weapon)  dryFire(weapon)  reload(weapon)   swing(kind)     noShield()  noSword()
+//   footstep()
+//   waveStart({ number, count, boss, night })       waveCleared({ number })
+import { getTerrainHeight, getSpawnPoint } from './terrain.js';
+import { pickWeighted } from './rng.js';
+import { resolveBody, raycastColliders } from './collision.js';
+import { ENEMY_TYPES } from './enemy-types.js';
+import { AI_STATES, initEnemyAI, updateEnemyAI, attackWindup, alertEnemies, provokeEnemy, huntPlayer } from './enemy-ai.js';
+import { createSpatialHash } from './spatial-hash.js';
+import { STARTING_RESERVES, createGunState, currentWeapon, isReloading, setTrigger, startReload, updateGun } from './weapons.js';
+import { createMeleeState, startSwing, updateMelee, setBlocking, resolveBlock, inHitArc, MELEE_TUNING } from './melee.js';
+import { SKILLS, BASE_MAX_MP } from './progression.js';
+import { moveAxis, isActionHeld } from './input.js';
+import { schedule, cancelTimer } from './game-loop.js';
+import { createClock, isNight } from './daynight.js';
+import { WAVE_REST, waveSpec, createRunStats, accuracy } from './waves.js';
+
+// --- TUNING ---
+export const PLAYER_RADIUS = 0.6;
+export const PLAYER_HEIGHT = 1.8;
+export const PLAYER_BASE_MAX_HP = 100;
+export const BASE_WEAPON_DAMAGE = 50;
+const PLAYER_MOVE_SPEED = 25.0;
+const PLAYER_SPRINT_SPEED = 45.0;
+const PLAYER_DRAG = 10;             // per second, horizontal velocity falloff
+const GRAVITY = 30;
+const JUMP_SPEED = 15;
+const STEP_LENGTH = 2.4;            // metres between footstep events
+export const RESPAWN_DELAY = 6;     // seconds; time to read the run summary
+
+const ENEMY_RADIUS = 0.8;
+export const ENEMY_HEIGHT = 1.8;   // also the NPCs' collider height (same rig, main.js)
+const ENEMY_MIN_DISTANCE_BUFFER = 0.15;
+const ENEMY_HASH_CELL = 8;          // cell size of the enemy spatial hash
+export const ENEMY_BOLT_RADIUS = 0.25;
+const ENEMY_BOLT_LIFETIME = 3;      // seconds before a missed bolt fizzles out
+const SLAM_LIFT = 9;                // upward kick a boss slam gives the player
+export const GUNSHOT_LOUDNESS = 1;  // multiplies each enemy type's hearing range
+const KNOCKBACK_DECAY = 8;          // per second, enemy knockback velocity falloff
+const PARRY_STAGGER = 1.5;          // seconds a parried enemy can't attack
+const PARRY_KNOCKBACK = 12;
+
+export const INITIAL_ENEMY_COUNT = 30; // roaming the world on game start / reset, besides the waves
+export const MAX_ENEMIES = 400;        // hard cap of enemies present
+const SPAWN_VIEW_ANGLE = 70;           // degrees either side of the view direction kept free of spawns
+const SPAWN_TRIES = 8;                 // spawn points tried before one in view is taken anyway
+
+/**
+ * createGameState()
+ * - everything the core simulates: the local player (createPlayerState())
+ *   plus the world; main.js adds its own fields (inventory, pickups,
+ *   quests, ...) to the same object
+ */
+export function createGameState() {
+  return {
+    ...createPlayerState(),
+    enemies: [],
+    enemyBolts: [],
+    kills: 0,
+    clock: createClock(), // time of day, see src/daynight.js
+    wave: createWaveState(),
+    run: createRunStats() // stats of the current life, see src/waves.js
+  };
+}
+
+/**
+ * createPlayerState()
+ * - one player: what enemies hunt and hit, and what they need to block
+ * - positions are plain { x, y, z }; prevPosition is the player one step
+ *   back, for interpolated rendering
+ */
+export function createPlayerState() {
+  return {
+    position: { x: 0, y: 0, z: 0 },
+    prevPosition: { x: 0, y: 0, z: 0 },
+    velocity: { x: 0, y: 0, z: 0 },   // camera-relative: z forward/back, x sideways
+    yaw: 0,                           // view heading in radians, set by the view every step
+    onGround: false,
+    stepDistance: 0,                  // metres walked since the last footstep
+    hp: PLAYER_BASE_MAX_HP,
+    maxHp: PLAYER_BASE_MAX_HP,
+    mp: BASE_MAX_MP,
+    maxMp: BASE_MAX_MP,
+    gun: createGunState(),                // magazines, trigger, reload (src/weapons.js)
+    reserves: { ...STARTING_RESERVES },   // reserve ammo per type
+    rapidFireTimer: 0,
+    weaponDamage: BASE_WEAPON_DAMAGE,     // derived from level + equipment by main.js
+    moveSpeedMul: 1,
+    blockReduction: 0,  // from the equipped shield; 0 = can't block
+    hasSword: false,    // a blade in the weapon slot; without one there is no sword mode
+    weaponMode: 'gun',  // 'gun' | 'sword'
+    melee: createMeleeState()
+  };
+}
+
+/**
+ * createWaveState()
+ * - phase 'rest': the next wave starts at game time nextAt
+ * - phase 'fight': `left` of wave `number`'s enemies are still around;
+ *   boss is the wave's boss enemy while it lives
+ */
+function createWaveState() {
+  return { number: 0, phase: 'rest', nextAt: 0, left: 0, boss: null };
+}
+
+/**
+ * createGame(opts)
+ * - opts.state: from createGameState() (a fresh one by default)
+ * - opts.rng: gameplay randomness, () => [0, 1)
+ * - opts.loop: src/game-loop.js loop whose game time runs the timers
+ * - opts.input: src/input.js state the player movement reads
+ * - opts.world: { pickSpawnPoint(x, z, rng) -> { x, z, biome }, isLoaded(x, z),
+ *   update?(position) } - where enemies may appear and stay
+ * - authority: 'local' simulates the enemies, 'remote' leaves them to a
+ *   server; players: the server's player states, null for the one local
+ *   player (game.state)
+ */
+export function createGame(opts) {
+  return {
+    state: opts.state || createGameState(),
+    rng: opts.rng,
+    loop: opts.loop,
+    input: opts.input,
+    world: opts.world,
+    authority: 'local',
+    players: null,
+    hash: createSpatialHash(ENEMY_HASH_CELL), // rebuilt every step
+    listeners: {},
+    nextEnemyId: 1,
+    nextBoltId: 1,
+    waveTimer: null,
+    respawnTimer: null
+  };
+}
+
+// Calls fn(...args) whenever the core emits `type` (see the list at the top).
+export function on(game, type, fn) {
+  (game.listeners[type] || (game.listeners[type] = [])).push(fn);
+}
+
+// Sends an event to the listeners; online, main.js replays the server's messages through it.
+export function emit(game, type, ...args) {
+  const fns = game.listeners[type];
+  if (fns) fns.forEach(fn => fn(...args));
+}
+
+// --- PLAYER ---
+// Puts the player at (x, y, z) without interpolating the jump there.
+export function placePlayer(game, x, y, z) {
+  const s = game.state;
+  s.position.x = s.prevPosition.x = x;
+  s.position.y = s.prevPosition.y = y;
+  s.position.z = s.prevPosition.z = z;
+}
+
+export function jump(game) {
+  const s = game.state;
+  if (s.onGround) s.velocity.y = JUMP_SPEED;
+}
+
+/**
+ * updatePlayerMovement(game, delta)
+ * - keys give full speed, a stick partway pushed moves slower (src/input.js);
+ *   the move is relative to state.yaw
+ * - trees and rocks block the player, the terrain carries them; emits a
+ *   footstep every STEP_LENGTH metres walked on the ground
+ */
+export function updatePlayerMovement(game, delta) {
+  const s = game.state;
+  const v = s.velocity;
+  v.x -= v.x * PLAYER_DRAG * delta;
+  v.z -= v.z * PLAYER_DRAG * delta;
+  v.y -= GRAVITY * delta;
+
+  const axis = moveAxis(game.input);
+  const speed = (isActionHeld(game.input, 'sprint') ? PLAYER_SPRINT_SPEED : PLAYER_MOVE_SPEED) * s.moveSpeedMul;
+  if (axis.y !== 0) v.z -= axis.y * speed * delta;
+  if (axis.x !== 0) v.x -= axis.x * speed * delta;
+
+  // forward is -Z turned by yaw, right is forward x up
+  const sin = Math.sin(s.yaw), cos = Math.cos(s.yaw);
+  const pos = s.position;
+  pos.x += -sin * -v.z * delta + cos * -v.x * delta;
+  pos.z += -cos * -v.z * delta - sin * -v.x * delta;
+  pos.y += v.y * delta;
+
+  resolveBody(pos, PLAYER_RADIUS, PLAYER_HEIGHT);
+
+  const groundHeight = getTerrainHeight(pos.x, pos.z);
+  if (pos.y < groundHeight) {
+    v.y = 0;
+    pos.y = groundHeight;
+    s.onGround = true;
+  } else {
+    s.onGround = false;
+  }
+
+  if (s.onGround) {
+    s.stepDistance += Math.hypot(v.x, v.z) * delta;
+    if (s.stepDistance >= STEP_LENGTH) {
+      s.stepDistance = 0;
+      emit(game, 'footstep');
+    }
+  }
+}
+
+/**
+ * applyDamageToPlayer(game, amount, source, player, from)
+ * - `source` is the attacking enemy for melee hits, so a parry can stagger it
+ * - `from` ({ x, z }, the source's position by default) is where the hit
+ *   came from, for the HUD's damage direction
+ * - with the sword out the block rules of src/melee.js apply first, to hits
+ *   from within MELEE_TUNING.guardArc in front of the player (a hit from
+ *   nowhere in particular goes past the shield)
+ * - at 0 HP the local player respawns after RESPAWN_DELAY seconds of game
+ *   time; the server respawns its players itself
+ */
+export function applyDamageToPlayer(game, amount, source = null, player = game.state, from = source && source.pos) {
+  const s = player;
+  if (s.hp <= 0) return; // already down, waiting for the respawn
+  if (s.weaponMode === 'sword' && inGuard(s, from)) {
+    const block = resolveBlock(s.melee, amount, s.blockReduction);
+    if (block.parried) {
+      if (source) {
+        source.attackCooldown += PARRY_STAGGER;
+        knockBack(source, source.pos.x - s.position.x, source.pos.z - s.position.z, PARRY_KNOCKBACK);
+      }
+      emit(game, 'parried', source, player);
+      return;
+    }
+    if (block.broken) emit(game, 'guardBroken', player);
+    amount = block.damage;
+    if (amount <= 0) return;
+  }
+  s.hp = Math.max(0, s.hp - amount);
+  emit(game, 'playerDamaged', amount, player, from ? { x: from.x, z: from.z } : null);
+  if (s.hp <= 0) {
+    setTrigger(s.gun, false);
+    emit(game, 'playerDied', runSummary(game), player);
+    if (player !== game.state) return;
+    game.respawnTimer = schedule(game.loop, RESPAWN_DELAY, () => {
+      game.respawnTimer = null;
+      respawn(game);
+    });
+  }
+}
+
+// Whether a hit from `from` comes at the front the player's shield faces.
+function inGuard(player, from) {
+  if (!from) return false;
+  const { x, z } = player.position;
+  return inHitArc(x, z, -Math.sin(player.yaw), -Math.cos(player.yaw), from.x, from.z, 0, Infinity, MELEE_TUNING.guardArc);
+}
+
+/**
+ * respawn(game, position)
+ * - back to full health at `position` (e.g. from a save) or the world spawn
+ *   point, with a fresh set of enemies and a new survival run from wave 1
+ *   (online the server's enemies and waves carry on)
+ */
+export function respawn(game, position = null) {
+  const s = game.state;
+  if (game.respawnTimer) cancelTimer(game.loop, game.respawnTimer);
+  game.respawnTimer = null;
+  const spawn = position || getSpawnPoint();
+  const y = position ? position.y : getTerrainHeight(spawn.x, spawn.z) + 0.1;
+  placePlayer(game, spawn.x, y, spawn.z);
+  s.velocity.x = s.velocity.y = s.velocity.z = 0;
+  s.onGround = false;
+  s.hp = s.maxHp;
+  s.mp = s.maxMp;
+  s.rapidFireTimer = 0;
+  s.melee = createMeleeState();
+  setTrigger(s.gun, false);
+  s.run = createRunStats();
+  if (game.authority === 'remote') {
+    emit(game, 'respawn', s.position);
+    return;
+  }
+
+  clearEnemies(game);
+  emit(game, 'respawn', s.position);
+  spawnEnemies(game, INITIAL_ENEMY_COUNT);
+  startWaves(game);
+}
+
+// Removes every enemy and bolt (reason 'reset'), e.g. before a new run or going online.
+export function clearEnemies(game) {
+  const s = game.state;
+  s.enemies.forEach(enemy => emit(game, 'enemyRemoved', enemy, 'reset'));
+  s.enemies = [];
+  game.hash.clear();
+  s.enemyBolts.forEach(bolt => emit(game, 'boltRemoved', bolt));
+  s.enemyBolts = [];
+}
+
+// The players enemies hunt: the server's, or just the local one.
+export function huntedPlayers(game) {
+  return game.players || [game.state];
+}
+
+// The closest living player to (x, z); the closest dead one if nobody lives.
+function nearestPlayer(game, x, z) {
+  let best = null, bestDist = Infinity;
+  huntedPlayers(game).forEach(player => {
+    const d = Math.hypot(player.position.x - x, player.position.z - z) + (player.hp > 0 ? 0 : 1e9);
+    if (d < bestDist) { best = player; bestDist = d; }
+  });
+  return best;
+}
+
+// --- WEAPONS / MELEE ---
+// False (and 'noSword') when drawing a sword with none equipped.
+export function setWeaponMode(game, mode) {
+  const s = game.state;
+  if (mode === 'sword' && !s.hasSword) { emit(game, 'noSword'); return false; }
+  s.weaponMode = mode;
+  setBlocking(s.melee, false);
+  setTrigger(s.gun, false);
+  return true;
+}
+
+// False when the weapon can't reload right now (full, no reserve, busy).
+export function reload(game) {
+  const s = game.state;
+  if (s.weaponMode !== 'gun' || !startReload(s.gun, s.reserves)) return false;
+  emit(game, 'reload', currentWeapon(s.gun));
+  return true;
+}
+
+/**
+ * updateGuns(game, delta)
+ * - trigger / auto fire / bursts / reloads of the current weapon; every shot
+ *   alerts the enemies in earshot and is emitted as 'shot' for the view to
+ *   trace (hitscan) or launch (projectiles)
+ */
+export function updateGuns(game, delta) {
+  const s = game.state;
+  const gs = s.gun;
+  if (s.weaponMode !== 'gun') setTrigger(gs, false);
+  s.rapidFireTimer = Math.max(0, s.rapidFireTimer - delta);
+  const rateMul = s.rapidFireTimer > 0 ? 1 / SKILLS.rapid_fire.effect.cooldownMul : 1;
+  const def = currentWeapon(gs);
+  const result = updateGun(gs, delta, s, rateMul);
+  if (result === 'shot') {
+    // gunfire is loud: everything within earshot comes looking (bows barely make a sound)
+    alertEnemies(s.enemies, s.position.x, s.position.z, GUNSHOT_LOUDNESS * def.loudness);
+    s.run.shots++;
+    emit(game, 'shot', def);
+  } else if (result === 'empty') {
+    emit(game, isReloading(gs) ? 'reload' : 'dryFire', def); // the empty trigger may have started a reload
+  }
+}
+
+export function meleeAttack(game, kind) {
+  const s = game.state;
+  if (s.weaponMode !== 'sword' || !startSwing(s.melee, kind)) return false;
+  emit(game, 'swing', kind);
+  return true;
+}
+
+export function setPlayerBlocking(game, on) {
+  const s = game.state;
+  if (on && s.weaponMode !== 'sword') return;
+  if (on && s.blockReduction <= 0) { emit(game, 'noShield'); return; }
+  setBlocking(s.melee, on);
+}
+
+/**
+ * damageEnemy(game, enemy, amount, info)
+ * - takes HP (the enemy dies on its next update) and turns it on the player
+ *   who hit it (info.by, the local player by default)
+ * - info: { source, headshot, heavy, by } as passed on with 'enemyHit'; shot
+ *   hits count towards the run's accuracy
+ * - online the hit only becomes a 'hitClaim' for the server to check
+ */
+export function damageEnemy(game, enemy, amount, info = {}) {
+  const hit = { source: 'shot', headshot: false, heavy: false, by: game.state, ...info, amount };
+  if (game.authority === 'remote') {
+    emit(game, 'hitClaim', enemy, amount, hit);
+    return;
+  }
+  enemy.hp -= amount;
+  enemy.lastHitBy = hit.by;
+  provokeEnemy(enemy, hit.by.position.x, hit.by.position.z);
+  if (hit.source === 'shot') game.state.run.hits++;
+  emit(game, 'enemyHit', enemy, hit);
+}
+
+// The step a swing lands: every enemy inside the attack's arc in front of the player.
+function meleeHit(game, attack) {
+  const s = game.state;
+  const { x, z } = s.position;
+  const fx = -Math.sin(s.yaw), fz = -Math.cos(s.yaw);
+  forEachEnemyNear(game, x, z, attack.range, (enemy) => {
+    const pos = enemy.pos;
+    if (!inHitArc(x, z, fx, fz, pos.x, pos.z, enemy.radius, attack.range, attack.arc)) return;
+    damageEnemy(game, enemy, Math.round(s.weaponDamage * attack.damageMul), { source: 'melee', heavy: attack.knockback >= 10 });
+    knockBack(enemy, pos.x - x, pos.z - z, attack.knockback);
+  });
+}
+
+// Advances swings/stamina and lands hits.
+export function updateCombat(game, delta) {
+  const hit = updateMelee(game.state.melee, delta);
+  if (hit) meleeHit(game, hit);
+}
+
+// Pushes an enemy away along (dirX, dirZ); bigger enemies budge less.
+export function knockBack(enemy, dirX, dirZ, strength) {
+  const len = Math.hypot(dirX, dirZ);
+  if (len < 1e-6) return;
+  const push = strength / enemy.type.look.scale;
+  enemy.knockX = (enemy.knockX || 0) + dirX / len * push;
+  enemy.knockZ = (enemy.knockZ || 0) + dirZ / len * push;
+}
+
+function tickKnockback(enemy, delta) {
+  if (!enemy.knockX && !enemy.knockZ) return;
+  const pos = enemy.pos;
+  pos.x += enemy.knockX * delta;
+  pos.z += enemy.knockZ * delta;
+  resolveBody(pos, enemy.radius, enemy.height);
+  pos.y = getTerrainHeight(pos.x, pos.z);
+  const keep = Math.max(0, 1 - KNOCKBACK_DECAY * delta);
+  enemy.knockX *= keep;
+  enemy.knockZ *= keep;
+  if (Math.abs(enemy.knockX) + Math.abs(enemy.knockZ) < 0.05) enemy.knockX = enemy.knockZ = 0;
+}
+
+// --- ENEMIES ---
+/**
+ * spawnEnemies(game, count, opts)
+ * - spawns up to `count` new enemies, respecting MAX_ENEMIES; returns how
+ *   many were spawned
+ * - positions come from world.pickSpawnPoint() around a (random) player,
+ *   preferring points outside their view; the type is rolled from that biome (ENEMY_TYPES),
+ *   from its nightEnemies table at night
+ * - opts: { type, wave, hpMul, speedMul } - a fixed type instead, the wave
+ *   the enemies belong to and its difficulty scaling (src/waves.js); wave
+ *   enemies come for the player they spawned around (huntPlayer())
+ */
+export function spawnEnemies(game, count, opts = {}) {
+  const s = game.state;
+  const players = huntedPlayers(game);
+  const toSpawn = players.length ? Math.min(count, Math.max(0, MAX_ENEMIES - s.enemies.length)) : 0;
+  for (let i = 0; i < toSpawn; i++) {
+    const near = players.length > 1 ? players[Math.floor(game.rng() * players.length)] : players[0];
+    const { x, z, biome } = pickHiddenSpawnPoint(game, near);
+    const y = getTerrainHeight(x, z);
+    const table = isNight(s.clock.time) ? biome.nightEnemies : biome.enemies;
+    const type = opts.type || ENEMY_TYPES[pickWeighted(table, game.rng)] || ENEMY_TYPES.grunt;
+    const hp = Math.round(type.hp * (opts.hpMul || 1));
+    const enemy = {
+      id: game.nextEnemyId++,
+      pos: { x, y, z },
+      prevPos: { x, y, z },
+      hp,
+      radius: ENEMY_RADIUS * type.look.scale,
+      height: ENEMY_HEIGHT * type.look.scale,
+      wave: opts.wave || 0,  // 0 = roams the world, not part of a wave
+      windup: 0              // 0-1 while telegraphing an attack, see attackWindup()
+    };
+    initEnemyAI(enemy, type, game.rng);
+    enemy.maxHp = hp;
+    enemy.speed *= opts.speedMul || 1;
+    if (enemy.wave) huntPlayer(enemy, near.position.x, near.position.z);
+    s.enemies.push(enemy);
+    game.hash.insert(enemy, x, z);
+    emit(game, 'enemySpawned', enemy);
+  }
+  return toSpawn;
+}
+
+// A spawn point behind the player if one turns up within SPAWN_TRIES picks.
+function pickHiddenSpawnPoint(game, player) {
+  const s = player;
+  const fx = -Math.sin(s.yaw), fz = -Math.cos(s.yaw);
+  const minCos = Math.cos(SPAWN_VIEW_ANGLE * Math.PI / 180);
+  let point = null;
+  for (let i = 0; i < SPAWN_TRIES; i++) {
+    point = game.world.pickSpawnPoint(s.position.x, s.position.z, game.rng);
+    const dx = point.x - s.position.x, dz = point.z - s.position.z;
+    const len = Math.hypot(dx, dz);
+    if (len < 1e-3 || (dx * fx + dz * fz) / len < minCos) return point;
+  }
+  return point;
+}
+
+// --- WAVES (survival run; sizes, scaling and bosses in src/waves.js) ---
+/**
+ * startWaves(game)
+ * - starts a new run at wave 1: WAVE_REST seconds of rest, then the wave;
+ *   a wave is over once all its enemies are gone, which starts the next rest
+ */
+export function startWaves(game) {
+  game.state.wave = createWaveState();
+  game.state.run = createRunStats();
+  scheduleNextWave(game);
+}
+
+// Cancels the next wave, e.g. when the server takes over the waves.
+export function stopWaves(game) {
+  if (game.waveTimer) cancelTimer(game.loop, game.waveTimer);
+  game.waveTimer = null;
+  game.state.wave = createWaveState();
+}
+
+function scheduleNextWave(game) {
+  const w = game.state.wave;
+  if (game.waveTimer) cancelTimer(game.loop, game.waveTimer);
+  w.phase = 'rest';
+  w.nextAt = game.loop.time + WAVE_REST;
+  game.waveTimer = schedule(game.loop, WAVE_REST, () => {
+    game.waveTimer = null;
+    startWave(game);
+  });
+}
+
+function startWave(game) {
+  const s = game.state;
+  const w = s.wave;
+  const night = isNight(s.clock.time);
+  const spec = waveSpec(w.number + 1, night);
+  const opts = { wave: spec.number, hpMul: spec.hpMul, speedMul: spec.speedMul };
+  w.boss = null;
+  if (spec.bossType && spawnEnemies(game, 1, { ...opts, type: ENEMY_TYPES[spec.bossType] })) {
+    w.boss = s.enemies[s.enemies.length - 1];
+  }
+  const left = (w.boss ? 1 : 0) + spawnEnemies(game, spec.count, opts);
+  if (left === 0) { scheduleNextWave(game); return; } // no room under MAX_ENEMIES: try again after a rest
+  w.number = spec.number;
+  w.phase = 'fight';
+  w.left = left;
+  emit(game, 'waveStart', { number: w.number, count: left, boss: w.boss, night });
+}
+
+// Seconds until the next wave starts (0 while one is being fought).
+export function waveCountdown(game) {
+  const w = game.state.wave;
+  return w.phase === 'rest' ? Math.max(0, w.nextAt - game.loop.time) : 0;
+}
+
+// Every enemy that leaves the game (killed or despawned) counts down its wave.
+function leaveWave(game, enemy) {
+  const s = game.state;
+  const w = s.wave;
+  if (enemy === w.boss) w.boss = null;
+  if (w.phase !== 'fight' || enemy.wave !== w.number) return;
+  w.left--;
+  if (w.left > 0) return;
+  s.run.wavesCleared++;
+  emit(game, 'waveCleared', { number: w.number });
+  scheduleNextWave(game);
+}
+
+/**
+ * runSummary(game)
+ * - the end-of-run numbers: { wave, wavesCleared, kills, shots, hits,
+ *   accuracy (0-1), time (seconds alive) }
+ */
+export function runSummary(game) {
+  const { run, wave } = game.state;
+  return { wave: wave.number, wavesCleared: run.wavesCleared, kills: run.kills, shots: run.shots, hits: run.hits, accuracy: accuracy(run), time: run.time };
+}
+
+/**
+ * forEachEnemyNear(game, x, z, radius, fn)
+ * - fn(enemy, distSq) for every enemy whose body overlaps the circle; shared by
+ *   separation, shot queries and area attacks. Return true from fn to stop.
+ */
+export function forEachEnemyNear(game, x, z, radius, fn) {
+  game.hash.forEachNear(x, z, radius, fn);
+}
+
+function rebuildEnemyHash(game) {
+  game.hash.clear();
+  const enemies = game.state.enemies;
+  for (let i = 0; i < enemies.length; i++) game.hash.insert(enemies[i], enemies[i].pos.x, enemies[i].pos.z);
+}
+
+// Pushes enemies a and b apart if they overlap; each pair is handled once (lower id first).
+function separate(a, b) {
+  if (b.id <= a.id) return;
+  const pa = a.pos, pb = b.pos;
+  const dx = pa.x - pb.x, dz = pa.z - pb.z;
+  const min = a.radius + b.radius + 0.05;
+  const d2 = dx * dx + dz * dz;
+  if (d2 > 0 && d2 < min * min) {
+    const dist = Math.sqrt(d2);
+    const push = (min - dist) * 0.5 / dist;
+    pa.x += dx * push; pa.z += dz * push;
+    pb.x -= dx * push; pb.z -= dz * push;
+  }
+}
+
+/**
+ * updateEnemies(game, delta)
+ * - separation, AI (src/enemy-ai.js), attacks and deaths; enemies whose
+ *   ground was streamed out (world.isLoaded) are dropped
+ */
+export function updateEnemies(game, delta) {
+  const s = game.state;
+  const ctx = { player: null, contactDist: 0, rng: game.rng };
+
+  rebuildEnemyHash(game);
+  for (let i = 0; i < s.enemies.length; i++) {
+    const a = s.enemies[i];
+    forEachEnemyNear(game, a.pos.x, a.pos.z, a.radius + 0.05, (b) => { separate(a, b); });
+  }
+
+  for (let i = s.enemies.length - 1; i >= 0; i--) {
+    const enemy = s.enemies[i];
+    if (!game.world.isLoaded(enemy.pos.x, enemy.pos.z)) {
+      s.enemies.splice(i, 1);
+      emit(game, 'enemyRemoved', enemy, 'despawned');
+      leaveWave(game, enemy);
+      continue;
+    }
+
+    tickKnockback(enemy, delta);
+    const target = nearestPlayer(game, enemy.pos.x, enemy.pos.z);
+    ctx.player = target.position;
+    ctx.contactDist = enemy.radius + PLAYER_RADIUS + ENEMY_MIN_DISTANCE_BUFFER;
+    const wasChasing = enemy.state === AI_STATES.CHASE || enemy.state === AI_STATES.ATTACK;
+    const action = updateEnemyAI(enemy, ctx, delta);
+    enemy.windup = attackWindup(enemy); // for the view's telegraph animation
+    if (!wasChasing && enemy.state === AI_STATES.CHASE) emit(game, 'enemyAlerted', enemy);
+
+    if (action === 'melee') {
+      emit(game, 'enemyAttack', enemy, 'melee');
+      applyDamageToPlayer(game, enemy.type.attack.damage, enemy, target);
+    } else if (action === 'ranged') {
+      emit(game, 'enemyAttack', enemy, 'ranged');
+      fireEnemyBolt(game, enemy, target);
+    } else if (action === 'special') {
+      emit(game, 'enemyAttack', enemy, enemy.type.special.kind);
+      specialAttack(game, enemy, target);
+    }
+
+    if (enemy.hp <= 0) {
+      s.enemies.splice(i, 1);
+      s.kills++;
+      s.run.kills++;
+      emit(game, 'enemyRemoved', enemy, 'killed');
+      leaveWave(game, enemy);
+    }
+  }
+
+  // re-bucket after movement/removals so shots and area queries see this step's positions
+  rebuildEnemyHash(game);
+  updateEnemyBolts(game, delta);
+}
+
+// Boss specials (ENEMY_TYPES[...].special), on top of the regular attack.
+function specialAttack(game, enemy, target) {
+  const special = enemy.type.special;
+  if (special.kind === 'slam') {
+    huntedPlayers(game).forEach(player => {
+      if (Math.hypot(player.position.x - enemy.pos.x, player.position.z - enemy.pos.z) > special.radius) return;
+      applyDamageToPlayer(game, special.damage, enemy, player);
+      player.velocity.y = Math.max(player.velocity.y, SLAM_LIFT); // the ground heaves, blocked or not
+    });
+  } else if (special.kind === 'volley') {
+    const step = special.count > 1 ? special.spread / (special.count - 1) : 0;
+    for (let i = 0; i < special.count; i++) {
+      fireEnemyBolt(game, enemy, target, (i * step - special.spread / 2) * Math.PI / 180, special.damage);
+    }
+  }
+}
+
+// A bolt at `target`, turned sideways by `turn` radians (volleys fan out).
+function fireEnemyBolt(game, enemy, target, turn = 0, damage = enemy.type.attack.damage) {
+  const s = target;
+  const from = { x: enemy.pos.x, y: enemy.pos.y + 1.2 * enemy.type.look.scale, z: enemy.pos.z };
+  let dx = s.position.x - from.x, dz = s.position.z - from.z;
+  const dy = s.position.y + PLAYER_HEIGHT * 0.6 - from.y;
+  if (turn) {
+    const cos = Math.cos(turn), sin = Math.sin(turn);
+    [dx, dz] = [dx * cos - dz * sin, dx * sin + dz * cos];
+  }
+  const len = Math.hypot(dx, dy, dz) || 1;
+  const speed = enemy.type.attack.projectileSpeed;
+  const bolt = {
+    id: game.nextBoltId++,
+    pos: from,
+    prevPos: { ...from },
+    velocity: { x: dx / len * speed, y: dy / len * speed, z: dz / len * speed },
+    damage,
+    life: ENEMY_BOLT_LIFETIME
+  };
+  game.state.enemyBolts.push(bolt);
+  emit(game, 'boltFired', bolt);
+}
+
+function updateEnemyBolts(game, delta) {
+  const s = game.state;
+  const players = huntedPlayers(game);
+
+  for (let i = s.enemyBolts.length - 1; i >= 0; i--) {
+    const bolt = s.enemyBolts[i];
+    const pos = bolt.pos, v = bolt.velocity;
+    const speed = Math.hypot(v.x, v.y, v.z);
+    bolt.life -= delta;
+
+    const blocked = raycastColliders(pos.x, pos.y, pos.z, v.x / speed, v.y / speed, v.z / speed, speed * delta) < Infinity;
+    pos.x += v.x * delta;
+    pos.y += v.y * delta;
+    pos.z += v.z * delta;
+
+    const hit = players.find(player => boltHits(pos, player.position));
+    if (hit) applyDamageToPlayer(game, bolt.damage, null, hit, { x: pos.x - v.x, z: pos.z - v.z }); // from a second back along its path
+    if (hit || blocked || bolt.life <= 0 || pos.y < getTerrainHeight(pos.x, pos.z)) {
+      s.enemyBolts.splice(i, 1);
+      emit(game, 'boltRemoved', bolt);
+    }
+  }
+}
+
+// Capsule-ish test: the vertical distance is relaxed over the player's body height.
+function boltHits(pos, player) {
+  const hitDist = PLAYER_RADIUS + ENEMY_BOLT_RADIUS;
+  const dx = pos.x - player.x, dz = pos.z - player.z;
+  const dy = Math.max(0, Math.abs(pos.y - (player.y + PLAYER_HEIGHT * 0.5)) - PLAYER_HEIGHT * 0.5);
+  return dx * dx + dz * dz + dy * dy < hitDist * hitDist;
+}
+
+// --- REMOTE WORLD (game.authority 'remote', fed by src/net-client.js) ---
+/**
+ * syncRemoteWorld(game, frame, removals)
+ * - makes the enemies, bolts, wave and clock match an interpolated server
+ *   snapshot (sampleSnapshots() in src/net-protocol.js), emitting the same
+ *   spawn/remove events as a local game
+ * - removals: enemy id -> { reason, mine } from the server's enemyRemoved
+ *   messages; an enemy leaving the snapshot is removed with that reason
+ *   ('despawned' without one), and kills that are `mine` count as the
+ *   local player's
+ */
+export function syncRemoteWorld(game, frame, removals) {
+  const s = game.state;
+  const current = new Set();
+  const enemyData = new Map(frame.enemies.map(data => [data.id, data]));
+  for (let i = s.enemies.length - 1; i >= 0; i--) {
+    const enemy = s.enemies[i];
+    const data = enemyData.get(enemy.id);
+    if (data) {
+      enemyData.delete(enemy.id);
+      current.add(enemy.id);
+      Object.assign(enemy.pos, { x: data.x, y: data.y, z: data.z });
+      Object.assign(enemy, { facing: data.facing, hp: data.hp, maxHp: data.maxHp, state: data.state, windup: data.windup || 0 });
+      continue;
+    }
+    const removal = removals.get(enemy.id) || { reason: 'despawned', mine: false };
+    s.enemies.splice(i, 1);
+    enemy.lastHitBy = removal.mine ? s : null;
+    if (removal.reason === 'killed' && removal.mine) { s.kills++; s.run.kills++; }
+    emit(game, 'enemyRemoved', enemy, removal.reason);
+  }
+  enemyData.forEach(data => {
+    const type = ENEMY_TYPES[data.type];
+    if (!type) return;
+    const pos = { x: data.x, y: data.y, z: data.z };
+    const enemy = {
+      id: data.id, type, pos, prevPos: { ...pos }, hp: data.hp, maxHp: data.maxHp,
+      facing: data.facing, state: data.state, wave: data.wave, windup: data.windup || 0,
+      radius: ENEMY_RADIUS * type.look.scale, height: ENEMY_HEIGHT * type.look.scale
+    };
+    current.add(enemy.id);
+    s.enemies.push(enemy);
+    emit(game, 'enemySpawned', enemy);
+  });
+  removals.forEach((removal, id) => { if (!current.has(id)) removals.delete(id); });
+
+  const boltData = new Map(frame.bolts.map(data => [data.id, data]));
+  for (let i = s.enemyBolts.length - 1; i >= 0; i--) {
+    const bolt = s.enemyBolts[i];
+    const data = boltData.get(bolt.id);
+    if (data) {
+      boltData.delete(bolt.id);
+      Object.assign(bolt.pos, { x: data.x, y: data.y, z: data.z });
+      continue;
+    }
+    s.enemyBolts.splice(i, 1);
+    emit(game, 'boltRemoved', bolt);
+  }
+  boltData.forEach(data => {
+    const pos = { x: data.x, y: data.y, z: data.z };
+    const bolt = { id: data.id, pos, prevPos: { ...pos } };
+    s.enemyBolts.push(bolt);
+    emit(game, 'boltFired', bolt);
+  });
+
+  const w = frame.wave;
+  Object.assign(s.wave, {
+    number: w.number, phase: w.phase, left: w.left,
+    nextAt: game.loop.time + w.countdown,
+    boss: s.enemies.find(enemy => enemy.id === w.bossId) || null
+  });
+  s.clock.time = frame.clock;
+}
+
+// --- STEP ---
+// Remembers where everything was before this step (the view interpolates from there).
+function snapshotPositions(game) {
+  const s = game.state;
+  Object.assign(s.prevPosition, s.position);
+  s.enemies.forEach(enemy => Object.assign(enemy.prevPos, enemy.pos));
+  s.enemyBolts.forEach(bolt => Object.assign(bolt.prevPos, bolt.pos));
+}
+
+/**
+ * stepGame(game, delta)
+ * - one fixed step of the core: player, world streaming, enemies, melee
+ *   and guns; timers (waves, respawn) run on game.loop around it
+ * - online only the enemy hash is refreshed: the enemies themselves are
+ *   moved by the server's snapshots
+ */
+export function stepGame(game, delta) {
+  if (game.state.hp > 0) game.state.run.time += delta;
+  snapshotPositions(game);
+  updatePlayerMovement(game, delta);
+  if (game.world.update) game.world.update(game.state.position);
+  if (game.authority === 'remote') rebuildEnemyHash(game);
+  else updateEnemies(game, delta);
+  updateCombat(game, delta);
+  updateGuns(game, delta);
+}
@@ -0,0 +1,84 @@
+// daynight.js - time of day: sun path, sky/light keyframes and the night check (plain JS, no Three.js)
+//
+// Time of day `t` runs from 0 to 1: 0 midnight, 0.25 sunrise, 0.5 noon,
+// 0.75 sunset. Colours are 0xRRGGBB numbers so main.js can hand them to THREE.Color.
+
+export const DAY_LENGTH = 720;  // real seconds per in-game day
+export const DAY_START = 0.3;   // a new game starts in the morning
+
+/**
+ * SKY_KEYS - sorted by t, interpolated linearly (the last key wraps to the first)
+ * - sky: background and fog colour; sunColor / sun: sunlight colour and intensity
+ * - moon: moonlight intensity while the sun is down; hemi: ambient (hemisphere light)
+ * - stars: star/moon opacity; daylight: 0 at night to 1 at noon (scales weather tints)
+ */
+const SKY_KEYS = [
+  { t: 0.00, sky: 0x0b1026, sunColor: 0xff8c5a, sun: 0, moon: 0.35, hemi: 0.18, stars: 1, daylight: 0 },
+  { t: 0.21, sky: 0x0f1633, sunColor: 0xff8c5a, sun: 0, moon: 0.3, hemi: 0.2, stars: 1, daylight: 0 },
+  { t: 0.26, sky: 0xf4a261, sunColor: 0xffa060, sun: 0.5, moon: 0, hemi: 0.45, stars: 0.2, daylight: 0.5 },
+  { t: 0.33, sky: 0x87ceeb, sunColor: 0xffffff, sun: 1.2, moon: 0, hemi: 0.8, stars: 0, daylight: 1 },
+  { t: 0.67, sky: 0x87ceeb, sunColor: 0xffffff, sun: 1.2, moon: 0, hemi: 0.8, stars: 0, daylight: 1 },
+  { t: 0.74, sky: 0xf08a5d, sunColor: 0xff9050, sun: 0.5, moon: 0, hemi: 0.45, stars: 0.2, daylight: 0.5 },
+  { t: 0.79, sky: 0x1c2547, sunColor: 0xff8c5a, sun: 0, moon: 0.3, hemi: 0.22, stars: 0.8, daylight: 0 },
+  { t: 1.00, sky: 0x0b1026, sunColor: 0xff8c5a, sun: 0, moon: 0.35, hemi: 0.18, stars: 1, daylight: 0 }
+];
+
+export function createClock(time = DAY_START) {
+  return { time, day: 1 };
+}
+
+export function advanceClock(clock, delta) {
+  clock.time += delta / DAY_LENGTH;
+  while (clock.time >= 1) {
+    clock.time -= 1;
+    clock.day++;
+  }
+}
+
+/**
+ * sunDirection(t)
+ * - unit vector towards the sun; rises in the east (+x), stands high in the
+ *   south (+z) at noon and is below the horizon (y < 0) at night
+ */
+export function sunDirection(t) {
+  const a = (t - 0.25) * Math.PI * 2;
+  const x = Math.cos(a), y = Math.sin(a), z = 0.35;
+  const len = Math.hypot(x, y, z);
+  return { x: x / len, y: y / len, z: z / len };
+}
+
+// Night is while the sun is below the horizon.
+export function isNight(t) {
+  return t < 0.25 || t > 0.75;
+}
+
+export function lerpColor(a, b, k) {
+  const r = ((a >> 16) & 255) + (((b >> 16) & 255) - ((a >> 16) & 255)) * k;
+  const g = ((a >> 8) & 255) + (((b >> 8) & 255) - ((a >> 8) & 255)) * k;
+  const bl = (a & 255) + ((b & 255) - (a & 255)) * k;
+  return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(bl);
+}
+
+// Sky/light values at time of day t (see SKY_KEYS).
+export function skyAt(t) {
+  let i = 1;
+  while (i < SKY_KEYS.length - 1 && SKY_KEYS[i].t < t) i++;
+  const a = SKY_KEYS[i - 1], b = SKY_KEYS[i];
+  const k = Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t)));
+  const mix = (name) => a[name] + (b[name] - a[name]) * k;
+  return {
+    sky: lerpColor(a.sky, b.sky, k),
+    sunColor: lerpColor(a.sunColor, b.sunColor, k),
+    sun: mix('sun'),
+    moon: mix('moon'),
+    hemi: mix('hemi'),
+    stars: mix('stars'),
+    daylight: mix('daylight')
+  };
+}
+
+// "HH:MM" of time of day t.
+export function formatClock(t) {
+  const minutes = Math.floor(t * 24 * 60 + 1e-6) % (24 * 60); // epsilon: 0.3 * 1440 is 431.99..
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,18 @@
+// dialogue.js - walks the NPC dialogue trees from src/npcs.js (plain JS, no DOM)
+
+/**
+ * optionVisible(option, statusOf)
+ * - an option's `if` ({ available | active | ready | done: questId }) holds
+ *   when statusOf(questId) returns that status; options without `if` always show
+ */
+export function optionVisible(option, statusOf) {
+  if (!option.if) return true;
+  const [status, questId] = Object.entries(option.if)[0];
+  return statusOf(questId) === status;
+}
+
+// The node `nodeId` of an NPC's dialogue with only the options that apply right now.
+export function dialogueNode(npc, nodeId, statusOf) {
+  const node = npc.dialogue[nodeId];
+  return { text: node.text, options: node.options.filter(option => optionVisible(option, statusOf)) };
+}
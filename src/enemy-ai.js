@@ -0,0 +1,349 @@
+// enemy-ai.js - enemy state machine, perception and obstacle-aware movement (plain JS, no Three.js)
+//
+// States:
+//   idle    -> stands around, then picks a patrol point near its home
+//   patrol  -> walks slowly to that point
+//   chase   -> runs at the player (or where it last saw/heard them)
+//   attack  -> melee: in contact and swinging; ranged: in range with line of sight
+//   flee    -> runs away at low HP, settles down somewhere far away
+//   return  -> lost interest, walks back home
+// Any calm state switches to chase when the enemy sees the player, hears a
+// noise (alertEnemies) or gets hurt (provokeEnemy).
+import { findBlockingCollider, resolveBody, raycastColliders } from './collision.js';
+import { findPath, segmentClear } from './pathfinding.js';
+import { getTerrainHeight } from './terrain.js';
+
+export const AI_STATES = {
+  IDLE: 'idle',
+  PATROL: 'patrol',
+  CHASE: 'chase',
+  ATTACK: 'attack',
+  FLEE: 'flee',
+  RETURN: 'return'
+};
+
+const PATROL_RADIUS = 15;
+const PATROL_SPEED = 0.35;      // share of chase speed while idle-walking
+const SENSE_INTERVAL = 0.2;     // seconds between sight checks
+const LOSE_SIGHT_TIME = 6;      // seconds without seeing the player before giving up
+const AVOID_LOOKAHEAD = 4;      // local steering distance around trees/rocks
+const PATH_LOOKAHEAD = 12;      // a blocker within this range triggers A* planning
+const REPATH_INTERVAL = 0.75;
+const WAYPOINT_REACHED = 1.2;
+const EYE_HEIGHT = 1.5;
+export const ATTACK_WINDUP = 0.4; // seconds an attack is telegraphed before it lands
+
+function rollRange([min, max], rng) {
+  return min + rng() * (max - min);
+}
+
+/**
+ * initEnemyAI(enemy, type, rng)
+ * - attaches archetype data and AI bookkeeping to a fresh enemy record;
+ *   enemy.pos ({ x, y, z }) must already be at the spawn point
+ */
+export function initEnemyAI(enemy, type, rng) {
+  const pos = enemy.pos;
+  enemy.type = type;
+  enemy.maxHp = type.hp;
+  enemy.speed = rollRange(type.speed, rng);
+  enemy.attackRate = rollRange(type.attack.cooldown, rng);
+  enemy.attackCooldown = 0;
+  enemy.specialCooldown = type.special ? type.special.cooldown / 2 : 0;
+  enemy.state = AI_STATES.IDLE;
+  enemy.stateTime = 0;
+  enemy.idleFor = 1 + rng() * 4;
+  enemy.home = { x: pos.x, z: pos.z };
+  enemy.goal = null;              // { x, z } the enemy is currently walking to
+  enemy.lastKnown = null;         // where the player was last seen/heard
+  enemy.hunting = false;          // always knows where the player is, see huntPlayer()
+  enemy.seesPlayer = false;
+  enemy.senseIn = rng() * SENSE_INTERVAL;
+  enemy.lostFor = 0;
+  enemy.facing = rng() * Math.PI * 2;
+  enemy.path = null;
+  enemy.pathIndex = 0;
+  enemy.repathIn = 0;
+}
+
+function setState(enemy, next) {
+  if (enemy.state === next) return;
+  enemy.state = next;
+  enemy.stateTime = 0;
+  enemy.path = null;
+}
+
+function isCalm(enemy) {
+  return enemy.state === AI_STATES.IDLE || enemy.state === AI_STATES.PATROL || enemy.state === AI_STATES.RETURN;
+}
+
+// Updates lastKnown in place; this runs every frame while the player is in view.
+function remember(enemy, x, z) {
+  if (enemy.lastKnown) { enemy.lastKnown.x = x; enemy.lastKnown.z = z; }
+  else enemy.lastKnown = { x, z };
+}
+
+function aggro(enemy, x, z) {
+  remember(enemy, x, z);
+  enemy.lostFor = 0;
+  if (enemy.state !== AI_STATES.FLEE && enemy.state !== AI_STATES.ATTACK) setState(enemy, AI_STATES.CHASE);
+}
+
+/**
+ * alertEnemies(enemies, x, z, loudness)
+ * - a noise at (x, z), e.g. gunfire; every enemy within
+ *   senses.hearing * loudness starts hunting towards it
+ */
+export function alertEnemies(enemies, x, z, loudness = 1) {
+  for (let i = 0; i < enemies.length; i++) {
+    const enemy = enemies[i];
+    if (!enemy.type) continue;
+    const range = enemy.type.senses.hearing * loudness;
+    const dx = enemy.pos.x - x, dz = enemy.pos.z - z;
+    if (dx * dx + dz * dz <= range * range) aggro(enemy, x, z);
+  }
+}
+
+// Hurt by the player standing at (x, z): always turns on them.
+export function provokeEnemy(enemy, x, z) {
+  if (enemy.type) aggro(enemy, x, z);
+}
+
+// Wave enemies: they set out for the player at (x, z) and follow them from then on, never giving up.
+export function huntPlayer(enemy, x, z) {
+  enemy.hunting = true;
+  aggro(enemy, x, z);
+}
+
+function canSeePlayer(enemy, player) {
+  const pos = enemy.pos;
+  const senses = enemy.type.senses;
+  const dx = player.x - pos.x, dz = player.z - pos.z;
+  const dist = Math.hypot(dx, dz);
+  if (dist > senses.sight) return false;
+
+  // outside the view cone unless already hunting (then it tracks all around)
+  if (isCalm(enemy) && dist > 1e-3) {
+    const cos = (Math.sin(enemy.facing) * dx + Math.cos(enemy.facing) * dz) / dist;
+    if (cos < Math.cos((senses.fov / 2) * Math.PI / 180)) return false;
+  }
+
+  const scale = enemy.type.look.scale;
+  const ex = pos.x, ey = pos.y + EYE_HEIGHT * scale, ez = pos.z;
+  const ty = player.y + EYE_HEIGHT;
+  const dy = ty - ey;
+  const len = Math.hypot(dx, dy, dz);
+  if (len < 1e-3) return true;
+  return raycastColliders(ex, ey, ez, dx / len, dy / len, dz / len, len) === Infinity;
+}
+
+/**
+ * updateEnemyAI(enemy, ctx, delta)
+ * ctx: { player: {x,y,z}, contactDist: min gap centre-to-centre for melee, rng }
+ * - runs perception, state transitions and movement for one enemy
+ * - returns 'melee' or 'ranged' when the enemy attacks this frame, 'special'
+ *   when its type's special attack (bosses) goes off, else null; the caller
+ *   applies damage / spawns the projectiles
+ */
+export function updateEnemyAI(enemy, ctx, delta) {
+  const pos = enemy.pos;
+  const type = enemy.type;
+  const player = ctx.player;
+  const dx = player.x - pos.x, dz = player.z - pos.z;
+  const dist = Math.hypot(dx, dz);
+
+  enemy.stateTime += delta;
+  enemy.attackCooldown = Math.max(0, enemy.attackCooldown - delta);
+
+  enemy.senseIn -= delta;
+  if (enemy.senseIn <= 0) {
+    enemy.senseIn = SENSE_INTERVAL;
+    enemy.seesPlayer = canSeePlayer(enemy, player);
+  }
+  if (enemy.seesPlayer || enemy.hunting) {
+    remember(enemy, player.x, player.z);
+    enemy.lostFor = 0;
+    if (isCalm(enemy)) setState(enemy, AI_STATES.CHASE);
+  } else {
+    enemy.lostFor += delta;
+  }
+
+  if (type.fleeAt > 0 && enemy.hp < enemy.maxHp * type.fleeAt && enemy.state !== AI_STATES.FLEE) {
+    setState(enemy, AI_STATES.FLEE);
+  }
+  if (readySpecial(enemy, dist, delta)) return 'special';
+
+  switch (enemy.state) {
+    case AI_STATES.IDLE:
+      if (enemy.stateTime >= enemy.idleFor) {
+        const a = ctx.rng() * Math.PI * 2, r = ctx.rng() * PATROL_RADIUS;
+        enemy.goal = { x: enemy.home.x + Math.cos(a) * r, z: enemy.home.z + Math.sin(a) * r };
+        setState(enemy, AI_STATES.PATROL);
+      }
+      return null;
+
+    case AI_STATES.PATROL:
+    case AI_STATES.RETURN: {
+      const goal = enemy.state === AI_STATES.RETURN ? enemy.home : enemy.goal;
+      if (!goal || moveTo(enemy, goal.x, goal.z, enemy.speed * PATROL_SPEED, delta)) {
+        enemy.idleFor = 2 + ctx.rng() * 4;
+        setState(enemy, AI_STATES.IDLE);
+      }
+      return null;
+    }
+
+    case AI_STATES.CHASE: {
+      if (!enemy.hunting && (dist > type.giveUpRange || enemy.lostFor > LOSE_SIGHT_TIME)) {
+        setState(enemy, AI_STATES.RETURN);
+        return null;
+      }
+      if (inAttackPosition(enemy, ctx, dist)) {
+        setState(enemy, AI_STATES.ATTACK);
+        enemy.attackCooldown = Math.max(enemy.attackCooldown, ATTACK_WINDUP); // even the first blow is telegraphed
+        return null;
+      }
+      const target = enemy.seesPlayer ? player : enemy.lastKnown;
+      if (!target) { setState(enemy, AI_STATES.RETURN); return null; }
+      if (moveTo(enemy, target.x, target.z, enemy.speed, delta) && !enemy.seesPlayer) {
+        // reached the spot of the noise / last sighting and found nothing
+        enemy.lastKnown = null;
+      }
+      return null;
+    }
+
+    case AI_STATES.ATTACK:
+      return updateAttack(enemy, ctx, dist, dx, dz, delta);
+
+    case AI_STATES.FLEE: {
+      if (dist > type.giveUpRange * 0.6) {
+        enemy.home = { x: pos.x, z: pos.z };
+        enemy.idleFor = 3 + ctx.rng() * 3;
+        setState(enemy, AI_STATES.IDLE);
+        return null;
+      }
+      const away = dist > 1e-3 ? 1 / dist : 0;
+      moveTo(enemy, pos.x - dx * away * 10, pos.z - dz * away * 10, enemy.speed, delta);
+      return null;
+    }
+  }
+  return null;
+}
+
+// 0-1 progress of the wind-up before the next attack (0 unless one is coming within ATTACK_WINDUP).
+export function attackWindup(enemy) {
+  if (enemy.state !== AI_STATES.ATTACK || enemy.attackCooldown > ATTACK_WINDUP) return 0;
+  return 1 - enemy.attackCooldown / ATTACK_WINDUP;
+}
+
+// The special attack goes off on its own cooldown whenever a hunting enemy has the player in range.
+function readySpecial(enemy, dist, delta) {
+  const special = enemy.type.special;
+  if (!special) return false;
+  enemy.specialCooldown = Math.max(0, enemy.specialCooldown - delta);
+  const hunting = enemy.state === AI_STATES.CHASE || enemy.state === AI_STATES.ATTACK;
+  if (!hunting || enemy.specialCooldown > 0 || dist > special.range) return false;
+  enemy.specialCooldown = special.cooldown;
+  return true;
+}
+
+function inAttackPosition(enemy, ctx, dist) {
+  const attack = enemy.type.attack;
+  if (attack.kind === 'ranged') return enemy.seesPlayer && dist <= attack.range * 0.9;
+  return dist <= ctx.contactDist + attack.range;
+}
+
+function updateAttack(enemy, ctx, dist, dx, dz, delta) {
+  const pos = enemy.pos;
+  const attack = enemy.type.attack;
+  if (dist > 1e-3) enemy.facing = Math.atan2(dx, dz);
+
+  if (attack.kind === 'ranged') {
+    if (!enemy.seesPlayer || dist > attack.range) { setState(enemy, AI_STATES.CHASE); return null; }
+    if (dist < attack.minRange) {
+      // too close for comfort: back off while keeping the player in view
+      moveTo(enemy, pos.x - dx / dist * 5, pos.z - dz / dist * 5, enemy.speed * 0.8, delta);
+      enemy.facing = Math.atan2(dx, dz);
+    }
+    if (enemy.attackCooldown <= 0) {
+      enemy.attackCooldown = enemy.attackRate;
+      return 'ranged';
+    }
+    return null;
+  }
+
+  const reach = ctx.contactDist + attack.range;
+  if (dist > reach + 0.5) { setState(enemy, AI_STATES.CHASE); return null; }
+  if (dist < ctx.contactDist && dist > 1e-3) {
+    // don't overlap the player
+    pos.x = ctx.player.x - dx / dist * ctx.contactDist;
+    pos.z = ctx.player.z - dz / dist * ctx.contactDist;
+  }
+  if (enemy.attackCooldown <= 0) {
+    enemy.attackCooldown = enemy.attackRate;
+    return 'melee';
+  }
+  return null;
+}
+
+/**
+ * moveTo(enemy, tx, tz, speed, delta)
+ * - walks towards (tx, tz): straight with local avoidance when the way is
+ *   mostly clear, along an A* path when a tree/rock blocks the direct line
+ * - keeps the enemy out of colliders and on the terrain
+ * - returns true once the target is reached
+ */
+function moveTo(enemy, tx, tz, speed, delta) {
+  const pos = enemy.pos;
+  const radius = enemy.radius, height = enemy.height;
+  let dx = tx - pos.x, dz = tz - pos.z;
+  const dist = Math.hypot(dx, dz);
+  if (dist < WAYPOINT_REACHED) return true;
+
+  enemy.repathIn -= delta;
+  const needsPath = findBlockingCollider(pos.x, pos.y, pos.z, dx / dist, dz / dist, radius, height, Math.min(dist, PATH_LOOKAHEAD));
+  if (!needsPath) {
+    enemy.path = null;
+  } else if (!enemy.path || enemy.repathIn <= 0) {
+    enemy.path = findPath(pos.x, pos.z, tx, tz, radius, height);
+    enemy.pathIndex = 0;
+    enemy.repathIn = REPATH_INTERVAL;
+  }
+
+  let gx = tx, gz = tz;
+  if (enemy.path) {
+    while (enemy.pathIndex < enemy.path.length) {
+      const wp = enemy.path[enemy.pathIndex];
+      const last = enemy.pathIndex === enemy.path.length - 1;
+      if (Math.hypot(wp.x - pos.x, wp.z - pos.z) > WAYPOINT_REACHED || last) break;
+      enemy.pathIndex++;
+    }
+    const wp = enemy.path[Math.min(enemy.pathIndex, enemy.path.length - 1)];
+    // jump ahead as soon as the next waypoint is directly reachable
+    const next = enemy.path[enemy.pathIndex + 1];
+    if (next && segmentClear(pos, next, radius, height)) enemy.pathIndex++;
+    gx = wp.x; gz = wp.z;
+  }
+
+  dx = gx - pos.x; dz = gz - pos.z;
+  const len = Math.hypot(dx, dz);
+  if (len < 1e-3) return false;
+  let dirX = dx / len, dirZ = dz / len;
+
+  // local steering: sidestep a trunk/rock right in front, on the side we're already offset to
+  const blocker = findBlockingCollider(pos.x, pos.y, pos.z, dirX, dirZ, radius, height, AVOID_LOOKAHEAD);
+  if (blocker) {
+    let sideX = -dirZ, sideZ = dirX;
+    if (sideX * (pos.x - blocker.x) + sideZ * (pos.z - blocker.z) < 0) { sideX = -sideX; sideZ = -sideZ; }
+    const sx = dirX * 0.3 + sideX, sz = dirZ * 0.3 + sideZ;
+    const sl = Math.hypot(sx, sz);
+    dirX = sx / sl; dirZ = sz / sl;
+  }
+
+  const step = Math.min(speed * delta, dist);
+  pos.x += dirX * step;
+  pos.z += dirZ * step;
+  resolveBody(pos, radius, height);
+  pos.y = getTerrainHeight(pos.x, pos.z);
+  enemy.facing = Math.atan2(dirX, dirZ);
+  return false;
+}
@@ -0,0 +1,215 @@
+// enemy-anim.js - procedural animation and death ragdolls for models from enemy-model.js (Three.js)
+//
+// Only meshes move here, the simulation never waits for an animation: the
+// walk cycle follows the speed the view measures, the wind-up follows the
+// AI's enemy.windup (src/enemy-ai.js), strikes and hit reactions are started
+// by the core's events. A killed enemy's model comes apart into pieces that
+// tumble onto the terrain and fade out on materials of their own.
+import * as THREE from 'three';
+import { getTerrainHeight } from './terrain.js';
+import { setEnemyTint } from './enemy-model.js';
+
+const LIMB_HALF = 0.45;        // shoulder/hip to the middle of a limb (CapsuleGeometry(0.15, 0.6))
+const SHOULDER_Y = 1.25;       // model units, before the type's scale
+const HIP_Y = 0.55;
+const STRIDE = 2.2;            // radians of walk cycle per model unit walked
+const RUN_SPEED = 6;           // m/s at which limbs swing their widest
+const LEG_SWING = 0.7;
+const ARM_SWING = 0.5;
+const RUN_LEAN = 0.12;
+const STEP_BOB = 0.06;
+const BREATH = 0.015;          // idle rise and fall of the body
+const WINDUP_ARM = 2.4;        // melee: the striking arm raised back over the shoulder
+const WINDUP_LEAN = 0.2;
+const CAST_ARM = -2;           // ranged: both arms raised in front
+const STRIKE_TIME = 0.3;
+const STRIKE_ARM = -1.1;       // forward and down at the end of a blow
+const STRIKE_LEAN = 0.25;
+const HIT_TIME = 0.3;
+const HIT_LEAN = 0.35;         // tilt away from a full-strength hit
+
+const GRAVITY = 20;
+const BOUNCE = 0.3;            // share of the falling speed kept when a piece hits the ground
+const GROUND_DRAG = 0.05;      // share of sliding speed and spin kept per second on the ground
+const BURST_SPEED = 2.5;       // pieces fly outwards from the body ...
+const PUSH_SPEED = 4;          // ... and along the killing blow
+const CORPSE_TIME = 2.5;       // seconds the pieces lie around before fading
+const FADE_TIME = 1;
+
+export function createEnemyAnim() {
+  return { phase: 0, time: 0, strike: 0, strikeKind: null, hit: 0, hitX: 0, hitZ: 0, hitStrength: 0, pushX: 0, pushZ: 0 };
+}
+
+// Turns a limb by `angle` around the x axis through its shoulder/hip instead of its middle.
+function swingLimb(mesh, pivotY, angle) {
+  mesh.rotation.x = angle;
+  mesh.position.y = pivotY - LIMB_HALF * Math.cos(angle);
+  mesh.position.z = -LIMB_HALF * Math.sin(angle);
+}
+
+/**
+ * animateEnemy(model, anim, pose, delta)
+ * - poses the model for this frame; call after its group was placed and
+ *   turned (the step bob is added to group.position)
+ * - pose: { speed (m/s over the ground), windup (0-1), ranged }
+ */
+export function animateEnemy(model, anim, pose, delta) {
+  const group = model.group;
+  const scale = group.scale.y;
+  anim.time += delta;
+  anim.phase += pose.speed / scale * STRIDE * delta;
+  const gait = Math.min(1, pose.speed / RUN_SPEED);
+  const swing = Math.sin(anim.phase) * gait;
+  let legLeft = swing * LEG_SWING, legRight = -legLeft;
+  let armLeft = -swing * ARM_SWING, armRight = swing * ARM_SWING;
+  let lean = gait * RUN_LEAN;
+
+  if (pose.windup > 0) {
+    if (pose.ranged) {
+      armLeft = armRight = CAST_ARM * pose.windup;
+    } else {
+      armRight = WINDUP_ARM * pose.windup;
+      lean -= WINDUP_LEAN * pose.windup;
+    }
+  }
+
+  if (anim.strike > 0) {
+    anim.strike = Math.max(0, anim.strike - delta);
+    const t = 1 - anim.strike / STRIKE_TIME; // 0 -> 1
+    const out = Math.sin(t * Math.PI);        // there and back
+    if (anim.strikeKind === 'ranged' || anim.strikeKind === 'volley') {
+      armLeft = armRight = CAST_ARM * (1 - t);
+      lean -= 0.1 * out; // the recoil of the cast
+    } else {
+      // from the raised wind-up down through the blow, then back to rest
+      const arm = t < 0.4 ? WINDUP_ARM + (STRIKE_ARM - WINDUP_ARM) * (t / 0.4) : STRIKE_ARM * (1 - (t - 0.4) / 0.6);
+      armRight = arm;
+      if (anim.strikeKind === 'slam') armLeft = arm;
+      lean += STRIKE_LEAN * out;
+    }
+  }
+
+  let tiltX = 0, tiltZ = 0;
+  if (anim.hit > 0) {
+    anim.hit = Math.max(0, anim.hit - delta);
+    const k = anim.hit / HIT_TIME * anim.hitStrength * HIT_LEAN;
+    tiltX = anim.hitZ * k;  // the top of the model moves along the hit
+    tiltZ = -anim.hitX * k;
+  }
+
+  swingLimb(model.legs[0], HIP_Y, legLeft);
+  swingLimb(model.legs[1], HIP_Y, legRight);
+  swingLimb(model.arms[0], SHOULDER_Y, armLeft);
+  swingLimb(model.arms[1], SHOULDER_Y, armRight);
+  group.rotation.order = 'YXZ'; // lean and tilt in the enemy's own frame
+  group.rotation.x = lean + tiltX;
+  group.rotation.z = tiltZ;
+  group.position.y += (Math.abs(Math.cos(anim.phase)) * STEP_BOB * gait + Math.sin(anim.time * 2) * BREATH) * scale;
+}
+
+// Starts the blow of an attack (the core's enemyAttack kinds).
+export function strikeEnemyAnim(anim, kind) {
+  anim.strike = STRIKE_TIME;
+  anim.strikeKind = kind;
+}
+
+/**
+ * hitEnemyAnim(anim, facing, dirX, dirZ, strength)
+ * - flinches away along the world direction (dirX, dirZ) the hit travelled,
+ *   strength 0-1; the direction is also where the pieces fly if it kills
+ */
+export function hitEnemyAnim(anim, facing, dirX, dirZ, strength) {
+  const len = Math.hypot(dirX, dirZ) || 1;
+  dirX /= len; dirZ /= len;
+  anim.hit = HIT_TIME;
+  anim.hitStrength = strength;
+  anim.hitX = dirX * Math.cos(facing) - dirZ * Math.sin(facing); // into the model's frame
+  anim.hitZ = dirX * Math.sin(facing) + dirZ * Math.cos(facing);
+  anim.pushX = dirX;
+  anim.pushZ = dirZ;
+}
+
+// --- DEATH ---
+// Resting height of a piece above the ground: the radius of its geometry.
+function pieceRadius(mesh) {
+  const p = mesh.geometry.parameters || {};
+  return (p.radius ?? p.radiusTop ?? 0.1) * mesh.scale.y;
+}
+
+/**
+ * breakApart(scene, model, anim, random)
+ * - replaces the model in the scene with its loose parts (eyes, horns and
+ *   crown stay on the head), bursting outwards and along the last hit;
+ *   returns the corpse for updateCorpse()
+ * - the parts get their own copies of the type's materials, so fading one
+ *   corpse leaves every other enemy alone
+ */
+export function breakApart(scene, model, anim, random = Math.random) {
+  setEnemyTint(model, null);
+  if (model.hpBar) model.group.remove(model.hpBar.group);
+  const group = model.group;
+  group.updateMatrixWorld(true);
+  [...model.eyes, ...model.extras].forEach(part => model.head.attach(part));
+  const centre = new THREE.Vector3(0, SHOULDER_Y * 0.6, 0).applyMatrix4(group.matrixWorld);
+
+  const copies = new Map(); // pooled material -> this corpse's copy
+  const pieces = [model.body, model.head, ...model.arms, ...model.legs].map(mesh => {
+    scene.attach(mesh); // keeps its world position, turn and scale
+    mesh.traverse(obj => {
+      let copy = copies.get(obj.material);
+      if (!copy) {
+        copy = obj.material.clone();
+        copy.transparent = true;
+        copies.set(obj.material, copy);
+      }
+      obj.material = copy;
+    });
+    const outX = mesh.position.x - centre.x, outZ = mesh.position.z - centre.z;
+    const out = Math.hypot(outX, outZ) || 1;
+    const velocity = new THREE.Vector3(
+      outX / out * BURST_SPEED + anim.pushX * PUSH_SPEED + (random() - 0.5),
+      2 + random() * 3,
+      outZ / out * BURST_SPEED + anim.pushZ * PUSH_SPEED + (random() - 0.5)
+    );
+    const spin = new THREE.Vector3(random() - 0.5, random() - 0.5, random() - 0.5).multiplyScalar(12);
+    return { mesh, velocity, spin, radius: pieceRadius(mesh) };
+  });
+  scene.remove(group);
+  return { pieces, age: 0, materials: [...copies.values()] };
+}
+
+/**
+ * updateCorpse(scene, corpse, delta)
+ * - falls, bounces and slides the pieces on getTerrainHeight(), fades them
+ *   after CORPSE_TIME; returns false once the corpse is gone from the scene
+ */
+export function updateCorpse(scene, corpse, delta) {
+  corpse.age += delta;
+  const drag = Math.pow(GROUND_DRAG, delta);
+  corpse.pieces.forEach(({ mesh, velocity, spin, radius }) => {
+    velocity.y -= GRAVITY * delta;
+    mesh.position.addScaledVector(velocity, delta);
+    mesh.rotation.x += spin.x * delta;
+    mesh.rotation.y += spin.y * delta;
+    mesh.rotation.z += spin.z * delta;
+    const ground = getTerrainHeight(mesh.position.x, mesh.position.z) + radius;
+    if (mesh.position.y > ground) return;
+    mesh.position.y = ground;
+    if (velocity.y < 0) velocity.y = -velocity.y * BOUNCE;
+    velocity.x *= drag;
+    velocity.z *= drag;
+    spin.multiplyScalar(drag);
+  });
+
+  const fade = (corpse.age - CORPSE_TIME) / FADE_TIME;
+  if (fade > 0) corpse.materials.forEach(mat => { mat.opacity = Math.max(0, 1 - fade); });
+  if (fade < 1) return true;
+  removeCorpse(scene, corpse);
+  return false;
+}
+
+// Takes a corpse out of the scene at once and frees its material copies.
+export function removeCorpse(scene, corpse) {
+  corpse.pieces.forEach(piece => scene.remove(piece.mesh));
+  corpse.materials.forEach(mat => mat.dispose());
+}
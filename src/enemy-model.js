@@ -0,0 +1,187 @@
+// enemy-model.js - enemy meshes built from shared geometry/material pools
+//
+// Every enemy of a type shares the same geometries and materials, so spawning
+// allocates no GPU resources and removing an enemy from the scene frees
+// nothing. Hit/attack flashes swap the tinted meshes to a shared flash
+// material instead of mutating a colour.
+import * as THREE from 'three';
+
+export const ENEMY_TINTS = {
+  hit: 0xffff66,
+  melee: 0xff4444,
+  cast: 0xb388ff
+};
+
+export const HP_BAR_WIDTH = 1.2;  // metres
+const HP_BAR_HEIGHT = 0.12;
+const HP_BAR_GAP = 0.35;          // above the top of the head
+
+let geometries = null;
+const typeMaterials = new Map(); // enemy type object -> { body, head, eye, horns, crown }
+const tintMaterials = new Map(); // tint colour -> material
+let eyeMaterial = null;
+let hpBarMaterials = null;        // { back, fill }
+
+function getGeometries() {
+  if (!geometries) {
+    geometries = {
+      body: new THREE.CapsuleGeometry(0.4, 1.0, 4, 8),
+      head: new THREE.SphereGeometry(0.3, 16, 16),
+      eye: new THREE.SphereGeometry(0.05, 8, 8),
+      limb: new THREE.CapsuleGeometry(0.15, 0.6, 4, 8),
+      horn: new THREE.ConeGeometry(0.07, 0.35, 8),
+      crown: new THREE.CylinderGeometry(0.26, 0.22, 0.16, 8, 1, true)
+    };
+    eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+  }
+  return geometries;
+}
+
+function getTypeMaterials(type) {
+  let mats = typeMaterials.get(type);
+  if (!mats) {
+    mats = {
+      body: new THREE.MeshToonMaterial({ color: type.look.bodyColor }),
+      head: new THREE.MeshToonMaterial({ color: type.look.headColor }),
+      eye: type.look.eyeColor === undefined ? null : new THREE.MeshBasicMaterial({ color: type.look.eyeColor }),
+      horns: type.look.horns === undefined ? null : new THREE.MeshToonMaterial({ color: type.look.horns }),
+      crown: type.look.crown === undefined ? null : new THREE.MeshStandardMaterial({ color: type.look.crown, metalness: 0.8, roughness: 0.3, side: THREE.DoubleSide })
+    };
+    typeMaterials.set(type, mats);
+  }
+  return mats;
+}
+
+function getTintMaterial(color) {
+  let mat = tintMaterials.get(color);
+  if (!mat) {
+    mat = new THREE.MeshToonMaterial({ color });
+    tintMaterials.set(color, mat);
+  }
+  return mat;
+}
+
+/**
+ * buildEnemyModel(type)
+ * - returns { group, body, head, eyes, arms: [l, r], legs: [l, r], extras } using
+ *   pooled geometry and the type's pooled materials
+ * - also builds NPCs: anything with a `look` ({ bodyColor, headColor, scale,
+ *   eyeColor? }) works; eyes default to the enemies' red
+ * - extras: the bosses' horns (look.horns) or crown (look.crown) on the head
+ */
+export function buildEnemyModel(type) {
+  const geo = getGeometries();
+  const mats = getTypeMaterials(type);
+  const group = new THREE.Group();
+
+  const body = new THREE.Mesh(geo.body, mats.body); body.position.y = 0.8; body.castShadow = true;
+  const head = new THREE.Mesh(geo.head, mats.head); head.position.y = 1.5; head.castShadow = true;
+  const eyeLeft = new THREE.Mesh(geo.eye, mats.eye || eyeMaterial); eyeLeft.position.set(-0.1, 1.5, 0.25);
+  const eyeRight = new THREE.Mesh(geo.eye, mats.eye || eyeMaterial); eyeRight.position.set(0.1, 1.5, 0.25);
+  const armLeft = new THREE.Mesh(geo.limb, mats.body); armLeft.position.set(-0.5, 0.8, 0); armLeft.castShadow = true;
+  const armRight = new THREE.Mesh(geo.limb, mats.body); armRight.position.set(0.5, 0.8, 0); armRight.castShadow = true;
+  const legLeft = new THREE.Mesh(geo.limb, mats.body); legLeft.position.set(-0.2, 0.1, 0); legLeft.castShadow = true;
+  const legRight = new THREE.Mesh(geo.limb, mats.body); legRight.position.set(0.2, 0.1, 0); legRight.castShadow = true;
+
+  const extras = [];
+  if (mats.horns) {
+    [-1, 1].forEach(side => {
+      const horn = new THREE.Mesh(geo.horn, mats.horns);
+      horn.position.set(side * 0.22, 1.75, 0);
+      horn.rotation.z = -side * 0.6;
+      extras.push(horn);
+    });
+  }
+  if (mats.crown) {
+    const crown = new THREE.Mesh(geo.crown, mats.crown);
+    crown.position.y = 1.78;
+    extras.push(crown);
+  }
+
+  group.add(body, head, eyeLeft, eyeRight, armLeft, armRight, legLeft, legRight, ...extras);
+  group.scale.setScalar(type.look.scale);
+
+  return { group, body, head, eyes: [eyeLeft, eyeRight], arms: [armLeft, armRight], legs: [legLeft, legRight], extras, baseMaterial: mats.body, tint: null };
+}
+
+// Whether a raycast hit on `object` counts as a headshot for this model.
+export function isHeadMesh(model, object) {
+  return object === model.head || object === model.eyes[0] || object === model.eyes[1] || model.extras.includes(object);
+}
+
+/**
+ * setEnemyTint(model, color)
+ * - swaps body and limbs to the shared material for `color`
+ *   (one of ENEMY_TINTS), or back to the type material for null
+ */
+export function setEnemyTint(model, color) {
+  if (model.tint === color) return;
+  model.tint = color;
+  const mat = color === null ? model.baseMaterial : getTintMaterial(color);
+  model.body.material = mat;
+  model.arms[0].material = mat; model.arms[1].material = mat;
+  model.legs[0].material = mat; model.legs[1].material = mat;
+}
+
+function getHpBarMaterials() {
+  if (!hpBarMaterials) {
+    const sprite = (color, opacity) => new THREE.SpriteMaterial({ color, transparent: true, opacity, depthWrite: false });
+    hpBarMaterials = { back: sprite(0x000000, 0.6), fill: sprite(0xff4444, 0.95) };
+  }
+  return hpBarMaterials;
+}
+
+/**
+ * buildHpBar(model, height)
+ * - adds a hidden world-space HP bar HP_BAR_GAP above an enemy `height`
+ *   metres tall (two camera-facing sprites on pooled materials) and returns
+ *   it; fill it with setHpBar()
+ * - the bar keeps its size whatever the type's scale
+ */
+export function buildHpBar(model, height) {
+  const mats = getHpBarMaterials();
+  const group = new THREE.Group();
+  const back = new THREE.Sprite(mats.back);
+  back.scale.set(HP_BAR_WIDTH + 0.06, HP_BAR_HEIGHT + 0.06, 1);
+  const fill = new THREE.Sprite(mats.fill);
+  fill.scale.set(HP_BAR_WIDTH, HP_BAR_HEIGHT, 1);
+  back.renderOrder = 10;
+  fill.renderOrder = 11;
+  group.add(back, fill);
+  const scale = model.group.scale.y;
+  group.position.y = (height + HP_BAR_GAP) / scale;
+  group.scale.setScalar(1 / scale);
+  group.visible = false;
+  model.group.add(group);
+  model.hpBar = { group, fill, ratio: 1 };
+  return model.hpBar;
+}
+
+/**
+ * setHpBar(bar, ratio)
+ * - fills the bar to `ratio` (0-1) from its left end; the fill sprite stays
+ *   anchored at the bar's left edge on screen by moving its centre
+ */
+export function setHpBar(bar, ratio) {
+  ratio = Math.max(0, Math.min(1, ratio));
+  if (bar.ratio === ratio) return;
+  bar.ratio = ratio;
+  bar.fill.visible = ratio > 0;
+  if (ratio <= 0) return;
+  bar.fill.scale.x = HP_BAR_WIDTH * ratio;
+  bar.fill.center.x = 0.5 / ratio;
+}
+
+// Frees every pooled geometry/material; only for tearing down the whole scene.
+export function disposeEnemyAssets() {
+  if (hpBarMaterials) Object.values(hpBarMaterials).forEach(m => m.dispose());
+  hpBarMaterials = null;
+  if (geometries) Object.values(geometries).forEach(g => g.dispose());
+  typeMaterials.forEach(m => [m.body, m.head, m.eye, m.horns, m.crown].forEach(mat => { if (mat) mat.dispose(); }));
+  tintMaterials.forEach(m => m.dispose());
+  if (eyeMaterial) eyeMaterial.dispose();
+  geometries = null;
+  eyeMaterial = null;
+  typeMaterials.clear();
+  tintMaterials.clear();
+}
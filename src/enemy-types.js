@@ -0,0 +1,138 @@
+// enemy-types.js - enemy archetypes as data: looks, stats, attack and AI tuning
+//
+// Biomes pick from these by key (see BIOMES[...].enemies in src/biomes.js).
+// - speed: [min, max] chase speed, rolled per enemy
+// - attack.kind: 'melee' hits on contact (range = gap to the player),
+//   'ranged' fires a bolt from up to `range` and backs off inside `minRange`
+// - attack.cooldown: [min, max] seconds between attacks, rolled per enemy
+// - senses: sight distance, field of view (degrees) and hearing distance
+// - fleeAt: share of max HP below which the enemy runs away (0 = never)
+// - giveUpRange: beyond this distance a chasing enemy loses interest
+// - xp: experience granted for the kill (see src/progression.js)
+// - loot: drop table rolled on death, see rollLoot() in src/loot.js
+// - boss: 'mini' | 'boss' for the leaders of boss waves (src/waves.js); they
+//   never appear in a biome table
+// - special: a boss's own attack on its own cooldown while it hunts the
+//   player within `range`: 'slam' hits the player anywhere inside `radius`
+//   around it, 'volley' fires `count` bolts fanned out over `spread` degrees
+// - look.horns / look.crown: accent colours of the boss models' extra parts
+
+export const ENEMY_TYPES = {
+  grunt: {
+    id: 'grunt',
+    name: 'Grunt',
+    look: { bodyColor: 0x8B0000, headColor: 0x2F4F4F, scale: 1.0 },
+    hp: 100,
+    speed: [6, 9],
+    attack: { kind: 'melee', damage: 10, range: 0.15, cooldown: [1.0, 1.8] },
+    senses: { sight: 45, fov: 140, hearing: 120 },
+    fleeAt: 0.2,
+    giveUpRange: 160,
+    xp: 20,
+    loot: [
+      { kind: 'ammo', chance: 0.7, amount: [8, 15] },
+      { kind: 'arrows', chance: 0.25, amount: [2, 5] },
+      { kind: 'gold', chance: 0.6, amount: [3, 8] },
+      { kind: 'item', id: 'potion', chance: 0.15 }
+    ]
+  },
+  scout: {
+    id: 'scout',
+    name: 'Späher',
+    look: { bodyColor: 0x2E6B1E, headColor: 0x1B2F12, scale: 0.85 },
+    hp: 60,
+    speed: [10, 13],
+    attack: { kind: 'melee', damage: 6, range: 0.1, cooldown: [0.6, 1.0] },
+    senses: { sight: 60, fov: 180, hearing: 160 },
+    fleeAt: 0.35,
+    giveUpRange: 200,
+    xp: 15,
+    loot: [
+      { kind: 'ammo', chance: 0.8, amount: [10, 20] },
+      { kind: 'arrows', chance: 0.5, amount: [4, 8] },
+      { kind: 'gold', chance: 0.4, amount: [2, 5] },
+      { kind: 'item', id: 'swift_ring', chance: 0.03 }
+    ]
+  },
+  brute: {
+    id: 'brute',
+    name: 'Koloss',
+    look: { bodyColor: 0x4A4A5A, headColor: 0x2B2B33, scale: 1.4 },
+    hp: 220,
+    speed: [4, 5.5],
+    attack: { kind: 'melee', damage: 25, range: 0.3, cooldown: [1.8, 2.4] },
+    senses: { sight: 35, fov: 110, hearing: 90 },
+    fleeAt: 0,
+    giveUpRange: 120,
+    xp: 60,
+    loot: [
+      { kind: 'ammo', chance: 1, amount: [20, 30] },
+      { kind: 'gold', chance: 1, amount: [15, 30] },
+      { kind: 'item', id: 'big_potion', chance: 0.3 },
+      { kind: 'item', id: 'leather_armor', chance: 0.06 },
+      { kind: 'item', id: 'runeblade', chance: 0.04 }
+    ]
+  },
+  caster: {
+    id: 'caster',
+    name: 'Runenwirker',
+    look: { bodyColor: 0x4B2A7B, headColor: 0xC9B8FF, scale: 0.95 },
+    hp: 70,
+    speed: [5, 7],
+    attack: { kind: 'ranged', damage: 8, range: 28, minRange: 10, cooldown: [1.8, 2.6], projectileSpeed: 22 },
+    senses: { sight: 55, fov: 150, hearing: 130 },
+    fleeAt: 0.25,
+    giveUpRange: 170,
+    xp: 30,
+    loot: [
+      { kind: 'ammo', chance: 0.5, amount: [6, 12] },
+      { kind: 'gold', chance: 0.8, amount: [6, 14] },
+      { kind: 'item', id: 'potion', chance: 0.25 },
+      { kind: 'item', id: 'rune_shard', chance: 0.5 },
+      { kind: 'item', id: 'vital_amulet', chance: 0.04 }
+    ]
+  },
+  warchief: {
+    id: 'warchief',
+    name: 'Kriegshäuptling',
+    boss: 'mini',
+    look: { bodyColor: 0x7A2E12, headColor: 0x3B1A0C, eyeColor: 0xffc400, horns: 0xE8DCC0, scale: 1.9 },
+    hp: 900,
+    speed: [5.5, 6.5],
+    attack: { kind: 'melee', damage: 28, range: 0.5, cooldown: [1.4, 1.9] },
+    special: { kind: 'slam', range: 7, radius: 7, damage: 22, cooldown: 6 },
+    senses: { sight: 70, fov: 200, hearing: 220 },
+    fleeAt: 0,
+    giveUpRange: 400,
+    xp: 300,
+    loot: [
+      { kind: 'ammo', chance: 1, amount: [40, 60] },
+      { kind: 'arrows', chance: 1, amount: [10, 15] },
+      { kind: 'gold', chance: 1, amount: [60, 100] },
+      { kind: 'item', id: 'big_potion', chance: 1 },
+      { kind: 'item', id: 'runeblade', chance: 0.25 }
+    ]
+  },
+  lich_lord: {
+    id: 'lich_lord',
+    name: 'Lichkönig',
+    boss: 'boss',
+    look: { bodyColor: 0x1E1B3A, headColor: 0xDAD4F5, eyeColor: 0x7CFFCB, crown: 0xFFD54A, scale: 2.3 },
+    hp: 2400,
+    speed: [4.5, 5],
+    attack: { kind: 'ranged', damage: 14, range: 45, minRange: 8, cooldown: [1.2, 1.6], projectileSpeed: 26 },
+    special: { kind: 'volley', range: 45, count: 7, spread: 50, damage: 10, cooldown: 7 },
+    senses: { sight: 90, fov: 220, hearing: 300 },
+    fleeAt: 0,
+    giveUpRange: 500,
+    xp: 1000,
+    loot: [
+      { kind: 'ammo', chance: 1, amount: [80, 120] },
+      { kind: 'arrows', chance: 1, amount: [20, 30] },
+      { kind: 'gold', chance: 1, amount: [200, 300] },
+      { kind: 'item', id: 'big_potion', chance: 1 },
+      { kind: 'item', id: 'vital_amulet', chance: 0.5 },
+      { kind: 'item', id: 'rune_shard', chance: 1, count: 3 }
+    ]
+  }
+};
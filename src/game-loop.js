@@ -0,0 +1,64 @@
+// game-loop.js - fixed-timestep accumulator and game-time timers (plain JS, no Three.js)
+//
+// The simulation always advances in steps of exactly `step` seconds; the
+// renderer draws in between, blending the last two steps by `alpha`. Timers
+// run on the loop's game time, so they freeze with the game while it is paused.
+
+export const SIM_STEP = 1 / 60;   // seconds of game time per simulation step
+const MAX_FRAME = 0.25;           // longer frames (tab switches, hitches) are clamped to this
+const MAX_STEPS = 8;              // per frame; a slow machine runs slow-motion instead of piling up
+
+export function createLoop(step = SIM_STEP) {
+  return { step, accumulator: 0, time: 0, timers: new Map(), nextTimerId: 1 };
+}
+
+/**
+ * stepLoop(loop, frameDelta, simulate)
+ * - adds the (clamped) real time of this frame and calls simulate(step) for
+ *   every whole step that fits, running due timers after each step
+ * - returns alpha (0-1): how far the render time is between the previous
+ *   and the current step
+ */
+export function stepLoop(loop, frameDelta, simulate) {
+  loop.accumulator += Math.min(MAX_FRAME, Math.max(0, frameDelta));
+  let steps = 0;
+  while (loop.accumulator >= loop.step && steps < MAX_STEPS) {
+    simulate(loop.step);
+    loop.time += loop.step;
+    loop.accumulator -= loop.step;
+    runTimers(loop);
+    steps++;
+  }
+  if (steps === MAX_STEPS) loop.accumulator = Math.min(loop.accumulator, loop.step); // drop the backlog
+  return loop.accumulator / loop.step;
+}
+
+// Forgets time gathered so far, e.g. while the game was paused.
+export function holdLoop(loop) {
+  loop.accumulator = 0;
+}
+
+/**
+ * schedule(loop, delay, fn, repeat)
+ * - calls fn after `delay` seconds of game time, then every `repeat`
+ *   seconds if given; returns an id for cancelTimer()
+ */
+export function schedule(loop, delay, fn, repeat = 0) {
+  const id = loop.nextTimerId++;
+  loop.timers.set(id, { id, at: loop.time + delay, fn, repeat });
+  return id;
+}
+
+export function cancelTimer(loop, id) {
+  loop.timers.delete(id);
+}
+
+function runTimers(loop) {
+  // callbacks may schedule or cancel timers, so walk a snapshot
+  for (const timer of Array.from(loop.timers.values())) {
+    if (timer.at > loop.time || !loop.timers.has(timer.id)) continue;
+    if (timer.repeat > 0) timer.at += timer.repeat;
+    else loop.timers.delete(timer.id);
+    timer.fn();
+  }
+}
@@ -0,0 +1,56 @@
+// hit-feedback.js - timings and maths of the combat HUD: damage numbers, damage directions, vignette (plain JS, no Three.js)
+export const DAMAGE_NUMBER_TIME = 0.9;   // seconds a damage number floats
+export const DAMAGE_NUMBER_RISE = 1.2;   // metres it rises meanwhile
+export const MAX_DAMAGE_NUMBERS = 24;    // the oldest go first beyond this
+export const HP_BAR_TIME = 5;            // seconds an enemy's HP bar stays up after its last hit
+export const INDICATOR_TIME = 1.2;       // seconds a damage direction marker takes to fade
+export const MAX_INDICATORS = 4;
+export const VIGNETTE_FADE = 1.5;        // hit flash of the vignette lost per second
+const LOW_HP = 0.3;                      // below this share of max HP the vignette stays up
+const LOW_HP_VIGNETTE = 0.6;             // its strength at 0 HP
+
+// How a hit's number is drawn: 'crit' (headshots), 'heavy', 'skill' or 'normal'.
+export function damageNumberStyle(info) {
+  if (info.headshot) return 'crit';
+  if (info.heavy) return 'heavy';
+  if (info.source === 'skill') return 'skill';
+  return 'normal';
+}
+
+/**
+ * damageNumberMotion(age)
+ * - { rise (metres), opacity, scale } of a number `age` seconds old: it pops
+ *   in, eases upwards and fades out over the last 40 % of DAMAGE_NUMBER_TIME
+ */
+export function damageNumberMotion(age) {
+  const t = Math.min(1, Math.max(0, age / DAMAGE_NUMBER_TIME));
+  return {
+    rise: DAMAGE_NUMBER_RISE * (1 - (1 - t) * (1 - t)),
+    opacity: t < 0.6 ? 1 : 1 - (t - 0.6) / 0.4,
+    scale: t < 0.15 ? 1.5 - t / 0.15 * 0.5 : 1
+  };
+}
+
+/**
+ * damageDirection(yaw, dx, dz)
+ * - screen angle of a hit from (dx, dz) away (world offset from the player):
+ *   radians clockwise from straight ahead for a view turned by `yaw`
+ *   (0 looks down -z), so 0 is in front and PI behind
+ */
+export function damageDirection(yaw, dx, dz) {
+  const ahead = -dx * Math.sin(yaw) - dz * Math.cos(yaw);
+  const right = dx * Math.cos(yaw) - dz * Math.sin(yaw);
+  return Math.atan2(right, ahead);
+}
+
+// Flash a hit of `amount` adds to the vignette: bigger hits glow brighter.
+export function hitFlash(amount, maxHp) {
+  return Math.min(1, 0.35 + 2 * amount / maxHp);
+}
+
+// Vignette opacity (0-1): the fading hit flash over a steady glow at low HP.
+export function vignetteStrength(hp, maxHp, flash) {
+  const ratio = Math.max(0, hp / maxHp);
+  const low = ratio < LOW_HP && hp > 0 ? (1 - ratio / LOW_HP) * LOW_HP_VIGNETTE : 0;
+  return Math.min(1, low + flash);
+}
@@ -0,0 +1,151 @@
+// input.js - device-independent input: actions, a move axis and a look delta (plain JS, no DOM)
+//
+// Keyboard/mouse (main.js), the Gamepad API (pollGamepad() below) and the
+// touch controls (src/touch-ui.js) all feed the same input object; main.js
+// reads it once per frame and then calls endInputFrame().
+//
+// - actions: the keys of ACTIONS in src/settings.js plus 'fire', 'block'
+//   and 'prevWeapon'. An action is held while any source holds it; the
+//   frame it goes down / up it is in `pressed` / `released`
+// - move axis: { x: right, y: forward }, digital keys and analog sticks
+//   combined, at most length 1
+// - look: radians to turn this frame (dx = yaw to the right, dy = pitch down)
+
+/**
+ * GAMEPAD_BUTTONS - standard mapping (https://w3c.github.io/gamepad/#remapping)
+ * button index -> action; triggers count as pressed past half travel
+ */
+export const GAMEPAD_BUTTONS = {
+  0: 'jump', 1: 'swapMode', 2: 'reload', 3: 'interact',
+  4: 'prevWeapon', 5: 'nextWeapon', 6: 'block', 7: 'fire',
+  8: 'map', 9: 'inventory', 10: 'sprint', 11: 'heavyAttack',
+  12: 'skill1', 13: 'skill2', 14: 'skill3', 15: 'skill4'
+};
+
+const GAMEPAD_LOOK_SPEED = 2.6; // radians per second at full stick and sensitivity 1
+const TRIGGER_THRESHOLD = 0.5;
+
+export function createInput() {
+  return {
+    held: {},        // source -> Set of held actions
+    analog: {},      // source -> { x, y } move stick
+    pressed: new Set(),
+    released: new Set(),
+    pressedBy: {},   // action -> source, for this frame's presses
+    look: { dx: 0, dy: 0 },
+    lastSource: null
+  };
+}
+
+export function isActionHeld(input, action) {
+  for (const source in input.held) {
+    if (input.held[source].has(action)) return true;
+  }
+  return false;
+}
+
+/**
+ * setAction(input, source, action, down)
+ * - a source (e.g. 'keyboard', 'gamepad', 'touch') holds or lets go of an
+ *   action; records the press/release edge for this frame
+ */
+export function setAction(input, source, action, down) {
+  if (!action) return;
+  const held = input.held[source] || (input.held[source] = new Set());
+  if (held.has(action) === down) return;
+  const before = isActionHeld(input, action);
+  if (down) held.add(action); else held.delete(action);
+  const after = isActionHeld(input, action);
+  if (!before && after) {
+    input.pressed.add(action);
+    input.pressedBy[action] = source;
+  } else if (before && !after) {
+    input.released.add(action);
+  }
+  input.lastSource = source;
+}
+
+// One-off action without a hold (e.g. a mouse wheel notch).
+export function pulseAction(input, source, action) {
+  input.pressed.add(action);
+  input.pressedBy[action] = source;
+  input.lastSource = source;
+}
+
+// Lets go of everything a source holds (device lost, window blurred, ...).
+export function releaseSource(input, source) {
+  (input.held[source] || new Set()).forEach(action => setAction(input, source, action, false));
+  delete input.analog[source];
+}
+
+export function setAnalogMove(input, source, x, y) {
+  if (x === 0 && y === 0) delete input.analog[source];
+  else input.analog[source] = { x, y };
+}
+
+export function addLook(input, dx, dy) {
+  input.look.dx += dx;
+  input.look.dy += dy;
+}
+
+// Combined move axis { x: right, y: forward } with length <= 1.
+export function moveAxis(input) {
+  let x = Number(isActionHeld(input, 'moveRight')) - Number(isActionHeld(input, 'moveLeft'));
+  let y = Number(isActionHeld(input, 'moveForward')) - Number(isActionHeld(input, 'moveBack'));
+  for (const source in input.analog) {
+    x += input.analog[source].x;
+    y += input.analog[source].y;
+  }
+  const len = Math.hypot(x, y);
+  return len > 1 ? { x: x / len, y: y / len } : { x, y };
+}
+
+// Clears this frame's edges and look delta; call after everything read them.
+export function endInputFrame(input) {
+  input.pressed.clear();
+  input.released.clear();
+  input.pressedBy = {};
+  input.look.dx = 0;
+  input.look.dy = 0;
+}
+
+/**
+ * applyDeadZone(x, y, deadZone)
+ * - radial dead zone, rescaled so the usable range still starts at 0
+ */
+export function applyDeadZone(x, y, deadZone) {
+  const len = Math.hypot(x, y);
+  if (len <= deadZone) return { x: 0, y: 0 };
+  const scale = Math.min(1, (len - deadZone) / (1 - deadZone)) / len;
+  return { x: x * scale, y: y * scale };
+}
+
+/**
+ * pollGamepad(input, pad, options, delta)
+ * - reads one Gamepad (standard mapping) into the 'gamepad' source: left
+ *   stick moves, right stick looks (options.sensitivity, squared response
+ *   for finer aim), buttons per GAMEPAD_BUTTONS; options.deadZone applies
+ *   to both sticks. Pass pad = null when no pad is connected
+ */
+export function pollGamepad(input, pad, options, delta) {
+  if (!pad || !pad.connected) {
+    if (input.held.gamepad) releaseSource(input, 'gamepad');
+    return;
+  }
+  const axes = pad.axes;
+  const move = applyDeadZone(axes[0] || 0, axes[1] || 0, options.deadZone);
+  setAnalogMove(input, 'gamepad', move.x, -move.y);
+  const look = applyDeadZone(axes[2] || 0, axes[3] || 0, options.deadZone);
+  const len = Math.hypot(look.x, look.y);
+  if (len > 0) {
+    const speed = GAMEPAD_LOOK_SPEED * options.sensitivity * len * delta; // len * len overall
+    addLook(input, look.x * speed, look.y * speed);
+    input.lastSource = 'gamepad';
+  }
+  for (const index in GAMEPAD_BUTTONS) {
+    const button = pad.buttons[index];
+    if (!button) continue;
+    const down = index === '6' || index === '7' ? button.value > TRIGGER_THRESHOLD : button.pressed;
+    setAction(input, 'gamepad', GAMEPAD_BUTTONS[index], down);
+  }
+}
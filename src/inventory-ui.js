@@ -0,0 +1,72 @@
+// inventory-ui.js - renders the #inventory panel (equipment, bag grid, stats) from state
+import { ITEMS, EQUIP_SLOTS } from './items.js';
+
+const SLOT_LABELS = { weapon: 'Waffe', armor: 'Rüstung', accessory: 'Accessoire' };
+
+function itemTooltip(def) {
+  const lines = [def.name, def.description];
+  if (def.stats) {
+    if (def.stats.damage) lines.push(`Schaden ${def.stats.damage > 0 ? '+' : ''}${def.stats.damage}`);
+    if (def.stats.maxHp) lines.push(`Max HP ${def.stats.maxHp > 0 ? '+' : ''}${def.stats.maxHp}`);
+    if (def.stats.moveSpeed) lines.push(`Tempo ${def.stats.moveSpeed > 0 ? '+' : ''}${Math.round(def.stats.moveSpeed * 100)}%`);
+    if (def.stats.block) lines.push(`Blocken ${Math.round(def.stats.block * 100)}%`);
+  }
+  return lines.join('\n');
+}
+
+function itemCell(id, count) {
+  const cell = document.createElement('div');
+  cell.className = 'inv-cell';
+  if (!id) return cell;
+  const def = ITEMS[id];
+  cell.classList.add('filled');
+  cell.title = itemTooltip(def);
+  cell.textContent = def.icon;
+  if (count > 1) {
+    const badge = document.createElement('span');
+    badge.className = 'inv-count';
+    badge.textContent = String(count);
+    cell.appendChild(badge);
+  }
+  return cell;
+}
+
+/**
+ * renderInventory(els, inv, stats, handlers)
+ * - els: { equipment, grid, stats } container elements
+ * - stats: { maxHp, damage, moveSpeedMul } of the player, shown under the grid
+ * - handlers: onUse(index), onUnequip(slotName), onMove(from, to)
+ */
+export function renderInventory(els, inv, stats, handlers) {
+  els.equipment.innerHTML = '';
+  EQUIP_SLOTS.forEach(slotName => {
+    const wrap = document.createElement('div');
+    wrap.className = 'equip-slot';
+    const cell = itemCell(inv.equipment[slotName], 1);
+    cell.addEventListener('click', (e) => { e.stopPropagation(); handlers.onUnequip(slotName); });
+    const label = document.createElement('span');
+    label.textContent = SLOT_LABELS[slotName];
+    wrap.appendChild(cell);
+    wrap.appendChild(label);
+    els.equipment.appendChild(wrap);
+  });
+
+  els.grid.innerHTML = '';
+  inv.slots.forEach((slot, index) => {
+    const cell = itemCell(slot && slot.id, slot && slot.count);
+    cell.addEventListener('click', (e) => { e.stopPropagation(); if (slot) handlers.onUse(index); });
+    if (slot) {
+      cell.draggable = true;
+      cell.addEventListener('dragstart', (e) => { e.dataTransfer.setData('text/plain', String(index)); });
+    }
+    cell.addEventListener('dragover', (e) => e.preventDefault());
+    cell.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const from = Number(e.dataTransfer.getData('text/plain'));
+      if (!Number.isNaN(from)) handlers.onMove(from, index);
+    });
+    els.grid.appendChild(cell);
+  });
+
+  els.stats.textContent = `Max HP ${stats.maxHp} · Schaden ${stats.damage} · Tempo ${Math.round(stats.moveSpeedMul * 100)}%`;
+}
@@ -0,0 +1,128 @@
+// inventory.js - slot-based inventory with stacking and equipment slots (plain JS, no DOM)
+//
+// An inventory is { slots: Array<{ id, count } | null>, equipment: { weapon, armor, accessory } }
+// where equipment entries are item ids (or null). All functions mutate in place.
+import { ITEMS, EQUIP_SLOTS } from './items.js';
+
+export function createInventory(size = 24) {
+  const equipment = {};
+  EQUIP_SLOTS.forEach(slot => { equipment[slot] = null; });
+  return { slots: new Array(size).fill(null), equipment };
+}
+
+/**
+ * addItem(inv, id, count)
+ * - fills existing stacks of `id` first, then empty slots
+ * - returns how many did NOT fit (0 when everything was added)
+ */
+export function addItem(inv, id, count = 1) {
+  const def = ITEMS[id];
+  if (!def) throw new Error(`Unknown item: ${id}`);
+  let left = count;
+  for (let i = 0; i < inv.slots.length && left > 0; i++) {
+    const slot = inv.slots[i];
+    if (slot && slot.id === id && slot.count < def.stack) {
+      const add = Math.min(left, def.stack - slot.count);
+      slot.count += add;
+      left -= add;
+    }
+  }
+  for (let i = 0; i < inv.slots.length && left > 0; i++) {
+    if (!inv.slots[i]) {
+      const add = Math.min(left, def.stack);
+      inv.slots[i] = { id, count: add };
+      left -= add;
+    }
+  }
+  return left;
+}
+
+// Removes up to `count` from one slot; returns the number removed.
+export function removeFromSlot(inv, index, count = 1) {
+  const slot = inv.slots[index];
+  if (!slot) return 0;
+  const taken = Math.min(count, slot.count);
+  slot.count -= taken;
+  if (slot.count <= 0) inv.slots[index] = null;
+  return taken;
+}
+
+// Removes up to `count` of item `id` across all slots; returns the number removed.
+export function removeItem(inv, id, count = 1) {
+  let removed = 0;
+  inv.slots.forEach((slot, i) => {
+    if (slot && slot.id === id && removed < count) removed += removeFromSlot(inv, i, count - removed);
+  });
+  return removed;
+}
+
+export function countItem(inv, id) {
+  let n = 0;
+  inv.slots.forEach(slot => { if (slot && slot.id === id) n += slot.count; });
+  return n;
+}
+
+/**
+ * moveSlot(inv, from, to)
+ * - merges into a matching stack where possible, otherwise swaps the slots
+ */
+export function moveSlot(inv, from, to) {
+  if (from === to) return;
+  const a = inv.slots[from], b = inv.slots[to];
+  if (!a) return;
+  if (b && b.id === a.id) {
+    const room = ITEMS[a.id].stack - b.count;
+    const moved = Math.min(room, a.count);
+    b.count += moved;
+    a.count -= moved;
+    if (a.count <= 0) inv.slots[from] = null;
+    return;
+  }
+  inv.slots[from] = b;
+  inv.slots[to] = a;
+}
+
+/**
+ * equipFromSlot(inv, index)
+ * - moves an equippable item into its equipment slot; whatever was equipped
+ *   there goes back into the freed inventory slot
+ * - returns false if the item can't be equipped
+ */
+export function equipFromSlot(inv, index) {
+  const slot = inv.slots[index];
+  if (!slot) return false;
+  const def = ITEMS[slot.id];
+  if (!EQUIP_SLOTS.includes(def.type)) return false;
+  const previous = inv.equipment[def.type];
+  removeFromSlot(inv, index, 1);
+  inv.equipment[def.type] = def.id;
+  if (previous) {
+    if (!inv.slots[index]) inv.slots[index] = { id: previous, count: 1 };
+    else addItem(inv, previous, 1);
+  }
+  return true;
+}
+
+// Puts the item in `slotName` back into the bag; false if the bag is full.
+export function unequip(inv, slotName) {
+  const id = inv.equipment[slotName];
+  if (!id) return false;
+  if (addItem(inv, id, 1) > 0) return false;
+  inv.equipment[slotName] = null;
+  return true;
+}
+
+/**
+ * getEquipmentStats(inv)
+ * - sums the stats of everything equipped: { maxHp, damage, moveSpeed, block }
+ */
+export function getEquipmentStats(inv) {
+  const total = { maxHp: 0, damage: 0, moveSpeed: 0, block: 0 };
+  EQUIP_SLOTS.forEach(slot => {
+    const id = inv.equipment[slot];
+    const stats = id && ITEMS[id].stats;
+    if (!stats) return;
+    for (const key in total) total[key] += stats[key] || 0;
+  });
+  return total;
+}
@@ -0,0 +1,65 @@
+// items.js - item definitions
+//
+// - type: 'weapon' | 'armor' | 'accessory' (equippable into the slot of the
+//   same name), 'consumable' (used from the inventory) or 'material'
+// - stack: max count per inventory slot
+// - stats (equipment): maxHp (flat), damage (flat weapon damage), moveSpeed (+share, 0.1 = +10%),
+//   block (share of a hit absorbed while blocking; the sword can only block with one)
+// - effect (consumables): { heal }
+
+export const EQUIP_SLOTS = ['weapon', 'armor', 'accessory'];
+export const POTION_COOLDOWN = 2; // seconds between two healing consumables (the server holds to it too)
+
+export const ITEMS = {
+  sword: {
+    id: 'sword', name: 'Schwert', icon: '⚔️', type: 'weapon', stack: 1,
+    description: 'Solide Klinge. Erhöht den Waffenschaden.',
+    stats: { damage: 10 }
+  },
+  runeblade: {
+    id: 'runeblade', name: 'Runenklinge', icon: '🗡️', type: 'weapon', stack: 1,
+    description: 'Leuchtende Runen verstärken jeden Treffer.',
+    stats: { damage: 25 }
+  },
+  shield: {
+    id: 'shield', name: 'Schild', icon: '🛡️', type: 'armor', stack: 1,
+    description: 'Hölzerner Rundschild. Erlaubt Blocken und Parieren.',
+    stats: { maxHp: 25, block: 0.7 }
+  },
+  leather_armor: {
+    id: 'leather_armor', name: 'Lederrüstung', icon: '🥋', type: 'armor', stack: 1,
+    description: 'Leicht und zäh.',
+    stats: { maxHp: 40, moveSpeed: -0.05 }
+  },
+  swift_ring: {
+    id: 'swift_ring', name: 'Ring der Eile', icon: '💍', type: 'accessory', stack: 1,
+    description: 'Beflügelt die Schritte.',
+    stats: { moveSpeed: 0.15 }
+  },
+  vital_amulet: {
+    id: 'vital_amulet', name: 'Lebensamulett', icon: '📿', type: 'accessory', stack: 1,
+    description: 'Pulsiert im Takt deines Herzens.',
+    stats: { maxHp: 20, damage: 5 }
+  },
+  potion: {
+    id: 'potion', name: 'Trank', icon: '🧪', type: 'consumable', stack: 10,
+    description: 'Heilt 40 HP.',
+    effect: { heal: 40 }
+  },
+  big_potion: {
+    id: 'big_potion', name: 'Großer Trank', icon: '⚗️', type: 'consumable', stack: 5,
+    description: 'Heilt 100 HP.',
+    effect: { heal: 100 }
+  },
+  rune_shard: {
+    id: 'rune_shard', name: 'Runensplitter', icon: '🔷', type: 'material', stack: 20,
+    description: 'Glimmt schwach. Heilerin Mira kann damit etwas anfangen.'
+  }
+};
+
+// What a new character starts with (matches the old static inventory list).
+export const STARTING_ITEMS = [
+  { id: 'sword', count: 1 },
+  { id: 'shield', count: 1 },
+  { id: 'potion', count: 3 }
+];
@@ -0,0 +1,25 @@
+// loot.js - rolls enemy drop tables into concrete drops (plain JS, no Three.js)
+//
+// A table is a list of independent entries, each rolled on its own:
+// - { kind: 'ammo' | 'arrows' | 'gold', chance, amount: [min, max] }
+// - { kind: 'item', id, chance, count? }  (id from ITEMS in src/items.js)
+
+/**
+ * rollLoot(table, random)
+ * - returns the drops that came up: [{ kind, id?, amount }]
+ * - `random` is a [0, 1) source such as mulberry32(); amounts are whole numbers
+ */
+export function rollLoot(table, random) {
+  const drops = [];
+  if (!table) return drops;
+  for (const entry of table) {
+    if (random() >= entry.chance) continue;
+    if (entry.kind === 'item') {
+      drops.push({ kind: 'item', id: entry.id, amount: entry.count || 1 });
+    } else {
+      const [min, max] = entry.amount;
+      drops.push({ kind: entry.kind, amount: min + Math.floor(random() * (max - min + 1)) });
+    }
+  }
+  return drops;
+}
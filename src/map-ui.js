@@ -0,0 +1,189 @@
+// map-ui.js - draws the #minimap, the #world-map canvas and the waypoint markers over the 3D view
+//
+// Everything here is drawn from a plain data object built by main.js:
+// { player: { x, z, yaw }, enemies: [{ x, z }], props: [{ x, z, type }],
+//   markers: [{ x, z, color }] (quest givers / targets), waypoints: [{ x, z, color }] }
+import { worldToMap, toMinimap } from './map.js';
+
+const PROP_COLORS = { cylinder: '#1f6b2a', sphere: '#8a8a80' }; // trees / rocks, by collider type
+const ENEMY_COLOR = '#ff4757';
+
+function css(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function dot(ctx, x, y, r, fill) {
+  ctx.fillStyle = fill;
+  ctx.beginPath();
+  ctx.arc(x, y, r, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function diamond(ctx, x, y, r, fill) {
+  ctx.fillStyle = fill;
+  ctx.strokeStyle = '#000';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x, y - r); ctx.lineTo(x + r, y); ctx.lineTo(x, y + r); ctx.lineTo(x - r, y);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+}
+
+// Arrow at (x, y) pointing `angle` radians clockwise from up.
+function playerArrow(ctx, x, y, angle, size) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(angle);
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = '#000';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(0, -size); ctx.lineTo(size * 0.7, size); ctx.lineTo(0, size * 0.5); ctx.lineTo(-size * 0.7, size);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * drawMinimap(canvas, data, range, terrain)
+ * - round map of everything within `range` metres, turned so the camera's
+ *   view direction is up; quest markers and waypoints further out stick to the rim
+ * - terrain: { canvas, x, z, size } shaded heightfield of a size x size metre
+ *   square centred on (x, z), or null
+ */
+export function drawMinimap(canvas, data, range, terrain) {
+  const ctx = canvas.getContext('2d');
+  const size = canvas.width, c = size / 2;
+  const k = (c - 4) / range; // pixels per metre
+  const { player } = data;
+  ctx.clearRect(0, 0, size, size);
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(c, c, c - 2, 0, Math.PI * 2);
+  ctx.clip();
+  ctx.fillStyle = '#111a22';
+  ctx.fillRect(0, 0, size, size);
+
+  if (terrain) {
+    // same rotation as toMinimap(), applied to the whole image
+    ctx.save();
+    ctx.translate(c, c);
+    ctx.scale(k, k);
+    ctx.rotate(player.yaw);
+    ctx.globalAlpha = 0.75;
+    ctx.drawImage(terrain.canvas, terrain.x - terrain.size / 2 - player.x, terrain.z - terrain.size / 2 - player.z, terrain.size, terrain.size);
+    ctx.restore();
+  }
+
+  const place = (x, z) => {
+    const p = toMinimap(x - player.x, z - player.z, player.yaw);
+    return { x: c + p.x * k, y: c + p.y * k, dist: Math.hypot(p.x, p.y) };
+  };
+  data.props.forEach(prop => {
+    const p = place(prop.x, prop.z);
+    if (p.dist < range) dot(ctx, p.x, p.y, 1.5, PROP_COLORS[prop.type] || PROP_COLORS.sphere);
+  });
+  data.enemies.forEach(enemy => {
+    const p = place(enemy.x, enemy.z);
+    if (p.dist < range) dot(ctx, p.x, p.y, 2.5, ENEMY_COLOR);
+  });
+  const pinned = (item, r) => {
+    const p = place(item.x, item.z);
+    if (p.dist > range) { // clamp to the rim
+      p.x = c + (p.x - c) * (range / p.dist);
+      p.y = c + (p.y - c) * (range / p.dist);
+    }
+    diamond(ctx, p.x, p.y, r, css(item.color));
+  };
+  data.markers.forEach(marker => pinned(marker, 4));
+  data.waypoints.forEach(waypoint => pinned(waypoint, 5));
+  ctx.restore();
+
+  const north = toMinimap(0, -1, player.yaw);
+  ctx.fillStyle = '#4deeea';
+  ctx.font = 'bold 11px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('N', c + north.x * (c - 9), c + north.y * (c - 9));
+  playerArrow(ctx, c, c, 0, 6);
+}
+
+/**
+ * drawWorldMap(canvas, view, data, image)
+ * - image: { canvas, view } heightfield rendered for an earlier view; it is
+ *   stretched to fit the current one until main.js renders a fresh one
+ */
+export function drawWorldMap(canvas, view, data, image) {
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width, h = canvas.height;
+  ctx.fillStyle = '#0b1016';
+  ctx.fillRect(0, 0, w, h);
+
+  if (image) {
+    const iv = image.view, cols = image.canvas.width, rows = image.canvas.height;
+    const topLeft = worldToMap(view, iv.cx - (cols / 2) * iv.scale, iv.cz - (rows / 2) * iv.scale, w, h);
+    const stretch = iv.scale / view.scale;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(image.canvas, topLeft.x, topLeft.y, cols * stretch, rows * stretch);
+  }
+
+  data.markers.forEach(marker => {
+    const p = worldToMap(view, marker.x, marker.z, w, h);
+    diamond(ctx, p.x, p.y, 6, css(marker.color));
+  });
+  ctx.font = 'bold 11px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  data.waypoints.forEach((waypoint, i) => {
+    const p = worldToMap(view, waypoint.x, waypoint.z, w, h);
+    diamond(ctx, p.x, p.y, 8, css(waypoint.color));
+    ctx.fillStyle = '#000';
+    ctx.fillText(String(i + 1), p.x, p.y + 1);
+  });
+
+  const { player } = data;
+  const p = worldToMap(view, player.x, player.z, w, h);
+  playerArrow(ctx, p.x, p.y, -player.yaw, 9); // yaw 0 looks north (-z), turning left is +yaw
+  drawScaleBar(ctx, view, h);
+}
+
+// Scale bar in the bottom-left corner, rounded to 1/2/5 x 10^n metres.
+function drawScaleBar(ctx, view, h) {
+  const target = 120 * view.scale;
+  const pow = Math.pow(10, Math.floor(Math.log10(target)));
+  const metres = [5, 2, 1].map(m => m * pow).find(m => m <= target) || pow;
+  const px = metres / view.scale;
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(20, h - 20); ctx.lineTo(20 + px, h - 20);
+  ctx.stroke();
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'left';
+  ctx.fillText(metres >= 1000 ? `${metres / 1000} km` : `${metres} m`, 20, h - 32);
+}
+
+/**
+ * renderWaypointMarkers(container, markers)
+ * - one label per waypoint over the 3D view: { x, y, label, color, edge }
+ *   in screen pixels; edge = the waypoint is off screen and the label is
+ *   pinned to the border
+ */
+export function renderWaypointMarkers(container, markers) {
+  while (container.children.length > markers.length) container.lastChild.remove();
+  while (container.children.length < markers.length) {
+    const el = document.createElement('div');
+    el.className = 'waypoint-marker';
+    container.appendChild(el);
+  }
+  markers.forEach((marker, i) => {
+    const el = container.children[i];
+    el.textContent = `◆ ${marker.label}`;
+    el.style.color = css(marker.color);
+    el.style.left = `${marker.x}px`;
+    el.style.top = `${marker.y}px`;
+    el.classList.toggle('edge', marker.edge);
+  });
+}
@@ -0,0 +1,128 @@
+// map.js - map projection, elevation colours and waypoints (plain JS, no DOM)
+//
+// A map view is { cx, cz, scale }: the world point at the canvas centre and
+// metres per canvas pixel. North (-z) is up on the world map; the minimap
+// turns with the camera instead, see toMinimap().
+import { WATER_LEVEL, HIGHLAND_HEIGHT } from './biomes.js';
+
+export const MAP_SCALE = { min: 0.5, max: 40 }; // metres per pixel
+export const MAX_WAYPOINTS = 5;
+export const WAYPOINT_COLORS = [0xff9ff3, 0x54a0ff, 0xfeca57, 0x1dd1a1, 0xff6b6b];
+
+// Elevation -> colour stops, interpolated linearly (deep water to snow).
+const ELEVATION_STOPS = [
+  [WATER_LEVEL - 25, [20, 50, 110]],
+  [WATER_LEVEL, [60, 130, 200]],
+  [WATER_LEVEL + 0.01, [216, 198, 144]],
+  [WATER_LEVEL + 3, [120, 190, 70]],
+  [HIGHLAND_HEIGHT * 0.6, [60, 130, 45]],
+  [HIGHLAND_HEIGHT, [140, 140, 120]],
+  [HIGHLAND_HEIGHT + 40, [110, 105, 100]],
+  [HIGHLAND_HEIGHT + 70, [245, 245, 250]]
+];
+
+export function createMapView(cx, cz, scale = 4) {
+  return { cx, cz, scale };
+}
+
+// World point -> canvas pixel for a w x h canvas.
+export function worldToMap(view, x, z, w, h) {
+  return { x: w / 2 + (x - view.cx) / view.scale, y: h / 2 + (z - view.cz) / view.scale };
+}
+
+export function mapToWorld(view, px, py, w, h) {
+  return { x: view.cx + (px - w / 2) * view.scale, z: view.cz + (py - h / 2) * view.scale };
+}
+
+// Moves the view by a drag of (dx, dy) pixels.
+export function panMapView(view, dx, dy) {
+  view.cx -= dx * view.scale;
+  view.cz -= dy * view.scale;
+}
+
+/**
+ * zoomMapView(view, factor, px, py, w, h)
+ * - factor > 1 zooms out; the world point under pixel (px, py) stays put
+ */
+export function zoomMapView(view, factor, px, py, w, h) {
+  const anchor = mapToWorld(view, px, py, w, h);
+  view.scale = Math.min(MAP_SCALE.max, Math.max(MAP_SCALE.min, view.scale * factor));
+  view.cx = anchor.x - (px - w / 2) * view.scale;
+  view.cz = anchor.z - (py - h / 2) * view.scale;
+}
+
+/**
+ * toMinimap(dx, dz, yaw)
+ * - offset (dx, dz) from the player -> minimap offset in metres with the
+ *   camera's view direction up; yaw is camera.rotation.y
+ */
+export function toMinimap(dx, dz, yaw) {
+  const sin = Math.sin(yaw), cos = Math.cos(yaw);
+  return { x: dx * cos - dz * sin, y: dx * sin + dz * cos };
+}
+
+export function elevationColor(height) {
+  if (height <= ELEVATION_STOPS[0][0]) return ELEVATION_STOPS[0][1];
+  for (let i = 1; i < ELEVATION_STOPS.length; i++) {
+    const [h1, c1] = ELEVATION_STOPS[i];
+    if (height > h1) continue;
+    const [h0, c0] = ELEVATION_STOPS[i - 1];
+    const t = (height - h0) / (h1 - h0);
+    return [c0[0] + (c1[0] - c0[0]) * t, c0[1] + (c1[1] - c0[1]) * t, c0[2] + (c1[2] - c0[2]) * t];
+  }
+  return ELEVATION_STOPS[ELEVATION_STOPS.length - 1][1];
+}
+
+/**
+ * shadeHeightfield(view, cols, rows, heightAt)
+ * - samples heightAt(x, z) on a cols x rows grid covering a view of a canvas
+ *   that size and returns RGBA pixels (for ImageData), elevation-coloured
+ *   and hill-shaded from the north-west
+ */
+export function shadeHeightfield(view, cols, rows, heightAt) {
+  const pixels = new Uint8ClampedArray(cols * rows * 4);
+  const x0 = view.cx - (cols / 2) * view.scale;
+  const z0 = view.cz - (rows / 2) * view.scale;
+  let above = new Float32Array(cols);
+  let row = new Float32Array(cols);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const h = heightAt(x0 + i * view.scale, z0 + j * view.scale);
+      row[i] = h;
+      const west = i > 0 ? row[i - 1] : h;
+      const north = j > 0 ? above[i] : h;
+      // slope towards the light, per metre, so the shading doesn't depend on zoom
+      const slope = ((h - west) + (h - north)) / view.scale;
+      const light = h < WATER_LEVEL ? 1 : Math.min(1.3, Math.max(0.6, 1 + slope * 0.8));
+      const [r, g, b] = elevationColor(h);
+      const k = (j * cols + i) * 4;
+      pixels[k] = r * light; pixels[k + 1] = g * light; pixels[k + 2] = b * light; pixels[k + 3] = 255;
+    }
+    [above, row] = [row, above];
+  }
+  return pixels;
+}
+
+/**
+ * addWaypoint(list, x, z)
+ * - appends a waypoint { x, z, color }; the oldest one goes once there
+ *   are MAX_WAYPOINTS
+ */
+export function addWaypoint(list, x, z) {
+  if (list.length >= MAX_WAYPOINTS) list.shift();
+  const used = new Set(list.map(w => w.color));
+  const color = WAYPOINT_COLORS.find(c => !used.has(c)) || WAYPOINT_COLORS[0];
+  list.push({ x, z, color });
+}
+
+// Removes the waypoint nearest to (x, z) within `radius`; false if none is.
+export function removeWaypointNear(list, x, z, radius) {
+  let best = -1, bestDist = radius;
+  list.forEach((w, i) => {
+    const d = Math.hypot(w.x - x, w.z - z);
+    if (d <= bestDist) { best = i; bestDist = d; }
+  });
+  if (best < 0) return false;
+  list.splice(best, 1);
+  return true;
+}
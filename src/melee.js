@@ -0,0 +1,147 @@
+// melee.js - sword combat: combo timing, stamina, hit arcs and block/parry (plain JS, no Three.js)
+//
+// src/core.js owns the enemies (main.js their meshes); this module only decides *when*
+// a swing connects and *what* it does. A melee state is created once per
+// player with createMeleeState() and advanced every frame by updateMelee().
+
+/**
+ * MELEE_ATTACKS
+ * - light: the combo chain; swinging again within MELEE_TUNING.comboWindow
+ *   after a swing ends continues with the next step, the last one is the finisher
+ * - heavy: a slow, wide swing that always starts a new combo
+ * - damageMul scales the player's weapon damage, range/arc (degrees) shape
+ *   the hit area in front of the camera, windup is the delay until the hit
+ *   lands, recover the time after it before the next swing
+ */
+export const MELEE_ATTACKS = {
+  light: [
+    { name: 'Hieb', damageMul: 0.6, range: 2.6, arc: 100, windup: 0.08, recover: 0.2, stamina: 12, knockback: 4 },
+    { name: 'Rückhand', damageMul: 0.7, range: 2.6, arc: 110, windup: 0.08, recover: 0.2, stamina: 12, knockback: 4 },
+    { name: 'Finisher', damageMul: 1.1, range: 2.9, arc: 140, windup: 0.12, recover: 0.35, stamina: 16, knockback: 10 }
+  ],
+  heavy: { name: 'Schwerer Hieb', damageMul: 1.8, range: 3.2, arc: 160, windup: 0.35, recover: 0.45, stamina: 30, knockback: 14 }
+};
+
+export const MELEE_TUNING = {
+  maxStamina: 100,
+  staminaRegen: 25,          // per second
+  regenDelay: 0.6,           // seconds without regen after spending stamina
+  comboWindow: 0.5,
+  parryWindow: 0.2,          // a hit this soon after raising the shield is parried
+  guardArc: 140,             // degrees around the view the raised shield covers
+  blockStaminaPerDamage: 0.5
+};
+
+export function createMeleeState() {
+  return {
+    stamina: MELEE_TUNING.maxStamina,
+    regenDelay: 0,
+    swing: null,        // { kind, step, attack, time, hitDone }
+    comboStep: -1,
+    comboTimer: 0,
+    blocking: false,
+    blockTime: 0
+  };
+}
+
+function spendStamina(ms, amount) {
+  ms.stamina -= amount;
+  ms.regenDelay = MELEE_TUNING.regenDelay;
+}
+
+/**
+ * startSwing(ms, kind)
+ * - kind: 'light' | 'heavy'; returns the started attack, or null while
+ *   swinging/blocking or without enough stamina
+ */
+export function startSwing(ms, kind) {
+  if (ms.swing || ms.blocking) return null;
+  let step = 0;
+  let attack = MELEE_ATTACKS.heavy;
+  if (kind === 'light') {
+    const chain = MELEE_ATTACKS.light;
+    step = ms.comboTimer > 0 ? (ms.comboStep + 1) % chain.length : 0;
+    attack = chain[step];
+  }
+  if (ms.stamina < attack.stamina) return null;
+  spendStamina(ms, attack.stamina);
+  ms.swing = { kind, step, attack, time: 0, hitDone: false };
+  ms.comboTimer = 0;
+  return attack;
+}
+
+/**
+ * updateMelee(ms, delta)
+ * - regenerates stamina, runs the combo window and the current swing
+ * - returns the swing's attack on the frame its hit lands, otherwise null
+ */
+export function updateMelee(ms, delta) {
+  if (ms.regenDelay > 0) ms.regenDelay = Math.max(0, ms.regenDelay - delta);
+  else if (!ms.blocking) ms.stamina = Math.min(MELEE_TUNING.maxStamina, ms.stamina + MELEE_TUNING.staminaRegen * delta);
+  if (ms.comboTimer > 0) ms.comboTimer = Math.max(0, ms.comboTimer - delta);
+  if (ms.blocking) ms.blockTime += delta;
+
+  const swing = ms.swing;
+  if (!swing) return null;
+  swing.time += delta;
+  let hit = null;
+  if (!swing.hitDone && swing.time >= swing.attack.windup) {
+    swing.hitDone = true;
+    hit = swing.attack;
+  }
+  if (swing.time >= swing.attack.windup + swing.attack.recover) {
+    ms.comboStep = swing.kind === 'light' ? swing.step : -1;
+    ms.comboTimer = swing.kind === 'light' ? MELEE_TUNING.comboWindow : 0;
+    ms.swing = null;
+  }
+  return hit;
+}
+
+// 0..1 through the current swing (for animating the sword), null when idle.
+export function swingProgress(ms) {
+  if (!ms.swing) return null;
+  const { windup, recover } = ms.swing.attack;
+  return Math.min(1, ms.swing.time / (windup + recover));
+}
+
+export function setBlocking(ms, on) {
+  if (on && ms.swing) return;
+  if (on && !ms.blocking) ms.blockTime = 0;
+  ms.blocking = on;
+}
+
+/**
+ * resolveBlock(ms, damage, reduction)
+ * - filters an incoming hit through the raised shield: { damage, parried, broken }
+ * - inside the parry window the hit is negated (parried); otherwise
+ *   `reduction` of it is absorbed for stamina, and running out of stamina
+ *   breaks the guard and lets the full hit through
+ */
+export function resolveBlock(ms, damage, reduction) {
+  if (!ms.blocking || reduction <= 0) return { damage, parried: false, broken: false };
+  if (ms.blockTime <= MELEE_TUNING.parryWindow) return { damage: 0, parried: true, broken: false };
+  const cost = damage * MELEE_TUNING.blockStaminaPerDamage;
+  if (ms.stamina < cost) {
+    ms.blocking = false;
+    spendStamina(ms, ms.stamina);
+    return { damage, parried: false, broken: true };
+  }
+  spendStamina(ms, cost);
+  return { damage: Math.round(damage * (1 - reduction)), parried: false, broken: false };
+}
+
+/**
+ * inHitArc(ox, oz, fx, fz, tx, tz, targetRadius, range, arc)
+ * - whether a target circle at (tx, tz) is inside the swing: within `range`
+ *   of (ox, oz) and within `arc` degrees around the facing (fx, fz), which
+ *   must be normalised
+ */
+export function inHitArc(ox, oz, fx, fz, tx, tz, targetRadius, range, arc) {
+  const dx = tx - ox, dz = tz - oz;
+  const dist = Math.sqrt(dx * dx + dz * dz);
+  if (dist - targetRadius > range) return false;
+  if (dist <= targetRadius) return true;
+  // widen the arc by the target's angular size so grazing hits count
+  const half = (arc * Math.PI / 360) + Math.asin(Math.min(1, targetRadius / dist));
+  return (dx * fx + dz * fz) / dist >= Math.cos(Math.min(Math.PI, half));
+}
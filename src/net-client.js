@@ -0,0 +1,144 @@
+// net-client.js - the browser side of multiplayer: connection, inputs and the server's world (DOM WebSocket, no Three.js)
+//
+// The client stays a src/core.js game with game.authority = 'remote': the
+// local player still moves and shoots itself, but its hits go to the server
+// as claims (the core's 'hitClaim' event) and the enemies, bolts, waves and
+// clock come from the server's snapshots via syncRemoteWorld().
+import { on, syncRemoteWorld } from './core.js';
+import { currentWeapon } from './weapons.js';
+import { encode, decode, createSnapshotBuffer, pushSnapshot, sampleSnapshots, INPUT_RATE, NET_PORT, NET_PATH } from './net-protocol.js';
+
+/**
+ * createNetClient(game)
+ * - status: 'offline' | 'connecting' | 'lobby' | 'playing'
+ * - id / seed from the server's welcome, lobby: [{ id, name, playing }],
+ *   players: the other players in the world as last drawn
+ * - forwards the game's shots and hit claims while playing
+ */
+export function createNetClient(game) {
+  const net = {
+    game, socket: null, status: 'offline', id: null, seed: null, lobby: [], players: [],
+    buffer: createSnapshotBuffer(), removals: new Map(), inputIn: 0, fired: null, handlers: {}
+  };
+  on(game, 'shot', (def) => { net.fired = def.id; });
+  on(game, 'hitClaim', (enemy, amount, info) => {
+    if (net.status !== 'playing') return;
+    const ray = info.ray;
+    sendNet(net, 'hit', {
+      enemyId: enemy.id, source: info.source, amount, headshot: !!info.headshot, heavy: !!info.heavy,
+      weapon: info.weapon || currentWeapon(game.state.gun).id, skill: info.skill || null,
+      origin: ray ? { x: ray.origin.x, y: ray.origin.y, z: ray.origin.z } : null,
+      dir: ray ? { x: ray.dir.x, y: ray.dir.y, z: ray.dir.z } : null
+    });
+  });
+  return net;
+}
+
+// The server that served this page (localhost:NET_PORT when opened as a file).
+export function defaultServerUrl(location) {
+  const host = location.protocol.startsWith('http') && location.host ? location.host : `localhost:${NET_PORT}`;
+  return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${host}${NET_PATH}`;
+}
+
+/**
+ * connectNet(net, url, name, handlers)
+ * - opens the connection and says hello; handlers[type](msg) get every
+ *   server message except snapshots, which updateNet() plays back
+ * - handlers.close() runs once when the connection ends or can't be made
+ */
+export function connectNet(net, url, name, handlers) {
+  disconnectNet(net);
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (e) {
+    if (handlers.close) handlers.close();
+    return;
+  }
+  net.socket = socket;
+  net.status = 'connecting';
+  net.handlers = handlers;
+  socket.onopen = () => socket.send(encode('hello', { name }));
+  socket.onmessage = (e) => { if (net.socket === socket) onMessage(net, e.data); };
+  socket.onclose = () => {
+    if (net.socket !== socket) return; // replaced or closed by us
+    resetNet(net);
+    if (handlers.close) handlers.close();
+  };
+}
+
+// Closes the connection without calling handlers.close.
+export function disconnectNet(net) {
+  const socket = net.socket;
+  resetNet(net);
+  if (socket) socket.close();
+}
+
+function resetNet(net) {
+  net.socket = null;
+  net.status = 'offline';
+  net.id = null;
+  net.lobby = [];
+  net.players = [];
+  net.buffer = createSnapshotBuffer();
+  net.removals.clear();
+}
+
+export function sendNet(net, type, data) {
+  if (net.socket && net.socket.readyState === WebSocket.OPEN) net.socket.send(encode(type, data));
+}
+
+function onMessage(net, text) {
+  const msg = decode(text);
+  if (!msg) return;
+  if (msg.type === 'snapshot') {
+    pushSnapshot(net.buffer, msg, performance.now() / 1000);
+    return;
+  }
+  if (msg.type === 'welcome') {
+    net.id = msg.id;
+    net.seed = msg.seed >>> 0;
+    net.status = 'lobby';
+  } else if (msg.type === 'lobby') {
+    net.lobby = msg.players;
+  } else if (msg.type === 'enemyRemoved') {
+    net.removals.set(msg.id, { reason: msg.reason, mine: msg.by === net.id });
+  }
+  const handler = net.handlers[msg.type];
+  if (handler) handler(msg);
+}
+
+// Enters the server's world from the lobby; it answers with a spawn message.
+export function joinNet(net) {
+  if (net.status !== 'lobby') return;
+  net.status = 'playing';
+  net.inputIn = 0;
+  sendNet(net, 'join');
+}
+
+/**
+ * updateNet(net, delta)
+ * - one simulation step online: sends the player's input INPUT_RATE
+ *   times a second and moves the world to the interpolated snapshots
+ * - HP is not taken from snapshots (they lag INTERP_DELAY behind): the
+ *   server's damaged messages set it
+ */
+export function updateNet(net, delta) {
+  if (net.status !== 'playing') return;
+  const s = net.game.state;
+  net.inputIn -= delta;
+  if (net.inputIn <= 0) {
+    net.inputIn += 1 / INPUT_RATE;
+    if (net.inputIn <= 0) net.inputIn = 1 / INPUT_RATE;
+    const p = s.position;
+    sendNet(net, 'input', {
+      x: p.x, y: p.y, z: p.z, yaw: s.yaw, weaponMode: s.weaponMode,
+      blocking: s.melee.blocking, blockReduction: s.blockReduction, maxHp: s.maxHp, weaponDamage: s.weaponDamage, fired: net.fired
+    });
+    net.fired = null;
+  }
+  const frame = sampleSnapshots(net.buffer, performance.now() / 1000);
+  if (!frame) return;
+  syncRemoteWorld(net.game, frame, net.removals);
+  net.players = frame.players.filter(p => p.id !== net.id);
+}
@@ -0,0 +1,150 @@
+// net-protocol.js - multiplayer messages, snapshot packing and interpolation (plain JS, no Three.js or DOM)
+//
+// Shared by the server (server/world.js) and the browser (src/net-client.js).
+// Every message is one JSON text frame { type, ...data }.
+//
+// client -> server
+//   hello { name }                     first message, answered with welcome + lobby
+//   join {}   leave {}                 enter the world from the lobby / go back
+//   input { x, y, z, yaw, weaponMode, blocking, blockReduction, maxHp, weaponDamage, fired }
+//                                      INPUT_RATE times a second while playing;
+//                                      fired: id of a weapon shot since the last input
+//   hit { enemyId, source, amount, headshot, heavy, weapon, skill, origin, dir }
+//                                      a hit the server checks before applying it
+//   heal { item } / heal { skill }     a healing potion or the heal skill, by id
+// server -> client
+//   welcome { id, seed }               this connection's id and the world seed
+//   lobby { players: [{ id, name, playing }] }
+//   spawn { position }                 (re)appear here after join or death
+//   correct { position }               a reported move was refused
+//   snapshot { time, players, enemies, bolts, wave, clock }  SNAPSHOT_RATE times a second
+//   enemyAlerted { id }   enemyAttack { id, kind }   enemyHit { id, source, headshot, heavy, amount, by }
+//   enemyRemoved { id, reason, by }    by: id of the player who landed the last hit
+//   damaged { amount, hp, from }   parried { id }   guardBroken {}   died {}
+//   playerDied { id, name }            for everybody's kill feed
+//   waveStart { number, count, bossId, bossType, night }   waveCleared { number }
+
+export const NET_PORT = 8080;
+export const NET_PATH = '/ws';
+export const SNAPSHOT_RATE = 20;    // snapshots per second
+export const INPUT_RATE = 20;       // inputs per second
+export const INTERP_DELAY = 0.1;    // seconds clients draw the world behind the newest snapshot
+export const SNAPSHOT_RANGE = 400;  // enemies and bolts further from a player stay out of their snapshots
+export const MAX_NAME_LENGTH = 16;
+const SNAPSHOT_BUFFER = 32;         // snapshots a client keeps to interpolate between
+const OFFSET_DRIFT = 0.05;          // share of a later-than-usual snapshot's delay the clock estimate follows
+
+export function encode(type, data = {}) {
+  return JSON.stringify({ type, ...data });
+}
+
+// The message in `text`, or null for anything that isn't { type: string, ... }.
+export function decode(text) {
+  try {
+    const msg = JSON.parse(text);
+    return msg && typeof msg === 'object' && typeof msg.type === 'string' ? msg : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Player names: printable, single spaced and at most MAX_NAME_LENGTH long.
+export function sanitizeName(name) {
+  const clean = String(name || '').replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim();
+  return clean.slice(0, MAX_NAME_LENGTH) || 'Abenteurer';
+}
+
+// --- SNAPSHOTS ---
+const round = (v) => Math.round(v * 100) / 100;
+
+export function packPlayer(id, name, player) {
+  const p = player.position;
+  return { id, name, x: round(p.x), y: round(p.y), z: round(p.z), yaw: round(player.yaw), hp: player.hp, maxHp: player.maxHp, weaponMode: player.weaponMode };
+}
+
+export function packEnemy(enemy) {
+  const p = enemy.pos;
+  return {
+    id: enemy.id, type: enemy.type.id, x: round(p.x), y: round(p.y), z: round(p.z),
+    facing: round(enemy.facing), hp: Math.ceil(enemy.hp), maxHp: enemy.maxHp, state: enemy.state, wave: enemy.wave,
+    windup: round(enemy.windup || 0)
+  };
+}
+
+export function packBolt(bolt) {
+  return { id: bolt.id, x: round(bolt.pos.x), y: round(bolt.pos.y), z: round(bolt.pos.z) };
+}
+
+/**
+ * createSnapshotBuffer()
+ * - the snapshots a client received, oldest first, and its estimate of
+ *   server time minus local time
+ */
+export function createSnapshotBuffer() {
+  return { snapshots: [], offset: null };
+}
+
+/**
+ * pushSnapshot(buffer, snapshot, localTime)
+ * - keeps the newest SNAPSHOT_BUFFER snapshots; late or repeated ones are
+ *   dropped
+ * - the clock estimate jumps to the fastest delivery seen and follows
+ *   slower ones only gradually, so jitter doesn't shake the world
+ */
+export function pushSnapshot(buffer, snapshot, localTime) {
+  const list = buffer.snapshots;
+  if (list.length && snapshot.time <= list[list.length - 1].time) return;
+  list.push(snapshot);
+  if (list.length > SNAPSHOT_BUFFER) list.shift();
+  const offset = snapshot.time - localTime;
+  if (buffer.offset === null || offset > buffer.offset) buffer.offset = offset;
+  else buffer.offset += (offset - buffer.offset) * OFFSET_DRIFT;
+}
+
+/**
+ * sampleSnapshots(buffer, localTime)
+ * - the world INTERP_DELAY seconds behind the estimated server time:
+ *   players, enemies and bolts blended between the two snapshots around it
+ *   (never extrapolated past the newest), the rest from the later one
+ * - null before the first snapshot
+ */
+export function sampleSnapshots(buffer, localTime) {
+  const list = buffer.snapshots;
+  if (!list.length) return null;
+  const time = localTime + buffer.offset - INTERP_DELAY;
+  let i = list.length - 1;
+  while (i > 0 && list[i - 1].time > time) i--;
+  const b = list[i];
+  const a = i > 0 ? list[i - 1] : b;
+  const t = b.time > a.time ? Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time))) : 1;
+  return {
+    time: a.time + (b.time - a.time) * t,
+    players: blendEntities(a.players, b.players, t),
+    enemies: blendEntities(a.enemies, b.enemies, t),
+    bolts: blendEntities(a.bolts, b.bolts, t),
+    wave: b.wave,
+    clock: b.clock
+  };
+}
+
+// Entities of `to` moved back towards where they were in `from`; new ones as they are.
+function blendEntities(from, to, t) {
+  if (from === to || t >= 1) return to;
+  const before = new Map(from.map(e => [e.id, e]));
+  return to.map(e => {
+    const old = before.get(e.id);
+    if (!old) return e;
+    const out = { ...e, x: old.x + (e.x - old.x) * t, y: old.y + (e.y - old.y) * t, z: old.z + (e.z - old.z) * t };
+    if (e.facing !== undefined) out.facing = lerpAngle(old.facing, e.facing, t);
+    if (e.yaw !== undefined) out.yaw = lerpAngle(old.yaw, e.yaw, t);
+    return out;
+  });
+}
+
+// Blends angles the short way round.
+export function lerpAngle(a, b, t) {
+  let d = (b - a) % (Math.PI * 2);
+  if (d > Math.PI) d -= Math.PI * 2;
+  if (d < -Math.PI) d += Math.PI * 2;
+  return a + d * t;
+}
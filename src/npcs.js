@@ -0,0 +1,131 @@
+// npcs.js - villagers near the world spawn and their dialogue trees
+//
+// - offset: [dx, dz] from the world spawn point (snapped to the terrain)
+// - look: same shape as ENEMY_TYPES[...].look, the model is built the same way
+// - quests: quest ids this NPC hands out / takes back (drives the marker)
+// - dialogue: nodes keyed by id, entered at 'start'. An option shows only if
+//   its `if` holds ({ available | active | ready | done: questId }, see
+//   questStatus() in src/quests.js), may `accept` or `complete` a quest, and
+//   either moves to `next` or ends the conversation.
+
+export const NPCS = {
+  elder: {
+    id: 'elder', name: 'Ältester Brann', offset: [8, 6],
+    look: { bodyColor: 0x6d4c41, headColor: 0xffe0bd, scale: 1.05, eyeColor: 0x222222 },
+    quests: ['cleanup', 'brute_hunt'],
+    dialogue: {
+      start: {
+        text: 'Willkommen in Etheria, Reisender. Seit die Runen erwacht sind, ist es hier draußen gefährlich geworden.',
+        options: [
+          { text: 'Kann ich helfen?', next: 'offer_cleanup', if: { available: 'cleanup' } },
+          { text: 'Die Umgebung ist sicherer.', next: 'done_cleanup', if: { ready: 'cleanup' } },
+          { text: 'Ich bin noch dabei.', next: 'busy', if: { active: 'cleanup' } },
+          { text: 'Gibt es noch mehr zu tun?', next: 'offer_brutes', if: { available: 'brute_hunt' } },
+          { text: 'Die Kolosse sind gefallen.', next: 'done_brutes', if: { ready: 'brute_hunt' } },
+          { text: 'Die Kolosse leben noch.', next: 'busy', if: { active: 'brute_hunt' } },
+          { text: 'Leb wohl.', end: true }
+        ]
+      },
+      offer_cleanup: {
+        text: 'Fünf Gegner weniger rund ums Dorf, und die Leute schlafen wieder ruhig. Hilfst du uns?',
+        options: [
+          { text: 'Ich kümmere mich darum.', accept: 'cleanup', next: 'accepted' },
+          { text: 'Vielleicht später.', end: true }
+        ]
+      },
+      done_cleanup: {
+        text: 'Ich habe es gehört! Nimm das als Dank – und sprich mit Ilka, sie hat etwas für dich.',
+        options: [{ text: 'Danke.', complete: 'cleanup', end: true }]
+      },
+      offer_brutes: {
+        text: 'Zwei Kolosse lauern an den Handelswegen. Bring sie zu Fall, und die Runenklinge gehört dir.',
+        options: [
+          { text: 'Ich jage sie.', accept: 'brute_hunt', next: 'accepted' },
+          { text: 'Noch nicht.', end: true }
+        ]
+      },
+      done_brutes: {
+        text: 'Unglaublich. Die Klinge hat einen würdigen Träger gefunden.',
+        options: [{ text: 'Es war mir eine Ehre.', complete: 'brute_hunt', end: true }]
+      },
+      accepted: {
+        text: 'Möge der Wind dir Glück bringen.',
+        options: [{ text: 'Bis bald.', end: true }]
+      },
+      busy: {
+        text: 'Lass dir Zeit, aber vergiss uns nicht.',
+        options: [{ text: 'Natürlich.', end: true }]
+      }
+    }
+  },
+  healer: {
+    id: 'healer', name: 'Heilerin Mira', offset: [-7, 9],
+    look: { bodyColor: 0x2e7d32, headColor: 0xf1c27d, scale: 0.95, eyeColor: 0x222222 },
+    quests: ['rune_shards'],
+    dialogue: {
+      start: {
+        text: 'Verletzt? Nein? Gut. Meine Vorräte gehen zur Neige.',
+        options: [
+          { text: 'Was brauchst du?', next: 'offer', if: { available: 'rune_shards' } },
+          { text: 'Hier sind die Runensplitter.', next: 'done', if: { ready: 'rune_shards' } },
+          { text: 'Wie viele Splitter waren es?', next: 'busy', if: { active: 'rune_shards' } },
+          { text: 'Auf Wiedersehen.', end: true }
+        ]
+      },
+      offer: {
+        text: 'Runenwirker tragen Splitter bei sich, aus denen ich starke Tränke brauen kann. Bringst du mir vier?',
+        options: [
+          { text: 'Abgemacht.', accept: 'rune_shards', next: 'accepted' },
+          { text: 'Ein andermal.', end: true }
+        ]
+      },
+      done: {
+        text: 'Wunderbar! Hier, zwei meiner besten Tränke.',
+        options: [{ text: 'Danke, Mira.', complete: 'rune_shards', end: true }]
+      },
+      accepted: {
+        text: 'Pass auf ihre Blitze auf.',
+        options: [{ text: 'Mache ich.', end: true }]
+      },
+      busy: {
+        text: 'Vier Splitter. Die Runenwirker in violetten Roben tragen sie.',
+        options: [{ text: 'Verstanden.', end: true }]
+      }
+    }
+  },
+  scout: {
+    id: 'scout', name: 'Späherin Ilka', offset: [4, -10],
+    look: { bodyColor: 0x37474f, headColor: 0xe0ac69, scale: 0.9, eyeColor: 0x222222 },
+    quests: ['lookout'],
+    dialogue: {
+      start: {
+        text: 'Psst. Ich beobachte die Gegend.',
+        options: [
+          { text: 'Brann schickt mich.', next: 'offer', if: { available: 'lookout' } },
+          { text: 'Ich war am Aussichtspunkt.', next: 'done', if: { ready: 'lookout' } },
+          { text: 'Wo war der Aussichtspunkt noch?', next: 'busy', if: { active: 'lookout' } },
+          { text: 'Schon gut.', end: true }
+        ]
+      },
+      offer: {
+        text: 'Weit im Nordosten liegt ein alter Aussichtspunkt. Sieh nach, ob er noch steht – dein Questlog zeigt dir die Richtung.',
+        options: [
+          { text: 'Ich gehe hin.', accept: 'lookout', next: 'accepted' },
+          { text: 'Später.', end: true }
+        ]
+      },
+      done: {
+        text: 'Er steht noch? Gut zu wissen. Nimm diesen Ring, er macht dich schneller.',
+        options: [{ text: 'Danke.', complete: 'lookout', end: true }]
+      },
+      accepted: {
+        text: 'Bleib in Bewegung.',
+        options: [{ text: 'Bis dann.', end: true }]
+      },
+      busy: {
+        text: 'Folge der Markierung in deinem Questlog.',
+        options: [{ text: 'Alles klar.', end: true }]
+      }
+    }
+  }
+};
@@ -0,0 +1,157 @@
+// pathfinding.js - A* on a small local grid around static colliders (plain JS, no Three.js)
+import { isBlocked, findBlockingCollider } from './collision.js';
+import { getTerrainHeight } from './terrain.js';
+
+const CELL = 2;              // grid resolution in world units
+const MAX_HALF_CELLS = 32;   // grid is at most 64x64 cells (128m) around start/goal
+const MAX_EXPANSIONS = 2500;
+const SQRT2 = Math.SQRT2;
+
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+/**
+ * findPath(sx, sz, tx, tz, radius, height)
+ * - plans a route for a capsule of the given size from (sx, sz) to (tx, tz)
+ *   around trees and rocks, on a grid centred between the two points
+ * - returns a smoothed list of waypoints [{ x, z }, ...] ending at the goal
+ *   (or at the closest reachable cell), or null if no progress is possible
+ */
+export function findPath(sx, sz, tx, tz, radius, height) {
+  const cx = (sx + tx) / 2, cz = (sz + tz) / 2;
+  const half = Math.min(MAX_HALF_CELLS, Math.ceil((Math.max(Math.abs(tx - sx), Math.abs(tz - sz)) / 2) / CELL) + 8);
+  const dim = half * 2 + 1;
+  const ox = cx - half * CELL, oz = cz - half * CELL;
+
+  const toCell = (x, z) => {
+    const ix = Math.round((x - ox) / CELL), iz = Math.round((z - oz) / CELL);
+    return [Math.max(0, Math.min(dim - 1, ix)), Math.max(0, Math.min(dim - 1, iz))];
+  };
+  const [six, siz] = toCell(sx, sz);
+  const [gix, giz] = toCell(tx, tz);
+  const start = siz * dim + six, goal = giz * dim + gix;
+
+  // 0 = unknown, 1 = free, 2 = blocked; probed lazily as A* reaches a cell
+  const walk = new Uint8Array(dim * dim);
+  const blocked = (idx) => {
+    if (!walk[idx]) {
+      const x = ox + (idx % dim) * CELL, z = oz + Math.floor(idx / dim) * CELL;
+      walk[idx] = (idx !== start && idx !== goal && isBlocked(x, getTerrainHeight(x, z), z, radius, height)) ? 2 : 1;
+    }
+    return walk[idx] === 2;
+  };
+
+  const g = new Float32Array(dim * dim).fill(Infinity);
+  const came = new Int32Array(dim * dim).fill(-1);
+  const closed = new Uint8Array(dim * dim);
+  const heap = createHeap();
+
+  const h = (idx) => {
+    const dx = Math.abs((idx % dim) - gix), dz = Math.abs(Math.floor(idx / dim) - giz);
+    return (dx + dz) + (SQRT2 - 2) * Math.min(dx, dz);
+  };
+
+  g[start] = 0;
+  heapPush(heap, start, h(start));
+  let best = start, bestH = h(start), expansions = 0;
+
+  while (heap.length && expansions++ < MAX_EXPANSIONS) {
+    const cur = heapPop(heap);
+    if (closed[cur]) continue;
+    closed[cur] = 1;
+    if (cur === goal) { best = goal; break; }
+    const curH = h(cur);
+    if (curH < bestH) { bestH = curH; best = cur; }
+
+    const x = cur % dim, z = Math.floor(cur / dim);
+    for (const [ddx, ddz, cost] of NEIGHBOURS) {
+      const nx = x + ddx, nz = z + ddz;
+      if (nx < 0 || nz < 0 || nx >= dim || nz >= dim) continue;
+      const n = nz * dim + nx;
+      if (closed[n] || blocked(n)) continue;
+      // no cutting corners past a blocked cell
+      if (ddx && ddz && (blocked(z * dim + nx) || blocked(nz * dim + x))) continue;
+      const tentative = g[cur] + cost;
+      if (tentative < g[n]) {
+        g[n] = tentative;
+        came[n] = cur;
+        heapPush(heap, n, tentative + h(n));
+      }
+    }
+  }
+
+  if (best === start) return null;
+
+  const cells = [];
+  for (let idx = best; idx !== -1; idx = came[idx]) cells.push(idx);
+  cells.reverse();
+  const points = cells.map(idx => ({ x: ox + (idx % dim) * CELL, z: oz + Math.floor(idx / dim) * CELL }));
+  if (best === goal) points[points.length - 1] = { x: tx, z: tz };
+  points[0] = { x: sx, z: sz };
+  return smoothPath(points, radius, height);
+}
+
+// String-pulling: drop every waypoint that can be skipped in a straight line.
+function smoothPath(points, radius, height) {
+  const out = [];
+  let anchor = points[0];
+  for (let i = 1; i < points.length; i++) {
+    const next = points[i + 1];
+    if (next && segmentClear(anchor, next, radius, height)) continue;
+    out.push(points[i]);
+    anchor = points[i];
+  }
+  return out;
+}
+
+export function segmentClear(a, b, radius, height) {
+  const dx = b.x - a.x, dz = b.z - a.z;
+  const len = Math.hypot(dx, dz);
+  if (len < 1e-6) return true;
+  const y = getTerrainHeight(a.x, a.z);
+  return !findBlockingCollider(a.x, y, a.z, dx / len, dz / len, radius, height, len);
+}
+
+// --- binary min-heap of grid indices; keys are copied in at push time so a
+// later, cheaper push of the same cell doesn't disturb older entries ---
+function createHeap() {
+  return { idx: [], key: [], get length() { return this.idx.length; } };
+}
+
+function heapPush(heap, idx, key) {
+  heap.idx.push(idx); heap.key.push(key);
+  let i = heap.idx.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (heap.key[p] <= heap.key[i]) break;
+    swap(heap, p, i);
+    i = p;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap.idx[0];
+  const lastIdx = heap.idx.pop(), lastKey = heap.key.pop();
+  const n = heap.idx.length;
+  if (n) {
+    heap.idx[0] = lastIdx; heap.key[0] = lastKey;
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1, r = l + 1;
+      let m = i;
+      if (l < n && heap.key[l] < heap.key[m]) m = l;
+      if (r < n && heap.key[r] < heap.key[m]) m = r;
+      if (m === i) break;
+      swap(heap, m, i);
+      i = m;
+    }
+  }
+  return top;
+}
+
+function swap(heap, a, b) {
+  const ti = heap.idx[a]; heap.idx[a] = heap.idx[b]; heap.idx[b] = ti;
+  const tk = heap.key[a]; heap.key[a] = heap.key[b]; heap.key[b] = tk;
+}
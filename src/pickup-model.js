@@ -0,0 +1,59 @@
+// pickup-model.js - meshes for loot lying in the world, from shared pools
+//
+// Like the enemy models, all pickups of a kind share geometry and material,
+// so dropping loot allocates no GPU resources.
+import * as THREE from 'three';
+
+const PICKUP_COLORS = {
+  ammo: 0xffb347,
+  arrows: 0xc8a165,
+  gold: 0xffd700,
+  consumable: 0xff5a6e,
+  equipment: 0x4deeea
+};
+
+let geometries = null;
+const materials = new Map(); // colour -> material
+
+function getGeometries() {
+  if (!geometries) {
+    geometries = {
+      ammo: new THREE.BoxGeometry(0.5, 0.35, 0.35),
+      arrows: new THREE.BoxGeometry(0.9, 0.08, 0.08),
+      gold: new THREE.CylinderGeometry(0.25, 0.25, 0.06, 16).rotateX(Math.PI / 2),
+      item: new THREE.OctahedronGeometry(0.3)
+    };
+  }
+  return geometries;
+}
+
+function getMaterial(color) {
+  let mat = materials.get(color);
+  if (!mat) {
+    mat = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.45 });
+    materials.set(color, mat);
+  }
+  return mat;
+}
+
+/**
+ * buildPickupMesh(kind, itemType)
+ * - kind: 'ammo' | 'arrows' | 'gold' | 'item'; itemType is the ITEMS[...].type of an
+ *   item drop and picks its colour (consumables vs. equipment)
+ */
+export function buildPickupMesh(kind, itemType) {
+  const geo = getGeometries();
+  let color = PICKUP_COLORS[kind];
+  if (kind === 'item') color = itemType === 'consumable' ? PICKUP_COLORS.consumable : PICKUP_COLORS.equipment;
+  const mesh = new THREE.Mesh(geo[kind] || geo.item, getMaterial(color));
+  mesh.castShadow = true;
+  return mesh;
+}
+
+// Frees the pooled geometry/materials; only for tearing down the whole scene.
+export function disposePickupAssets() {
+  if (geometries) Object.values(geometries).forEach(g => g.dispose());
+  materials.forEach(m => m.dispose());
+  geometries = null;
+  materials.clear();
+}
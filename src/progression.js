@@ -0,0 +1,110 @@
+// progression.js - experience, levels, stat growth and the skill tree (plain JS, no DOM)
+//
+// A progression is { level, xp, skillPoints, skills: { [skillId]: true } }.
+// All functions mutate in place. XP per kill comes from ENEMY_TYPES[...].xp.
+
+export const MAX_LEVEL = 50;
+export const BASE_MAX_MP = 50;
+
+// XP needed to go from `level` to `level + 1`.
+export function xpForLevel(level) {
+  return Math.round(80 * Math.pow(level, 1.5));
+}
+
+/**
+ * getLevelStats(level)
+ * - bonuses on top of the level 1 character: { maxHp, maxMp, damage, moveSpeed }
+ *   (damage is flat weapon damage and moveSpeed a share, like item stats:
+ *   0.1 = +10% of PLAYER_MOVE_SPEED)
+ */
+export function getLevelStats(level) {
+  const gained = level - 1;
+  return {
+    maxHp: gained * 10,
+    maxMp: gained * 5,
+    damage: gained * 2,
+    moveSpeed: Math.min(0.25, gained * 0.01)
+  };
+}
+
+/**
+ * SKILLS - the skill tree, keyed by id
+ * - requires: skills that must be unlocked first (tree edges)
+ * - level: minimum character level, cost: skill points
+ * - mpCost / cooldown (seconds) / hotkey: used when the skill is cast
+ * - effect: what main.js does when it's cast
+ * - column/row: position in the skill tree panel
+ */
+export const SKILLS = {
+  dash: {
+    id: 'dash', name: 'Sturmschritt', icon: '💨', column: 0, row: 0,
+    requires: [], level: 1, cost: 1, mpCost: 15, cooldown: 3, hotkey: 1,
+    description: 'Stößt dich ein Stück nach vorn.',
+    effect: { kind: 'dash', speed: 80 }
+  },
+  heal: {
+    id: 'heal', name: 'Heilung', icon: '✚', column: 1, row: 0,
+    requires: [], level: 2, cost: 1, mpCost: 30, cooldown: 8, hotkey: 2,
+    description: 'Heilt 35 HP.',
+    effect: { kind: 'heal', amount: 35 }
+  },
+  shockwave: {
+    id: 'shockwave', name: 'Schockwelle', icon: '💥', column: 0, row: 1,
+    requires: ['dash'], level: 4, cost: 2, mpCost: 35, cooldown: 6, hotkey: 3,
+    description: 'Trifft alle Gegner im Umkreis von 8 m für 60 Schaden.',
+    effect: { kind: 'shockwave', radius: 8, damage: 60 }
+  },
+  rapid_fire: {
+    id: 'rapid_fire', name: 'Schnellfeuer', icon: '🔥', column: 1, row: 1,
+    requires: ['heal'], level: 5, cost: 2, mpCost: 25, cooldown: 15, hotkey: 4,
+    description: 'Halbiert 6 s lang die Schusspause.',
+    effect: { kind: 'rapid_fire', duration: 6, cooldownMul: 0.5 }
+  }
+};
+
+export function createProgression() {
+  return { level: 1, xp: 0, skillPoints: 1, skills: {} }; // one point to pick a first skill
+}
+
+/**
+ * addXp(prog, amount)
+ * - adds XP and levels up as often as it covers xpForLevel(); every level
+ *   grants one skill point
+ * - returns the number of levels gained
+ */
+export function addXp(prog, amount) {
+  let gained = 0;
+  prog.xp += amount;
+  while (prog.level < MAX_LEVEL && prog.xp >= xpForLevel(prog.level)) {
+    prog.xp -= xpForLevel(prog.level);
+    prog.level++;
+    prog.skillPoints++;
+    gained++;
+  }
+  if (prog.level >= MAX_LEVEL) prog.xp = 0;
+  return gained;
+}
+
+export function hasSkill(prog, id) {
+  return !!prog.skills[id];
+}
+
+// Why `id` can't be unlocked right now, or null if it can.
+export function unlockBlocker(prog, id) {
+  const skill = SKILLS[id];
+  if (!skill) return 'Unbekannter Skill';
+  if (hasSkill(prog, id)) return 'Bereits gelernt';
+  if (prog.level < skill.level) return `Benötigt Level ${skill.level}`;
+  const missing = skill.requires.find(req => !hasSkill(prog, req));
+  if (missing) return `Benötigt ${SKILLS[missing].name}`;
+  if (prog.skillPoints < skill.cost) return `Benötigt ${skill.cost} Skillpunkte`;
+  return null;
+}
+
+// Spends the skill points for `id`; false if unlockBlocker() objects.
+export function unlockSkill(prog, id) {
+  if (unlockBlocker(prog, id)) return false;
+  prog.skillPoints -= SKILLS[id].cost;
+  prog.skills[id] = true;
+  return true;
+}
@@ -0,0 +1,110 @@
+// quest-ui.js - renders the #quests log, the #quest-tracker HUD and the #dialogue box from state
+import { QUESTS, questStatus, objectiveProgress } from './quests.js';
+import { ENEMY_TYPES } from './enemy-types.js';
+import { ITEMS } from './items.js';
+
+/**
+ * objectiveText(log, questId, index, ctx)
+ * - one objective as a line of text, e.g. "Koloss besiegen: 1 / 2"
+ * - ctx: { countItem(itemId), reachHint(objective) } (reachHint returns
+ *   distance/direction text for reach objectives)
+ */
+function objectiveText(log, questId, index, ctx) {
+  const objective = QUESTS[questId].objectives[index];
+  const have = objectiveProgress(log, questId, index, ctx.countItem);
+  if (objective.type === 'kill') {
+    const who = objective.enemy ? ENEMY_TYPES[objective.enemy].name : 'Gegner';
+    return `${who} besiegen: ${have} / ${objective.count}`;
+  }
+  if (objective.type === 'collect') return `${ITEMS[objective.item].name} sammeln: ${have} / ${objective.count}`;
+  return have ? `${objective.label} erreicht` : `${objective.label} erreichen (${ctx.reachHint(objective)})`;
+}
+
+function rewardText(rewards) {
+  const parts = [];
+  if (rewards.xp) parts.push(`${rewards.xp} XP`);
+  if (rewards.gold) parts.push(`${rewards.gold} Gold`);
+  (rewards.items || []).forEach(({ id, count }) => parts.push(count > 1 ? `${ITEMS[id].name} x${count}` : ITEMS[id].name));
+  return parts.join(', ');
+}
+
+/**
+ * renderQuestLog(el, log, ctx)
+ * - active quests with objectives and rewards, then the completed ones
+ */
+export function renderQuestLog(el, log, ctx) {
+  el.innerHTML = '';
+  const active = Object.keys(log.active);
+  if (!active.length) {
+    const empty = document.createElement('p');
+    empty.className = 'quest-empty';
+    empty.textContent = 'Keine aktiven Quests. Sprich mit den Dorfbewohnern.';
+    el.appendChild(empty);
+  }
+  active.forEach(questId => {
+    const quest = QUESTS[questId];
+    const entry = document.createElement('div');
+    entry.className = questStatus(log, questId, ctx.countItem) === 'ready' ? 'quest-entry ready' : 'quest-entry';
+    const title = document.createElement('strong');
+    title.textContent = quest.title;
+    const desc = document.createElement('p');
+    desc.textContent = quest.description;
+    entry.append(title, desc);
+    quest.objectives.forEach((_, i) => {
+      const line = document.createElement('div');
+      line.className = 'quest-objective';
+      line.textContent = objectiveText(log, questId, i, ctx);
+      entry.appendChild(line);
+    });
+    const reward = document.createElement('div');
+    reward.className = 'quest-reward';
+    reward.textContent = `Belohnung: ${rewardText(quest.rewards)}`;
+    entry.appendChild(reward);
+    el.appendChild(entry);
+  });
+
+  const done = Object.keys(log.completed);
+  if (done.length) {
+    const list = document.createElement('div');
+    list.className = 'quest-done';
+    list.textContent = `Abgeschlossen: ${done.map(id => QUESTS[id].title).join(', ')}`;
+    el.appendChild(list);
+  }
+}
+
+// Compact HUD list of the active objectives (quests ready to turn in are marked).
+export function renderQuestTracker(el, log, ctx) {
+  el.innerHTML = '';
+  Object.keys(log.active).forEach(questId => {
+    const ready = questStatus(log, questId, ctx.countItem) === 'ready';
+    const title = document.createElement('div');
+    title.className = 'tracker-title';
+    title.textContent = ready ? `✔ ${QUESTS[questId].title} – zurückkehren` : QUESTS[questId].title;
+    el.appendChild(title);
+    if (ready) return;
+    QUESTS[questId].objectives.forEach((_, i) => {
+      const line = document.createElement('div');
+      line.textContent = objectiveText(log, questId, i, ctx);
+      el.appendChild(line);
+    });
+  });
+}
+
+/**
+ * renderDialogue(els, npc, node, onChoose)
+ * - els: { name, text, options } inside the #dialogue box
+ * - node: result of dialogueNode(); options are numbered for the 1–9 keys
+ */
+export function renderDialogue(els, npc, node, onChoose) {
+  els.name.textContent = npc.name;
+  els.text.textContent = node.text;
+  els.options.innerHTML = '';
+  node.options.forEach((option, i) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'dialogue-option';
+    button.textContent = `${i + 1}. ${option.text}`;
+    button.addEventListener('click', (e) => { e.stopPropagation(); onChoose(i); });
+    els.options.appendChild(button);
+  });
+}
@@ -0,0 +1,128 @@
+// quests.js - quest definitions and the quest engine (plain JS, no DOM)
+//
+// A quest log is { active: { [questId]: { progress: number[] } }, completed: { [questId]: true } }.
+// Objectives:
+// - { type: 'kill', enemy?, count }  enemy = ENEMY_TYPES key, omitted = any enemy
+// - { type: 'collect', item, count } counted live from the inventory, taken on turn-in
+// - { type: 'reach', offset: [dx, dz], radius, label } a spot relative to the
+//   world spawn point (the world is seeded, so absolute spots would differ per seed)
+// Kill/reach progress is stored; collect progress is whatever the bag holds.
+
+export const QUESTS = {
+  cleanup: {
+    id: 'cleanup', title: 'Säuberung', giver: 'elder',
+    description: 'Ältester Brann will die Umgebung des Dorfes von Gegnern befreit sehen.',
+    requires: [],
+    objectives: [{ type: 'kill', count: 5 }],
+    rewards: { xp: 100, gold: 30, items: [{ id: 'potion', count: 2 }] }
+  },
+  rune_shards: {
+    id: 'rune_shards', title: 'Splitter der Runenwirker', giver: 'healer',
+    description: 'Heilerin Mira braucht Runensplitter, die Runenwirker bei sich tragen.',
+    requires: [],
+    objectives: [{ type: 'collect', item: 'rune_shard', count: 4 }],
+    rewards: { xp: 150, gold: 20, items: [{ id: 'big_potion', count: 2 }] }
+  },
+  lookout: {
+    id: 'lookout', title: 'Der Aussichtspunkt', giver: 'scout',
+    description: 'Späherin Ilka bittet dich, den alten Aussichtspunkt zu erkunden.',
+    requires: ['cleanup'],
+    objectives: [{ type: 'reach', offset: [220, -180], radius: 12, label: 'Aussichtspunkt' }],
+    rewards: { xp: 120, gold: 0, items: [{ id: 'swift_ring', count: 1 }] }
+  },
+  brute_hunt: {
+    id: 'brute_hunt', title: 'Jagd auf die Kolosse', giver: 'elder',
+    description: 'Kolosse bedrohen die Handelswege. Brann will, dass zwei von ihnen fallen.',
+    requires: ['cleanup'],
+    objectives: [{ type: 'kill', enemy: 'brute', count: 2 }],
+    rewards: { xp: 300, gold: 100, items: [{ id: 'runeblade', count: 1 }] }
+  }
+};
+
+export function createQuestLog() {
+  return { active: {}, completed: {} };
+}
+
+/**
+ * objectiveProgress(log, questId, index, countItem)
+ * - current count for one objective of an active quest, capped at its goal;
+ *   countItem(itemId) reads the inventory for collect objectives
+ */
+export function objectiveProgress(log, questId, index, countItem) {
+  const objective = QUESTS[questId].objectives[index];
+  const value = objective.type === 'collect' ? countItem(objective.item) : log.active[questId].progress[index];
+  return Math.min(objective.count || 1, value);
+}
+
+function objectivesDone(log, questId, countItem) {
+  return QUESTS[questId].objectives.every((objective, i) =>
+    objectiveProgress(log, questId, i, countItem) >= (objective.count || 1));
+}
+
+/**
+ * questStatus(log, questId, countItem)
+ * - 'locked' (prerequisites missing), 'available', 'active', 'ready'
+ *   (all objectives met, turn in at the giver) or 'done'
+ */
+export function questStatus(log, questId, countItem) {
+  if (log.completed[questId]) return 'done';
+  if (log.active[questId]) return objectivesDone(log, questId, countItem) ? 'ready' : 'active';
+  return QUESTS[questId].requires.every(id => log.completed[id]) ? 'available' : 'locked';
+}
+
+export function acceptQuest(log, questId) {
+  if (questStatus(log, questId, () => 0) !== 'available') return false;
+  log.active[questId] = { progress: QUESTS[questId].objectives.map(() => 0) };
+  return true;
+}
+
+/**
+ * completeQuest(log, questId, countItem)
+ * - moves a ready quest to completed and returns what main.js has to hand
+ *   out / take away: { rewards, take: [{ id, count }] }, or null if not ready
+ */
+export function completeQuest(log, questId, countItem) {
+  if (questStatus(log, questId, countItem) !== 'ready') return null;
+  const quest = QUESTS[questId];
+  delete log.active[questId];
+  log.completed[questId] = true;
+  const take = quest.objectives
+    .filter(objective => objective.type === 'collect')
+    .map(objective => ({ id: objective.item, count: objective.count }));
+  return { rewards: quest.rewards, take };
+}
+
+/**
+ * questEvent(log, event, origin)
+ * - feeds a game event into every active quest:
+ *   { type: 'kill', enemy } or { type: 'reach', x, z }
+ * - origin is the world spawn point { x, z } that reach offsets are relative to
+ * - returns the ids of quests whose progress changed
+ */
+export function questEvent(log, event, origin) {
+  const changed = [];
+  for (const questId in log.active) {
+    const progress = log.active[questId].progress;
+    let hit = false;
+    QUESTS[questId].objectives.forEach((objective, i) => {
+      if (objective.type !== event.type || progress[i] >= (objective.count || 1)) return;
+      if (event.type === 'kill' && (!objective.enemy || objective.enemy === event.enemy)) {
+        progress[i]++;
+        hit = true;
+      } else if (event.type === 'reach') {
+        const spot = reachTarget(objective, origin);
+        if (Math.hypot(event.x - spot.x, event.z - spot.z) <= objective.radius) {
+          progress[i] = 1;
+          hit = true;
+        }
+      }
+    });
+    if (hit) changed.push(questId);
+  }
+  return changed;
+}
+
+// World position of a reach objective.
+export function reachTarget(objective, origin) {
+  return { x: origin.x + objective.offset[0], z: origin.z + objective.offset[1] };
+}
@@ -0,0 +1,51 @@
+// rng.js - seeded random numbers, so a world can be reproduced from its seed
+
+// mulberry32 - small, fast PRNG returning floats in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * hashSeed(value)
+ * - numeric strings/numbers are used as-is (as uint32), anything else is
+ *   hashed (FNV-1a), so "?seed=1234" and "?seed=hello" both work
+ */
+export function hashSeed(value) {
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Mixes several integers into one uint32 seed (e.g. world seed + chunk coords)
+export function mixSeed(...values) {
+  let h = 0x9E3779B9;
+  for (const v of values) {
+    h ^= Math.imul(v | 0, 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    h ^= h >>> 16;
+  }
+  return h >>> 0;
+}
+
+export function pickWeighted(weights, random) {
+  let total = 0;
+  for (const key in weights) total += weights[key];
+  let r = random() * total;
+  for (const key in weights) {
+    r -= weights[key];
+    if (r < 0) return key;
+  }
+  return null;
+}
@@ -0,0 +1,25 @@
+// save-ui.js - renders the save slot list on the #start-screen
+import { SAVE_SLOTS } from './save.js';
+
+/**
+ * renderSaveSlots(el, saves, selected, onSelect)
+ * - saves: listSaves() result (null = empty slot)
+ * - onSelect(slot) when a row is clicked
+ */
+export function renderSaveSlots(el, saves, selected, onSelect) {
+  el.innerHTML = '';
+  for (let slot = 0; slot < SAVE_SLOTS; slot++) {
+    const save = saves[slot];
+    const row = document.createElement('div');
+    row.className = slot === selected ? 'save-slot selected' : 'save-slot';
+    const title = document.createElement('strong');
+    title.textContent = `Slot ${slot + 1}`;
+    const info = document.createElement('span');
+    info.textContent = save
+      ? `Lv. ${save.level} · ${save.kills} Kills · ${save.gold} Gold · ${new Date(save.savedAt).toLocaleString()}`
+      : 'Leer – neues Spiel';
+    row.append(title, info);
+    row.addEventListener('click', (e) => { e.stopPropagation(); onSelect(slot); });
+    el.appendChild(row);
+  }
+}
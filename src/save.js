@@ -0,0 +1,181 @@
+// save.js - versioned save games in localStorage (plain JS, no DOM besides storage)
+//
+// A save is the snapshot built by main.js plus { version, savedAt }:
+// { seed, player: { x, y, z, yaw, pitch }, hp, mp, weapon, magazines,
+//   reserves, kills, gold, inventory, progression, quests, waypoints }
+// Saves are upgraded through MIGRATIONS when loaded, so old slots and
+// exported files keep working after the format changes.
+import { ITEMS, EQUIP_SLOTS } from './items.js';
+import { SKILLS } from './progression.js';
+import { QUESTS } from './quests.js';
+import { WEAPONS, STARTING_RESERVES } from './weapons.js';
+
+export const SAVE_VERSION = 4;
+export const SAVE_SLOTS = 3;
+const KEY_PREFIX = 'etheria.save.';
+
+/**
+ * MIGRATIONS[n](data) upgrades a version n save to version n + 1 and returns it.
+ * When the format changes: bump SAVE_VERSION and add the step from the old
+ * version here (e.g. `1: data => ({ ...data, newField: default })`).
+ */
+const MIGRATIONS = {
+  // v2: the single gun became a weapon list (src/weapons.js) with a magazine
+  // per weapon and reserve ammo per type
+  1: (data) => {
+    const { ammo, reserveAmmo, ...rest } = data;
+    return {
+      ...rest,
+      weapon: 'rifle',
+      magazines: { rifle: ammo ?? WEAPONS.rifle.magazine },
+      reserves: { bullets: reserveAmmo ?? STARTING_RESERVES.bullets, arrows: 0 }
+    };
+  },
+  // v3: quest log (src/quests.js)
+  2: (data) => ({ ...data, quests: { active: {}, completed: {} } }),
+  // v4: world map waypoints
+  3: (data) => ({ ...data, waypoints: [] })
+};
+
+function slotKey(slot) {
+  return `${KEY_PREFIX}${slot}`;
+}
+
+function defaultStorage() {
+  return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+/**
+ * migrateSave(data)
+ * - runs every migration from data.version up to SAVE_VERSION
+ * - throws for saves from a newer version or without a migration path
+ */
+export function migrateSave(data) {
+  let version = data.version | 0;
+  if (version > SAVE_VERSION) throw new Error(`Speicherstand ist zu neu (v${version})`);
+  while (version < SAVE_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`Keine Migration von v${version}`);
+    data = step(data);
+    version++;
+    data.version = version;
+  }
+  return data;
+}
+
+const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isItem = (id) => typeof id === 'string' && Object.hasOwn(ITEMS, id);
+
+// Slots hold nothing or a stack of a known item; equipment only items of its own slot.
+function isInventory(inv) {
+  return isObject(inv) && Array.isArray(inv.slots)
+    && inv.slots.every(slot => slot === null || (isObject(slot) && isItem(slot.id) && isCount(slot.count) && slot.count > 0))
+    && isObject(inv.equipment)
+    && EQUIP_SLOTS.every(slot => inv.equipment[slot] == null || (isItem(inv.equipment[slot]) && ITEMS[inv.equipment[slot]].type === slot));
+}
+
+function isProgression(prog) {
+  return isObject(prog) && Number.isInteger(prog.level) && prog.level >= 1
+    && Number.isFinite(prog.xp) && prog.xp >= 0 && isCount(prog.skillPoints)
+    && isObject(prog.skills) && Object.keys(prog.skills).every(id => Object.hasOwn(SKILLS, id));
+}
+
+// Rounds per known weapon (at most a full magazine) and reserves per ammo type.
+function isAmmo(magazines, reserves) {
+  return isObject(magazines) && Object.entries(magazines)
+    .every(([id, count]) => Object.hasOwn(WEAPONS, id) && isCount(count) && count <= (WEAPONS[id].magazine || 0))
+    && isObject(reserves) && Object.entries(reserves)
+      .every(([type, count]) => Object.hasOwn(STARTING_RESERVES, type) && isCount(count));
+}
+
+// Known quests only; an active one has a number per objective.
+function isQuestLog(log) {
+  return isObject(log) && isObject(log.active) && isObject(log.completed)
+    && Object.keys(log.completed).every(id => Object.hasOwn(QUESTS, id))
+    && Object.entries(log.active).every(([id, quest]) => Object.hasOwn(QUESTS, id) && isObject(quest)
+      && Array.isArray(quest.progress) && quest.progress.length === QUESTS[id].objectives.length
+      && quest.progress.every(Number.isFinite));
+}
+
+/**
+ * validateSave(data)
+ * - a migrated save is only loaded if main.js can use all of it: known
+ *   items, skills and quests in the shapes their modules build, finite
+ *   numbers where it reads them; anything else is a corrupt slot
+ */
+function validateSave(data) {
+  const ok = isObject(data)
+    && Number.isFinite(data.seed)
+    && isObject(data.player) && ['x', 'y', 'z'].every(k => Number.isFinite(data.player[k]))
+    && Number.isFinite(data.hp) && Number.isFinite(data.mp)
+    && isCount(data.kills) && isCount(data.gold)
+    && typeof data.weapon === 'string' && Object.hasOwn(WEAPONS, data.weapon)
+    && isAmmo(data.magazines, data.reserves)
+    && isInventory(data.inventory)
+    && isProgression(data.progression)
+    && isQuestLog(data.quests)
+    && Array.isArray(data.waypoints)
+    && data.waypoints.every(w => isObject(w) && Number.isFinite(w.x) && Number.isFinite(w.z) && Number.isFinite(w.color));
+  if (!ok) throw new Error('Ungültiger Speicherstand');
+  return data;
+}
+
+// Raw JSON text -> migrated, validated save; throws with a readable message.
+export function parseSave(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { throw new Error('Datei ist kein gültiges JSON'); }
+  if (!data || typeof data !== 'object') throw new Error('Ungültiger Speicherstand');
+  return validateSave(migrateSave(data));
+}
+
+export function serializeSave(snapshot) {
+  return JSON.stringify({ ...snapshot, version: SAVE_VERSION, savedAt: Date.now() });
+}
+
+export function writeSave(slot, snapshot, storage = defaultStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(slotKey(slot), serializeSave(snapshot));
+    return true;
+  } catch (e) {
+    console.warn('Could not write save:', e);
+    return false;
+  }
+}
+
+// The save in `slot`, or null if it's empty or unreadable.
+export function readSave(slot, storage = defaultStorage()) {
+  const text = storage && storage.getItem(slotKey(slot));
+  if (!text) return null;
+  try {
+    return parseSave(text);
+  } catch (e) {
+    console.warn(`Save slot ${slot} is unreadable:`, e);
+    return null;
+  }
+}
+
+export function deleteSave(slot, storage = defaultStorage()) {
+  if (storage) storage.removeItem(slotKey(slot));
+}
+
+/**
+ * listSaves(storage)
+ * - one entry per slot: null when empty, otherwise a summary for the slot
+ *   list { slot, savedAt, level, kills, gold }
+ */
+export function listSaves(storage = defaultStorage()) {
+  const list = [];
+  for (let slot = 0; slot < SAVE_SLOTS; slot++) {
+    const data = readSave(slot, storage);
+    list.push(data && {
+      slot,
+      savedAt: data.savedAt,
+      level: data.progression.level,
+      kills: data.kills,
+      gold: data.gold
+    });
+  }
+  return list;
+}
@@ -0,0 +1,86 @@
+// settings-ui.js - renders the #options panel (sliders, toggles and key bindings) from a settings object
+import { ACTIONS, SHADOW_QUALITY, SETTING_RANGES, keyLabel } from './settings.js';
+
+const SLIDERS = [
+  { name: 'sensitivity', label: 'Mausempfindlichkeit', format: v => `${v.toFixed(1)}x` },
+  { name: 'fov', label: 'Sichtfeld (FOV)', format: v => `${v}°` },
+  { name: 'renderScale', label: 'Render-Auflösung', format: v => `${Math.round(v * 100)} %` },
+  { name: 'viewDistance', label: 'Sichtweite', format: v => `${v} Felder` },
+  { name: 'volume', label: 'Gesamtlautstärke', format: v => `${Math.round(v * 100)} %` },
+  { name: 'musicVolume', label: 'Musik', format: v => `${Math.round(v * 100)} %` },
+  { name: 'sfxVolume', label: 'Effekte', format: v => `${Math.round(v * 100)} %` },
+  { name: 'uiVolume', label: 'Menüklänge', format: v => `${Math.round(v * 100)} %` },
+  { name: 'padSensitivity', label: 'Gamepad: Zielempfindlichkeit', format: v => `${v.toFixed(1)}x` },
+  { name: 'deadZone', label: 'Gamepad: Totzone', format: v => `${Math.round(v * 100)} %` }
+];
+
+const SHADOW_LABELS = { off: 'Aus', low: 'Niedrig', high: 'Hoch' };
+
+function row(label, control, value) {
+  const el = document.createElement('div');
+  el.className = 'option-row';
+  const name = document.createElement('span');
+  name.textContent = label;
+  el.append(name, control);
+  if (value) el.appendChild(value);
+  return el;
+}
+
+/**
+ * renderSettings(els, settings, listening, handlers)
+ * - els: { general, keys } containers inside #options
+ * - listening: action currently waiting for a key press (shown as such), or null
+ * - handlers: { onChange(name, value), onRebind(action) }
+ */
+export function renderSettings(els, settings, listening, handlers) {
+  els.general.innerHTML = '';
+  SLIDERS.forEach(({ name, label, format }) => {
+    const [min, max, step] = SETTING_RANGES[name];
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min; input.max = max; input.step = step;
+    input.value = settings[name];
+    const value = document.createElement('span');
+    value.className = 'option-value';
+    value.textContent = format(settings[name]);
+    input.addEventListener('input', () => {
+      const v = Number(input.value);
+      value.textContent = format(v);
+      handlers.onChange(name, v);
+    });
+    els.general.appendChild(row(label, input, value));
+  });
+
+  const invert = document.createElement('input');
+  invert.type = 'checkbox';
+  invert.checked = settings.invertY;
+  invert.addEventListener('change', () => handlers.onChange('invertY', invert.checked));
+  els.general.appendChild(row('Y-Achse invertieren', invert));
+
+  const thirdPerson = document.createElement('input');
+  thirdPerson.type = 'checkbox';
+  thirdPerson.checked = settings.thirdPerson;
+  thirdPerson.addEventListener('change', () => handlers.onChange('thirdPerson', thirdPerson.checked));
+  els.general.appendChild(row('Schulterkamera (Third Person)', thirdPerson));
+
+  const shadows = document.createElement('select');
+  Object.keys(SHADOW_QUALITY).forEach(level => {
+    const option = document.createElement('option');
+    option.value = level;
+    option.textContent = SHADOW_LABELS[level];
+    shadows.appendChild(option);
+  });
+  shadows.value = settings.shadows;
+  shadows.addEventListener('change', () => handlers.onChange('shadows', shadows.value));
+  els.general.appendChild(row('Schatten', shadows));
+
+  els.keys.innerHTML = '';
+  Object.keys(ACTIONS).forEach(action => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = listening === action ? 'key-bind listening' : 'key-bind';
+    button.textContent = listening === action ? 'Taste drücken…' : keyLabel(settings.keys[action]);
+    button.addEventListener('click', (e) => { e.stopPropagation(); handlers.onRebind(action); });
+    els.keys.appendChild(row(ACTIONS[action].label, button));
+  });
+}
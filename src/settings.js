@@ -0,0 +1,171 @@
+// settings.js - player options and key bindings, persisted in localStorage (plain JS, no DOM besides storage)
+//
+// Settings are global (not per save slot). Stored values are run through
+// sanitizeSettings() on load, so missing, stale or hand-edited entries fall
+// back to the defaults instead of breaking the game.
+
+const STORAGE_KEY = 'etheria.settings';
+
+/**
+ * ACTIONS - everything a key can be bound to, in the order the options panel
+ * lists them; `key` is the default KeyboardEvent.code
+ */
+export const ACTIONS = {
+  moveForward: { label: 'Vorwärts', key: 'KeyW' },
+  moveBack: { label: 'Rückwärts', key: 'KeyS' },
+  moveLeft: { label: 'Links', key: 'KeyA' },
+  moveRight: { label: 'Rechts', key: 'KeyD' },
+  sprint: { label: 'Sprinten', key: 'ShiftLeft' },
+  jump: { label: 'Springen', key: 'Space' },
+  interact: { label: 'Sprechen / Inventar', key: 'KeyE' },
+  inventory: { label: 'Inventar', key: 'KeyI' },
+  quests: { label: 'Questlog', key: 'KeyJ' },
+  skills: { label: 'Skills', key: 'KeyK' },
+  map: { label: 'Karte', key: 'KeyM' },
+  options: { label: 'Optionen', key: 'KeyO' },
+  reload: { label: 'Nachladen', key: 'KeyR' },
+  swapMode: { label: 'Schusswaffe / Schwert', key: 'KeyQ' },
+  heavyAttack: { label: 'Schwerer Hieb', key: 'KeyF' },
+  nextWeapon: { label: 'Nächste Waffe', key: 'KeyX' },
+  camera: { label: 'Kamera: Ego / Schulter', key: 'KeyV' },
+  skill1: { label: 'Skill 1', key: 'Digit1' },
+  skill2: { label: 'Skill 2', key: 'Digit2' },
+  skill3: { label: 'Skill 3', key: 'Digit3' },
+  skill4: { label: 'Skill 4', key: 'Digit4' }
+};
+
+// Shadow map size per quality level; 0 turns shadows off.
+export const SHADOW_QUALITY = { off: 0, low: 1024, high: 2048 };
+
+// [min, max, step] of the numeric settings (the slider ranges).
+export const SETTING_RANGES = {
+  sensitivity: [0.2, 3, 0.1],
+  fov: [60, 110, 1],
+  renderScale: [0.5, 1, 0.05],
+  viewDistance: [3, 10, 1],
+  volume: [0, 1, 0.05],
+  musicVolume: [0, 1, 0.05],
+  sfxVolume: [0, 1, 0.05],
+  uiVolume: [0, 1, 0.05],
+  padSensitivity: [0.2, 3, 0.1],
+  deadZone: [0.05, 0.4, 0.01]
+};
+
+export function defaultSettings() {
+  const keys = {};
+  for (const action in ACTIONS) keys[action] = ACTIONS[action].key;
+  return {
+    sensitivity: 1,
+    invertY: false,
+    thirdPerson: false, // over-the-shoulder camera instead of first person (src/third-person.js)
+    fov: 75,
+    renderScale: 1,
+    shadows: 'high',
+    viewDistance: 6,
+    volume: 0.8,        // master; the three below scale their bus (src/audio.js)
+    musicVolume: 0.6,
+    sfxVolume: 1,
+    uiVolume: 0.8,
+    padSensitivity: 1,
+    deadZone: 0.15,
+    keys
+  };
+}
+
+/**
+ * sanitizeSettings(raw)
+ * - defaults overlaid with every valid value from `raw`: numbers clamped
+ *   to SETTING_RANGES, unknown shadow levels and actions dropped, and a key
+ *   bound twice kept only for the first action (the other gets its default
+ *   back if that is free)
+ */
+export function sanitizeSettings(raw) {
+  const settings = defaultSettings();
+  if (!raw || typeof raw !== 'object') return settings;
+  for (const name in SETTING_RANGES) {
+    const [min, max] = SETTING_RANGES[name];
+    if (Number.isFinite(raw[name])) settings[name] = Math.min(max, Math.max(min, raw[name]));
+  }
+  if (typeof raw.invertY === 'boolean') settings.invertY = raw.invertY;
+  if (typeof raw.thirdPerson === 'boolean') settings.thirdPerson = raw.thirdPerson;
+  if (raw.shadows in SHADOW_QUALITY) settings.shadows = raw.shadows;
+  if (raw.keys && typeof raw.keys === 'object') {
+    const used = new Set();
+    const wanted = {};
+    for (const action in ACTIONS) {
+      const code = raw.keys[action];
+      if (typeof code === 'string' && code && !used.has(code)) {
+        wanted[action] = code;
+        used.add(code);
+      }
+    }
+    for (const action in ACTIONS) {
+      if (wanted[action]) settings.keys[action] = wanted[action];
+      else if (!used.has(ACTIONS[action].key)) used.add(ACTIONS[action].key);
+      else settings.keys[action] = null; // unbound until the player picks a key
+    }
+  }
+  return settings;
+}
+
+function defaultStorage() {
+  return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+export function loadSettings(storage = defaultStorage()) {
+  try {
+    const text = storage && storage.getItem(STORAGE_KEY);
+    return sanitizeSettings(text ? JSON.parse(text) : null);
+  } catch (e) {
+    return defaultSettings();
+  }
+}
+
+// False when storage is unavailable or full.
+export function saveSettings(settings, storage = defaultStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * bindKey(settings, action, code)
+ * - binds `code` to `action`; an action that had the key loses it and gets
+ *   the action's old key instead (a swap). Returns the swapped action or null
+ */
+export function bindKey(settings, action, code) {
+  const previous = settings.keys[action];
+  const other = Object.keys(settings.keys).find(a => a !== action && settings.keys[a] === code) || null;
+  if (other) settings.keys[other] = previous;
+  settings.keys[action] = code;
+  return other;
+}
+
+// The action bound to KeyboardEvent.code `code`, or null.
+export function actionForCode(settings, code) {
+  for (const action in settings.keys) {
+    if (settings.keys[action] === code) return action;
+  }
+  return null;
+}
+
+const KEY_NAMES = {
+  Space: 'Leertaste', ShiftLeft: 'Shift links', ShiftRight: 'Shift rechts',
+  ControlLeft: 'Strg links', ControlRight: 'Strg rechts', AltLeft: 'Alt', AltRight: 'Alt Gr',
+  Tab: 'Tab', Enter: 'Enter', Backspace: 'Rücktaste', CapsLock: 'Feststell',
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+};
+
+// Readable name of a KeyboardEvent.code, e.g. 'KeyW' -> 'W'.
+export function keyLabel(code) {
+  if (!code) return '—';
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+}
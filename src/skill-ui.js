@@ -0,0 +1,86 @@
+// skill-ui.js - renders the #skills panel (skill tree) and the #skill-bar hotbar from state
+import { SKILLS, hasSkill, unlockBlocker, xpForLevel } from './progression.js';
+
+/**
+ * renderSkillTree(els, prog, handlers)
+ * - els: { tree, points } container elements
+ * - handlers: onUnlock(skillId)
+ */
+export function renderSkillTree(els, prog, handlers) {
+  els.points.textContent = `Level ${prog.level} · ${prog.xp} / ${xpForLevel(prog.level)} XP · Skillpunkte: ${prog.skillPoints}`;
+
+  els.tree.innerHTML = '';
+  Object.values(SKILLS).forEach(skill => {
+    const node = document.createElement('div');
+    node.className = 'skill-node';
+    node.style.gridColumn = String(skill.column + 1);
+    node.style.gridRow = String(skill.row + 1);
+
+    const learned = hasSkill(prog, skill.id);
+    const blocker = unlockBlocker(prog, skill.id);
+    if (learned) node.classList.add('learned');
+    else if (!blocker) node.classList.add('available');
+
+    const requires = skill.requires.map(id => SKILLS[id].name).join(', ');
+    node.title = [
+      skill.description,
+      `MP ${skill.mpCost} · Abklingzeit ${skill.cooldown} s · Taste ${skill.hotkey}`,
+      requires ? `Voraussetzung: ${requires}` : '',
+      learned ? '' : (blocker || `Kosten: ${skill.cost} Skillpunkte`)
+    ].filter(Boolean).join('\n');
+
+    const icon = document.createElement('div');
+    icon.className = 'skill-icon';
+    icon.textContent = skill.icon;
+    const label = document.createElement('span');
+    label.textContent = skill.name;
+    const status = document.createElement('span');
+    status.className = 'skill-status';
+    status.textContent = learned ? `[${skill.hotkey}]` : (blocker || `${skill.cost} SP`);
+    node.append(icon, label, status);
+
+    node.addEventListener('click', (e) => { e.stopPropagation(); if (!learned) handlers.onUnlock(skill.id); });
+    els.tree.appendChild(node);
+  });
+}
+
+/**
+ * renderSkillBar(el, prog, keyLabels)
+ * - rebuilds the hotbar with one slot per learned skill (call after unlocking
+ *   or rebinding); keyLabels: skill id -> bound key name, defaults to the hotkey
+ */
+export function renderSkillBar(el, prog, keyLabels = {}) {
+  el.innerHTML = '';
+  Object.values(SKILLS).forEach(skill => {
+    if (!hasSkill(prog, skill.id)) return;
+    const slot = document.createElement('div');
+    slot.className = 'skill-slot';
+    slot.dataset.skill = skill.id;
+    slot.title = skill.name;
+    slot.textContent = skill.icon;
+    const key = document.createElement('span');
+    key.className = 'skill-key';
+    key.textContent = keyLabels[skill.id] || String(skill.hotkey);
+    const cooldown = document.createElement('span');
+    cooldown.className = 'skill-cooldown';
+    slot.append(key, cooldown);
+    el.appendChild(slot);
+  });
+}
+
+/**
+ * updateSkillBar(el, cooldowns, mp)
+ * - per-frame refresh of the existing slots: remaining cooldown and
+ *   whether there's enough MP (no DOM is created here)
+ */
+export function updateSkillBar(el, cooldowns, mp) {
+  for (const slot of el.children) {
+    const skill = SKILLS[slot.dataset.skill];
+    const left = cooldowns[skill.id] || 0;
+    const text = left > 0 ? left.toFixed(1) : '';
+    const overlay = slot.lastChild;
+    if (overlay.textContent !== text) overlay.textContent = text;
+    slot.classList.toggle('cooling', left > 0);
+    slot.classList.toggle('no-mp', mp < skill.mpCost);
+  }
+}
@@ -0,0 +1,117 @@
+// sky.js - stars, sun and moon discs and rain particles that follow the camera
+//
+// Like src/chunks.js this keeps its objects at module level: initSky() once
+// per scene, updateSky() every frame, disposeSky() to tear it down.
+import * as THREE from 'three';
+
+const SKY_RADIUS = 420;   // inside the camera's far plane at the shortest view distance
+const STAR_COUNT = 900;
+const RAIN_DROPS = 1800;
+const RAIN_AREA = 35;     // half-size of the box of rain around the camera
+const RAIN_HEIGHT = 30;
+const RAIN_SPEED = 38;
+const RAIN_LENGTH = 0.9;
+
+let scene = null;
+let stars = null, sun = null, moon = null, rain = null;
+let rainPositions = null;
+
+function randomSkyPoint(random) {
+  // upper hemisphere (and a little below the horizon for hills)
+  const u = random() * 2 - 1, a = random() * Math.PI * 2;
+  const y = Math.abs(u) * 1.1 - 0.1;
+  const r = Math.sqrt(Math.max(0, 1 - y * y));
+  return [Math.cos(a) * r * SKY_RADIUS, y * SKY_RADIUS, Math.sin(a) * r * SKY_RADIUS];
+}
+
+/**
+ * initSky(targetScene, random)
+ * - builds the sky objects into the scene; `random` places the stars
+ */
+export function initSky(targetScene, random = Math.random) {
+  disposeSky();
+  scene = targetScene;
+
+  const starPos = new Float32Array(STAR_COUNT * 3);
+  for (let i = 0; i < STAR_COUNT; i++) starPos.set(randomSkyPoint(random), i * 3);
+  const starGeo = new THREE.BufferGeometry();
+  starGeo.setAttribute('position', new THREE.BufferAttribute(starPos, 3));
+  stars = new THREE.Points(starGeo, new THREE.PointsMaterial({
+    color: 0xffffff, size: 1.6, sizeAttenuation: false, transparent: true, opacity: 0, fog: false, depthWrite: false
+  }));
+
+  const disc = (radius, color) => new THREE.Mesh(
+    new THREE.CircleGeometry(radius, 24),
+    new THREE.MeshBasicMaterial({ color, transparent: true, fog: false, depthWrite: false })
+  );
+  sun = disc(18, 0xfff2c0);
+  moon = disc(11, 0xe8ecff);
+
+  rainPositions = new Float32Array(RAIN_DROPS * 6);
+  for (let i = 0; i < RAIN_DROPS; i++) {
+    const x = (random() * 2 - 1) * RAIN_AREA, y = random() * RAIN_HEIGHT, z = (random() * 2 - 1) * RAIN_AREA;
+    rainPositions.set([x, y, z, x, y - RAIN_LENGTH, z], i * 6);
+  }
+  const rainGeo = new THREE.BufferGeometry();
+  rainGeo.setAttribute('position', new THREE.BufferAttribute(rainPositions, 3));
+  rain = new THREE.LineSegments(rainGeo, new THREE.LineBasicMaterial({ color: 0xaec6e8, transparent: true, opacity: 0.55 }));
+  rain.frustumCulled = false; // positions move every frame, the bounding sphere would go stale
+
+  [stars, sun, moon].forEach(obj => { obj.renderOrder = -1; obj.frustumCulled = false; });
+  scene.add(stars, sun, moon, rain);
+}
+
+/**
+ * updateSky(camera, params, delta)
+ * - params: { sunDir: {x, y, z} unit vector, stars: 0-1 opacity,
+ *   rain: 0-1 share of drops, wind: sideways drift in m/s }
+ * - sky objects are centred on the camera so they never come closer
+ */
+export function updateSky(camera, params, delta) {
+  if (!scene) return;
+  const c = camera.position;
+  stars.position.copy(c);
+  stars.material.opacity = params.stars;
+  stars.visible = params.stars > 0.01;
+
+  const d = params.sunDir;
+  sun.position.set(c.x + d.x * SKY_RADIUS * 0.9, c.y + d.y * SKY_RADIUS * 0.9, c.z + d.z * SKY_RADIUS * 0.9);
+  moon.position.set(c.x - d.x * SKY_RADIUS * 0.9, c.y - d.y * SKY_RADIUS * 0.9, c.z - d.z * SKY_RADIUS * 0.9);
+  sun.lookAt(c);
+  moon.lookAt(c);
+  sun.visible = d.y > -0.1;
+  moon.visible = d.y < 0.1;
+  moon.material.opacity = Math.max(0.15, params.stars);
+
+  const active = Math.round(RAIN_DROPS * params.rain);
+  rain.visible = active > 0;
+  if (!rain.visible) return;
+  rain.geometry.setDrawRange(0, active * 2);
+  const fall = RAIN_SPEED * delta, drift = (params.wind || 0) * delta;
+  const p = rainPositions;
+  for (let i = 0; i < active; i++) {
+    const k = i * 6;
+    let x = p[k] + drift, y = p[k + 1] - fall, z = p[k + 2];
+    // wrap drops into the box around the camera
+    if (y < c.y - RAIN_HEIGHT / 2) y += RAIN_HEIGHT;
+    if (x < c.x - RAIN_AREA) x += RAIN_AREA * 2; else if (x > c.x + RAIN_AREA) x -= RAIN_AREA * 2;
+    if (z < c.z - RAIN_AREA) z += RAIN_AREA * 2; else if (z > c.z + RAIN_AREA) z -= RAIN_AREA * 2;
+    if (y > c.y + RAIN_HEIGHT) y -= RAIN_HEIGHT;
+    p[k] = x; p[k + 1] = y; p[k + 2] = z;
+    p[k + 3] = x - drift * 2; p[k + 4] = y - RAIN_LENGTH; p[k + 5] = z;
+  }
+  rain.geometry.attributes.position.needsUpdate = true;
+}
+
+// Removes and frees the sky objects.
+export function disposeSky() {
+  [stars, sun, moon, rain].forEach(obj => {
+    if (!obj) return;
+    if (scene) scene.remove(obj);
+    obj.geometry.dispose();
+    obj.material.dispose();
+  });
+  stars = sun = moon = rain = null;
+  rainPositions = null;
+  scene = null;
+}
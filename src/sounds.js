@@ -0,0 +1,211 @@
+// sounds.js - sound table and the procedural synth that renders it (plain JS, no Three.js or DOM)
+//
+// Every sound has a synth recipe, so the game is never silent even without
+// asset files. A sound with `file` set (relative to SOUND_DIR) is loaded by
+// src/audio.js and replaces its synth version once the file arrives.
+
+export const SOUND_DIR = 'assets/sounds/';
+
+/**
+ * Recipe layers, summed into one buffer:
+ * - wave: 'sine' | 'square' | 'saw' | 'triangle' | 'noise'
+ * - freq: [start, end] Hz, swept exponentially over the layer (ignored for noise)
+ * - at: start offset in seconds; length: seconds the layer lasts
+ * - attack: linear fade-in seconds; decay: exponential falloff per second after it
+ * - release: linear fade-out over the last seconds of the layer
+ * - gain: layer volume; lowpass: one-pole low-pass cutoff in Hz
+ * A recipe is { length, layers, loop? }; looping recipes wrap layers that
+ * run past the end back to the start, so the loop has no seam.
+ */
+function layer(wave, freq, length, opts = {}) {
+  return { wave, freq, length, at: 0, attack: 0.002, decay: 0, release: 0, gain: 1, lowpass: 0, ...opts };
+}
+
+/**
+ * SOUNDS - keyed by id
+ * - bus: 'sfx' | 'ui' (music has its own tracks, see MUSIC)
+ * - volume: gain of this sound on its bus
+ * - refDistance: metres at which a positional sound is at full volume
+ * - synth: the recipe; file: optional asset replacing it
+ */
+export const SOUNDS = {
+  shot_rifle: { bus: 'sfx', volume: 0.5, refDistance: 12, synth: { length: 0.25, layers: [
+    layer('noise', null, 0.25, { decay: 22, lowpass: 5000 }),
+    layer('square', [180, 60], 0.12, { decay: 30, gain: 0.5 })
+  ] } },
+  shot_pistol: { bus: 'sfx', volume: 0.45, refDistance: 10, synth: { length: 0.2, layers: [
+    layer('noise', null, 0.2, { decay: 28, lowpass: 6500 }),
+    layer('square', [260, 90], 0.1, { decay: 35, gain: 0.4 })
+  ] } },
+  bow_release: { bus: 'sfx', volume: 0.4, refDistance: 6, synth: { length: 0.3, layers: [
+    layer('triangle', [140, 90], 0.3, { decay: 14, gain: 0.7 }),
+    layer('noise', null, 0.15, { decay: 25, lowpass: 1800, gain: 0.4 })
+  ] } },
+  staff_cast: { bus: 'sfx', volume: 0.35, refDistance: 8, synth: { length: 0.4, layers: [
+    layer('sine', [300, 900], 0.4, { attack: 0.02, decay: 6 }),
+    layer('triangle', [450, 1350], 0.4, { attack: 0.02, decay: 8, gain: 0.4 })
+  ] } },
+  dry_fire: { bus: 'sfx', volume: 0.4, synth: { length: 0.06, layers: [
+    layer('square', [1800, 1200], 0.04, { decay: 80, gain: 0.5 })
+  ] } },
+  reload: { bus: 'sfx', volume: 0.45, synth: { length: 0.6, layers: [
+    layer('noise', null, 0.08, { decay: 40, lowpass: 3000 }),
+    layer('square', [900, 700], 0.05, { at: 0.05, decay: 60, gain: 0.4 }),
+    layer('noise', null, 0.08, { at: 0.4, decay: 40, lowpass: 3500 }),
+    layer('square', [1200, 800], 0.05, { at: 0.45, decay: 60, gain: 0.5 })
+  ] } },
+  footstep: { bus: 'sfx', volume: 0.25, synth: { length: 0.12, layers: [
+    layer('noise', null, 0.12, { attack: 0.005, decay: 35, lowpass: 700 }),
+    layer('sine', [90, 50], 0.08, { decay: 40, gain: 0.5 })
+  ] } },
+  sword_swing: { bus: 'sfx', volume: 0.35, synth: { length: 0.3, layers: [
+    layer('noise', null, 0.3, { attack: 0.08, decay: 12, lowpass: 2500 })
+  ] } },
+  parry: { bus: 'sfx', volume: 0.5, synth: { length: 0.6, layers: [
+    layer('square', [1900, 1850], 0.6, { decay: 9, gain: 0.3 }),
+    layer('sine', [2900, 2800], 0.6, { decay: 7, gain: 0.4 }),
+    layer('noise', null, 0.05, { decay: 60, lowpass: 8000, gain: 0.5 })
+  ] } },
+  enemy_growl: { bus: 'sfx', volume: 0.6, refDistance: 6, synth: { length: 0.8, layers: [
+    layer('saw', [110, 70], 0.8, { attack: 0.08, release: 0.3, lowpass: 700 }),
+    layer('noise', null, 0.8, { attack: 0.1, release: 0.3, lowpass: 400, gain: 0.5 })
+  ] } },
+  enemy_attack: { bus: 'sfx', volume: 0.5, refDistance: 5, synth: { length: 0.35, layers: [
+    layer('saw', [180, 90], 0.35, { attack: 0.02, decay: 8, lowpass: 900 }),
+    layer('noise', null, 0.2, { attack: 0.05, decay: 15, lowpass: 2000, gain: 0.4 })
+  ] } },
+  enemy_cast: { bus: 'sfx', volume: 0.45, refDistance: 8, synth: { length: 0.5, layers: [
+    layer('sine', [600, 200], 0.5, { attack: 0.03, decay: 5 }),
+    layer('sine', [606, 204], 0.5, { attack: 0.03, decay: 5, gain: 0.7 })
+  ] } },
+  enemy_hit: { bus: 'sfx', volume: 0.5, refDistance: 6, synth: { length: 0.15, layers: [
+    layer('noise', null, 0.15, { decay: 30, lowpass: 1200 }),
+    layer('sine', [160, 80], 0.1, { decay: 30, gain: 0.7 })
+  ] } },
+  enemy_death: { bus: 'sfx', volume: 0.6, refDistance: 6, synth: { length: 0.9, layers: [
+    layer('saw', [140, 40], 0.9, { attack: 0.03, release: 0.4, lowpass: 600 }),
+    layer('noise', null, 0.3, { at: 0.5, decay: 12, lowpass: 500, gain: 0.6 })
+  ] } },
+  player_hurt: { bus: 'sfx', volume: 0.5, synth: { length: 0.25, layers: [
+    layer('sine', [220, 110], 0.25, { decay: 14 }),
+    layer('noise', null, 0.1, { decay: 40, lowpass: 1500, gain: 0.5 })
+  ] } },
+  boss_slam: { bus: 'sfx', volume: 0.8, refDistance: 10, synth: { length: 1.2, layers: [
+    layer('sine', [90, 35], 1.2, { decay: 3 }),
+    layer('noise', null, 0.8, { decay: 5, lowpass: 500, gain: 0.8 })
+  ] } },
+  wave_horn: { bus: 'ui', volume: 0.5, synth: { length: 1.6, layers: [
+    layer('saw', [147, 147], 1.6, { attack: 0.15, release: 0.5, lowpass: 900 }),
+    layer('saw', [220, 220], 1.6, { attack: 0.2, release: 0.5, lowpass: 900, gain: 0.6 })
+  ] } },
+  thunder: { bus: 'sfx', volume: 0.8, synth: { length: 3, layers: [
+    layer('noise', null, 0.3, { decay: 10, lowpass: 3000, gain: 0.6 }),
+    layer('noise', null, 3, { at: 0.1, attack: 0.3, decay: 1.2, lowpass: 160 })
+  ] } },
+  ui_click: { bus: 'ui', volume: 0.4, synth: { length: 0.05, layers: [
+    layer('sine', [1200, 900], 0.05, { decay: 60 })
+  ] } },
+  ui_pickup: { bus: 'ui', volume: 0.4, synth: { length: 0.25, layers: [
+    layer('sine', [880, 880], 0.12, { decay: 20 }),
+    layer('sine', [1320, 1320], 0.13, { at: 0.08, decay: 18 })
+  ] } },
+  ui_levelup: { bus: 'ui', volume: 0.5, synth: { length: 1, layers: [
+    layer('triangle', [523, 523], 0.3, { decay: 6 }),
+    layer('triangle', [659, 659], 0.3, { at: 0.12, decay: 6 }),
+    layer('triangle', [784, 784], 0.6, { at: 0.24, decay: 4 })
+  ] } },
+  ui_quest: { bus: 'ui', volume: 0.45, synth: { length: 0.6, layers: [
+    layer('sine', [659, 659], 0.25, { decay: 8 }),
+    layer('sine', [988, 988], 0.35, { at: 0.15, decay: 6 })
+  ] } }
+};
+
+// Equal-tempered frequency of a MIDI note number.
+function note(n) {
+  return 440 * Math.pow(2, (n - 69) / 12);
+}
+
+// Slow pad chords (Am, F, C, G), one every four seconds.
+function ambientTrack() {
+  const chords = [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]];
+  const layers = [];
+  chords.forEach((chord, i) => {
+    chord.forEach(n => {
+      const f = note(n);
+      layers.push(layer('sine', [f, f], 5, { at: i * 4, attack: 1.5, release: 2, gain: 0.22 }));
+      layers.push(layer('triangle', [f * 2, f * 2], 5, { at: i * 4, attack: 2, release: 2, gain: 0.05 }));
+    });
+  });
+  return { length: 16, loop: true, layers };
+}
+
+// Driving two-bar loop at 128 bpm: kick, off-beat hats and an eighth-note bass.
+function combatTrack() {
+  const beat = 60 / 128;
+  const bass = [45, 45, 45, 48, 45, 45, 43, 44];
+  const layers = [];
+  for (let b = 0; b < 8; b++) {
+    layers.push(layer('sine', [150, 45], 0.25, { at: b * beat, decay: 14, gain: 0.9 }));
+    layers.push(layer('noise', null, 0.06, { at: (b + 0.5) * beat, decay: 60, gain: 0.15 }));
+    for (let h = 0; h < 2; h++) {
+      const f = note(bass[b] - 12);
+      layers.push(layer('saw', [f, f], beat / 2, { at: (b + h / 2) * beat, decay: 5, lowpass: 500, gain: 0.35 }));
+    }
+  }
+  return { length: beat * 8, loop: true, layers };
+}
+
+// Background music tracks, crossfaded by mood (see src/audio.js).
+export const MUSIC = {
+  ambient: { volume: 0.5, synth: ambientTrack() },
+  combat: { volume: 0.45, synth: combatTrack() }
+};
+
+function oscillator(wave, phase) {
+  const p = phase - Math.floor(phase);
+  switch (wave) {
+    case 'square': return p < 0.5 ? 1 : -1;
+    case 'saw': return 2 * p - 1;
+    case 'triangle': return 1 - 4 * Math.abs(p - 0.5);
+    default: return Math.sin(p * Math.PI * 2);
+  }
+}
+
+/**
+ * synthSamples(recipe, sampleRate, random)
+ * - renders a recipe to mono samples in [-1, 1]; `random` feeds the noise
+ *   layers (pass a seeded one for repeatable output)
+ */
+export function synthSamples(recipe, sampleRate, random = Math.random) {
+  const total = Math.max(1, Math.round(recipe.length * sampleRate));
+  const out = new Float32Array(total);
+  recipe.layers.forEach(l => {
+    const count = Math.round(l.length * sampleRate);
+    const start = Math.round(l.at * sampleRate);
+    const [f0, f1] = l.freq || [0, 0];
+    const sweep = f0 > 0 && f1 > 0 ? Math.log(f1 / f0) : 0;
+    const smooth = l.lowpass ? 1 - Math.exp(-2 * Math.PI * l.lowpass / sampleRate) : 1;
+    let phase = 0, filtered = 0;
+    for (let i = 0; i < count; i++) {
+      let index = start + i;
+      if (index >= total) {
+        if (!recipe.loop) break;
+        index %= total;
+      }
+      const t = i / sampleRate;
+      let v;
+      if (l.wave === 'noise') {
+        v = random() * 2 - 1;
+      } else {
+        v = oscillator(l.wave, phase);
+        phase += f0 * Math.exp(sweep * i / count) / sampleRate;
+      }
+      filtered += (v - filtered) * smooth;
+      let env = t < l.attack ? t / l.attack : Math.exp(-(t - l.attack) * l.decay);
+      if (l.release > 0) env *= Math.min(1, (l.length - t) / l.release);
+      out[index] += filtered * env * l.gain;
+    }
+  });
+  for (let i = 0; i < total; i++) out[i] = Math.max(-1, Math.min(1, out[i]));
+  return out;
+}
@@ -0,0 +1,114 @@
+// spatial-hash.js - uniform grid for moving things (enemies), rebuilt every frame (plain JS, no Three.js)
+//
+// Items are bucketed by their centre point; queries widen the search by the
+// largest item radius seen since the last clear(), so callers can ask "what
+// overlaps this circle" without knowing the buckets. Buckets are reused
+// between frames, so a steady-state rebuild doesn't allocate.
+
+/**
+ * createSpatialHash(cellSize)
+ * - item: any object with a numeric `radius`; position is passed to insert()
+ * - returns { clear, insert, forEachNear, query, forEachAlongRay }
+ */
+export function createSpatialHash(cellSize) {
+  const cells = new Map();   // packed cell key -> item[]
+  const used = [];           // buckets filled since the last clear()
+  let maxRadius = 0;
+  let stamp = 0;
+
+  const cellOf = v => Math.floor(v / cellSize);
+  const keyOf = (ix, iz) => ((ix & 0xFFFF) << 16) | (iz & 0xFFFF);
+
+  function clear() {
+    for (let i = 0; i < used.length; i++) used[i].length = 0;
+    used.length = 0;
+    maxRadius = 0;
+  }
+
+  function insert(item, x, z) {
+    const key = keyOf(cellOf(x), cellOf(z));
+    let bucket = cells.get(key);
+    if (!bucket) { bucket = []; cells.set(key, bucket); }
+    if (!bucket.length) used.push(bucket);
+    bucket.push(item);
+    item.hashX = x;
+    item.hashZ = z;
+    if (item.radius > maxRadius) maxRadius = item.radius;
+  }
+
+  /**
+   * forEachNear(x, z, radius, fn)
+   * - fn(item, distSq) for every item whose circle overlaps the query circle;
+   *   return true from fn to stop early
+   */
+  function forEachNear(x, z, radius, fn) {
+    const reach = radius + maxRadius;
+    const x0 = cellOf(x - reach), x1 = cellOf(x + reach);
+    const z0 = cellOf(z - reach), z1 = cellOf(z + reach);
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iz = z0; iz <= z1; iz++) {
+        const bucket = cells.get(keyOf(ix, iz));
+        if (!bucket) continue;
+        for (let i = 0; i < bucket.length; i++) {
+          const item = bucket[i];
+          const dx = item.hashX - x, dz = item.hashZ - z;
+          const r = radius + item.radius;
+          const d2 = dx * dx + dz * dz;
+          if (d2 <= r * r && fn(item, d2)) return;
+        }
+      }
+    }
+  }
+
+  // Collects forEachNear() results into `out` (cleared first) and returns it.
+  function query(x, z, radius, out) {
+    out.length = 0;
+    forEachNear(x, z, radius, (item) => { out.push(item); });
+    return out;
+  }
+
+  /**
+   * forEachAlongRay(ox, oz, dx, dz, maxDist, fn)
+   * - walks the cells a ray passes through (plus their neighbours, for items
+   *   that stick out of their cell) and calls fn(item) once per item
+   * - (dx, dz) is the horizontal part of a normalised 3D direction and
+   *   maxDist is measured along that 3D ray
+   */
+  function forEachAlongRay(ox, oz, dx, dz, maxDist, fn) {
+    const cur = ++stamp;
+    const len = Math.hypot(dx, dz);
+    const ring = Math.ceil(maxRadius / cellSize);
+    const visit = (cx, cz) => {
+      for (let ix = cx - ring; ix <= cx + ring; ix++) {
+        for (let iz = cz - ring; iz <= cz + ring; iz++) {
+          const bucket = cells.get(keyOf(ix, iz));
+          if (!bucket) continue;
+          for (let i = 0; i < bucket.length; i++) {
+            const item = bucket[i];
+            if (item.hashStamp === cur) continue;
+            item.hashStamp = cur;
+            fn(item);
+          }
+        }
+      }
+    };
+
+    let ix = cellOf(ox), iz = cellOf(oz);
+    if (len < 1e-9) { visit(ix, iz); return; }
+    const ux = dx / len, uz = dz / len;
+    const flat = maxDist * len; // horizontal distance covered by the ray
+    const stepX = ux > 0 ? 1 : -1, stepZ = uz > 0 ? 1 : -1;
+    const tDeltaX = ux !== 0 ? Math.abs(cellSize / ux) : Infinity;
+    const tDeltaZ = uz !== 0 ? Math.abs(cellSize / uz) : Infinity;
+    let tMaxX = ux !== 0 ? ((ux > 0 ? (ix + 1) * cellSize - ox : ox - ix * cellSize) / Math.abs(ux)) : Infinity;
+    let tMaxZ = uz !== 0 ? ((uz > 0 ? (iz + 1) * cellSize - oz : oz - iz * cellSize) / Math.abs(uz)) : Infinity;
+    let t = 0;
+    while (t <= flat) {
+      visit(ix, iz);
+      if (tMaxX < tMaxZ) { t = tMaxX; tMaxX += tDeltaX; ix += stepX; }
+      else { t = tMaxZ; tMaxZ += tDeltaZ; iz += stepZ; }
+    }
+  }
+
+  return { clear, insert, forEachNear, query, forEachAlongRay };
+}
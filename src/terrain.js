@@ -0,0 +1,92 @@
+// terrain.js - seeded height field, biomes and chunk coordinate helpers (plain JS, no Three.js)
+import { mulberry32, mixSeed } from './rng.js';
+import { createNoise2D, fbm } from './noise.js';
+import { BIOMES, WATER_LEVEL, HIGHLAND_HEIGHT } from './biomes.js';
+
+let worldSeed = 0;
+let heightNoise, ridgeNoise, detailNoise, moistureNoise;
+let offsetX = 0, offsetZ = 0; // shifts the origin off the noise lattice, where every octave is 0
+let spawnPoint = null;
+
+/**
+ * setWorldSeed(seed)
+ * - rebuilds every noise layer from `seed`; the same seed always gives the same
+ *   heights, biomes and per-chunk props
+ */
+export function setWorldSeed(seed) {
+  worldSeed = seed >>> 0;
+  heightNoise = createNoise2D(mulberry32(mixSeed(worldSeed, 1)));
+  ridgeNoise = createNoise2D(mulberry32(mixSeed(worldSeed, 2)));
+  detailNoise = createNoise2D(mulberry32(mixSeed(worldSeed, 3)));
+  moistureNoise = createNoise2D(mulberry32(mixSeed(worldSeed, 4)));
+  const offsetRandom = mulberry32(mixSeed(worldSeed, 5));
+  offsetX = offsetRandom() * 100000;
+  offsetZ = offsetRandom() * 100000;
+  spawnPoint = null;
+}
+
+export function getWorldSeed() {
+  return worldSeed;
+}
+
+export function getTerrainHeight(x, z) {
+  x += offsetX; z += offsetZ;
+  const base = fbm(heightNoise, x / 500, z / 500, 5);
+  const ridge = 1 - Math.abs(fbm(ridgeNoise, x / 250, z / 250, 4));
+  const mountains = Math.max(0, base - 0.1) * ridge * ridge * 120;
+  return base * 40 + mountains + fbm(detailNoise, x / 40, z / 40, 2) * 1.5;
+}
+
+/**
+ * getBiome(x, z, height)
+ * - lakes below WATER_LEVEL, rocky highlands above HIGHLAND_HEIGHT, and
+ *   forest or grassland in between depending on a moisture noise layer
+ * - pass `height` if it is already known to skip sampling it again
+ */
+export function getBiome(x, z, height = getTerrainHeight(x, z)) {
+  if (height < WATER_LEVEL) return BIOMES.lake;
+  if (height > HIGHLAND_HEIGHT) return BIOMES.highlands;
+  return fbm(moistureNoise, (x + offsetX) / 350, (z + offsetZ) / 350, 3) > 0.05 ? BIOMES.forest : BIOMES.grassland;
+}
+
+/**
+ * getSpawnPoint()
+ * - nearest dry, walkable spot to the world origin (searched in a spiral),
+ *   cached per seed
+ */
+export function getSpawnPoint() {
+  if (spawnPoint) return spawnPoint;
+  for (let r = 0; r < 4000; r += 16) {
+    const steps = Math.max(1, Math.floor(r / 8));
+    for (let i = 0; i < steps; i++) {
+      const a = (i / steps) * Math.PI * 2;
+      const x = Math.round(Math.cos(a) * r), z = Math.round(Math.sin(a) * r);
+      const biome = getBiome(x, z);
+      if (biome === BIOMES.grassland || biome === BIOMES.forest) {
+        spawnPoint = { x, z };
+        return spawnPoint;
+      }
+    }
+  }
+  spawnPoint = { x: 0, z: 0 };
+  return spawnPoint;
+}
+
+export function chunkCoord(v, chunkSize) {
+  return Math.floor(v / chunkSize);
+}
+
+export function chunkKey(cx, cz) {
+  return `${cx},${cz}`;
+}
+
+/**
+ * chunkRandom(cx, cz)
+ * - returns a random() function seeded from the world seed and the chunk
+ *   coordinates, so a chunk gets the same props every time it streams back in
+ */
+export function chunkRandom(cx, cz) {
+  return mulberry32(mixSeed(worldSeed, cx, cz));
+}
+
+setWorldSeed(0);
@@ -0,0 +1,87 @@
+// third-person.js - over-the-shoulder camera: orbit, zoom, collision and smoothing (plain JS, no Three.js)
+//
+// The camera keeps the look rotation the mouse / stick give it, so the
+// crosshair in the middle of the screen still marks where the player aims;
+// only its position moves out behind the player's right shoulder, orbiting
+// the head as the view turns. Terrain and the static colliders
+// (src/collision.js) pull it in instead of letting it clip through.
+import { getTerrainHeight } from './terrain.js';
+import { raycastColliders } from './collision.js';
+
+export const MIN_DISTANCE = 1.5;      // metres behind the head, zoomed in all the way
+export const MAX_DISTANCE = 8;
+export const DEFAULT_DISTANCE = 4;
+export const ZOOM_STEP = 0.75;        // metres per mouse wheel notch
+export const NEAR_HIDE = 0.9;         // closer than this the player's own model is hidden
+const SHOULDER = 0.6;                 // metres right of the head the camera looks past
+const MARGIN = 0.3;                   // kept between the camera and terrain or props
+const GROUND_SAMPLE = 0.5;            // metres between terrain checks along the camera arm
+const ZOOM_RATE = 10;                 // 1/s: how fast the camera eases out to the wanted distance
+const TURN_RATE = 12;                 // 1/s: how fast the player's model turns to its heading
+
+// Share of the way to cover this frame when easing at `rate` per second, independent of the frame rate.
+export function smoothing(rate, delta) {
+  return 1 - Math.exp(-rate * delta);
+}
+
+// The zoom after one mouse wheel event (deltaY > 0 scrolls out).
+export function zoomCamera(distance, deltaY) {
+  return Math.min(MAX_DISTANCE, Math.max(MIN_DISTANCE, distance + Math.sign(deltaY) * ZOOM_STEP));
+}
+
+/**
+ * placeCamera(pivot, yaw, pitch, distance)
+ * - where the camera goes for a view turned by yaw / pitch (three.js 'YXZ'
+ *   order, 0 looks down -z): `distance` behind the pivot (the player's head)
+ *   and SHOULDER to its right
+ * - the arm from the pivot stops MARGIN short of the first tree or rock and
+ *   of the first spot where it would dip into the terrain
+ * - returns { x, y, z, distance } with the distance the arm could keep
+ */
+export function placeCamera(pivot, yaw, pitch, distance) {
+  const cosPitch = Math.cos(pitch);
+  const ox = Math.sin(yaw) * cosPitch * distance + Math.cos(yaw) * SHOULDER;
+  const oy = -Math.sin(pitch) * distance;
+  const oz = Math.cos(yaw) * cosPitch * distance - Math.sin(yaw) * SHOULDER;
+  const arm = Math.hypot(ox, oy, oz);
+  const dx = ox / arm, dy = oy / arm, dz = oz / arm;
+
+  let reach = Math.min(arm, raycastColliders(pivot.x, pivot.y, pivot.z, dx, dy, dz, arm + MARGIN) - MARGIN);
+  for (let t = GROUND_SAMPLE; t < reach; t += GROUND_SAMPLE) {
+    const x = pivot.x + dx * t, z = pivot.z + dz * t;
+    if (pivot.y + dy * t < getTerrainHeight(x, z) + MARGIN) {
+      reach = t - GROUND_SAMPLE;
+      break;
+    }
+  }
+  reach = Math.max(0, reach);
+
+  const x = pivot.x + dx * reach, z = pivot.z + dz * reach;
+  const y = Math.max(pivot.y + dy * reach, getTerrainHeight(x, z) + MARGIN);
+  return { x, y, z, distance: reach * distance / arm };
+}
+
+/**
+ * followDistance(current, wanted, allowed, delta)
+ * - the camera distance for this frame: eases towards the zoom the player
+ *   picked, but snaps in at once where terrain or props allow less
+ */
+export function followDistance(current, wanted, allowed, delta) {
+  const eased = current + (wanted - current) * smoothing(ZOOM_RATE, delta);
+  return Math.min(allowed, eased);
+}
+
+/**
+ * headingTowards(current, dx, dz, delta)
+ * - yaw for the player's model after turning towards the horizontal move
+ *   (dx, dz) this frame (same convention as the view: 0 faces -z); the
+ *   shorter way round, and unchanged while standing still
+ */
+export function headingTowards(current, dx, dz, delta) {
+  if (Math.hypot(dx, dz) < 1e-4) return current;
+  const target = Math.atan2(-dx, -dz);
+  let diff = (target - current) % (Math.PI * 2);
+  if (diff > Math.PI) diff -= Math.PI * 2;
+  else if (diff < -Math.PI) diff += Math.PI * 2;
+  return current + diff * smoothing(TURN_RATE, delta);
+}
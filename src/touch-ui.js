@@ -0,0 +1,95 @@
+// touch-ui.js - on-screen stick, look pad and buttons feeding the 'touch' input source (see src/input.js)
+import { setAction, setAnalogMove, addLook, releaseSource } from './input.js';
+
+const STICK_RADIUS = 55; // pixels of thumb travel for full speed
+
+// [action, label] of the on-screen buttons, laid out by the stylesheet.
+const TOUCH_BUTTONS = [
+  ['fire', '🔥'], ['jump', '⤒'], ['reload', 'R'], ['interact', 'E'],
+  ['sprint', '»'], ['swapMode', '⚔'], ['heavyAttack', 'F'], ['block', '🛡'],
+  ['nextWeapon', '⟳'], ['inventory', 'INV']
+];
+
+/**
+ * createTouchControls(root, input, lookScale)
+ * - fills `root` with the controls: a stick on the left, a look pad over the
+ *   rest of the screen and buttons on the right
+ * - lookScale() returns radians per dragged pixel (read on every move so the
+ *   options apply live)
+ */
+export function createTouchControls(root, input, lookScale) {
+  root.innerHTML = '';
+  const lookPad = document.createElement('div');
+  lookPad.className = 'touch-look';
+  const stick = document.createElement('div');
+  stick.className = 'touch-stick';
+  const knob = document.createElement('div');
+  knob.className = 'touch-knob';
+  stick.appendChild(knob);
+  root.append(lookPad, stick);
+
+  let stickPointer = null;
+  const moveStick = (e) => {
+    const rect = stick.getBoundingClientRect();
+    let x = e.clientX - (rect.left + rect.width / 2);
+    let y = e.clientY - (rect.top + rect.height / 2);
+    const len = Math.hypot(x, y);
+    if (len > STICK_RADIUS) { x *= STICK_RADIUS / len; y *= STICK_RADIUS / len; }
+    knob.style.transform = `translate(${x}px, ${y}px)`;
+    setAnalogMove(input, 'touch', x / STICK_RADIUS, -y / STICK_RADIUS);
+  };
+  const endStick = (e) => {
+    if (e.pointerId !== stickPointer) return;
+    stickPointer = null;
+    knob.style.transform = '';
+    setAnalogMove(input, 'touch', 0, 0);
+  };
+  stick.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    stickPointer = e.pointerId;
+    stick.setPointerCapture(e.pointerId);
+    moveStick(e);
+  });
+  stick.addEventListener('pointermove', (e) => { if (e.pointerId === stickPointer) moveStick(e); });
+  stick.addEventListener('pointerup', endStick);
+  stick.addEventListener('pointercancel', endStick);
+
+  const lookPointers = new Map(); // pointerId -> last { x, y }
+  lookPad.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    lookPad.setPointerCapture(e.pointerId);
+    lookPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  });
+  lookPad.addEventListener('pointermove', (e) => {
+    const last = lookPointers.get(e.pointerId);
+    if (!last) return;
+    const scale = lookScale();
+    addLook(input, (e.clientX - last.x) * scale, (e.clientY - last.y) * scale);
+    last.x = e.clientX;
+    last.y = e.clientY;
+  });
+  const endLook = (e) => lookPointers.delete(e.pointerId);
+  lookPad.addEventListener('pointerup', endLook);
+  lookPad.addEventListener('pointercancel', endLook);
+
+  TOUCH_BUTTONS.forEach(([action, label]) => {
+    const button = document.createElement('div');
+    button.className = `touch-btn touch-${action}`;
+    button.textContent = label;
+    const release = () => setAction(input, 'touch', action, false);
+    button.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      button.setPointerCapture(e.pointerId);
+      setAction(input, 'touch', action, true);
+    });
+    button.addEventListener('pointerup', release);
+    button.addEventListener('pointercancel', release);
+    root.appendChild(button);
+  });
+}
+
+// Shows or hides the controls; hiding lets go of everything they held.
+export function setTouchControlsVisible(root, input, visible) {
+  root.style.display = visible ? 'block' : 'none';
+  if (!visible) releaseSource(input, 'touch');
+}
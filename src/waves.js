@@ -0,0 +1,49 @@
+// waves.js - survival mode: wave sizes, difficulty scaling, boss waves and run stats (plain JS, no Three.js)
+//
+// A run is a chain of numbered waves: a rest with a countdown, then the wave
+// spawns and has to be cleared before the next rest starts. src/core.js
+// drives the run; this module only says what wave `n` looks like.
+
+export const WAVE_REST = 15;          // seconds of rest (countdown) before every wave
+export const WAVE_BASE_COUNT = 6;     // enemies in wave 1
+export const WAVE_COUNT_GROWTH = 2;   // extra enemies per wave
+export const NIGHT_WAVE_MUL = 1.5;    // waves are this much bigger at night (types from biome.nightEnemies)
+export const HP_PER_WAVE = 0.1;       // +10 % enemy HP per wave after the first
+export const SPEED_PER_WAVE = 0.03;   // +3 % enemy speed per wave ...
+export const MAX_SPEED_MUL = 1.5;     // ... up to this
+export const MINI_BOSS_EVERY = 5;     // every 5th wave brings a mini-boss
+export const BOSS_EVERY = 10;         // every 10th a boss instead
+export const BOSS_ESCORT_SHARE = 0.5; // boss waves bring only this share of the usual enemies
+
+// Enemy type (src/enemy-types.js) leading each kind of boss wave.
+export const BOSS_TYPES = { mini: 'warchief', boss: 'lich_lord' };
+
+/**
+ * waveSpec(number, night)
+ * - { number, count, hpMul, speedMul, boss, bossType } for wave `number`
+ *   (1-based); count is the regular enemies, without the boss
+ * - boss: null, 'mini' or 'boss'; bossType is its key in ENEMY_TYPES
+ */
+export function waveSpec(number, night = false) {
+  const boss = number % BOSS_EVERY === 0 ? 'boss' : number % MINI_BOSS_EVERY === 0 ? 'mini' : null;
+  let count = (WAVE_BASE_COUNT + (number - 1) * WAVE_COUNT_GROWTH) * (night ? NIGHT_WAVE_MUL : 1);
+  if (boss) count *= BOSS_ESCORT_SHARE;
+  return {
+    number,
+    count: Math.round(count),
+    hpMul: 1 + (number - 1) * HP_PER_WAVE,
+    speedMul: Math.min(MAX_SPEED_MUL, 1 + (number - 1) * SPEED_PER_WAVE),
+    boss,
+    bossType: boss ? BOSS_TYPES[boss] : null
+  };
+}
+
+// Counters for the end-of-run summary; a new run starts with every respawn.
+export function createRunStats() {
+  return { kills: 0, wavesCleared: 0, shots: 0, hits: 0, time: 0 };
+}
+
+// Share of shots that hit an enemy (0-1; 0 before the first shot).
+export function accuracy(run) {
+  return run.shots > 0 ? run.hits / run.shots : 0;
+}
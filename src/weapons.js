@@ -0,0 +1,229 @@
+// weapons.js - ranged weapons as data plus their trigger/magazine/reload logic (plain JS, no Three.js)
+//
+// main.js turns the shots this module lets through into hitscan rays or
+// projectiles; everything about *when* a weapon fires lives here.
+
+/**
+ * WEAPONS - keyed by id, cycled in this order
+ * - fireMode: 'semi' (one shot per click), 'auto' (while held) or 'burst'
+ *   (burst.count shots burst.interval seconds apart per click)
+ * - fireRate: shots (bursts) per minute
+ * - damage per hit, times headshotMul on the head; falloff scales hitscan
+ *   damage from 1 at `start` down to `min` at `end` metres
+ * - magazine / reloadTime (seconds); ammo: reserve pool in
+ *   player.reserves, or 'mana' to pay mpCost MP per shot without magazine
+ * - spread (degrees): base cone, + perShot bloom up to max, recovering at
+ *   `recovery` deg/s; moving multiplies the cone
+ * - recoil: camera kick [pitch, yaw] in radians per shot, cycling through
+ *   the pattern while the trigger stays busy
+ * - projectile: travel-time shot { speed, gravity, radius, length?, color, life }
+ *   instead of a hitscan ray
+ * - loudness: multiplies enemy hearing range, see alertEnemies()
+ * - sound: id in src/sounds.js played per shot
+ */
+export const WEAPONS = {
+  rifle: {
+    id: 'rifle', name: 'Sturmgewehr', icon: '🔫', fireMode: 'auto', fireRate: 600,
+    damage: 50, headshotMul: 2, falloff: { start: 80, end: 400, min: 0.5 }, range: 1000,
+    magazine: 30, reloadTime: 0.8, ammo: 'bullets', loudness: 1, sound: 'shot_rifle',
+    spread: { base: 0.3, perShot: 0.35, max: 4, recovery: 6, moving: 1.6 },
+    recoil: [[0.012, 0], [0.014, 0.003], [0.015, -0.004], [0.016, 0.006], [0.016, -0.006]]
+  },
+  pistol: {
+    id: 'pistol', name: 'Pistole', icon: '🔫', fireMode: 'semi', fireRate: 400,
+    damage: 40, headshotMul: 2.5, falloff: { start: 40, end: 200, min: 0.4 }, range: 600,
+    magazine: 12, reloadTime: 1.0, ammo: 'bullets', loudness: 0.8, sound: 'shot_pistol',
+    spread: { base: 0.2, perShot: 0.8, max: 3, recovery: 10, moving: 1.3 },
+    recoil: [[0.03, 0.004], [0.03, -0.004]]
+  },
+  carbine: {
+    id: 'carbine', name: 'Salvenkarabiner', icon: '🔫', fireMode: 'burst', fireRate: 180,
+    burst: { count: 3, interval: 0.07 },
+    damage: 38, headshotMul: 2, falloff: { start: 120, end: 500, min: 0.6 }, range: 1000,
+    magazine: 24, reloadTime: 1.4, ammo: 'bullets', loudness: 1, sound: 'shot_rifle',
+    spread: { base: 0.15, perShot: 0.25, max: 2, recovery: 8, moving: 1.5 },
+    recoil: [[0.01, 0.002], [0.012, -0.002], [0.014, 0.003]]
+  },
+  bow: {
+    id: 'bow', name: 'Langbogen', icon: '🏹', fireMode: 'semi', fireRate: 70,
+    damage: 90, headshotMul: 2.5, falloff: null, range: 300,
+    magazine: 1, reloadTime: 0.5, ammo: 'arrows', loudness: 0.15, sound: 'bow_release',
+    spread: { base: 0.1, perShot: 0, max: 0.1, recovery: 1, moving: 3 },
+    recoil: [[0.01, 0]],
+    projectile: { speed: 80, gravity: 20, radius: 0.04, length: 0.8, color: 0xc8a165, life: 4 }
+  },
+  staff: {
+    id: 'staff', name: 'Arkanstab', icon: '🔮', fireMode: 'auto', fireRate: 150,
+    damage: 45, headshotMul: 1.5, falloff: null, range: 200,
+    magazine: null, reloadTime: 0, ammo: 'mana', mpCost: 6, loudness: 0.5, sound: 'staff_cast',
+    spread: { base: 0.2, perShot: 0.2, max: 1, recovery: 4, moving: 1.2 },
+    recoil: [[0.006, 0]],
+    projectile: { speed: 45, gravity: 0, radius: 0.2, color: 0x9b59ff, life: 3 }
+  }
+};
+
+export const WEAPON_ORDER = Object.keys(WEAPONS);
+
+// Reserve ammo a new character starts with (magazines start full).
+export const STARTING_RESERVES = { bullets: 90, arrows: 20 };
+
+const RECOIL_RESET = 0.3; // seconds without a shot before the pattern starts over
+
+export function createGunState(current = 'rifle') {
+  const magazines = {};
+  WEAPON_ORDER.forEach(id => { magazines[id] = WEAPONS[id].magazine || 0; });
+  return {
+    current,
+    magazines,
+    cooldown: 0,
+    reloadLeft: 0,
+    burstLeft: 0,
+    burstTimer: 0,
+    bloom: 0,
+    shotIndex: 0,
+    sinceShot: 0,
+    trigger: false,
+    latched: false   // semi/burst: trigger has to be released before the next shot
+  };
+}
+
+export function currentWeapon(gs) {
+  return WEAPONS[gs.current];
+}
+
+export function isReloading(gs) {
+  return gs.reloadLeft > 0;
+}
+
+export function setTrigger(gs, down) {
+  gs.trigger = down;
+  if (!down) gs.latched = false;
+}
+
+// Switches to weapon `id`; an unfinished reload is lost.
+export function switchWeapon(gs, id) {
+  if (!WEAPONS[id] || gs.current === id) return false;
+  gs.current = id;
+  gs.reloadLeft = 0;
+  gs.burstLeft = 0;
+  gs.bloom = 0;
+  gs.shotIndex = 0;
+  gs.latched = false;
+  gs.cooldown = Math.max(gs.cooldown, 0.25); // draw time
+  return true;
+}
+
+/**
+ * startReload(gs, reserves)
+ * - false when the weapon has no magazine, is full, already reloading or
+ *   the reserve for its ammo is empty
+ */
+export function startReload(gs, reserves) {
+  const def = currentWeapon(gs);
+  if (!def.magazine || isReloading(gs)) return false;
+  if (gs.magazines[def.id] >= def.magazine || (reserves[def.ammo] || 0) <= 0) return false;
+  gs.reloadLeft = def.reloadTime;
+  gs.burstLeft = 0;
+  return true;
+}
+
+function finishReload(gs, reserves) {
+  const def = currentWeapon(gs);
+  const taken = Math.min(def.magazine - gs.magazines[def.id], reserves[def.ammo] || 0);
+  gs.magazines[def.id] += taken;
+  reserves[def.ammo] -= taken;
+}
+
+// Pays for one shot from the magazine or MP; false if there's nothing to pay with.
+function payForShot(gs, def, player) {
+  if (def.ammo === 'mana') {
+    if (player.mp < def.mpCost) return false;
+    player.mp -= def.mpCost;
+    return true;
+  }
+  if (gs.magazines[def.id] <= 0) return false;
+  gs.magazines[def.id]--;
+  return true;
+}
+
+/**
+ * updateGun(gs, delta, player, rateMul)
+ * - advances cooldowns, bloom, reloads and bursts, and fires while the
+ *   trigger allows it; player is { reserves, mp } and is spent in place
+ * - rateMul speeds up the fire rate (e.g. 2 = twice as fast)
+ * - returns 'shot' when a shot was fired this frame, 'empty' when the
+ *   trigger hit an empty weapon (a reload was started if possible), or null;
+ *   with nothing to reload the trigger must be let go before it clicks again
+ */
+export function updateGun(gs, delta, player, rateMul = 1) {
+  const def = currentWeapon(gs);
+  gs.cooldown = Math.max(-delta, gs.cooldown - delta); // may dip below 0 by one frame, see below
+  gs.bloom = Math.max(0, gs.bloom - def.spread.recovery * delta);
+  gs.sinceShot += delta;
+  if (gs.sinceShot > RECOIL_RESET) gs.shotIndex = 0;
+
+  if (gs.reloadLeft > 0) {
+    gs.reloadLeft -= delta;
+    if (gs.reloadLeft <= 0) {
+      gs.reloadLeft = 0;
+      finishReload(gs, player.reserves);
+    }
+    return null;
+  }
+
+  let fire = false;
+  if (gs.burstLeft > 0) {
+    gs.burstTimer -= delta;
+    if (gs.burstTimer <= 0) fire = true;
+  } else if (gs.trigger && !gs.latched && gs.cooldown <= 0) {
+    fire = true;
+    if (def.fireMode !== 'auto') gs.latched = true;
+    if (def.fireMode === 'burst') gs.burstLeft = def.burst.count;
+  }
+  if (!fire) return null;
+
+  if (!payForShot(gs, def, player)) {
+    gs.burstLeft = 0;
+    gs.cooldown = 0.2;
+    if (!startReload(gs, player.reserves)) gs.latched = true;
+    return 'empty';
+  }
+
+  gs.bloom = Math.min(def.spread.max, gs.bloom + def.spread.perShot);
+  gs.shotIndex++;
+  gs.sinceShot = 0;
+  if (gs.burstLeft > 0) {
+    gs.burstLeft--;
+    gs.burstTimer = def.burst.interval;
+  }
+  // carrying the overshoot keeps automatic fire at its real rate at any frame rate
+  if (gs.burstLeft === 0) gs.cooldown = Math.min(0, gs.cooldown) + 60 / (def.fireRate * rateMul);
+  return 'shot';
+}
+
+// Cone (degrees) the next shot may deviate inside.
+export function spreadAngle(gs, moving) {
+  const def = currentWeapon(gs);
+  return (def.spread.base + gs.bloom) * (moving ? def.spread.moving : 1);
+}
+
+// Camera kick [pitch, yaw] for the shot just fired.
+export function recoilKick(gs) {
+  const pattern = currentWeapon(gs).recoil;
+  return pattern[(gs.shotIndex - 1 + pattern.length) % pattern.length];
+}
+
+/**
+ * damageAt(def, dist, headshot, power)
+ * - hit damage after distance falloff and the headshot multiplier
+ * - power scales the weapon's damage for the shooter's level and gear
+ *   (weaponDamage / BASE_WEAPON_DAMAGE, like the sword's)
+ */
+export function damageAt(def, dist, headshot, power = 1) {
+  let mul = 1;
+  if (def.falloff && dist > def.falloff.start) {
+    const t = Math.min(1, (dist - def.falloff.start) / (def.falloff.end - def.falloff.start));
+    mul = 1 - t * (1 - def.falloff.min);
+  }
+  return Math.round(def.damage * power * mul * (headshot ? def.headshotMul : 1));
+}
@@ -0,0 +1,79 @@
+// weather.js - weather states and the blends between them (plain JS, no Three.js)
+//
+// The weather holds one state for a random duration, then rolls the next one
+// (by weight, never the same twice) and blends over TRANSITION seconds.
+import { pickWeighted } from './rng.js';
+import { lerpColor } from './daynight.js';
+
+/**
+ * WEATHER - keyed by id
+ * - weight: chance to come next; duration: [min, max] seconds it lasts
+ * - rain: 0-1 share of the rain particles; fog: fog density multiplier
+ * - light: sun/ambient multiplier; tint / tintAmount: colour the sky is
+ *   pulled towards (by daylight, nights stay dark)
+ * - lightning: flashes per second on average
+ */
+export const WEATHER = {
+  clear: { id: 'clear', name: 'Klar', weight: 5, duration: [150, 360], rain: 0, fog: 1, light: 1, tint: 0x87ceeb, tintAmount: 0, lightning: 0 },
+  rain: { id: 'rain', name: 'Regen', weight: 2, duration: [60, 180], rain: 0.6, fog: 1.8, light: 0.7, tint: 0x6b7b8c, tintAmount: 0.6, lightning: 0 },
+  fog: { id: 'fog', name: 'Nebel', weight: 1.5, duration: [60, 150], rain: 0, fog: 4, light: 0.8, tint: 0xb8c2cc, tintAmount: 0.7, lightning: 0 },
+  storm: { id: 'storm', name: 'Gewitter', weight: 1, duration: [45, 120], rain: 1, fog: 2.2, light: 0.45, tint: 0x3d4650, tintAmount: 0.8, lightning: 0.25 }
+};
+
+const TRANSITION = 20;     // seconds to blend from one state into the next
+const FLASH_DECAY = 5;     // lightning flash falloff per second
+
+function rollDuration(def, random) {
+  const [min, max] = def.duration;
+  return min + random() * (max - min);
+}
+
+export function createWeather(id = 'clear', random = Math.random) {
+  return { from: id, to: id, blend: 1, left: rollDuration(WEATHER[id], random), flash: 0 };
+}
+
+/**
+ * updateWeather(w, delta, random)
+ * - advances the blend, rolls the next state when the current one runs out
+ *   and fires lightning; returns the id of a state that just started, or null
+ */
+export function updateWeather(w, delta, random = Math.random) {
+  let started = null;
+  w.blend = Math.min(1, w.blend + delta / TRANSITION);
+  w.left -= delta;
+  if (w.left <= 0 && w.blend >= 1) {
+    const weights = {};
+    for (const id in WEATHER) {
+      if (id !== w.to) weights[id] = WEATHER[id].weight;
+    }
+    w.from = w.to;
+    w.to = pickWeighted(weights, random);
+    w.blend = 0;
+    w.left = rollDuration(WEATHER[w.to], random);
+    started = w.to;
+  }
+  w.flash = Math.max(0, w.flash - delta * FLASH_DECAY);
+  const lightning = weatherParams(w).lightning;
+  if (lightning > 0 && random() < lightning * delta) w.flash = 1;
+  return started;
+}
+
+/**
+ * weatherParams(w)
+ * - the blended values of the current transition (same fields as a WEATHER
+ *   entry) plus `flash`, 1 right after a lightning strike decaying to 0
+ */
+export function weatherParams(w) {
+  const a = WEATHER[w.from], b = WEATHER[w.to], k = w.blend;
+  const mix = (name) => a[name] + (b[name] - a[name]) * k;
+  return {
+    id: k < 0.5 ? a.id : b.id,
+    rain: mix('rain'),
+    fog: mix('fog'),
+    light: mix('light'),
+    tint: lerpColor(a.tint, b.tint, k),
+    tintAmount: mix('tintAmount'),
+    lightning: mix('lightning'),
+    flash: w.flash
+  };
+}
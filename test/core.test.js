@@ -0,0 +1,260 @@
+// core.test.js - the headless simulation in src/core.js, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setWorldSeed, getSpawnPoint } from '../src/terrain.js';
+import { BIOMES } from '../src/biomes.js';
+import { mulberry32 } from '../src/rng.js';
+import { createInput } from '../src/input.js';
+import { createLoop, stepLoop } from '../src/game-loop.js';
+import { WEAPONS, setTrigger } from '../src/weapons.js';
+import { WAVE_REST, waveSpec } from '../src/waves.js';
+import { AI_STATES } from '../src/enemy-ai.js';
+import {
+  createGame, on, applyDamageToPlayer, respawn, reload, setWeaponMode, setPlayerBlocking,
+  spawnEnemies, startWaves, waveCountdown, updateCombat, stepGame,
+  RESPAWN_DELAY, INITIAL_ENEMY_COUNT, MAX_ENEMIES
+} from '../src/core.js';
+
+setWorldSeed(1234);
+
+// A game on an endless, always loaded grassland; enemies appear 60 m east of the player.
+function makeGame(seed = 1) {
+  const game = createGame({
+    rng: mulberry32(seed),
+    loop: createLoop(),
+    input: createInput(),
+    world: {
+      pickSpawnPoint: (x, z) => ({ x: x + 60, z, biome: BIOMES.grassland }),
+      isLoaded: () => true
+    }
+  });
+  const events = [];
+  ['playerDamaged', 'parried', 'playerDied', 'respawn', 'reload', 'dryFire', 'noSword', 'waveStart', 'waveCleared'].forEach(type => {
+    on(game, type, (...args) => events.push([type, ...args]));
+  });
+  game.events = events;
+  return game;
+}
+
+const count = (game, type) => game.events.filter(e => e[0] === type).length;
+
+// Advances game time by a little over `seconds` (timers fire, nothing moves).
+function runTimers(game, seconds) {
+  const until = game.loop.time + seconds + 0.05;
+  while (game.loop.time < until) stepLoop(game.loop, game.loop.step, () => {});
+}
+
+test('damage takes HP and is reported', () => {
+  const game = makeGame();
+  applyDamageToPlayer(game, 30);
+  assert.equal(game.state.hp, 70);
+  assert.deepEqual(game.events, [['playerDamaged', 30, game.state, null]]);
+});
+
+test('a raised shield parries right away and absorbs hits after the parry window', () => {
+  const game = makeGame();
+  game.state.blockReduction = 0.5;
+  game.state.hasSword = true;
+  setWeaponMode(game, 'sword');
+  setPlayerBlocking(game, true);
+  const front = { x: game.state.position.x, z: game.state.position.z - 2 }; // yaw 0 faces -z
+  applyDamageToPlayer(game, 40, null, game.state, front);
+  assert.equal(game.state.hp, 100);
+  assert.equal(count(game, 'parried'), 1);
+
+  updateCombat(game, 0.5);
+  applyDamageToPlayer(game, 40, null, game.state, front);
+  assert.equal(game.state.hp, 80);
+});
+
+test('the shield only covers the front', () => {
+  const game = makeGame();
+  const s = game.state;
+  s.blockReduction = 0.5;
+  s.hasSword = true;
+  setWeaponMode(game, 'sword');
+  setPlayerBlocking(game, true);
+  applyDamageToPlayer(game, 40, null, s, { x: s.position.x, z: s.position.z + 2 }); // from behind
+  assert.equal(s.hp, 60);
+  assert.equal(count(game, 'parried'), 0);
+});
+
+test('there is no sword mode without a sword', () => {
+  const game = makeGame();
+  assert.equal(setWeaponMode(game, 'sword'), false);
+  assert.equal(game.state.weaponMode, 'gun');
+  assert.equal(count(game, 'noSword'), 1);
+});
+
+test('an empty gun clicks once per trigger pull', () => {
+  const game = makeGame();
+  const s = game.state;
+  s.gun.magazines.rifle = 0;
+  s.reserves.bullets = 0;
+  setTrigger(s.gun, true);
+  for (let t = 0; t < 1; t += 1 / 60) stepGame(game, 1 / 60);
+  assert.equal(count(game, 'dryFire'), 1);
+  setTrigger(s.gun, false);
+  setTrigger(s.gun, true);
+  for (let t = 0; t < 0.5; t += 1 / 60) stepGame(game, 1 / 60);
+  assert.equal(count(game, 'dryFire'), 2);
+});
+
+test('reload refills the magazine from the reserve after the reload time', () => {
+  const game = makeGame();
+  const s = game.state;
+  assert.equal(reload(game), false, 'a full magazine does not reload');
+
+  s.gun.magazines.rifle = 5;
+  assert.equal(reload(game), true);
+  assert.equal(count(game, 'reload'), 1);
+  const reserve = s.reserves.bullets;
+  for (let t = 0; t < WEAPONS.rifle.reloadTime + 0.05; t += 1 / 60) stepGame(game, 1 / 60);
+  assert.equal(s.gun.magazines.rifle, WEAPONS.rifle.magazine);
+  assert.equal(s.reserves.bullets, reserve - (WEAPONS.rifle.magazine - 5));
+});
+
+test('reload fails without reserve ammo', () => {
+  const game = makeGame();
+  game.state.gun.magazines.rifle = 0;
+  game.state.reserves.bullets = 0;
+  assert.equal(reload(game), false);
+});
+
+test('the player respawns once, RESPAWN_DELAY seconds after dying', () => {
+  const game = makeGame();
+  applyDamageToPlayer(game, 500);
+  assert.equal(game.state.hp, 0);
+  applyDamageToPlayer(game, 10); // hits on the body don't count again
+  assert.equal(count(game, 'playerDied'), 1);
+  assert.equal(count(game, 'playerDamaged'), 1);
+
+  runTimers(game, RESPAWN_DELAY - 0.5);
+  assert.equal(count(game, 'respawn'), 0);
+  runTimers(game, 1);
+  assert.equal(count(game, 'respawn'), 1);
+  assert.equal(game.state.hp, game.state.maxHp);
+  const spawn = getSpawnPoint();
+  assert.equal(game.state.position.x, spawn.x);
+  assert.equal(game.state.position.z, spawn.z);
+  assert.equal(game.state.enemies.length, INITIAL_ENEMY_COUNT);
+
+  runTimers(game, RESPAWN_DELAY * 2);
+  assert.equal(count(game, 'respawn'), 1);
+});
+
+test('respawning at a position replaces the enemies', () => {
+  const game = makeGame();
+  spawnEnemies(game, 50);
+  respawn(game, { x: 10, y: 5, z: -20 });
+  assert.deepEqual(game.state.position, { x: 10, y: 5, z: -20 });
+  assert.equal(game.state.enemies.length, INITIAL_ENEMY_COUNT);
+});
+
+test('the same rng seed spawns the same enemies', () => {
+  const types = (game) => { spawnEnemies(game, 20); return game.state.enemies.map(e => e.type.id); };
+  assert.deepEqual(types(makeGame(7)), types(makeGame(7)));
+});
+
+test('spawning never goes past MAX_ENEMIES', () => {
+  const game = makeGame();
+  assert.equal(spawnEnemies(game, MAX_ENEMIES + 50), MAX_ENEMIES);
+  assert.equal(spawnEnemies(game, 5), 0);
+  assert.equal(game.state.enemies.length, MAX_ENEMIES);
+});
+
+test('a run rests WAVE_REST seconds, then spawns wave 1', () => {
+  const game = makeGame();
+  game.state.clock.time = 0.5; // noon
+  startWaves(game);
+  assert.equal(game.state.wave.phase, 'rest');
+  assert.equal(waveCountdown(game), WAVE_REST);
+
+  runTimers(game, WAVE_REST);
+  const spec = waveSpec(1, false);
+  assert.equal(game.state.wave.phase, 'fight');
+  assert.equal(game.state.wave.left, spec.count);
+  assert.equal(game.state.enemies.length, spec.count);
+  assert.deepEqual(game.events.map(e => e[0]), ['waveStart']);
+  assert.equal(game.events[0][1].number, 1);
+});
+
+test('clearing a wave rests before the next, tougher wave', () => {
+  const game = makeGame();
+  game.state.clock.time = 0.5;
+  startWaves(game);
+  runTimers(game, WAVE_REST);
+  game.state.enemies.forEach(enemy => { enemy.hp = 0; });
+  stepGame(game, 1 / 60);
+  assert.equal(count(game, 'waveCleared'), 1);
+  assert.equal(game.state.run.wavesCleared, 1);
+  assert.equal(game.state.run.kills, waveSpec(1).count);
+  assert.equal(game.state.wave.phase, 'rest');
+
+  runTimers(game, WAVE_REST);
+  const spec = waveSpec(2, false);
+  assert.equal(game.state.wave.number, 2);
+  assert.equal(game.state.enemies.length, spec.count);
+  game.state.enemies.forEach(enemy => {
+    assert.equal(enemy.wave, 2);
+    assert.equal(enemy.maxHp, Math.round(enemy.type.hp * spec.hpMul));
+  });
+});
+
+test('every 5th wave is led by the mini-boss and every 10th by the boss', () => {
+  const boss = (number) => {
+    const game = makeGame();
+    game.state.clock.time = 0.5;
+    startWaves(game);
+    game.state.wave.number = number - 1;
+    runTimers(game, WAVE_REST);
+    assert.equal(game.state.enemies.length, waveSpec(number).count + 1);
+    return game.state.wave.boss.type.id;
+  };
+  assert.equal(boss(5), 'warchief');
+  assert.equal(boss(10), 'lich_lord');
+});
+
+test('a wave without room under MAX_ENEMIES waits for the next rest', () => {
+  const game = makeGame();
+  spawnEnemies(game, MAX_ENEMIES);
+  startWaves(game);
+  runTimers(game, WAVE_REST);
+  assert.equal(count(game, 'waveStart'), 0);
+  assert.equal(game.state.wave.number, 0);
+  assert.equal(game.state.wave.phase, 'rest');
+});
+
+test('an enemy winds up before its first blow lands', () => {
+  const game = makeGame();
+  spawnEnemies(game, 1);
+  const enemy = game.state.enemies[0];
+  const p = game.state.position;
+  Object.assign(enemy.pos, { x: p.x + 1, y: p.y, z: p.z });
+  enemy.facing = -Math.PI / 2; // looking at the player
+  let windup = 0, steps = 0;
+  while (count(game, 'playerDamaged') === 0 && steps++ < 600) {
+    windup = enemy.windup;
+    stepLoop(game.loop, game.loop.step, (delta) => stepGame(game, delta));
+  }
+  assert.equal(count(game, 'playerDamaged'), 1);
+  assert.ok(windup > 0.9); // fully raised just before the hit
+});
+
+test('wave enemies come for the player and keep following them', () => {
+  const game = makeGame();
+  game.state.clock.time = 0.5;
+  startWaves(game);
+  runTimers(game, WAVE_REST);
+  const p = game.state.position;
+  const dist = (enemy) => Math.hypot(enemy.pos.x - p.x, enemy.pos.z - p.z);
+  game.state.enemies.forEach(enemy => assert.equal(enemy.state, AI_STATES.CHASE));
+
+  p.x -= 200; // further than any of them would chase a player they only saw
+  const before = game.state.enemies.map(dist);
+  for (let i = 0; i < 5 * 60; i++) stepLoop(game.loop, game.loop.step, (delta) => stepGame(game, delta));
+  game.state.enemies.forEach((enemy, i) => {
+    assert.equal(enemy.state, AI_STATES.CHASE);
+    assert.ok(dist(enemy) < before[i] - 10);
+  });
+});
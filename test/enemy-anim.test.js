@@ -0,0 +1,79 @@
+// enemy-anim.test.js - enemy poses and death ragdolls from src/enemy-anim.js, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { setWorldSeed, getTerrainHeight } from '../src/terrain.js';
+import { ENEMY_TYPES } from '../src/enemy-types.js';
+import { buildEnemyModel, buildHpBar } from '../src/enemy-model.js';
+import { createEnemyAnim, animateEnemy, strikeEnemyAnim, hitEnemyAnim, breakApart, updateCorpse } from '../src/enemy-anim.js';
+import { SIM_STEP } from '../src/game-loop.js';
+
+setWorldSeed(1234);
+
+const STEP = { speed: 0, windup: 0, ranged: false };
+
+test('walking swings the legs in turn; standing still keeps them straight', () => {
+  const model = buildEnemyModel(ENEMY_TYPES.grunt);
+  const anim = createEnemyAnim();
+  animateEnemy(model, anim, STEP, 0.5);
+  assert.equal(model.legs[0].rotation.x, 0);
+
+  let widest = 0;
+  for (let i = 0; i < 30; i++) {
+    animateEnemy(model, anim, { ...STEP, speed: 5 }, SIM_STEP);
+    widest = Math.max(widest, Math.abs(model.legs[0].rotation.x));
+    assert.ok(Math.abs(model.legs[0].rotation.x + model.legs[1].rotation.x) < 1e-9); // opposite legs
+  }
+  assert.ok(widest > 0.3);
+});
+
+test('the wind-up raises the striking arm and the blow brings it down', () => {
+  const model = buildEnemyModel(ENEMY_TYPES.grunt);
+  const anim = createEnemyAnim();
+  animateEnemy(model, anim, { ...STEP, windup: 1 }, SIM_STEP);
+  const raised = model.arms[1].position.y;
+  assert.ok(raised > 1.25); // above the shoulder
+  assert.ok(model.group.rotation.x < 0); // leaning back
+
+  strikeEnemyAnim(anim, 'melee');
+  for (let i = 0; i < 8; i++) animateEnemy(model, anim, STEP, SIM_STEP);
+  assert.ok(model.arms[1].position.y < raised);
+  assert.ok(model.arms[1].position.z > 0); // swung forward
+});
+
+test('hits tilt the model along the blow and wear off', () => {
+  const model = buildEnemyModel(ENEMY_TYPES.grunt);
+  const anim = createEnemyAnim();
+  hitEnemyAnim(anim, 0, 0, 1, 1); // facing +z, hit from the front pushing it back along +z
+  animateEnemy(model, anim, STEP, SIM_STEP);
+  assert.ok(model.group.rotation.x > 0.1);
+  for (let i = 0; i < 30; i++) animateEnemy(model, anim, STEP, SIM_STEP);
+  assert.ok(Math.abs(model.group.rotation.x) < 1e-9);
+});
+
+test('a dead enemy falls apart onto the terrain and fades away', () => {
+  const scene = new THREE.Scene();
+  const model = buildEnemyModel(ENEMY_TYPES.brute);
+  buildHpBar(model, 2);
+  const x = 10, z = -20, ground = getTerrainHeight(x, z);
+  model.group.position.set(x, ground, z);
+  scene.add(model.group);
+  const pooled = model.body.material;
+
+  const corpse = breakApart(scene, model, createEnemyAnim(), () => 0.5);
+  assert.ok(!scene.children.includes(model.group));
+  assert.equal(corpse.pieces.length, 6); // body, head, two arms, two legs
+  assert.ok(corpse.pieces.every(p => scene.children.includes(p.mesh)));
+  assert.notEqual(model.body.material, pooled); // fades on its own copy
+
+  for (let t = 0; t < 2; t += SIM_STEP) updateCorpse(scene, corpse, SIM_STEP);
+  corpse.pieces.forEach(({ mesh, radius }) => {
+    assert.ok(mesh.position.y >= getTerrainHeight(mesh.position.x, mesh.position.z) + radius - 1e-6);
+    assert.ok(mesh.position.y < getTerrainHeight(mesh.position.x, mesh.position.z) + radius + 0.2); // came to rest
+  });
+  let alive = true;
+  for (let t = 0; t < 3 && alive; t += SIM_STEP) alive = updateCorpse(scene, corpse, SIM_STEP);
+  assert.equal(alive, false);
+  assert.equal(scene.children.length, 0);
+  assert.equal(pooled.opacity, 1);
+});
@@ -0,0 +1,46 @@
+// hit-feedback.test.js - damage numbers, directions and vignette from src/hit-feedback.js, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  damageNumberStyle, damageNumberMotion, damageDirection, hitFlash, vignetteStrength,
+  DAMAGE_NUMBER_TIME, DAMAGE_NUMBER_RISE
+} from '../src/hit-feedback.js';
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('headshots are crits; heavy hits and skills have their own colours', () => {
+  assert.equal(damageNumberStyle({ source: 'shot', headshot: true }), 'crit');
+  assert.equal(damageNumberStyle({ source: 'melee', heavy: true }), 'heavy');
+  assert.equal(damageNumberStyle({ source: 'skill' }), 'skill');
+  assert.equal(damageNumberStyle({ source: 'shot' }), 'normal');
+});
+
+test('damage numbers pop in, rise and fade out', () => {
+  const start = damageNumberMotion(0);
+  assert.equal(start.rise, 0);
+  assert.ok(start.scale > 1);
+  assert.equal(start.opacity, 1);
+  const end = damageNumberMotion(DAMAGE_NUMBER_TIME);
+  assert.equal(end.rise, DAMAGE_NUMBER_RISE);
+  assert.equal(end.opacity, 0);
+  assert.equal(end.scale, 1);
+});
+
+test('damage directions are relative to where the player looks', () => {
+  // looking down -z (yaw 0)
+  assert.ok(near(damageDirection(0, 0, -5), 0));            // in front
+  assert.ok(near(damageDirection(0, 5, 0), Math.PI / 2));   // right
+  assert.ok(near(Math.abs(damageDirection(0, 0, 5)), Math.PI)); // behind
+  // turned left a quarter: -x is ahead, so a hit from -z is on the right
+  assert.ok(near(damageDirection(Math.PI / 2, -5, 0), 0));
+  assert.ok(near(damageDirection(Math.PI / 2, 0, -5), Math.PI / 2));
+});
+
+test('the vignette flashes with hits and glows at low HP', () => {
+  assert.equal(vignetteStrength(100, 100, 0), 0);
+  assert.ok(hitFlash(50, 100) > hitFlash(5, 100));
+  assert.equal(hitFlash(500, 100), 1);
+  assert.ok(vignetteStrength(10, 100, 0) > vignetteStrength(25, 100, 0));
+  assert.equal(vignetteStrength(0, 100, 0), 0); // dead: the death overlay takes over
+  assert.equal(vignetteStrength(10, 100, 1), 1);
+});
@@ -0,0 +1,48 @@
+// main.test.js - static checks of main.js, run with `node --test`
+//
+// main.js needs a browser (DOM, WebGL, the import map) and is never loaded
+// by the other tests, so these at least catch it not parsing, importing
+// names its modules don't export, or using constants it never declares.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const MAIN = fileURLToPath(new URL('../main.js', import.meta.url));
+const source = readFileSync(MAIN, 'utf8');
+const BROWSER_GLOBALS = new Set(['URL']);
+
+// The source without comments and with empty strings, so only code is left.
+const code = source
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/\/\/.*$/gm, '')
+  .replace(/`(?:\\.|[^`\\])*`|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/g, '""');
+
+// { names, from } for every `import { ... } from '...'` of main.js.
+const namedImports = [...source.matchAll(/import\s*\{([^}]*)\}\s*from\s*'([^']+)'/g)].map(([, list, from]) => ({
+  names: list.split(',').map(n => n.trim().split(/\s+as\s+/)).filter(([n]) => n),
+  from
+}));
+
+test('main.js parses', () => {
+  const run = spawnSync(process.execPath, ['--experimental-default-type=module', '--check', MAIN], { encoding: 'utf8' });
+  assert.equal(run.status, 0, run.stderr);
+});
+
+test('everything main.js imports from src/ is exported there', async () => {
+  for (const { names, from } of namedImports.filter(i => i.from.startsWith('./src/'))) {
+    const mod = await import(new URL(`../${from}`, import.meta.url));
+    names.forEach(([name]) => assert.ok(name in mod, `${from} does not export ${name}`));
+  }
+});
+
+test('every constant main.js uses is declared or imported', () => {
+  const known = new Set(BROWSER_GLOBALS);
+  namedImports.forEach(({ names }) => names.forEach(n => known.add(n[n.length - 1])));
+  for (const [, name] of code.matchAll(/import\s*\*\s*as\s+(\w+)/g)) known.add(name);
+  for (const [, name] of code.matchAll(/\b(?:const|let|var|function|class)\s+([A-Z][A-Z0-9_]+)/g)) known.add(name);
+  const missing = [...new Set([...code.matchAll(/(?<![.\w$])([A-Z][A-Z0-9_]+)\b/g)].map(m => m[1]))]
+    .filter(name => !known.has(name));
+  assert.deepEqual(missing, []);
+});
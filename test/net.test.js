@@ -0,0 +1,278 @@
+// net.test.js - multiplayer protocol, server world and WebSocket framing, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stepLoop } from '../src/game-loop.js';
+import { WEAPONS } from '../src/weapons.js';
+import { SKILLS } from '../src/progression.js';
+import { ITEMS, POTION_COOLDOWN } from '../src/items.js';
+import { createGame, on, syncRemoteWorld, PLAYER_HEIGHT, BASE_WEAPON_DAMAGE } from '../src/core.js';
+import { mulberry32 } from '../src/rng.js';
+import {
+  encode, decode, sanitizeName, createSnapshotBuffer, pushSnapshot, sampleSnapshots, lerpAngle,
+  INTERP_DELAY, MAX_NAME_LENGTH
+} from '../src/net-protocol.js';
+import { createServerWorld, addPeer, removePeer, handleMessage, validateHit, stepWorld } from '../server/world.js';
+import { decodeFrame, encodeFrame } from '../server/websocket.js';
+
+test('messages round-trip and junk decodes to null', () => {
+  assert.deepEqual(decode(encode('hit', { enemyId: 3 })), { type: 'hit', enemyId: 3 });
+  assert.equal(decode('not json'), null);
+  assert.equal(decode('[1, 2]'), null);
+  assert.equal(decode('{"type": 5}'), null);
+});
+
+test('names are trimmed, single spaced, capped and never empty', () => {
+  assert.equal(sanitizeName('  Aki \n  Mura '), 'Aki Mura');
+  assert.equal(sanitizeName('x'.repeat(40)).length, MAX_NAME_LENGTH);
+  assert.equal(sanitizeName('\u0007'), 'Abenteurer');
+  assert.equal(sanitizeName(null), 'Abenteurer');
+});
+
+test('snapshots are drawn INTERP_DELAY behind, blended between neighbours', () => {
+  const buffer = createSnapshotBuffer();
+  const snap = (time, x) => ({
+    time, players: [], bolts: [], wave: {}, clock: 0,
+    enemies: [{ id: 1, x, y: 0, z: 0, facing: 0 }]
+  });
+  pushSnapshot(buffer, snap(1, 0), 10);
+  pushSnapshot(buffer, snap(1.1, 10), 10.1);
+  pushSnapshot(buffer, snap(1.05, 99), 10.2); // late: dropped
+  assert.equal(buffer.snapshots.length, 2);
+
+  const frame = sampleSnapshots(buffer, 10.1 + INTERP_DELAY / 2);
+  assert.ok(Math.abs(frame.enemies[0].x - 5) < 1e-9);
+  // never past the newest
+  assert.equal(sampleSnapshots(buffer, 20).enemies[0].x, 10);
+  assert.ok(Math.abs(lerpAngle(3, -3, 0.5) - (3 + (2 * Math.PI - 6) / 2)) < 1e-9);
+});
+
+test('syncRemoteWorld creates, moves and removes enemies from frames', () => {
+  const game = createGame({ rng: mulberry32(1), loop: { time: 0 }, input: null, world: {} });
+  game.authority = 'remote';
+  const removed = [];
+  on(game, 'enemyRemoved', (enemy, reason) => removed.push([enemy.id, reason]));
+  const frame = (enemies) => ({
+    players: [], bolts: [], clock: 0.5, enemies,
+    wave: { number: 2, phase: 'fight', left: 1, countdown: 0, bossId: null }
+  });
+  syncRemoteWorld(game, frame([{ id: 7, type: 'grunt', x: 1, y: 0, z: 2, facing: 0, hp: 50, maxHp: 50, state: 'idle', wave: 2 }]), new Map());
+  assert.equal(game.state.enemies.length, 1);
+  assert.equal(game.state.wave.number, 2);
+
+  syncRemoteWorld(game, frame([]), new Map([[7, { reason: 'killed', mine: true }]]));
+  assert.deepEqual(removed, [[7, 'killed']]);
+  assert.equal(game.state.kills, 1);
+  assert.equal(game.state.run.kills, 1);
+});
+
+// A server world with one connected peer; its messages land in peer.inbox.
+function connect(world, name) {
+  const inbox = [];
+  const peer = addPeer(world, (text) => inbox.push(decode(text)));
+  peer.inbox = inbox;
+  handleMessage(world, peer, encode('hello', { name }));
+  return peer;
+}
+
+const last = (peer, type) => peer.inbox.filter(m => m.type === type).pop();
+
+test('peers get a welcome and lobby, join the world and leave it again', () => {
+  const world = createServerWorld(42);
+  const a = connect(world, 'Aki');
+  const b = connect(world, 'Ben');
+  assert.deepEqual(last(a, 'welcome'), { type: 'welcome', id: a.id, seed: 42 });
+  assert.deepEqual(last(a, 'lobby').players.map(p => p.name), ['Aki', 'Ben']);
+
+  handleMessage(world, a, encode('join'));
+  assert.ok(last(a, 'spawn'));
+  assert.equal(world.game.players.length, 1);
+  assert.ok(world.game.state.enemies.length > 0);
+  assert.equal(last(b, 'lobby').players.find(p => p.id === a.id).playing, true);
+
+  stepLoop(world.loop, 0.2, (delta) => stepWorld(world, delta));
+  const snap = last(a, 'snapshot');
+  assert.equal(snap.players[0].name, 'Aki');
+  assert.equal(last(b, 'snapshot'), undefined); // still in the lobby
+
+  removePeer(world, a);
+  assert.equal(world.game.players.length, 0);
+  assert.deepEqual(last(b, 'lobby').players.map(p => p.name), ['Ben']);
+});
+
+test('messages before hello or outside the world are ignored', () => {
+  const world = createServerWorld(42);
+  const inbox = [];
+  const peer = addPeer(world, (text) => inbox.push(text));
+  handleMessage(world, peer, encode('join'));
+  handleMessage(world, peer, 'garbage');
+  assert.deepEqual(inbox, []);
+  const named = connect(world, 'Aki');
+  handleMessage(world, named, encode('heal', { amount: 50 }));
+  assert.equal(named.player, null);
+});
+
+test('reported moves faster than anyone runs are corrected', () => {
+  const world = createServerWorld(42);
+  const peer = connect(world, 'Aki');
+  handleMessage(world, peer, encode('join'));
+  const start = { ...peer.player.position };
+
+  stepLoop(world.loop, 0.1, (delta) => stepWorld(world, delta));
+  handleMessage(world, peer, encode('input', { x: start.x + 2, y: start.y, z: start.z, yaw: 1 }));
+  assert.equal(peer.player.position.x, start.x + 2);
+  assert.equal(peer.player.yaw, 1);
+
+  stepLoop(world.loop, 0.1, (delta) => stepWorld(world, delta));
+  handleMessage(world, peer, encode('input', { x: start.x + 500, y: start.y, z: start.z }));
+  assert.equal(peer.player.position.x, start.x + 2);
+  assert.deepEqual(last(peer, 'correct').position, peer.player.position);
+});
+
+test('shot claims are checked against the shooter, the weapon and the enemy', () => {
+  const world = createServerWorld(42);
+  const peer = connect(world, 'Aki');
+  handleMessage(world, peer, encode('join'));
+  const p = peer.player.position;
+  const enemy = world.game.state.enemies[0];
+  Object.assign(enemy.pos, { x: p.x, y: p.y, z: p.z - 20 });
+  const eye = { x: p.x, y: p.y + PLAYER_HEIGHT, z: p.z };
+  const aim = { x: 0, y: (enemy.pos.y + enemy.height * 0.5 - eye.y) / 20, z: -1 };
+  const claim = (extra) => ({ enemyId: enemy.id, source: 'shot', weapon: 'pistol', origin: eye, dir: aim, ...extra });
+
+  world.loop.time = 10;
+  const hit = validateHit(world, peer, claim({ amount: 9999 }));
+  assert.equal(hit.enemy, enemy);
+  assert.ok(hit.amount <= WEAPONS.pistol.damage * 2); // the weapon's damage, not the claim's
+  assert.equal(validateHit(world, peer, claim()), null); // faster than the pistol fires
+
+  world.loop.time = 20;
+  assert.equal(validateHit(world, peer, claim({ dir: { x: 1, y: 0, z: 0 } })), null);         // missed
+  assert.equal(validateHit(world, peer, claim({ origin: { ...eye, x: eye.x + 30 } })), null); // not from the shooter
+  assert.equal(validateHit(world, peer, claim({ weapon: 'railgun' })), null);                 // no such weapon
+  assert.equal(validateHit(world, peer, claim({ enemyId: -1 })), null);
+
+  Object.assign(enemy.pos, { x: p.x + 50, z: p.z });
+  assert.equal(validateHit(world, peer, { enemyId: enemy.id, source: 'melee', amount: 30 }), null); // out of reach
+  Object.assign(enemy.pos, { x: p.x + 1, z: p.z });
+  assert.equal(validateHit(world, peer, { enemyId: enemy.id, source: 'melee', amount: 30 }).amount, 30);
+});
+
+test('accepted hits damage the enemy and are broadcast with the shooter', () => {
+  const world = createServerWorld(42);
+  const peer = connect(world, 'Aki');
+  handleMessage(world, peer, encode('join'));
+  const p = peer.player.position;
+  const enemy = world.game.state.enemies[0];
+  Object.assign(enemy.pos, { x: p.x + 1, y: p.y, z: p.z });
+  const hp = enemy.hp;
+  handleMessage(world, peer, encode('hit', { enemyId: enemy.id, source: 'melee', amount: 20 }));
+  assert.equal(enemy.hp, hp - 20);
+  assert.equal(enemy.lastHitBy, peer.player);
+  assert.deepEqual(last(peer, 'enemyHit'), { type: 'enemyHit', id: enemy.id, source: 'melee', headshot: false, heavy: false, amount: 20, by: peer.id });
+});
+
+// A client frame: always masked.
+function clientFrame(opcode, text, fin = true) {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const header = payload.length < 126 ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]) : null;
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+  return Buffer.concat([header, mask, masked]);
+}
+
+test('websocket frames decode masked client frames and refuse unmasked ones', () => {
+  const frame = clientFrame(0x1, '{"type":"hello"}');
+  const decoded = decodeFrame(Buffer.concat([frame, Buffer.from([0x81])]));
+  assert.equal(decoded.payload.toString(), '{"type":"hello"}');
+  assert.equal(decoded.length, frame.length);
+  assert.equal(decoded.fin, true);
+  assert.equal(decodeFrame(frame.subarray(0, 5)), null); // incomplete
+
+  const server = encodeFrame(0x1, Buffer.from('x'.repeat(300)));
+  assert.equal(server[1], 126);
+  assert.equal(server.readUInt16BE(2), 300);
+  assert.ok(decodeFrame(server).error); // servers don't mask, clients must
+});
+
+test('weapon names from Object.prototype are no weapons', () => {
+  const world = createServerWorld(42);
+  const peer = connect(world, 'Aki');
+  handleMessage(world, peer, encode('join'));
+  const p = peer.player.position;
+  const enemy = world.game.state.enemies[0];
+  Object.assign(enemy.pos, { x: p.x, y: p.y, z: p.z - 20 });
+  const eye = { x: p.x, y: p.y + PLAYER_HEIGHT, z: p.z };
+  const dir = { x: 0, y: (enemy.pos.y + enemy.height * 0.5 - eye.y) / 20, z: -1 };
+  world.loop.time = 10;
+  ['constructor', 'toString', '__proto__'].forEach(weapon => {
+    assert.equal(validateHit(world, peer, { enemyId: enemy.id, source: 'shot', weapon, origin: eye, dir }), null);
+  });
+  handleMessage(world, peer, encode('input', { fired: 'constructor' }));
+  assert.ok(Number.isFinite(enemy.hp));
+});
+
+test('swings, casts and heals are held to their cooldowns', () => {
+  const world = createServerWorld(42);
+  const peer = connect(world, 'Aki');
+  handleMessage(world, peer, encode('join'));
+  const p = peer.player.position;
+  const [enemy, other] = world.game.state.enemies;
+  Object.assign(enemy.pos, { x: p.x + 1, y: p.y, z: p.z });
+  Object.assign(other.pos, { x: p.x - 1, y: p.y, z: p.z });
+  enemy.hp = other.hp = 1000;
+  world.loop.time = 10;
+  const melee = (target) => handleMessage(world, peer, encode('hit', { enemyId: target.id, source: 'melee', amount: 400 }));
+
+  for (let i = 0; i < 10; i++) melee(enemy);
+  melee(other); // the same swing hits both
+  assert.equal(enemy.hp, 600);
+  assert.equal(other.hp, 600);
+  world.loop.time += 0.15;
+  melee(enemy);
+  assert.equal(enemy.hp, 600); // faster than any swing
+  world.loop.time += 0.5;
+  melee(enemy);
+  assert.equal(enemy.hp, 200);
+
+  const shockwave = () => handleMessage(world, peer, encode('hit', { enemyId: other.id, source: 'skill', skill: 'shockwave', amount: 400 }));
+  shockwave();
+  shockwave();
+  assert.equal(other.hp, 600 - SKILLS.shockwave.effect.damage); // the skill's damage, once per cast
+  world.loop.time += 1;
+  shockwave();
+  assert.equal(other.hp, 600 - SKILLS.shockwave.effect.damage); // still cooling down
+  handleMessage(world, peer, encode('hit', { enemyId: other.id, source: 'skill', skill: 'dash', amount: 400 }));
+  assert.equal(other.hp, 600 - SKILLS.shockwave.effect.damage);
+
+  const player = peer.player;
+  player.hp = 10;
+  handleMessage(world, peer, encode('heal', { item: 'potion' }));
+  handleMessage(world, peer, encode('heal', { item: 'potion' }));
+  assert.equal(player.hp, 10 + ITEMS.potion.effect.heal);
+  handleMessage(world, peer, encode('heal', { item: 'rune_shard' }));
+  handleMessage(world, peer, encode('heal', { amount: 1000 }));
+  assert.equal(player.hp, 10 + ITEMS.potion.effect.heal);
+  world.loop.time += POTION_COOLDOWN;
+  handleMessage(world, peer, encode('heal', { item: 'potion' }));
+  assert.equal(player.hp, 10 + 2 * ITEMS.potion.effect.heal);
+});
+
+test('shots scale with the reported weapon damage, within limits', () => {
+  const world = createServerWorld(42);
+  const peer = connect(world, 'Aki');
+  handleMessage(world, peer, encode('join'));
+  const p = peer.player.position;
+  const enemy = world.game.state.enemies[0];
+  Object.assign(enemy.pos, { x: p.x, y: p.y, z: p.z - 5 });
+  const eye = { x: p.x, y: p.y + PLAYER_HEIGHT, z: p.z };
+  const claim = { enemyId: enemy.id, source: 'shot', weapon: 'pistol', origin: eye, dir: { x: 0, y: (enemy.pos.y + enemy.height * 0.5 - eye.y) / 5, z: -1 } };
+
+  world.loop.time = 10;
+  const base = validateHit(world, peer, claim).amount;
+  handleMessage(world, peer, encode('input', { weaponDamage: BASE_WEAPON_DAMAGE * 2 }));
+  world.loop.time = 20;
+  assert.equal(validateHit(world, peer, claim).amount, base * 2);
+  handleMessage(world, peer, encode('input', { weaponDamage: 1e9 }));
+  world.loop.time = 30;
+  assert.ok(validateHit(world, peer, claim).amount < base * 10);
+});
@@ -0,0 +1,87 @@
+// save.test.js - save migration and validation from src/save.js, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSave, serializeSave, SAVE_VERSION } from '../src/save.js';
+import { createInventory, addItem } from '../src/inventory.js';
+import { createProgression } from '../src/progression.js';
+import { QUESTS, createQuestLog, acceptQuest } from '../src/quests.js';
+import { WEAPONS, STARTING_RESERVES, createGunState } from '../src/weapons.js';
+
+function snapshot() {
+  const inventory = createInventory();
+  addItem(inventory, 'potion', 3);
+  inventory.equipment.weapon = 'sword';
+  const quests = createQuestLog();
+  acceptQuest(quests, Object.keys(QUESTS)[0]);
+  return {
+    seed: 1234,
+    player: { x: 1, y: 2, z: 3, yaw: 0, pitch: 0 },
+    hp: 100, mp: 50,
+    weapon: 'rifle',
+    magazines: createGunState().magazines,
+    reserves: { ...STARTING_RESERVES },
+    kills: 3,
+    gold: 25,
+    inventory,
+    progression: createProgression(),
+    quests,
+    waypoints: [{ x: 10, z: -20, color: 0xff4444 }]
+  };
+}
+
+// Parses the snapshot after `spoil` changed it, as a loaded slot would.
+const load = (spoil = () => {}) => {
+  const data = snapshot();
+  spoil(data);
+  return parseSave(serializeSave(data));
+};
+
+test('a save made by the game loads', () => {
+  const data = load();
+  assert.equal(data.version, SAVE_VERSION);
+  assert.equal(data.inventory.equipment.weapon, 'sword');
+  assert.equal(Object.keys(data.quests.active).length, 1);
+});
+
+test('old saves are migrated before they are checked', () => {
+  const v2 = snapshot();
+  delete v2.waypoints;
+  delete v2.quests;
+  const data = parseSave(JSON.stringify({ ...v2, version: 2 }));
+  assert.deepEqual(data.quests, { active: {}, completed: {} });
+  assert.deepEqual(data.waypoints, []);
+});
+
+test('a first version save without ammo gets a full magazine', () => {
+  const v1 = snapshot();
+  ['weapon', 'magazines', 'reserves', 'quests', 'waypoints'].forEach(key => delete v1[key]);
+  const data = parseSave(JSON.stringify({ ...v1, version: 1 }));
+  assert.deepEqual(data.magazines, { rifle: WEAPONS.rifle.magazine });
+  assert.deepEqual(data.reserves, { bullets: STARTING_RESERVES.bullets, arrows: 0 });
+});
+
+test('saves the game could not use are rejected as corrupt', () => {
+  const spoilers = [
+    d => { d.inventory.slots[0] = { id: 'toString', count: 1 }; },
+    d => { d.inventory.slots[0] = { id: 'potion', count: -2 }; },
+    d => { d.inventory.equipment = null; },
+    d => { d.inventory.equipment.weapon = 'nope'; },
+    d => { d.inventory.equipment.armor = 'sword'; }, // a sword is no armor
+    d => { delete d.progression.skills; },
+    d => { d.progression.skills = { fly: true }; },
+    d => { d.progression.level = 'zwei'; },
+    d => { d.quests.completed = { nope: true }; },
+    d => { Object.values(d.quests.active)[0].progress = []; },
+    d => { d.waypoints = [{ x: 'a', z: 0, color: 0 }]; },
+    d => { delete d.hp; },
+    d => { d.gold = '25'; },
+    d => { d.kills = -1; },
+    d => { d.weapon = 'toString'; },
+    d => { d.magazines.rifle = 1.5; },
+    d => { d.magazines.rifle = WEAPONS.rifle.magazine + 1; },
+    d => { d.magazines.cannon = 1; },
+    d => { d.reserves.bullets = null; },
+    d => { d.reserves.mana = 10; }
+  ];
+  spoilers.forEach(spoil => assert.throws(() => load(spoil), /Ungültiger Speicherstand/));
+});
@@ -0,0 +1,72 @@
+// third-person.test.js - camera placement, zoom and turning from src/third-person.js, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setWorldSeed, getTerrainHeight } from '../src/terrain.js';
+import { addCollider, clearColliders, createCylinderCollider } from '../src/collision.js';
+import {
+  placeCamera, followDistance, zoomCamera, headingTowards,
+  MIN_DISTANCE, MAX_DISTANCE, ZOOM_STEP
+} from '../src/third-person.js';
+
+setWorldSeed(1234);
+
+// The player's head, standing at (x, z).
+const head = (x, z) => ({ x, y: getTerrainHeight(x, z) + 1.6, z });
+
+test('the camera sits behind the head and over the right shoulder', () => {
+  clearColliders();
+  const pivot = head(0, 0);
+  pivot.y += 20; // high above any hill
+  const spot = placeCamera(pivot, 0, 0, 4); // looking down -z
+  assert.ok(Math.abs(spot.z - (pivot.z + 4)) < 1e-9);
+  assert.ok(spot.x > pivot.x);
+  assert.equal(spot.y, pivot.y);
+  assert.ok(Math.abs(spot.distance - 4) < 1e-9);
+
+  const turned = placeCamera(pivot, Math.PI / 2, 0, 4); // looking down -x: behind is +x
+  assert.ok(Math.abs(turned.x - (pivot.x + 4)) < 1e-9);
+  assert.ok(turned.z < pivot.z);
+});
+
+test('a tree behind the player pulls the camera in front of it', () => {
+  clearColliders();
+  const pivot = head(0, 0);
+  addCollider(createCylinderCollider(0.3, pivot.y - 5, pivot.z + 3, 0.5, 10));
+  const spot = placeCamera(pivot, 0, 0, 6);
+  assert.ok(spot.distance < 2.5);
+  assert.ok(spot.z < pivot.z + 2.5);
+  clearColliders();
+});
+
+test('the camera never goes below the terrain', () => {
+  clearColliders();
+  for (let i = 0; i < 50; i++) {
+    const x = i * 37 - 900, z = i * -53 + 400;
+    const pivot = head(x, z);
+    const spot = placeCamera(pivot, i * 0.7, 1.2, MAX_DISTANCE); // looking up: the arm points down
+    assert.ok(spot.y >= getTerrainHeight(spot.x, spot.z));
+    assert.ok(spot.distance < MAX_DISTANCE);
+  }
+});
+
+test('zoom eases out, snaps in where it must and stays in range', () => {
+  const eased = followDistance(2, 6, 8, 1 / 60);
+  assert.ok(eased > 2 && eased < 6);
+  assert.equal(followDistance(6, 6, 1, 1 / 60), 1);
+  assert.equal(followDistance(3, 6, 8, 0), 3);
+  assert.equal(zoomCamera(4, 100), 4 + ZOOM_STEP);
+  assert.equal(zoomCamera(4, -1), 4 - ZOOM_STEP);
+  assert.equal(zoomCamera(MAX_DISTANCE, 100), MAX_DISTANCE);
+  assert.equal(zoomCamera(MIN_DISTANCE, -100), MIN_DISTANCE);
+});
+
+test('the model turns the shorter way towards where it moves', () => {
+  assert.equal(headingTowards(1, 0, 0, 1 / 60), 1); // standing still
+  let yaw = 0;
+  for (let i = 0; i < 120; i++) yaw = headingTowards(yaw, 1, 0, 1 / 60); // moving along +x
+  assert.ok(Math.abs(yaw + Math.PI / 2) < 1e-3);
+  const step = headingTowards(3, 0, 1, 1 / 60); // +z is yaw PI: from 3 that is a small turn up
+  assert.ok(step > 3 && step < Math.PI);
+  const across = headingTowards(-3, 0, 1, 1 / 60); // from -3 the short way goes down past -PI
+  assert.ok(across < -3);
+});
@@ -0,0 +1,39 @@
+// waves.test.js - wave sizes, scaling and bosses from src/waves.js, run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENEMY_TYPES } from '../src/enemy-types.js';
+import {
+  waveSpec, accuracy, createRunStats,
+  WAVE_BASE_COUNT, WAVE_COUNT_GROWTH, NIGHT_WAVE_MUL, MAX_SPEED_MUL, BOSS_TYPES
+} from '../src/waves.js';
+
+test('waves grow in size, HP and speed', () => {
+  const first = waveSpec(1), third = waveSpec(3);
+  assert.equal(first.count, WAVE_BASE_COUNT);
+  assert.equal(first.hpMul, 1);
+  assert.equal(first.speedMul, 1);
+  assert.equal(third.count, WAVE_BASE_COUNT + 2 * WAVE_COUNT_GROWTH);
+  assert.ok(third.hpMul > 1 && third.speedMul > 1);
+  assert.equal(waveSpec(1000).speedMul, MAX_SPEED_MUL);
+});
+
+test('night waves are bigger', () => {
+  assert.equal(waveSpec(1, true).count, Math.round(WAVE_BASE_COUNT * NIGHT_WAVE_MUL));
+});
+
+test('boss waves name an existing boss type and bring a smaller escort', () => {
+  assert.equal(waveSpec(4).boss, null);
+  assert.equal(waveSpec(5).boss, 'mini');
+  assert.equal(waveSpec(10).boss, 'boss');
+  assert.equal(waveSpec(15).boss, 'mini');
+  assert.ok(waveSpec(5).count < waveSpec(4).count);
+  Object.values(BOSS_TYPES).forEach(id => assert.ok(ENEMY_TYPES[id].boss && ENEMY_TYPES[id].special));
+});
+
+test('accuracy is hits per shot', () => {
+  const run = createRunStats();
+  assert.equal(accuracy(run), 0);
+  run.shots = 8;
+  run.hits = 6;
+  assert.equal(accuracy(run), 0.75);
+});